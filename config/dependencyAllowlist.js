@@ -0,0 +1,23 @@
+/**
+ * Dependency Allowlist
+ * Packages the validator may add to a generated package.json when the code
+ * imports them without declaring them, with the version to pin.
+ */
+
+module.exports = {
+  react: '^18.2.0',
+  'react-dom': '^18.2.0',
+  'react-router-dom': '^6.8.0',
+  'react-icons': '^4.12.0',
+  'lucide-react': '^0.263.1',
+  'framer-motion': '^10.16.4',
+  clsx: '^2.0.0',
+  classnames: '^2.3.2',
+  axios: '^1.6.0',
+  uuid: '^9.0.1',
+  'date-fns': '^2.30.0',
+  recharts: '^2.8.0',
+  zustand: '^4.4.1',
+  '@heroicons/react': '^2.0.18',
+  'web-vitals': '^2.1.4'
+};
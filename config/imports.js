@@ -0,0 +1,25 @@
+/**
+ * Project import limits
+ * Uploads are held in memory while they are read, so MAX_IMPORT_UPLOAD_MB
+ * bounds memory per request. MAX_IMPORT_EXPANDED_MB caps the uncompressed
+ * size of everything in the archive, skipped entries included, so a small
+ * archive cannot expand without bound. The project limits apply to the
+ * files that are imported.
+ */
+
+const number = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Whole bytes; busboy never trips a fractional size limit
+const megabytes = (name, fallback) => Math.floor(number(name, fallback) * 1024 * 1024);
+
+const getImportLimits = () => ({
+  maxUploadBytes: megabytes('MAX_IMPORT_UPLOAD_MB', 10),
+  maxExpandedBytes: megabytes('MAX_IMPORT_EXPANDED_MB', 200),
+  maxTotalBytes: megabytes('MAX_PROJECT_SIZE_MB', 50),
+  maxFiles: number('MAX_FILES_PER_PROJECT', 100),
+});
+
+module.exports = getImportLimits;
@@ -0,0 +1,39 @@
+/**
+ * Generation quotas
+ * Limits checked before a provider is called. Requests count successful
+ * provider calls; tokens count prompt plus completion tokens. Days and months
+ * are UTC. A limit of 0 means unlimited.
+ *
+ * Guests (User.isGuest) and callers without a token share the tighter
+ * `guest` limits; anonymous callers are counted per IP address.
+ */
+
+const limit = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const getQuotas = () => ({
+  user: {
+    daily: {
+      requests: limit('QUOTA_USER_DAILY_REQUESTS', 200),
+      tokens: limit('QUOTA_USER_DAILY_TOKENS', 1000000),
+    },
+    monthly: {
+      requests: limit('QUOTA_USER_MONTHLY_REQUESTS', 0),
+      tokens: limit('QUOTA_USER_MONTHLY_TOKENS', 10000000),
+    },
+  },
+  guest: {
+    daily: {
+      requests: limit('QUOTA_GUEST_DAILY_REQUESTS', 20),
+      tokens: limit('QUOTA_GUEST_DAILY_TOKENS', 100000),
+    },
+    monthly: {
+      requests: limit('QUOTA_GUEST_MONTHLY_REQUESTS', 0),
+      tokens: limit('QUOTA_GUEST_MONTHLY_TOKENS', 500000),
+    },
+  },
+});
+
+module.exports = getQuotas;
@@ -0,0 +1,32 @@
+/**
+ * Rate limits
+ * Request-rate limits per route group. `/api/auth/login` and `/api/auth/guest`
+ * are limited per IP; `/api/ai/*` per authenticated user, falling back to
+ * the IP for anonymous callers.
+ *
+ * RATE_LIMIT_STORE picks where counters live: 'memory' (default, per
+ * process) or 'mongo' (shared by every instance).
+ */
+
+const number = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const getRateLimits = () => ({
+  store: process.env.RATE_LIMIT_STORE || 'memory',
+  login: {
+    windowMs: number('LOGIN_RATE_LIMIT_WINDOW_MS', 15 * 60 * 1000),
+    limit: number('LOGIN_RATE_LIMIT_MAX', 10),
+  },
+  guest: {
+    windowMs: number('GUEST_RATE_LIMIT_WINDOW_MS', 60 * 60 * 1000),
+    limit: number('GUEST_RATE_LIMIT_MAX', 5),
+  },
+  ai: {
+    windowMs: number('AI_RATE_LIMIT_WINDOW_MS', number('RATE_LIMIT_WINDOW_MS', 60 * 1000)),
+    limit: number('AI_RATE_LIMIT_MAX', number('RATE_LIMIT_MAX_REQUESTS', 30)),
+  },
+});
+
+module.exports = getRateLimits;
@@ -1,86 +1,584 @@
-const GroqService = require('../services/groqService');
-const GeminiService = require('../services/geminiService');
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const Chat = require('../models/Chat');
+const File = require('../models/File');
+const providerRegistry = require('../services/providerRegistry');
 const SandpackResponseProcessor = require('../services/sandpackResponseProcessor');
 const ReactTemplateValidator = require('../services/reactTemplateValidator');
+const ProjectFileService = require('../services/projectFileService');
+const PatchApplier = require('../services/patchApplier');
+const SnapshotService = require('../services/snapshotService');
+const AIProvider = require('../services/aiProvider');
+const UsageService = require('../services/usageService');
+const { initSSE, sendEvent, endSSE } = require('../utils/sse');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { detectTruncation, trimToLastCompleteFile, stitch } = require('../utils/continuation');
+
+// How much of the conversation edit mode sends back to the model
+const EDIT_HISTORY_LIMIT = 10;
+const EDIT_HISTORY_MAX_CHARS = 2000;
+
+// Upper bound on repair rounds a client can request
+const MAX_REPAIR_ROUNDS = 5;
+
+// Upper bound on follow-up requests for one truncated response
+const MAX_CONTINUATIONS = 5;
 
 class AIController {
-  constructor() {
-    this.groqService = new GroqService();
-    this.geminiService = new GeminiService();
-    this.primaryProvider = process.env.PRIMARY_AI_PROVIDER || 'groq';
-    this.fallbackProvider = process.env.FALLBACK_AI_PROVIDER || 'gemini';
+  constructor(registry = providerRegistry) {
+    this.registry = registry;
   }
 
   async generateCode(req, res) {
-    try {
-      const { prompt, type = 'react', context = {} } = req.body;
+    const { prompt, type = 'react', context = {}, repair } = req.body;
 
-      let response, usedProvider;
+    if (!prompt) {
+      throw new ValidationError('Prompt is required');
+    }
 
-      try {
-        if (this.primaryProvider === 'groq') {
-          response = await this.groqService.generateCode(prompt, type, context);
-          usedProvider = 'groq';
-        } else {
-          response = await this.geminiService.generateCode(prompt, type, context);
-          usedProvider = 'gemini';
-        }
-      } catch (primaryError) {
-        try {
-          if (this.fallbackProvider === 'gemini') {
-            response = await this.geminiService.generateCode(prompt, type, context);
-            usedProvider = 'gemini';
-          } else {
-            response = await this.groqService.generateCode(prompt, type, context);
-            usedProvider = 'groq';
+    const data = await this.runGeneration(prompt, type, context, {
+      repair,
+      onResult: UsageService.recorder(req.usageSubject || { ip: req.ip })
+    });
+
+    res.json({
+      success: true,
+      data
+    });
+  }
+
+  /**
+   * Generate code for a project owned by the caller and persist the result:
+   * files are upserted, the project file count refreshed and the exchange
+   * stored as chat messages, in one transaction where the server supports
+   * them.
+   */
+  async generateForProject(req, res) {
+    const { projectId } = req.params;
+    const { prompt, type = 'react', mode = 'generate', context = {}, repair } = req.body;
+    const userId = req.user.userId;
+
+    if (!prompt) {
+      throw new ValidationError('Prompt is required');
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(projectId)) {
+      throw new NotFoundError('Project not found');
+    }
+
+    // Verify project exists and belongs to user
+    const project = await Project.findOne({ _id: projectId, userId });
+    if (!project) {
+      throw new NotFoundError('Project not found');
+    }
+
+    let data;
+    const onResult = UsageService.recorder({ ...(req.usageSubject || { userId }), projectId: project._id });
+
+    if (mode === 'edit') {
+      // Send the current project and conversation so the model only returns changes
+      const editContext = await this.buildEditContext(project, userId, context);
+      data = await this.runGeneration(prompt, type, editContext, { onResult });
+    } else {
+      data = await this.runGeneration(prompt, type, context, { repair, onResult });
+    }
+
+    // The snapshot, file writes, revisions and chat commit together where
+    // the server supports transactions
+    const { snapshot, fileResult, messages } = await SnapshotService.inTransaction(async (session) => {
+      // Keep the files as they were so a generation that breaks the app can be rolled back
+      const snapshot = await SnapshotService.snapshotBeforeGeneration(project, userId, prompt, { session });
+
+      const fileResult = mode === 'edit'
+        ? await ProjectFileService.applyOperations(project, userId, [
+          ...data.deleted.map(path => ({ path, operation: 'delete' })),
+          ...data.renamed.map(({ from, to }) => ({ path: from, to, operation: 'rename' })),
+          ...data.files
+        ], { source: 'generation', session })
+        : await ProjectFileService.upsertFiles(project, userId, data.files, { source: 'generation', session });
+
+      const messages = await Chat.insertMany([
+        {
+          projectId: project._id,
+          userId,
+          type: 'user',
+          content: prompt
+        },
+        {
+          projectId: project._id,
+          userId,
+          type: 'assistant',
+          content: data.explanation || 'Generated project files',
+          metadata: {
+            fileCount: data.files.length,
+            codeGenerated: data.files.length > 0,
+            model: data.provider
           }
-        } catch (fallbackError) {
-          throw new Error('All AI providers failed');
         }
+      ], { session });
+
+      if (snapshot) {
+        snapshot.chatMessageId = messages[0]._id;
+        await snapshot.save({ session });
       }
 
+      return { snapshot, fileResult, messages };
+    });
+
+    res.json({
+      success: true,
+      data,
+      snapshotId: snapshot ? snapshot._id : null,
+      project: fileResult.project,
+      files: fileResult.files,
+      changes: {
+        created: fileResult.created,
+        updated: fileResult.updated,
+        deleted: fileResult.deleted,
+        renamed: fileResult.renamed
+      },
+      messages
+    });
+  }
+
+  /**
+   * Load a project's files and recent chat turns as edit-mode context
+   */
+  async buildEditContext(project, userId, context = {}) {
+    const [files, chats] = await Promise.all([
+      File.find({ projectId: project._id }).sort({ path: 1 }),
+      Chat.find({ projectId: project._id, userId })
+        .sort({ createdAt: -1 })
+        .limit(EDIT_HISTORY_LIMIT)
+    ]);
+
+    return {
+      ...context,
+      mode: 'edit',
+      currentFiles: files.map(file => ({
+        path: file.path,
+        content: file.content,
+        language: file.language
+      })),
+      history: chats.reverse().map(chat => ({
+        role: chat.type,
+        content: chat.content.length > EDIT_HISTORY_MAX_CHARS
+          ? chat.content.substring(0, EDIT_HISTORY_MAX_CHARS) + '\n[truncated]'
+          : chat.content
+      }))
+    };
+  }
+
+  /**
+   * Call the AI providers (with fallback), then process and validate the
+   * response. Returns the `data` payload sent to clients.
+   * `options.repair` (true or { maxRounds, threshold }) enables the
+   * validator-driven repair loop for React generations.
+   * `options.signal` aborts the provider calls, `options.onResult` receives
+   * every provider call for usage accounting and `options.onOutput(text)`,
+   * if given, streams the completion and receives the raw output so far.
+   */
+  async runGeneration(prompt, type = 'react', context = {}, options = {}) {
+    const { onOutput } = options;
+    const requestOptions = { signal: options.signal, onResult: options.onResult };
+
+    // Normalized response from the first provider in the chain that succeeds,
+    // finished by the same provider if it hit the token limit
+    const firstResponse = onOutput
+      ? await this.collectStream(prompt, type, context, { ...requestOptions, onOutput })
+      : await this.registry.generate(prompt, type, context, requestOptions);
+
+    const response = await this.continueTruncated(prompt, type, context, firstResponse, {
+      ...requestOptions,
+      onRound: onOutput ? ({ content }) => onOutput(content) : null
+    });
+    const usedProvider = response.provider;
+
+    const isReact = type === 'react' || type === 'sandpack';
+    let processedResponse;
+    let validationReport = null;
+
+    if (context.mode === 'edit') {
+      processedResponse = this.processEditResponse(response, context.currentFiles);
+
+      const failedPatches = processedResponse.patches.filter(result => result.failed.length > 0);
+      if (failedPatches.length > 0) {
+        processedResponse = await this.recoverFailedPatches(prompt, type, context, processedResponse, failedPatches, requestOptions);
+      }
+
+      // Validate the project as it will look once the changes are applied
+      validationReport = ReactTemplateValidator.generateReport(
+        this.mergeFileChanges(
+          context.currentFiles,
+          processedResponse.files,
+          processedResponse.deleted,
+          processedResponse.renamed
+        )
+      );
+    } else {
       // Use Sandpack processor for React projects
-      const processedResponse = type === 'react' || type === 'sandpack'
-        ? this.processSandpackResponse(response, usedProvider)
-        : this.processAIResponse(response, usedProvider);
+      processedResponse = isReact
+        ? this.processSandpackResponse(response)
+        : this.processAIResponse(response);
 
       // Validate React template quality
-      const validationReport = type === 'react' || type === 'sandpack'
+      validationReport = isReact
         ? ReactTemplateValidator.generateReport(processedResponse.files)
         : null;
+    }
 
-      res.json({
-        success: true,
-        data: {
-          ...processedResponse,
-          model: response.model || 'unknown',
-          provider: usedProvider,
-          type: type,
-          validation: validationReport
-        }
+    let repair = null;
+    if (isReact && context.mode !== 'edit' && options.repair) {
+      const repaired = await this.repairFiles(
+        prompt,
+        processedResponse.files,
+        validationReport,
+        this.getRepairOptions(options.repair),
+        requestOptions
+      );
+
+      processedResponse = { ...processedResponse, files: repaired.files };
+      validationReport = repaired.validation;
+      repair = repaired.repair;
+    }
+
+    return {
+      ...processedResponse,
+      model: response.model,
+      provider: usedProvider,
+      type: type,
+      validation: validationReport,
+      ...(response.continuation ? { continuation: response.continuation } : {}),
+      ...(repair ? { repair } : {})
+    };
+  }
+
+  /**
+   * Ask the provider that wrote a truncated response to finish it. Each round
+   * trims the text back to its last complete file, replays it to the same
+   * provider and stitches the answer on, until the result is no longer
+   * truncated or AI_MAX_CONTINUATIONS rounds have run.
+   * Resolves to the response unchanged when it was not truncated, otherwise
+   * with the stitched content and continuation: { complete, rounds }.
+   * `options.onRound` is called after each round with
+   * { round, reason, from, content } where `from` is the length of the kept
+   * text and `content` the stitched text.
+   */
+  async continueTruncated(prompt, type, context, response, options = {}) {
+    const { onRound, ...requestOptions } = options;
+    let reason = detectTruncation(response.content, response.finishReason);
+    if (!reason) {
+      return response;
+    }
+
+    const maxRounds = this.getMaxContinuations();
+    const rounds = [];
+    let { content, finishReason } = response;
+
+    for (let round = 1; reason && round <= maxRounds; round++) {
+      const trimmed = trimToLastCompleteFile(content);
+      let next;
+
+      try {
+        AIProvider.throwIfAborted(requestOptions.signal);
+        next = await this.registry.generateWith(response.provider, prompt, type, {
+          ...context,
+          continuation: { round, content: trimmed.content, completedFiles: trimmed.completedFiles }
+        }, requestOptions);
+      } catch (error) {
+        AIProvider.throwIfAborted(requestOptions.signal);
+        rounds.push({ round, reason, error: error.message });
+        break;
+      }
+
+      content = stitch(trimmed.content, next.content);
+      finishReason = next.finishReason;
+      rounds.push({ round, reason, completedFiles: trimmed.completedFiles, usage: next.usage || null });
+
+      if (onRound) {
+        onRound({ round, reason, from: trimmed.content.length, content });
+      }
+
+      reason = detectTruncation(content, finishReason);
+    }
+
+    return {
+      ...response,
+      content,
+      finishReason,
+      continuation: { complete: !reason, rounds }
+    };
+  }
+
+  /**
+   * Generate through the streaming API, passing the output so far to
+   * `onOutput` as tokens arrive. Resolves to the same shape as
+   * registry.generate().
+   */
+  async collectStream(prompt, type, context, { onOutput, ...requestOptions }) {
+    let content = '';
+    let finishReason = null;
+    let usage = null;
+    let provider = null;
+    let model = 'unknown';
+
+    for await (const { provider: name, model: providerModel, chunk } of this.registry.stream(prompt, type, context, requestOptions)) {
+      provider = name;
+      model = providerModel;
+      finishReason = chunk.finishReason || finishReason;
+      usage = chunk.usage || usage;
+
+      if (!chunk.content) continue;
+
+      content += chunk.content;
+      onOutput(content);
+    }
+
+    return { content, model, provider, usage, finishReason };
+  }
+
+  getMaxContinuations() {
+    const configured = parseInt(process.env.AI_MAX_CONTINUATIONS);
+    const maxRounds = Number.isNaN(configured) ? 2 : configured;
+
+    return Math.min(Math.max(maxRounds, 0), MAX_CONTINUATIONS);
+  }
+
+  /**
+   * Self-healing loop: send validator errors and the offending files back to
+   * the model, merge the fixes and re-validate until the score reaches the
+   * threshold or the round limit is hit.
+   */
+  async repairFiles(prompt, files, report, { maxRounds, threshold }, requestOptions = {}) {
+    const rounds = [{
+      round: 0,
+      score: report.score,
+      valid: report.summary.valid,
+      errors: report.errors,
+      changedFiles: []
+    }];
+
+    let currentFiles = files;
+    let currentReport = report;
+
+    for (let round = 1; round <= maxRounds && currentReport.score < threshold; round++) {
+      let response;
+
+      try {
+        response = await this.registry.generate(prompt, 'react', {
+          mode: 'repair',
+          errors: currentReport.errors,
+          files: this.findOffendingFiles(currentFiles, currentReport.errors)
+        }, requestOptions);
+      } catch (error) {
+        AIProvider.throwIfAborted(requestOptions.signal);
+        rounds.push({ round, score: currentReport.score, error: error.message, changedFiles: [] });
+        break;
+      }
+
+      const { files: fixes } = SandpackResponseProcessor.processEditResponse(response.content);
+
+      if (fixes.length === 0) {
+        rounds.push({
+          round,
+          provider: response.provider,
+          score: currentReport.score,
+          error: 'Model returned no files',
+          changedFiles: []
+        });
+        break;
+      }
+
+      currentFiles = this.mergeFileChanges(currentFiles, fixes);
+      currentReport = ReactTemplateValidator.generateReport(currentFiles);
+
+      rounds.push({
+        round,
+        provider: response.provider,
+        score: currentReport.score,
+        valid: currentReport.summary.valid,
+        errors: currentReport.errors,
+        changedFiles: fixes.map(file => file.path)
       });
+    }
 
-    } catch (error) {
-      res.status(500).json({ error: error.message });
+    return {
+      files: currentFiles,
+      validation: currentReport,
+      repair: {
+        maxRounds,
+        threshold,
+        passed: currentReport.score >= threshold,
+        rounds
+      }
+    };
+  }
+
+  getRepairOptions(repair) {
+    const options = typeof repair === 'object' && repair !== null ? repair : {};
+
+    const maxRounds = parseInt(options.maxRounds) || parseInt(process.env.AI_REPAIR_MAX_ROUNDS) || 2;
+    const threshold = parseInt(options.threshold) || parseInt(process.env.AI_REPAIR_SCORE_THRESHOLD) || 80;
+
+    return {
+      maxRounds: Math.min(Math.max(maxRounds, 1), MAX_REPAIR_ROUNDS),
+      threshold: Math.min(Math.max(threshold, 0), 100)
+    };
+  }
+
+  /**
+   * Files named in validator errors; falls back to the entry files when the
+   * errors do not point at a specific file
+   */
+  findOffendingFiles(files, errors) {
+    const offending = files.filter(file => {
+      const normalized = ProjectFileService.normalizePath(file.path);
+      return errors.some(error => error.includes(normalized));
+    });
+
+    if (offending.length > 0) {
+      return offending;
     }
+
+    return files.filter(file =>
+      ['src/App.js', 'src/index.js'].includes(ProjectFileService.normalizePath(file.path))
+    );
   }
 
   /**
-   * Process responses specifically for Sandpack compatibility
+   * Stream code generation as Server-Sent Events.
+   * Emits `provider`, `token`, `file` and a final `done` event carrying the
+   * same payload as generateCode plus the validation report. A truncated
+   * stream is finished with `continuation` events followed by more tokens.
    */
-  processSandpackResponse(response, provider) {
+  async streamCode(req, res) {
+    const { prompt, type = 'react', context = {} } = req.body;
+
+    if (!prompt) {
+      throw new ValidationError('Prompt is required');
+    }
+
+    initSSE(res);
+
+    // req 'close' fires once the body is read; the response closing early
+    // is what tells us the client went away. Aborting stops the provider
+    // calls, continuation rounds included.
+    const abortController = new AbortController();
+    const { signal } = abortController;
+    res.on('close', () => {
+      if (!res.writableEnded) abortController.abort();
+    });
+
+    const emittedPaths = new Set();
+    const requestOptions = { signal, onResult: UsageService.recorder(req.usageSubject || { ip: req.ip }) };
     let content = '';
+    let finishReason = null;
+    let usedProvider = null;
+    let model = 'unknown';
 
-    if (provider === 'groq') {
-      content = response.content || '';
-    } else if (provider === 'gemini') {
-      if (response.candidates && response.candidates[0]) {
-        content = response.candidates[0].content?.parts?.[0]?.text || '';
+    try {
+      for await (const { provider, model: providerModel, chunk } of this.registry.stream(prompt, type, context, requestOptions)) {
+        if (signal.aborted) break;
+
+        if (!usedProvider) {
+          usedProvider = provider;
+          model = providerModel;
+          sendEvent(res, 'provider', { provider, model });
+        }
+
+        finishReason = chunk.finishReason || finishReason;
+        if (!chunk.content) continue;
+
+        content += chunk.content;
+        sendEvent(res, 'token', { content: chunk.content });
+
+        // A code fence can only have closed if this chunk carried a backtick
+        if (chunk.content.includes('`')) {
+          this.emitCompletedFiles(res, content, emittedPaths);
+        }
       }
+    } catch (error) {
+      if (!signal.aborted) {
+        sendEvent(res, 'error', { error: error.message, provider: error.provider || usedProvider, requestId: req.id });
+      }
+      return endSSE(res);
+    }
+
+    if (signal.aborted) {
+      return endSSE(res);
+    }
+
+    // Clients drop everything after `from` and append the continuation
+    let continued;
+    try {
+      continued = await this.continueTruncated(
+        prompt,
+        type,
+        context,
+        { content, finishReason, provider: usedProvider, model },
+        {
+          ...requestOptions,
+          onRound: ({ round, reason, from, content: stitched }) => {
+            sendEvent(res, 'continuation', { round, reason, from });
+            sendEvent(res, 'token', { content: stitched.substring(from) });
+            this.emitCompletedFiles(res, stitched, emittedPaths);
+          }
+        }
+      );
+    } catch (error) {
+      // Failed rounds are reported in `continuation`; only an abort gets here
+      return endSSE(res);
     }
+    content = continued.content;
 
+    try {
+      const isReact = type === 'react' || type === 'sandpack';
+      const processedResponse = isReact
+        ? this.processSandpackContent(content)
+        : this.processAIContent(content);
+
+      const validationReport = isReact
+        ? ReactTemplateValidator.generateReport(processedResponse.files)
+        : null;
+
+      sendEvent(res, 'done', {
+        ...processedResponse,
+        model,
+        provider: usedProvider,
+        type,
+        validation: validationReport,
+        ...(continued.continuation ? { continuation: continued.continuation } : {})
+      });
+    } catch (error) {
+      sendEvent(res, 'error', { error: error.message, provider: usedProvider, requestId: req.id });
+    }
+
+    endSSE(res);
+  }
+
+  /**
+   * Send a `file` event for every file whose code fence has closed so far
+   */
+  emitCompletedFiles(res, content, emittedPaths) {
+    const files = SandpackResponseProcessor.extractFiles(content);
+
+    files.forEach(file => {
+      if (emittedPaths.has(file.path)) return;
+      emittedPaths.add(file.path);
+      sendEvent(res, 'file', file);
+    });
+  }
+
+  /**
+   * Process responses specifically for Sandpack compatibility
+   */
+  processSandpackResponse(response) {
+    return this.processSandpackContent(response.content);
+  }
+
+  processSandpackContent(content) {
     // Use the Sandpack processor to validate and fix the response
-    const files = SandpackResponseProcessor.processResponse(content, provider);
+    const { files, steps, fragments } = SandpackResponseProcessor.parseResponse(content);
 
     // Validate files meet React template requirements
     const validation = ReactTemplateValidator.validate(files);
@@ -88,6 +586,8 @@ class AIController {
     return {
       content,
       files: validation.fixedFiles || files,
+      steps,
+      fragments,
       explanation: content,
       validation: {
         isValid: validation.isValid,
@@ -99,104 +599,132 @@ class AIController {
     };
   }
 
-  processAIResponse(response, provider) {
-    let content = '';
+  /**
+   * Process an edit-mode response into file operations against the current
+   * files. Operations apply in the order deletes, renames, then writes;
+   * unified diffs are applied to the files as they are after the renames.
+   */
+  processEditResponse(response, currentFiles = []) {
+    const content = response.content;
+    const { files, deletions, renames, patches, steps, fragments } = SandpackResponseProcessor.processEditResponse(content);
+    const normalize = (filePath) => ProjectFileService.normalizePath(filePath);
+    const existingPaths = new Set(currentFiles.map(f => normalize(f.path)));
+
+    const deleted = deletions.filter(path => existingPaths.has(normalize(path)));
+    deleted.forEach(path => existingPaths.delete(normalize(path)));
+
+    const renamed = renames.filter(rename => existingPaths.has(normalize(rename.from)));
+    renamed.forEach(rename => {
+      existingPaths.delete(normalize(rename.from));
+      existingPaths.add(normalize(rename.to));
+    });
 
-    if (provider === 'groq') {
-      content = response.content || '';
-    } else if (provider === 'gemini') {
-      if (response.candidates && response.candidates[0]) {
-        content = response.candidates[0].content?.parts?.[0]?.text || '';
-      }
-    }
+    // A whole file in the same response wins over a diff for it
+    const wholeFiles = new Set(files.map(file => normalize(file.path)));
+    const patched = PatchApplier.applyAll(
+      patches.filter(patch => !wholeFiles.has(normalize(patch.path))),
+      this.mergeFileChanges(currentFiles, [], deleted, renamed)
+    );
 
-    const files = this.extractFilesFromContentAdvanced(content);
+    return {
+      content,
+      files: [...files, ...patched.files].map(file => ({
+        ...file,
+        operation: existingPaths.has(normalize(file.path)) ? 'update' : 'create'
+      })),
+      deleted,
+      renamed,
+      patches: patched.results,
+      steps,
+      fragments,
+      explanation: content
+    };
+  }
 
-    if (files.length === 0 && content.trim()) {
-      return {
-        content,
-        files: this.createCompleteReactProject(content),
-        explanation: content
-      };
+  /**
+   * Ask the model again for the complete content of files whose diff did not
+   * apply. Recovered files are added to the response and each failed patch
+   * result is marked with `fallback: 'full-file'` or `'failed'`.
+   */
+  async recoverFailedPatches(prompt, type, context, processedResponse, failedPatches, options = {}) {
+    const paths = failedPatches.map(result => result.path);
+    let recovered = [];
+
+    try {
+      const response = await this.registry.generate(this.buildFullFileRequest(prompt, paths), type, context, options);
+      recovered = this.processEditResponse(response, context.currentFiles).files
+        .filter(file => paths.includes(file.path));
+    } catch (error) {
+      AIProvider.throwIfAborted(options.signal);
+      console.error('❌ Full-file fallback for failed patches failed:', error.message);
     }
 
-    return { content, files, explanation: content };
-  }
+    const recoveredPaths = recovered.map(file => file.path);
 
-  extractFilesFromContentAdvanced(content) {
-    const files = [];
-    const pattern1 = /\/\/\s*(src\/[^\n]+\.(jsx?|tsx?|css|html|json|md))\s*\n```[\w]*\n([\s\S]*?)```/gi;
-    let match;
-
-    while ((match = pattern1.exec(content)) !== null) {
-      const filePath = match[1].trim();
-      const fileContent = match[3].trim();
-
-      if (fileContent && filePath && fileContent.length > 10) {
-        files.push({
-          path: filePath,
-          content: fileContent,
-          language: this.getLanguageFromPath(filePath),
-          operation: 'create'
-        });
-      }
-    }
+    return {
+      ...processedResponse,
+      files: [...processedResponse.files, ...recovered],
+      patches: processedResponse.patches.map(result => (
+        paths.includes(result.path)
+          ? { ...result, fallback: recoveredPaths.includes(result.path) ? 'full-file' : 'failed' }
+          : result
+      ))
+    };
+  }
 
-    if (files.length === 0) {
-      const pattern2 = /\*\*(src\/[^\*]+\.(jsx?|tsx?|css|html|json|md))\*\*\s*\n```[\w]*\n([\s\S]*?)```/gi;
+  buildFullFileRequest(prompt, paths) {
+    return `${prompt}
 
-      while ((match = pattern2.exec(content)) !== null) {
-        const filePath = match[1].trim();
-        const fileContent = match[3].trim();
+Your unified diff could not be applied to: ${paths.join(', ')}.
+Return the COMPLETE updated content of ${paths.length === 1 ? 'that file' : 'those files'} in the "// path" code block format. Do not use diffs.`;
+  }
 
-        if (fileContent && filePath && fileContent.length > 10) {
-          files.push({
-            path: filePath,
-            content: fileContent,
-            language: this.getLanguageFromPath(filePath),
-            operation: 'create'
-          });
-        }
-      }
-    }
+  /**
+   * Overlay deleted, renamed and changed files onto the current project files
+   */
+  mergeFileChanges(currentFiles = [], changedFiles = [], deletedPaths = [], renamed = []) {
+    const normalize = (filePath) => ProjectFileService.normalizePath(filePath);
+    const merged = new Map(
+      currentFiles.map(file => [normalize(file.path), file])
+    );
+
+    deletedPaths.forEach(path => merged.delete(normalize(path)));
+    renamed.forEach(({ from, to }) => {
+      const file = merged.get(normalize(from));
+      if (!file) return;
+      merged.delete(normalize(from));
+      merged.set(normalize(to), { ...file, path: to });
+    });
+    changedFiles.forEach(file => merged.set(normalize(file.path), file));
 
-    if (files.length === 0) {
-      const pattern3 = /```(jsx?|tsx?|css|html|json)\n([\s\S]*?)```/gi;
-      let fileIndex = 1;
-
-      while ((match = pattern3.exec(content)) !== null) {
-        const language = match[1];
-        const fileContent = match[2].trim();
-
-        if (fileContent && fileContent.length > 10) {
-          files.push({
-            path: this.generateSmartFilePath(fileContent, language, fileIndex),
-            content: fileContent,
-            language: language === 'jsx' || language === 'js' ? 'javascript' : language,
-            operation: 'create'
-          });
-          fileIndex++;
-        }
-      }
-    }
+    return [...merged.values()];
+  }
 
-    return files;
+  processAIResponse(response) {
+    return this.processAIContent(response.content);
   }
 
-  generateSmartFilePath(content, language, index) {
-    if (content.includes('App')) return 'src/App.jsx';
-    if (content.includes('Header')) return 'src/components/Header.jsx';
-    if (content.includes('Footer')) return 'src/components/Footer.jsx';
-    if (language === 'css') return 'src/index.css';
-    if (content.includes('tailwind')) return 'tailwind.config.js';
-    return `src/file${index}.${language}`;
+  processAIContent(content) {
+    const { files, steps, fragments } = SandpackResponseProcessor.parseOperations(content);
+
+    if (files.length === 0 && content.trim()) {
+      return {
+        content,
+        files: this.createCompleteReactProject(content),
+        steps,
+        fragments,
+        explanation: content
+      };
+    }
+
+    return { content, files, steps, fragments, explanation: content };
   }
 
   createCompleteReactProject(content) {
     const files = [];
 
     files.push({
-      path: 'package.json',
+      path: '/package.json',
       content: JSON.stringify({
         "name": "weblify-react-app",
         "version": "0.1.0",
@@ -221,7 +749,7 @@ class AIController {
     });
 
     files.push({
-      path: 'public/index.html',
+      path: '/public/index.html',
       content: `<!DOCTYPE html>
 <html lang="en">
   <head>
@@ -238,7 +766,7 @@ class AIController {
     });
 
     files.push({
-      path: 'src/index.js',
+      path: '/src/index.js',
       content: `import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
@@ -255,14 +783,14 @@ root.render(
     });
 
     files.push({
-      path: 'src/App.js',
+      path: '/src/App.js',
       content: this.generateAppComponent(content),
       language: 'javascript',
       operation: 'create'
     });
 
     files.push({
-      path: 'src/index.css',
+      path: '/src/index.css',
       content: `@tailwind base;
 @tailwind components;
 @tailwind utilities;
@@ -343,40 +871,22 @@ export default App;`;
     }
   }
 
-  getLanguageFromPath(filePath) {
-    const extension = filePath.split('.').pop()?.toLowerCase();
-    const languageMap = {
-      'js': 'javascript',
-      'jsx': 'javascript',
-      'ts': 'typescript',
-      'tsx': 'typescript',
-      'css': 'css',
-      'html': 'html',
-      'json': 'json',
-      'md': 'markdown'
-    };
-    return languageMap[extension] || 'javascript';
-  }
-
   async healthCheck(req, res) {
-    const health = { status: 'ok', providers: {} };
-
-    try {
-      await this.groqService.healthCheck();
-      health.providers.groq = 'ok';
-    } catch (error) {
-      health.providers.groq = 'error';
-    }
+    const health = { status: 'ok', providers: {}, chain: this.registry.getChain() };
 
-    try {
-      await this.geminiService.healthCheck();
-      health.providers.gemini = 'ok';
-    } catch (error) {
-      health.providers.gemini = 'error';
+    for (const name of this.registry.names()) {
+      health.providers[name] = await this.registry.checkHealth(name);
     }
 
     res.json(health);
   }
+
+  async listModels(req, res) {
+    res.json({
+      success: true,
+      models: await this.registry.listModels()
+    });
+  }
 }
 
 module.exports = AIController;
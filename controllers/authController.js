@@ -5,181 +5,165 @@
 
 const User = require('../models/User');
 const { generateToken } = require('../utils/jwt');
+const {
+  ValidationError,
+  AuthenticationError,
+  NotFoundError,
+  ConflictError,
+} = require('../middleware/errorHandler');
 
 // Register new user
 const register = async (req, res) => {
-  try {
-    const { username, email, password, confirmPassword } = req.body;
+  const { username, email, password, confirmPassword } = req.body;
 
-    // Basic validation
-    if (!username || !email || !password) {
-      return res.status(400).json({ error: 'All fields are required' });
-    }
+  // Basic validation
+  if (!username || !email || !password) {
+    throw new ValidationError('All fields are required');
+  }
 
-    if (password !== confirmPassword) {
-      return res.status(400).json({ error: 'Passwords do not match' });
-    }
+  if (password !== confirmPassword) {
+    throw new ValidationError('Passwords do not match');
+  }
 
-    // Check if user exists
-    const existingUser = await User.findOne({
-      $or: [{ email }, { username }],
-    });
+  // Check if user exists
+  const existingUser = await User.findOne({
+    $or: [{ email }, { username }],
+  });
 
-    if (existingUser) {
-      return res
-        .status(400)
-        .json({ error: 'User already exists with this email or username' });
-    }
-
-    // Create new user
-    const newUser = new User({
-      username,
-      email,
-      password,
-    });
+  if (existingUser) {
+    throw new ConflictError('User already exists with this email or username');
+  }
 
-    await newUser.save();
+  // Create new user
+  const newUser = new User({
+    username,
+    email,
+    password,
+  });
 
-    // Generate token
-    const token = generateToken(newUser._id, newUser.email);
+  await newUser.save();
 
-    res.status(201).json({
-      success: true,
-      message: 'User registered successfully',
-      token,
-      user: newUser.toJSON(),
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
+  // Generate token
+  const token = generateToken(newUser._id, newUser.email);
+
+  res.status(201).json({
+    success: true,
+    message: 'User registered successfully',
+    token,
+    user: newUser.toJSON(),
+  });
 };
 
 // Login user
 const login = async (req, res) => {
-  try {
-    const { email, password } = req.body;
+  const { email, password } = req.body;
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
-    }
+  if (!email || !password) {
+    throw new ValidationError('Email and password are required');
+  }
 
-    // Find user by email
-    const user = await User.findOne({ email });
+  // Find user by email
+  const user = await User.findOne({ email });
 
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid email or password' });
-    }
+  if (!user) {
+    throw new AuthenticationError('Invalid email or password');
+  }
 
-    // Compare password
-    const isPasswordValid = await user.comparePassword(password);
+  // Compare password
+  const isPasswordValid = await user.comparePassword(password);
 
-    if (!isPasswordValid) {
-      return res.status(401).json({ error: 'Invalid email or password' });
-    }
+  if (!isPasswordValid) {
+    throw new AuthenticationError('Invalid email or password');
+  }
 
-    // Generate token
-    const token = generateToken(user._id, user.email);
+  // Generate token
+  const token = generateToken(user._id, user.email);
 
-    res.json({
-      success: true,
-      message: 'Login successful',
-      token,
-      user: user.toJSON(),
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
+  res.json({
+    success: true,
+    message: 'Login successful',
+    token,
+    user: user.toJSON(),
+  });
 };
 
 // Get current user profile
 const getProfile = async (req, res) => {
-  try {
-    const user = await User.findById(req.user.userId);
+  const user = await User.findById(req.user.userId);
 
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    res.json({
-      success: true,
-      user: user.toJSON(),
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  if (!user) {
+    throw new NotFoundError('User not found');
   }
+
+  res.json({
+    success: true,
+    user: user.toJSON(),
+  });
 };
 
 // Update user profile
 const updateProfile = async (req, res) => {
-  try {
-    const { username, bio, avatar } = req.body;
-
-    const user = await User.findByIdAndUpdate(
-      req.user.userId,
-      {
-        username: username || undefined,
-        bio: bio || undefined,
-        avatar: avatar || undefined,
-        updatedAt: new Date(),
-      },
-      { new: true, runValidators: true }
-    );
-
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    res.json({
-      success: true,
-      message: 'Profile updated successfully',
-      user: user.toJSON(),
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  const { username, bio, avatar } = req.body;
+
+  const user = await User.findByIdAndUpdate(
+    req.user.userId,
+    {
+      username: username || undefined,
+      bio: bio || undefined,
+      avatar: avatar || undefined,
+      updatedAt: new Date(),
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!user) {
+    throw new NotFoundError('User not found');
   }
+
+  res.json({
+    success: true,
+    message: 'Profile updated successfully',
+    user: user.toJSON(),
+  });
 };
 
 // Guest login - creates a temporary guest user
 const guestLogin = async (req, res) => {
-  try {
-    // Generate a unique guest username
-    const guestId = Date.now().toString(36) + Math.random().toString(36).substr(2);
-    const guestEmail = `guest_${guestId}@weblify.ai`;
-    const guestPassword = Math.random().toString(36).substring(2, 15);
-
-    // Check if guest user already exists (shouldn't happen, but be safe)
-    let guestUser = await User.findOne({ email: guestEmail });
-
-    if (!guestUser) {
-      // Create new guest user
-      guestUser = new User({
-        username: `Guest_${guestId}`,
-        email: guestEmail,
-        password: guestPassword,
-        isGuest: true,
-      });
-
-      await guestUser.save();
-    }
-
-    // Generate token
-    const token = generateToken(guestUser._id, guestUser.email);
-
-    res.json({
-      success: true,
-      message: 'Guest login successful',
-      token,
-      user: {
-        id: guestUser._id,
-        email: guestUser.email,
-        username: guestUser.username,
-        name: guestUser.username,
-        isGuest: true,
-      },
+  // Generate a unique guest username
+  const guestId = Date.now().toString(36) + Math.random().toString(36).substr(2);
+  const guestEmail = `guest_${guestId}@weblify.ai`;
+  const guestPassword = Math.random().toString(36).substring(2, 15);
+
+  // Check if guest user already exists (shouldn't happen, but be safe)
+  let guestUser = await User.findOne({ email: guestEmail });
+
+  if (!guestUser) {
+    // Create new guest user
+    guestUser = new User({
+      username: `Guest_${guestId}`,
+      email: guestEmail,
+      password: guestPassword,
+      isGuest: true,
     });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+
+    await guestUser.save();
   }
+
+  // Generate token
+  const token = generateToken(guestUser._id, guestUser.email);
+
+  res.json({
+    success: true,
+    message: 'Guest login successful',
+    token,
+    user: {
+      id: guestUser._id,
+      email: guestUser.email,
+      username: guestUser.username,
+      name: guestUser.username,
+      isGuest: true,
+    },
+  });
 };
 
 module.exports = {
@@ -5,168 +5,239 @@
 
 const File = require('../models/File');
 const Project = require('../models/Project');
+const RevisionService = require('../services/revisionService');
+const { ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
 
 // Create/add file to project
 const createFile = async (req, res) => {
-  try {
-    const { projectId } = req.params;
-    const { path, content, language } = req.body;
-    const userId = req.user.userId;
-
-    if (!path) {
-      return res.status(400).json({ error: 'File path is required' });
-    }
-
-    // Verify project exists and belongs to user
-    const project = await Project.findOne({ _id: projectId, userId });
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
-    }
-
-    // Check if file already exists
-    const existingFile = await File.findOne({ projectId, path });
-    if (existingFile) {
-      return res.status(400).json({ error: 'File already exists' });
-    }
-
-    const newFile = new File({
-      projectId,
-      userId,
-      path,
-      content: content || '',
-      language: language || 'javascript',
-      operation: 'create',
-    });
-
-    await newFile.save();
-
-    // Update project file count
-    project.fileCount = (project.fileCount || 0) + 1;
-    await project.save();
-
-    res.status(201).json({
-      success: true,
-      message: 'File created successfully',
-      file: newFile,
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  const { projectId } = req.params;
+  const { path, content, language } = req.body;
+  const userId = req.user.userId;
+
+  if (!path) {
+    throw new ValidationError('File path is required');
+  }
+
+  // Verify project exists and belongs to user
+  const project = await Project.findOne({ _id: projectId, userId });
+  if (!project) {
+    throw new NotFoundError('Project not found');
   }
+
+  // Check if file already exists
+  const existingFile = await File.findOne({ projectId, path });
+  if (existingFile) {
+    throw new ConflictError('File already exists');
+  }
+
+  const newFile = new File({
+    projectId,
+    userId,
+    path,
+    content: content || '',
+    language: language || 'javascript',
+    operation: 'create',
+  });
+
+  await newFile.save();
+  await RevisionService.recordRevisions([{ file: newFile, operation: 'create' }], { userId, source: 'manual' });
+
+  // Update project file count
+  project.fileCount = (project.fileCount || 0) + 1;
+  await project.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'File created successfully',
+    file: newFile,
+  });
 };
 
 // List files in project
 const listFiles = async (req, res) => {
-  try {
-    const { projectId } = req.params;
-    const userId = req.user.userId;
-
-    // Verify project exists
-    const project = await Project.findOne({ _id: projectId, userId });
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
-    }
-
-    const files = await File.find({ projectId });
-
-    res.json({
-      success: true,
-      files,
-      count: files.length,
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  const { projectId } = req.params;
+  const userId = req.user.userId;
+
+  // Verify project exists
+  const project = await Project.findOne({ _id: projectId, userId });
+  if (!project) {
+    throw new NotFoundError('Project not found');
   }
+
+  const files = await File.find({ projectId });
+
+  res.json({
+    success: true,
+    files,
+    count: files.length,
+  });
 };
 
 // Get specific file
 const getFile = async (req, res) => {
-  try {
-    const { projectId, fileId } = req.params;
-    const userId = req.user.userId;
-
-    // Verify project exists
-    await Project.findOne({ _id: projectId, userId });
-
-    const file = await File.findOne({ _id: fileId, projectId });
-    if (!file) {
-      return res.status(404).json({ error: 'File not found' });
-    }
-
-    res.json({
-      success: true,
-      file,
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  const { projectId, fileId } = req.params;
+  const userId = req.user.userId;
+
+  // Verify project exists
+  const project = await Project.findOne({ _id: projectId, userId });
+  if (!project) {
+    throw new NotFoundError('Project not found');
   }
+
+  const file = await File.findOne({ _id: fileId, projectId });
+  if (!file) {
+    throw new NotFoundError('File not found');
+  }
+
+  res.json({
+    success: true,
+    file,
+  });
 };
 
 // Update file
 const updateFile = async (req, res) => {
-  try {
-    const { projectId } = req.params;
-    const { path, content, language } = req.body;
-    const userId = req.user.userId;
-
-    // Verify project exists
-    await Project.findOne({ _id: projectId, userId });
-
-    // Find file by path (main update method)
-    const file = await File.findOne({ projectId, path });
-    if (!file) {
-      return res.status(404).json({ error: 'File not found' });
-    }
-
-    // Update content
-    if (content !== undefined) {
-      file.content = content;
-      file.operation = 'update';
-    }
-    if (language) {
-      file.language = language;
-    }
-
-    await file.save();
-
-    res.json({
-      success: true,
-      message: 'File updated successfully',
-      file,
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  const { projectId } = req.params;
+  const { path, content, language } = req.body;
+  const userId = req.user.userId;
+
+  // Verify project exists
+  const project = await Project.findOne({ _id: projectId, userId });
+  if (!project) {
+    throw new NotFoundError('Project not found');
+  }
+
+  // Find file by path (main update method)
+  const file = await File.findOne({ projectId, path });
+  if (!file) {
+    throw new NotFoundError('File not found');
+  }
+
+  const previous = {
+    projectId: file.projectId,
+    userId: file.userId,
+    path: file.path,
+    language: file.language,
+    content: file.content,
+    updatedAt: file.updatedAt,
+  };
+
+  // Update content
+  if (content !== undefined) {
+    file.content = content;
+    file.operation = 'update';
+  }
+  if (language) {
+    file.language = language;
   }
+
+  await file.save();
+  await RevisionService.recordRevisions([{ file, operation: 'update', previous }], { userId, source: 'manual' });
+
+  res.json({
+    success: true,
+    message: 'File updated successfully',
+    file,
+  });
 };
 
 // Delete file
 const deleteFile = async (req, res) => {
-  try {
-    const { projectId } = req.params;
-    const { path } = req.body;
-    const userId = req.user.userId;
-
-    // Verify project exists
-    const project = await Project.findOne({ _id: projectId, userId });
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
-    }
-
-    const file = await File.findOneAndDelete({ projectId, path });
-    if (!file) {
-      return res.status(404).json({ error: 'File not found' });
-    }
-
-    // Decrease file count
-    project.fileCount = Math.max(0, (project.fileCount || 1) - 1);
-    await project.save();
-
-    res.json({
-      success: true,
-      message: 'File deleted successfully',
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  const { projectId } = req.params;
+  const { path } = req.body;
+  const userId = req.user.userId;
+
+  // Verify project exists
+  const project = await Project.findOne({ _id: projectId, userId });
+  if (!project) {
+    throw new NotFoundError('Project not found');
+  }
+
+  const file = await File.findOneAndDelete({ projectId, path });
+  if (!file) {
+    throw new NotFoundError('File not found');
   }
+
+  await RevisionService.deleteRevisions({ fileId: file._id });
+
+  // Decrease file count
+  project.fileCount = Math.max(0, (project.fileCount || 1) - 1);
+  await project.save();
+
+  res.json({
+    success: true,
+    message: 'File deleted successfully',
+  });
+};
+
+// Find a file of one of the caller's projects by id
+const findProjectFile = async (req) => {
+  const { projectId, fileId } = req.params;
+
+  const project = await Project.findOne({ _id: projectId, userId: req.user.userId });
+  if (!project) {
+    throw new NotFoundError('Project not found');
+  }
+
+  const file = await File.findOne({ _id: fileId, projectId });
+  if (!file) {
+    throw new NotFoundError('File not found');
+  }
+
+  return file;
+};
+
+const findRevision = async (file, revisionId) => {
+  const revision = await RevisionService.findRevision(file._id, revisionId);
+  if (!revision) {
+    throw new NotFoundError('Revision not found');
+  }
+  return revision;
+};
+
+const summarizeRevision = (revision) => ({
+  id: revision._id,
+  fileId: revision.fileId,
+  path: revision.path,
+  language: revision.language,
+  hash: revision.hash,
+  size: revision.size,
+  source: revision.source,
+  operation: revision.operation,
+  userId: revision.userId,
+  createdAt: revision.createdAt,
+});
+
+// List a file's revisions, newest first
+const getFileHistory = async (req, res) => {
+  const file = await findProjectFile(req);
+  const revisions = await RevisionService.listRevisions(file._id);
+
+  res.json({
+    success: true,
+    revisions: revisions.map(summarizeRevision),
+    count: revisions.length,
+  });
+};
+
+// Unified diff between two revisions, or a revision and the current file
+const getFileDiff = async (req, res) => {
+  const { from, to, context } = req.query;
+  const file = await findProjectFile(req);
+
+  const fromRevision = await findRevision(file, from);
+  const toRevision = to ? await findRevision(file, to) : null;
+
+  const { diff, additions, deletions } = await RevisionService.diffRevisions(file, fromRevision, toRevision, { context });
+
+  res.json({
+    success: true,
+    from: summarizeRevision(fromRevision),
+    to: toRevision ? summarizeRevision(toRevision) : null,
+    diff,
+    additions,
+    deletions,
+  });
 };
 
 module.exports = {
@@ -175,4 +246,6 @@ module.exports = {
   getFile,
   updateFile,
   deleteFile,
+  getFileHistory,
+  getFileDiff,
 };
@@ -0,0 +1,70 @@
+/**
+ * Job Controller
+ * Enqueue background code generations, poll them and cancel them
+ */
+
+const Job = require('../models/Job');
+const jobQueue = require('../services/jobQueue');
+const { JobQueue } = require('../services/jobQueue');
+const { ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+
+// Enqueue a generation; takes the same body as POST /api/ai/generate
+const createJob = async (req, res) => {
+  const { prompt, type = 'react', context = {}, repair = null } = req.body;
+
+  if (!prompt) {
+    throw new ValidationError('Prompt is required');
+  }
+
+  const job = await jobQueue.enqueue(req.user.userId, { prompt, type, context, repair });
+
+  res.status(202).json({
+    success: true,
+    data: JobQueue.serialize(job),
+  });
+};
+
+// Get a job's status, partial output and result
+const getJob = async (req, res) => {
+  const { id } = req.params;
+
+  const job = await Job.findOne({ _id: id, userId: req.user.userId });
+
+  if (!job) {
+    throw new NotFoundError('Job not found');
+  }
+
+  res.json({
+    success: true,
+    data: JobQueue.serialize(job),
+  });
+};
+
+// Cancel a queued or running job
+const cancelJob = async (req, res) => {
+  const { id } = req.params;
+
+  const job = await jobQueue.cancel(id, req.user.userId);
+
+  if (!job) {
+    const existing = await Job.findOne({ _id: id, userId: req.user.userId });
+
+    if (!existing) {
+      throw new NotFoundError('Job not found');
+    }
+
+    throw new ConflictError(`Job is already ${existing.status}`);
+  }
+
+  res.json({
+    success: true,
+    message: 'Job cancelled',
+    data: JobQueue.serialize(job),
+  });
+};
+
+module.exports = {
+  createJob,
+  getJob,
+  cancelJob,
+};
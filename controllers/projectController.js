@@ -5,139 +5,248 @@
 
 const Project = require('../models/Project');
 const File = require('../models/File');
+const Snapshot = require('../models/Snapshot');
+const ContentBlob = require('../models/ContentBlob');
+const ProjectExportService = require('../services/projectExportService');
+const ProjectImportService = require('../services/projectImportService');
+const ProjectForkService = require('../services/projectForkService');
+const RevisionService = require('../services/revisionService');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
 
 // Create new project
 const createProject = async (req, res) => {
-  try {
-    const { name, description, type } = req.body;
-    const userId = req.user.userId;
-
-    if (!name) {
-      return res.status(400).json({ error: 'Project name is required' });
-    }
+  const { name, description, type } = req.body;
+  const userId = req.user.userId;
 
-    const newProject = new Project({
-      userId,
-      name,
-      description: description || '',
-      type: type || 'react-app',
-    });
-
-    await newProject.save();
-
-    res.status(201).json({
-      success: true,
-      message: 'Project created successfully',
-      project: newProject,
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  if (!name) {
+    throw new ValidationError('Project name is required');
   }
+
+  const newProject = new Project({
+    userId,
+    name,
+    description: description || '',
+    type: type || 'react-app',
+  });
+
+  await newProject.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Project created successfully',
+    project: newProject,
+  });
 };
 
 // Get all projects for user
 const listProjects = async (req, res) => {
-  try {
-    const userId = req.user.userId;
+  const userId = req.user.userId;
 
-    const projects = await Project.find({ userId })
-      .sort({ createdAt: -1 });
+  const projects = await Project.find({ userId })
+    .sort({ createdAt: -1 });
 
-    res.json({
-      success: true,
-      projects,
-      count: projects.length,
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
+  res.json({
+    success: true,
+    projects,
+    count: projects.length,
+  });
 };
 
 // Get specific project with files
 const getProject = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const userId = req.user.userId;
+  const { id } = req.params;
+  const userId = req.user.userId;
 
-    const project = await Project.findOne({
-      _id: id,
-      userId,
-    });
+  const project = await Project.findOne({
+    _id: id,
+    userId,
+  });
 
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
-    }
+  if (!project) {
+    throw new NotFoundError('Project not found');
+  }
 
-    // Get files for this project
-    const files = await File.find({ projectId: id });
+  // Get files for this project
+  const files = await File.find({ projectId: id });
 
-    res.json({
-      success: true,
-      project,
-      files,
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
+  res.json({
+    success: true,
+    project,
+    files,
+  });
 };
 
 // Update project
 const updateProject = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { name, description, type, status } = req.body;
-    const userId = req.user.userId;
-
-    const project = await Project.findOneAndUpdate(
-      { _id: id, userId },
-      {
-        name: name || undefined,
-        description: description || undefined,
-        type: type || undefined,
-        status: status || undefined,
-        updatedAt: new Date(),
-      },
-      { new: true, runValidators: true }
-    );
-
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
-    }
-
-    res.json({
-      success: true,
-      message: 'Project updated successfully',
-      project,
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  const { id } = req.params;
+  const { name, description, type, status } = req.body;
+  const userId = req.user.userId;
+
+  const project = await Project.findOneAndUpdate(
+    { _id: id, userId },
+    {
+      name: name || undefined,
+      description: description || undefined,
+      type: type || undefined,
+      status: status || undefined,
+      updatedAt: new Date(),
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!project) {
+    throw new NotFoundError('Project not found');
   }
+
+  res.json({
+    success: true,
+    message: 'Project updated successfully',
+    project,
+  });
 };
 
 // Delete project
 const deleteProject = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const userId = req.user.userId;
+  const { id } = req.params;
+  const userId = req.user.userId;
+
+  const project = await Project.findOneAndDelete({
+    _id: id,
+    userId,
+  });
+
+  if (!project) {
+    throw new NotFoundError('Project not found');
+  }
+
+  // Delete all files, snapshots and revisions associated with project
+  const snapshotHashes = await Snapshot.distinct('files.hash', { projectId: id });
+  await File.deleteMany({ projectId: id });
+  await Snapshot.deleteMany({ projectId: id });
+  await RevisionService.deleteRevisions({ projectId: id });
+  // Contents are shared between projects; only those nothing uses now go
+  await ContentBlob.removeUnreferenced(snapshotHashes);
 
-    const project = await Project.findOneAndDelete({
-      _id: id,
+  res.json({
+    success: true,
+    message: 'Project deleted successfully',
+  });
+};
+
+// Archive extensions stripped to name a project after its upload
+const ARCHIVE_EXTENSION_PATTERN = /\.(?:zip|tar\.gz|tgz|tar)$/i;
+
+// Create a project from an uploaded zip, tar or tar.gz archive
+const importProject = async (req, res) => {
+  const userId = req.user.userId;
+
+  if (!req.file) {
+    throw new ValidationError('Upload a zip, tar or tar.gz archive in the "file" field');
+  }
+
+  const { files, skipped, packageJson } = await ProjectImportService.readArchive(req.file.buffer);
+  if (files.length === 0) {
+    throw new ValidationError('The archive has no files to import', skipped);
+  }
+
+  const pkg = packageJson || {};
+  const name = req.body.name
+    || (typeof pkg.name === 'string' && pkg.name.trim())
+    || req.file.originalname.replace(ARCHIVE_EXTENSION_PATTERN, '').trim()
+    || 'Imported project';
+
+  const project = new Project({
+    userId,
+    name: name.substring(0, 100),
+    description: req.body.description ?? (typeof pkg.description === 'string' ? pkg.description : ''),
+    type: req.body.type || ProjectImportService.detectType(packageJson),
+    fileCount: files.length,
+  });
+  await project.save();
+
+  let created;
+  try {
+    created = await File.insertMany(files.map(file => ({
+      projectId: project._id,
       userId,
-    });
+      path: file.path,
+      content: file.content,
+      language: file.language,
+      size: file.size,
+      operation: 'create',
+    })));
+  } catch (error) {
+    // Leave no half-imported project behind
+    await File.deleteMany({ projectId: project._id });
+    await Project.deleteOne({ _id: project._id });
+    throw error;
+  }
 
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
-    }
+  await RevisionService.recordRevisions(
+    created.map(file => ({ file, operation: 'create' })),
+    { userId, source: 'import' }
+  );
 
-    // Delete all files associated with project
-    await File.deleteMany({ projectId: id });
+  res.status(201).json({
+    success: true,
+    message: 'Project imported successfully',
+    project,
+    report: {
+      imported: files.map(({ path, language, size }) => ({ path, language, size })),
+      skipped,
+    },
+  });
+};
 
-    res.json({
-      success: true,
-      message: 'Project deleted successfully',
-    });
+// Copy a project, its files and optionally its chat into a new project
+// owned by the caller
+const forkProject = async (req, res) => {
+  const { id } = req.params;
+  const { name, includeChat } = req.body;
+  const userId = req.user.userId;
+
+  const source = await Project.findOne({ _id: id, userId });
+  if (!source) {
+    throw new NotFoundError('Project not found');
+  }
+
+  const { project, files, chatMessages } = await ProjectForkService.forkProject(source, userId, { name, includeChat });
+
+  res.status(201).json({
+    success: true,
+    message: 'Project forked successfully',
+    project,
+    copied: {
+      files: files.length,
+      chatMessages: chatMessages.length,
+    },
+  });
+};
+
+// Download the project as a zip laid out for `target` (cra, vite or sandpack)
+const exportProject = async (req, res) => {
+  const { id } = req.params;
+  const { target } = req.query;
+  const userId = req.user.userId;
+
+  const project = await Project.findOne({ _id: id, userId });
+  if (!project) {
+    throw new NotFoundError('Project not found');
+  }
+
+  const files = await File.find({ projectId: id });
+  const entries = ProjectExportService.buildExport(project, files, target);
+  const folder = ProjectExportService.slugify(project.name);
+
+  res.attachment(`${folder}-${target}.zip`);
+  try {
+    await ProjectExportService.writeZip(entries, res, { folder });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    if (!res.headersSent) throw error;
+
+    // Part of the zip is already out; a JSON error body would corrupt it
+    console.error('Project export failed:', error.message);
+    res.destroy();
   }
 };
 
@@ -147,4 +256,7 @@ module.exports = {
   getProject,
   updateProject,
   deleteProject,
+  exportProject,
+  importProject,
+  forkProject,
 };
@@ -0,0 +1,111 @@
+/**
+ * Snapshot Controller
+ * Capture, inspect and restore versions of a project's files
+ */
+
+const Project = require('../models/Project');
+const Chat = require('../models/Chat');
+const SnapshotService = require('../services/snapshotService');
+const { NotFoundError } = require('../middleware/errorHandler');
+
+const findProject = async (req) => {
+  const project = await Project.findOne({ _id: req.params.id, userId: req.user.userId });
+  if (!project) {
+    throw new NotFoundError('Project not found');
+  }
+  return project;
+};
+
+const findSnapshot = async (project, snapshotId) => {
+  const snapshot = await SnapshotService.findSnapshot(project._id, snapshotId);
+  if (!snapshot) {
+    throw new NotFoundError('Snapshot not found');
+  }
+  return snapshot;
+};
+
+// Snapshot metadata without the per-file hashes
+const summarize = (snapshot) => ({
+  id: snapshot._id,
+  projectId: snapshot.projectId,
+  label: snapshot.label,
+  trigger: snapshot.trigger,
+  chatMessageId: snapshot.chatMessageId,
+  fileCount: snapshot.fileCount,
+  totalSize: snapshot.totalSize,
+  createdAt: snapshot.createdAt,
+});
+
+// Snapshot a project's current files
+const createSnapshot = async (req, res) => {
+  const { label, chatMessageId } = req.body;
+  const userId = req.user.userId;
+  const project = await findProject(req);
+
+  if (chatMessageId) {
+    const message = await Chat.exists({ _id: chatMessageId, projectId: project._id, userId });
+    if (!message) {
+      throw new NotFoundError('Chat message not found');
+    }
+  }
+
+  const snapshot = await SnapshotService.createSnapshot(project, userId, {
+    label,
+    chatMessageId: chatMessageId || null,
+    trigger: 'manual',
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Snapshot created',
+    snapshot: summarize(snapshot),
+  });
+};
+
+// List a project's snapshots, newest first
+const listSnapshots = async (req, res) => {
+  const project = await findProject(req);
+  const snapshots = await SnapshotService.listSnapshots(project._id);
+
+  res.json({
+    success: true,
+    snapshots: snapshots.map(summarize),
+    count: snapshots.length,
+  });
+};
+
+// Get a snapshot with the contents of its files
+const getSnapshot = async (req, res) => {
+  const project = await findProject(req);
+  const snapshot = await findSnapshot(project, req.params.snapshotId);
+
+  res.json({
+    success: true,
+    snapshot: summarize(snapshot),
+    files: await SnapshotService.getSnapshotFiles(snapshot),
+  });
+};
+
+// Replace the project's files with a snapshot's
+const restoreSnapshot = async (req, res) => {
+  const project = await findProject(req);
+  const snapshot = await findSnapshot(project, req.params.snapshotId);
+
+  const result = await SnapshotService.restoreSnapshot(project, req.user.userId, snapshot);
+
+  res.json({
+    success: true,
+    message: 'Snapshot restored',
+    snapshot: summarize(snapshot),
+    backup: summarize(result.backup),
+    project: result.project,
+    files: result.files,
+  });
+};
+
+module.exports = {
+  createSnapshot,
+  listSnapshots,
+  getSnapshot,
+  restoreSnapshot,
+};
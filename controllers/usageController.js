@@ -0,0 +1,39 @@
+/**
+ * Usage Controller
+ * Reports a user's generation usage and remaining quota
+ */
+
+const mongoose = require('mongoose');
+const UsageService = require('../services/usageService');
+const { ValidationError } = require('../middleware/errorHandler');
+
+const MAX_DAYS = 366;
+const MAX_MONTHS = 24;
+
+const clamp = (value, fallback, max) => Math.min(Math.max(parseInt(value) || fallback, 1), max);
+
+// Get daily and monthly rollups plus the current quota status
+const getUsage = async (req, res) => {
+  const { projectId } = req.query;
+
+  if (projectId && !mongoose.isValidObjectId(projectId)) {
+    throw new ValidationError('Invalid projectId');
+  }
+
+  const days = clamp(req.query.days, 30, MAX_DAYS);
+  const months = clamp(req.query.months, 12, MAX_MONTHS);
+
+  const subject = await UsageService.resolveSubject(req);
+  const rollups = await UsageService.getRollups(subject.userId, { days, months, projectId });
+  const quota = await UsageService.checkQuota(subject);
+
+  res.json({
+    success: true,
+    usage: rollups,
+    quota,
+  });
+};
+
+module.exports = {
+  getUsage,
+};
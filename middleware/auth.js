@@ -4,28 +4,43 @@
  */
 
 const { verifyToken } = require('../utils/jwt');
+const { AuthenticationError } = require('./errorHandler');
 
 const authMiddleware = (req, res, next) => {
   try {
     // Get token from header
     const authHeader = req.headers.authorization;
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'No token provided' });
+      return next(new AuthenticationError('No token provided'));
     }
 
     const token = authHeader.substring(7);
     const decoded = verifyToken(token);
 
     if (!decoded) {
-      return res.status(401).json({ error: 'Invalid or expired token' });
+      return next(new AuthenticationError('Invalid or expired token'));
     }
 
     // Attach user info to request
     req.user = decoded;
     next();
   } catch (error) {
-    res.status(401).json({ error: 'Authentication failed' });
+    next(new AuthenticationError('Authentication failed'));
   }
 };
 
+/**
+ * Attach the user when a valid token is sent, but let anonymous requests
+ * through. Used by routes that work without an account.
+ */
+const optionalAuth = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return next();
+  }
+
+  return authMiddleware(req, res, next);
+};
+
 module.exports = authMiddleware;
+module.exports.optionalAuth = optionalAuth;
@@ -1,88 +1,31 @@
 // Global error handling middleware
+// Every error response uses one envelope:
+// { success: false, error: { message, type, requestId, timestamp, details?, retryAfter? } }
+// Only typed errors (APIError) and known library errors expose their message;
+// anything else is reported as a generic 500 so internals never leak.
 
 const errorHandler = (err, req, res, next) => {
-  // Log error details
-  console.error('Error:', {
-    message: err.message,
-    stack: err.stack,
-    url: req.url,
-    method: req.method,
-    ip: req.ip,
-    userAgent: req.get('User-Agent'),
-    timestamp: new Date().toISOString()
-  });
-
-  // Default error response
-  let error = {
-    message: 'Internal server error',
-    status: 500,
-    type: 'ServerError'
-  };
-
-  // Handle specific error types
-  if (err.name === 'ValidationError') {
-    error = {
-      message: 'Validation failed',
-      status: 400,
-      type: 'ValidationError',
-      details: err.details || err.message
-    };
-  } else if (err.name === 'CastError') {
-    error = {
-      message: 'Invalid data format',
-      status: 400,
-      type: 'CastError'
-    };
-  } else if (err.code === 11000) {
-    error = {
-      message: 'Duplicate field value',
-      status: 400,
-      type: 'DuplicateError'
-    };
-  } else if (err.name === 'JsonWebTokenError') {
-    error = {
-      message: 'Invalid token',
-      status: 401,
-      type: 'AuthError'
-    };
-  } else if (err.name === 'TokenExpiredError') {
-    error = {
-      message: 'Token expired',
-      status: 401,
-      type: 'AuthError'
-    };
-  } else if (err.status) {
-    error = {
-      message: err.message,
-      status: err.status,
-      type: err.type || 'CustomError'
-    };
+  // The response already started (e.g. an SSE stream); let Express close it
+  if (res.headersSent) {
+    return next(err);
   }
 
-  // Handle AI service specific errors
-  if (err.message?.includes('rate limit')) {
-    error = {
-      message: 'Rate limit exceeded. Please try again later.',
-      status: 429,
-      type: 'RateLimitError',
-      retryAfter: 60 // seconds
-    };
-  } else if (err.message?.includes('API key')) {
-    error = {
-      message: 'AI service authentication failed',
-      status: 503,
-      type: 'ServiceError'
-    };
-  } else if (err.message?.includes('unavailable')) {
-    error = {
-      message: 'AI service temporarily unavailable',
-      status: 503,
-      type: 'ServiceError'
-    };
-  }
+  const error = describeError(err);
+  const requestId = req.id || generateRequestId();
 
-  // Add request ID for tracking
-  const requestId = req.headers['x-request-id'] || generateRequestId();
+  // Log server errors; client errors are expected traffic
+  if (error.status >= 500) {
+    console.error('Error:', {
+      requestId,
+      message: err.message,
+      stack: err.stack,
+      url: req.originalUrl,
+      method: req.method,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    });
+  }
 
   // Prepare error response
   const errorResponse = {
@@ -95,32 +38,124 @@ const errorHandler = (err, req, res, next) => {
     }
   };
 
-  // Add additional fields for non-production environments
-  if (process.env.NODE_ENV !== 'production') {
+  if (error.details) {
+    errorResponse.error.details = error.details;
+  }
+
+  // Stack traces only for server errors outside production
+  if (process.env.NODE_ENV !== 'production' && error.status >= 500) {
     errorResponse.error.stack = err.stack;
-    errorResponse.error.details = err.details;
   }
 
   // Add retry-after header for rate limiting
   if (error.status === 429 && error.retryAfter) {
-    res.set('Retry-After', error.retryAfter);
+    errorResponse.error.retryAfter = error.retryAfter;
+    res.set('Retry-After', String(error.retryAfter));
   }
 
   // Add CORS headers for errors
   res.header('Access-Control-Allow-Origin', process.env.CORS_ORIGIN || '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, x-session-id');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, x-session-id, x-request-id');
 
   // Send error response
   res.status(error.status).json(errorResponse);
 };
 
+// Map an error to { message, status, type, details, retryAfter }
+const describeError = (err) => {
+  // Typed errors thrown by our own code
+  if (err instanceof APIError) {
+    return {
+      message: err.message,
+      status: err.status,
+      type: err.type,
+      details: err.details,
+      retryAfter: err.retryAfter
+    };
+  }
+
+  // Mongoose document validation
+  if (err.name === 'ValidationError' && err.errors) {
+    return {
+      message: 'Validation failed',
+      status: 400,
+      type: 'ValidationError',
+      details: Object.values(err.errors).map(fieldError => ({
+        field: fieldError.path,
+        message: fieldError.kind === 'ObjectId' ? 'Invalid id' : fieldError.message
+      }))
+    };
+  }
+
+  // Malformed ids and values; the raw Mongo message includes the input
+  if (err.name === 'CastError') {
+    return {
+      message: err.kind === 'ObjectId' ? 'Invalid id' : 'Invalid data format',
+      status: 400,
+      type: 'CastError',
+      details: err.path ? [{ field: err.path, message: `Invalid ${err.kind || 'value'}` }] : undefined
+    };
+  }
+
+  if (err.code === 11000) {
+    return {
+      message: 'Duplicate field value',
+      status: 409,
+      type: 'DuplicateError',
+      details: err.keyValue ? Object.keys(err.keyValue).map(field => ({ field, message: 'Already in use' })) : undefined
+    };
+  }
+
+  if (err.name === 'JsonWebTokenError') {
+    return { message: 'Invalid token', status: 401, type: 'AuthError' };
+  }
+
+  if (err.name === 'TokenExpiredError') {
+    return { message: 'Token expired', status: 401, type: 'AuthError' };
+  }
+
+  // Body parser errors (malformed JSON, payload too large)
+  if (err.type === 'entity.parse.failed') {
+    return { message: 'Malformed JSON in request body', status: 400, type: 'ValidationError' };
+  }
+
+  if (err.type === 'entity.too.large') {
+    return { message: 'Request body too large', status: 413, type: 'PayloadTooLargeError' };
+  }
+
+  // Multipart upload errors (file too large, unexpected field)
+  if (err.name === 'MulterError') {
+    return err.code === 'LIMIT_FILE_SIZE'
+      ? { message: 'Upload too large', status: 413, type: 'PayloadTooLargeError' }
+      : { message: err.field ? `${err.message}: ${err.field}` : err.message, status: 400, type: 'ValidationError' };
+  }
+
+  // Handle AI service specific errors
+  if (err.message?.includes('rate limit')) {
+    return {
+      message: 'Rate limit exceeded. Please try again later.',
+      status: 429,
+      type: 'RateLimitError',
+      retryAfter: 60 // seconds
+    };
+  }
+
+  if (err.message?.includes('API key')) {
+    return { message: 'AI service authentication failed', status: 503, type: 'ServiceError' };
+  }
+
+  // Errors from other middleware that mark themselves as safe to show
+  if (err.status && err.status < 500 && err.expose !== false) {
+    return { message: err.message, status: err.status, type: err.type || 'ClientError' };
+  }
+
+  return { message: 'Internal server error', status: 500, type: 'ServerError' };
+};
+
 // Handle 404 errors (not found)
 const notFoundHandler = (req, res, next) => {
-  const error = new Error(`Endpoint not found - ${req.method} ${req.originalUrl}`);
-  error.status = 404;
-  error.type = 'NotFoundError';
-  next(error);
+  next(new NotFoundError(`Endpoint not found - ${req.method} ${req.originalUrl}`));
 };
 
 // Handle async route errors
@@ -135,6 +170,15 @@ const generateRequestId = () => {
   return 'req_' + Date.now() + '_' + Math.random().toString(36).substring(2, 15);
 };
 
+// Give every request an id (the caller's X-Request-Id if it looks sane) and
+// echo it back so clients can quote it when reporting errors
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : generateRequestId();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
 // Request timeout middleware
 const timeoutHandler = (timeout = 30000) => {
   return (req, res, next) => {
@@ -168,7 +212,7 @@ const requestLogger = (req, res, next) => {
   res.send = function(body) {
     const duration = Date.now() - req.startTime;
     
-    console.log(`${req.method} ${req.url} - ${res.statusCode} - ${duration}ms`);
+    console.log(`${req.method} ${req.url} - ${res.statusCode} - ${duration}ms${req.id ? ` [${req.id}]` : ''}`);
     
     originalSend.call(this, body);
   };
@@ -237,16 +281,32 @@ class NotFoundError extends APIError {
   }
 }
 
+class ConflictError extends APIError {
+  constructor(message = 'Resource already exists', details = null) {
+    super(message, 409, 'ConflictError');
+    this.details = details;
+  }
+}
+
+class PayloadTooLargeError extends APIError {
+  constructor(message = 'Payload too large', details = null) {
+    super(message, 413, 'PayloadTooLargeError');
+    this.details = details;
+  }
+}
+
 class RateLimitError extends APIError {
-  constructor(message = 'Rate limit exceeded', retryAfter = 60) {
+  constructor(message = 'Rate limit exceeded', retryAfter = 60, details = null) {
     super(message, 429, 'RateLimitError');
     this.retryAfter = retryAfter;
+    this.details = details;
   }
 }
 
 class ServiceUnavailableError extends APIError {
-  constructor(message = 'Service temporarily unavailable') {
+  constructor(message = 'Service temporarily unavailable', details = null) {
     super(message, 503, 'ServiceUnavailableError');
+    this.details = details;
   }
 }
 
@@ -254,6 +314,7 @@ module.exports = {
   errorHandler,
   notFoundHandler,
   asyncHandler,
+  requestId,
   timeoutHandler,
   requestLogger,
   formatValidationErrors,
@@ -264,6 +325,8 @@ module.exports = {
   AuthenticationError,
   AuthorizationError,
   NotFoundError,
+  ConflictError,
+  PayloadTooLargeError,
   RateLimitError,
   ServiceUnavailableError
 };
\ No newline at end of file
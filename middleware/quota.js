@@ -0,0 +1,36 @@
+/**
+ * Quota Middleware
+ * Rejects generation requests once the caller's daily or monthly quota is
+ * used up, before any provider is called. Attaches the accounting subject
+ * to req.usageSubject for the usage recorder.
+ */
+
+const UsageService = require('../services/usageService');
+const { RateLimitError } = require('./errorHandler');
+
+const PERIOD_LABELS = { daily: 'Daily', monthly: 'Monthly' };
+const METRIC_LABELS = { requests: 'generation', tokens: 'token' };
+
+const quotaMiddleware = async (req, res, next) => {
+  try {
+    const subject = await UsageService.resolveSubject(req);
+    const quota = await UsageService.checkQuota(subject);
+
+    if (!quota.allowed) {
+      const { period, metric, limit, used, resetAt } = quota.exceeded;
+
+      return next(new RateLimitError(
+        `${PERIOD_LABELS[period]} ${METRIC_LABELS[metric]} quota exceeded`,
+        Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000)),
+        { quota: { plan: quota.plan, period, metric, limit, used, resetAt } }
+      ));
+    }
+
+    req.usageSubject = subject;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = quotaMiddleware;
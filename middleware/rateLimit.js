@@ -0,0 +1,81 @@
+/**
+ * Rate Limit Middleware
+ * express-rate-limit limiters for each route group, configured in
+ * config/rateLimits.js. Rejected requests are passed on as a RateLimitError,
+ * which the error handler turns into a 429 with a Retry-After header.
+ */
+
+const { rateLimit, MemoryStore } = require('express-rate-limit');
+const MongoRateLimitStore = require('../services/mongoRateLimitStore');
+const getRateLimits = require('../config/rateLimits');
+const { verifyToken } = require('../utils/jwt');
+const { RateLimitError } = require('./errorHandler');
+
+const STORES = {
+  memory: () => new MemoryStore(),
+  mongo: (prefix) => new MongoRateLimitStore(prefix),
+};
+
+/**
+ * A fresh counter store for one limiter (stores must not be shared)
+ */
+const createStore = (name) => {
+  const { store } = getRateLimits();
+  const factory = STORES[store];
+
+  if (!factory) {
+    throw new Error(`Unknown RATE_LIMIT_STORE "${store}" (expected ${Object.keys(STORES).join(' or ')})`);
+  }
+
+  return factory(`rl:${name}:`);
+};
+
+/**
+ * Key requests by the user in a valid bearer token, or by IP without one.
+ * Runs before the route's own auth middleware, so it reads the token itself.
+ */
+const userOrIpKey = (req) => {
+  const authHeader = req.headers.authorization;
+  const decoded = authHeader && authHeader.startsWith('Bearer ')
+    ? verifyToken(authHeader.substring(7))
+    : null;
+
+  return decoded && decoded.userId ? `user:${decoded.userId}` : `ip:${req.ip}`;
+};
+
+const createLimiter = (name, { message, keyGenerator }) => {
+  const { windowMs, limit } = getRateLimits()[name];
+
+  return rateLimit({
+    windowMs,
+    limit,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    store: createStore(name),
+    ...(keyGenerator ? { keyGenerator } : {}),
+    handler: (req, res, next) => {
+      next(new RateLimitError(message, Number(res.getHeader('Retry-After')) || Math.ceil(windowMs / 1000)));
+    },
+  });
+};
+
+const loginLimiter = createLimiter('login', {
+  message: 'Too many login attempts, please try again later',
+});
+
+const guestLimiter = createLimiter('guest', {
+  message: 'Too many guest accounts created from this address, please try again later',
+});
+
+const aiLimiter = createLimiter('ai', {
+  message: 'Too many AI requests, please slow down',
+  keyGenerator: userOrIpKey,
+});
+
+module.exports = {
+  loginLimiter,
+  guestLimiter,
+  aiLimiter,
+  createLimiter,
+  userOrIpKey,
+};
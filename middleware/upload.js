@@ -0,0 +1,16 @@
+/**
+ * Archive Upload Middleware
+ * Accepts one file in a multipart form field, held in memory as
+ * req.file.buffer. Larger uploads than MAX_IMPORT_UPLOAD_MB fail with 413.
+ */
+
+const multer = require('multer');
+const getImportLimits = require('../config/imports');
+
+// Limits are read per request, like the other import limits
+const uploadArchive = (field = 'file') => (req, res, next) => multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: getImportLimits().maxUploadBytes, files: 1 },
+}).single(field)(req, res, next);
+
+module.exports = { uploadArchive };
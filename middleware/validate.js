@@ -0,0 +1,54 @@
+/**
+ * Validation Middleware
+ * Checks req.params, req.query and req.body against a schema from schemas/
+ * and replaces them with the validated (trimmed, defaulted) values. Every
+ * problem is reported at once as a ValidationError with field-level details.
+ */
+
+const { ValidationError, formatValidationErrors } = require('./errorHandler');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+const OPTIONS = {
+  abortEarly: false,
+  stripUnknown: true,
+};
+
+// Never echo secrets or large payloads back in error details
+const SENSITIVE_FIELD = /password/i;
+const MAX_ECHO_LENGTH = 200;
+
+const echoValue = (field, value) => {
+  if (SENSITIVE_FIELD.test(field)) return undefined;
+  if (typeof value === 'string') return value.length <= MAX_ECHO_LENGTH ? value : undefined;
+  return value !== null && typeof value === 'object' ? undefined : value;
+};
+
+const validate = (schema) => (req, res, next) => {
+  const errors = [];
+
+  for (const location of LOCATIONS) {
+    if (!schema[location]) continue;
+
+    const { error, value } = schema[location].validate(req[location] || {}, OPTIONS);
+
+    if (error) {
+      errors.push(...formatValidationErrors(error).map(detail => ({
+        location,
+        ...detail,
+        value: echoValue(detail.field, detail.value),
+      })));
+      continue;
+    }
+
+    req[location] = value;
+  }
+
+  if (errors.length > 0) {
+    return next(new ValidationError('Validation failed', errors));
+  }
+
+  next();
+};
+
+module.exports = validate;
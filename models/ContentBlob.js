@@ -0,0 +1,84 @@
+/**
+ * Content Blob Schema & Model
+ * File contents stored once per SHA-256 hash. Snapshots and file revisions
+ * reference blobs by hash, so unchanged files cost nothing to record again.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Snapshot = require('./Snapshot');
+const FileRevision = require('./FileRevision');
+
+const contentBlobSchema = new mongoose.Schema(
+  {
+    hash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    content: {
+      type: String,
+      default: '',
+    },
+    size: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+contentBlobSchema.statics.hashContent = function (content) {
+  return crypto.createHash('sha256').update(content || '', 'utf8').digest('hex');
+};
+
+/**
+ * Insert blobs for contents not stored yet; existing hashes are untouched.
+ * Entries are { hash, content, size }.
+ */
+contentBlobSchema.statics.storeContents = async function (entries, { session } = {}) {
+  const unique = new Map(entries.map(entry => [entry.hash, entry]));
+  if (unique.size === 0) return;
+
+  await this.bulkWrite(
+    [...unique.values()].map(({ hash, content, size }) => ({
+      updateOne: {
+        filter: { hash },
+        update: { $setOnInsert: { hash, content, size } },
+        upsert: true,
+      },
+    })),
+    { ordered: false, session }
+  );
+};
+
+/**
+ * Delete the blobs among `hashes` that no snapshot or file revision
+ * references any more. Call it after deleting the records that used them.
+ * Resolves to the number of blobs deleted.
+ */
+contentBlobSchema.statics.removeUnreferenced = async function (hashes, { session } = {}) {
+  const candidates = [...new Set(hashes)];
+  if (candidates.length === 0) return 0;
+
+  const [inSnapshots, inRevisions] = await Promise.all([
+    Snapshot.distinct('files.hash', { 'files.hash': { $in: candidates } }, { session }),
+    FileRevision.distinct('hash', { hash: { $in: candidates } }, { session }),
+  ]);
+  const referenced = new Set([...inSnapshots, ...inRevisions]);
+  const unreferenced = candidates.filter(hash => !referenced.has(hash));
+  if (unreferenced.length === 0) return 0;
+
+  const { deletedCount } = await this.deleteMany({ hash: { $in: unreferenced } }, { session });
+  return deletedCount;
+};
+
+/**
+ * Contents for a list of hashes, as a Map of hash to content
+ */
+contentBlobSchema.statics.findContents = async function (hashes) {
+  const blobs = await this.find({ hash: { $in: [...new Set(hashes)] } });
+  return new Map(blobs.map(blob => [blob.hash, blob.content]));
+};
+
+module.exports = mongoose.model('ContentBlob', contentBlobSchema);
@@ -38,7 +38,7 @@ const fileSchema = new mongoose.Schema(
     },
     operation: {
       type: String,
-      enum: ['create', 'update', 'delete'],
+      enum: ['create', 'update', 'delete', 'rename'],
       default: 'create',
     },
     createdAt: {
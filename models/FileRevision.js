@@ -0,0 +1,68 @@
+/**
+ * File Revision Schema & Model
+ * One version of a file's content, written by a create, update or rename.
+ * The content itself lives in ContentBlob under `hash`.
+ */
+
+const mongoose = require('mongoose');
+
+// Where a revision came from. `baseline` is the content a file had before
+// its history started, recorded the first time it changes.
+const REVISION_SOURCES = ['manual', 'generation', 'restore', 'import', 'fork', 'baseline'];
+
+const fileRevisionSchema = new mongoose.Schema(
+  {
+    fileId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'File',
+      required: true,
+    },
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: true,
+      index: true,
+    },
+    // Author of the change
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    path: {
+      type: String,
+      required: true,
+    },
+    language: {
+      type: String,
+      default: 'javascript',
+    },
+    hash: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      default: 0,
+    },
+    source: {
+      type: String,
+      enum: REVISION_SOURCES,
+      default: 'manual',
+    },
+    operation: {
+      type: String,
+      enum: ['create', 'update', 'rename'],
+      default: 'update',
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// Newest first per file
+fileRevisionSchema.index({ fileId: 1, createdAt: -1 });
+// Whether a content blob is still in use
+fileRevisionSchema.index({ hash: 1 });
+
+module.exports = mongoose.model('FileRevision', fileRevisionSchema);
+module.exports.REVISION_SOURCES = REVISION_SOURCES;
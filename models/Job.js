@@ -0,0 +1,81 @@
+/**
+ * Job Schema & Model
+ * Background code generation requests run by the job queue
+ */
+
+const mongoose = require('mongoose');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+const jobSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: JOB_STATUSES,
+      default: 'queued',
+    },
+    prompt: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      default: 'react',
+    },
+    context: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    repair: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // Raw model output so far, updated while the job runs
+    partialOutput: {
+      type: String,
+      default: '',
+    },
+    // The same payload POST /api/ai/generate returns
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    workerId: {
+      type: String,
+      default: null,
+    },
+    heartbeatAt: {
+      type: Date,
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Workers claim the oldest queued job first
+jobSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Job', jobSchema);
+module.exports.JOB_STATUSES = JOB_STATUSES;
@@ -44,6 +44,12 @@ const projectSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // The project this one was forked from, if any
+    forkedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      default: null,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
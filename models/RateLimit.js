@@ -0,0 +1,27 @@
+/**
+ * RateLimit Schema & Model
+ * Request counters for the Mongo rate limit store
+ */
+
+const mongoose = require('mongoose');
+
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  hits: {
+    type: Number,
+    default: 0,
+  },
+  resetAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// MongoDB removes counters once their window has passed
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
@@ -0,0 +1,83 @@
+/**
+ * Snapshot Schema & Model
+ * A project's files at one point in time. Each entry points at a
+ * ContentBlob by hash instead of holding the content itself.
+ */
+
+const mongoose = require('mongoose');
+
+const SNAPSHOT_TRIGGERS = ['manual', 'generation', 'restore'];
+
+const snapshotFileSchema = new mongoose.Schema(
+  {
+    path: {
+      type: String,
+      required: true,
+    },
+    language: {
+      type: String,
+      default: 'javascript',
+    },
+    hash: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
+const snapshotSchema = new mongoose.Schema(
+  {
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    label: {
+      type: String,
+      default: '',
+      trim: true,
+    },
+    trigger: {
+      type: String,
+      enum: SNAPSHOT_TRIGGERS,
+      default: 'manual',
+    },
+    // The chat message that led to this snapshot, if any
+    chatMessageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Chat',
+      default: null,
+    },
+    files: {
+      type: [snapshotFileSchema],
+      default: [],
+    },
+    fileCount: {
+      type: Number,
+      default: 0,
+    },
+    totalSize: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// Newest first per project
+snapshotSchema.index({ projectId: 1, createdAt: -1 });
+// Whether a content blob is still in use
+snapshotSchema.index({ 'files.hash': 1 });
+
+module.exports = mongoose.model('Snapshot', snapshotSchema);
+module.exports.SNAPSHOT_TRIGGERS = SNAPSHOT_TRIGGERS;
@@ -0,0 +1,72 @@
+/**
+ * Usage Schema & Model
+ * One record per provider call, for accounting and quotas
+ */
+
+const mongoose = require('mongoose');
+
+const usageSchema = new mongoose.Schema(
+  {
+    // Null for anonymous callers, who are tracked by IP
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      default: null,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    model: {
+      type: String,
+      default: 'unknown',
+    },
+    // 'generate', 'edit', 'repair', 'continuation', ...
+    mode: {
+      type: String,
+      default: 'generate',
+    },
+    promptTokens: {
+      type: Number,
+      default: 0,
+    },
+    completionTokens: {
+      type: Number,
+      default: 0,
+    },
+    totalTokens: {
+      type: Number,
+      default: 0,
+    },
+    latencyMs: {
+      type: Number,
+      default: 0,
+    },
+    success: {
+      type: Boolean,
+      required: true,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }
+);
+
+usageSchema.index({ userId: 1, createdAt: -1 });
+usageSchema.index({ ip: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Usage', usageSchema);
@@ -0,0 +1,181 @@
+/**
+ * Chat-completion prompts
+ * System prompts and message layout shared by providers that speak the
+ * OpenAI-style chat format (Groq, OpenAI-compatible servers)
+ */
+
+const SandpackPromptBuilder = require('../utils/sandpackPromptBuilder');
+
+// ENHANCED: Better system prompts with clear file structure requirements
+const getChatSystemPrompt = (type) => {
+  // Use MASTER prompt for React projects - most powerful and complete
+  if (type === 'react' || type === 'sandpack') {
+    const masterPrompt = require('./masterPrompt');
+    return masterPrompt.getMasterSandpackPrompt();
+  }
+  
+  const baseInstructions = `You are an expert full-stack developer. Follow these CRITICAL formatting rules:
+
+🚨 CRITICAL FILE FORMAT RULES:
+1. Always start each file with: // src/path/filename.ext
+2. Follow immediately with: \`\`\`language
+3. Then put the complete file content
+4. End with: \`\`\`
+
+Example format:
+// src/components/Header.jsx
+\`\`\`jsx
+import React from 'react';
+
+const Header = () => {
+  return (
+    <header className="bg-blue-600 text-white p-4">
+      <h1>My App</h1>
+    </header>
+  );
+};
+
+export default Header;
+\`\`\`
+
+// src/App.js
+\`\`\`jsx
+import React from 'react';
+import Header from './components/Header';
+
+function App() {
+  return (
+    <div className="App">
+      <Header />
+    </div>
+  );
+}
+
+export default App;
+\`\`\`
+
+NEVER use **filename** format or any other format. ALWAYS use // filepath format.`;
+
+  const prompts = {
+    react: `${baseInstructions}
+
+🎯 REACT PROJECT REQUIREMENTS:
+- Create a complete, functional React application
+- Include package.json, public/index.html, src/index.js, src/App.js
+- Use modern React (functional components, hooks)
+- Add proper imports and exports
+- Use Tailwind CSS for styling
+- Make it production-ready with proper file structure
+- Always include at least 5-8 files for a complete project
+
+📁 REQUIRED FILES STRUCTURE:
+1. package.json (with all dependencies)
+2. public/index.html 
+3. src/index.js (React 18 createRoot)
+4. src/App.js (main app component)
+5. src/index.css (with Tailwind imports)
+6. tailwind.config.js
+7. Components as requested
+
+Generate complete, working code that can be immediately used in production.`,
+
+    component: `${baseInstructions}
+
+🎯 COMPONENT REQUIREMENTS:
+- Create focused, reusable React components
+- Use TypeScript if beneficial
+- Include proper prop validation
+- Use Tailwind CSS for responsive design
+- Add accessibility features
+- Include error handling
+- Provide usage examples
+
+Generate production-ready components with comprehensive functionality.`,
+
+    fullstack: `${baseInstructions}
+
+🎯 FULLSTACK REQUIREMENTS:
+- Frontend: React with Tailwind CSS
+- Backend: Node.js/Express with proper structure
+- Database: Include models/schemas
+- API: RESTful endpoints with validation
+- Authentication: Basic auth implementation
+- File structure: Separate frontend/backend folders
+- Documentation: README and API docs
+
+Create a complete, deployable full-stack application.`,
+
+    general: `${baseInstructions}
+
+🎯 GENERAL REQUIREMENTS:
+- Write clean, efficient, modern code
+- Include proper error handling
+- Add comprehensive comments
+- Use current best practices
+- Ensure security considerations
+- Optimize for performance
+- Make it production-ready
+
+Generate complete, working code following industry standards.`
+  };
+
+  return prompts[type] || prompts.general;
+};
+
+/**
+ * Build the chat messages sent for a generation request.
+ * `context.continuation` ({ content, completedFiles }) replays a truncated
+ * answer as the assistant turn and asks the model to finish it.
+ */
+const buildChatMessages = (prompt, type = 'react', context = {}) => {
+  if (context.continuation) {
+    const { continuation, ...original } = context;
+
+    return [
+      ...buildChatMessages(prompt, type, original),
+      { role: 'assistant', content: continuation.content },
+      { role: 'user', content: SandpackPromptBuilder.buildContinuationPrompt(continuation) }
+    ];
+  }
+
+  // Edit mode carries its own instructions together with the current files
+  if (context.mode === 'edit') {
+    return [
+      {
+        role: 'user',
+        content: SandpackPromptBuilder.buildEditPrompt(prompt, context)
+      }
+    ];
+  }
+
+  if (context.mode === 'repair') {
+    return [
+      {
+        role: 'user',
+        content: SandpackPromptBuilder.buildRepairPrompt(prompt, context)
+      }
+    ];
+  }
+
+  // For react/sandpack, enhance the prompt
+  let enhancedPrompt = prompt;
+  if (type === 'react' || type === 'sandpack') {
+    enhancedPrompt = SandpackPromptBuilder.buildValidatedPrompt(prompt);
+  }
+
+  return [
+    {
+      role: 'system',
+      content: getChatSystemPrompt(type)
+    },
+    {
+      role: 'user',
+      content: enhancedPrompt
+    }
+  ];
+};
+
+module.exports = {
+  getChatSystemPrompt,
+  buildChatMessages
+};
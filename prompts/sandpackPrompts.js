@@ -354,10 +354,57 @@ import styles from './App.module.css';
 Focus on clarity and simplicity over features.
 `;
 
+const getSandpackEditPrompt = () => `
+You are modifying an EXISTING React application that runs in Sandpack.
+The current project files and the recent conversation are provided below.
+
+🚨 EDIT MODE RULES - FOLLOW EXACTLY:
+
+1. **Only output files that change**:
+   - Return ONLY files you modify or create
+   - Do NOT repeat files that stay the same
+   - Do NOT regenerate the whole app
+
+2. **Changed files must be COMPLETE**:
+   - Every file you output replaces the stored file entirely
+   - Include ALL lines, not just the edited part
+   - NO "..." or "// rest of the code" placeholders
+
+3. **File Format MUST be EXACT**:
+   // src/components/Header.js
+   \`\`\`jsx
+   {complete file content}
+   \`\`\`
+
+   - For a small change to a large file you may instead send a unified diff
+     with unchanged context lines around each change:
+     \`\`\`diff
+     --- a/src/App.js
+     +++ b/src/App.js
+     @@ -12,3 +12,3 @@
+      <header className="p-4">
+     -  <h1>Old title</h1>
+     +  <h1>New title</h1>
+      </header>
+     \`\`\`
+
+4. **Deleting and moving files**:
+   - To remove a file, write a single line: // DELETE: src/components/OldFile.js
+   - To move or rename a file, write a single line: <file path="src/Card.js" op="rename" to="src/components/Card.js" />
+   - Update imports of deleted or moved files in the files you output
+
+5. **Keep the project working**:
+   - Keep existing imports, exports and file paths consistent
+   - Keep package.json, public/index.html, src/index.js and src/App.js unless the change requires editing them
+
+Start with a one or two sentence summary of what you changed, then the files.
+`;
+
 module.exports = {
   getSandpackReactPrompt,
   getSandpackComponentPrompt,
   getSandpackValidationPrompt,
   getSandpackErrorRecoveryPrompt,
-  getSandpackSimplificationPrompt
+  getSandpackSimplificationPrompt,
+  getSandpackEditPrompt
 };
@@ -2,63 +2,63 @@ const express = require('express');
 const AIController = require('../controllers/aiController');
 const ReactTemplateValidator = require('../services/reactTemplateValidator');
 const authMiddleware = require('../middleware/auth');
+const { optionalAuth } = require('../middleware/auth');
+const quotaMiddleware = require('../middleware/quota');
+const { aiLimiter } = require('../middleware/rateLimit');
+const { createJob, getJob, cancelJob } = require('../controllers/jobController');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/ai');
 
 const router = express.Router();
 const aiController = new AIController();
 
-// POST /api/ai/generate - General code generation (no auth required)
-router.post('/generate', async (req, res) => {
-  try {
-    await aiController.generateCode(req, res);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+// Every AI route is rate limited per user (per IP for anonymous callers)
+router.use(aiLimiter);
 
-// POST /api/ai/generate/:projectId - Generate code for a specific project (requires auth)
-router.post('/generate/:projectId', authMiddleware, async (req, res) => {
-  try {
-    const { projectId } = req.params;
-    const { prompt, projectType = 'react-app' } = req.body;
-    const userId = req.user.userId;
+// POST /api/ai/generate - General code generation (no auth required; a token
+// counts the request against the user's quota instead of the anonymous one)
+router.post('/generate', optionalAuth, validate(schemas.generate), quotaMiddleware, asyncHandler((req, res) => aiController.generateCode(req, res)));
 
-    // Note: projectId and userId would be validated/used in a real implementation
-    // For now, we just generate the code based on the prompt
-    
-    await aiController.generateCode(req, res);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+// POST /api/ai/generate/stream - Streaming code generation over Server-Sent Events
+// Events: provider, token, file, done, error
+// Errors after the stream started are sent as `error` events by the controller
+router.post('/generate/stream', optionalAuth, validate(schemas.generate), quotaMiddleware, asyncHandler((req, res) => aiController.streamCode(req, res)));
 
-// POST /api/ai/validate - Validate React template files
-// Body: { files: [{ path: 'src/App.js', content: '...' }] }
-router.post('/validate', async (req, res) => {
-  try {
-    const { files } = req.body;
+// POST /api/ai/generate/:projectId - Generate code and save it into a project (requires auth)
+router.post('/generate/:projectId', authMiddleware, validate(schemas.generateForProject), quotaMiddleware, asyncHandler((req, res) => aiController.generateForProject(req, res)));
+
+// POST /api/ai/jobs - Enqueue a background generation (requires auth)
+// Body: same as /generate. Responds 202 with the job; poll GET /jobs/:id
+router.post('/jobs', authMiddleware, validate(schemas.createJob), quotaMiddleware, asyncHandler(createJob));
+
+// GET /api/ai/jobs/:id - Job status, partial output and final result
+router.get('/jobs/:id', authMiddleware, validate(schemas.getJob), asyncHandler(getJob));
 
-    if (!files || !Array.isArray(files)) {
-      return res.status(400).json({ error: 'Files array is required' });
-    }
+// DELETE /api/ai/jobs/:id - Cancel a queued or running job
+router.delete('/jobs/:id', authMiddleware, validate(schemas.cancelJob), asyncHandler(cancelJob));
 
-    const report = ReactTemplateValidator.generateReport(files);
+// POST /api/ai/validate - Validate React template files
+// Body: { files: [{ path: 'src/App.js', content: '...' }], options: { addMissingDependencies } }
+router.post('/validate', validate(schemas.validate), asyncHandler(async (req, res) => {
+  const { files, options } = req.body;
 
-    res.json({
-      success: true,
-      data: report
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  if (!files || !Array.isArray(files)) {
+    throw new ValidationError('Files array is required');
   }
-});
+
+  const report = ReactTemplateValidator.generateReport(files, options);
+
+  res.json({
+    success: true,
+    data: report
+  });
+}));
 
 // GET /api/ai/health
-router.get('/health', async (req, res) => {
-  try {
-    await aiController.healthCheck(req, res);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+router.get('/health', asyncHandler((req, res) => aiController.healthCheck(req, res)));
+
+// GET /api/ai/models - Models offered by each registered provider
+router.get('/models', asyncHandler((req, res) => aiController.listModels(req, res)));
 
 module.exports = router;
\ No newline at end of file
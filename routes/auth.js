@@ -6,6 +6,10 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/auth');
+const { loginLimiter, guestLimiter } = require('../middleware/rateLimit');
 const {
   register,
   login,
@@ -14,13 +18,13 @@ const {
   guestLogin,
 } = require('../controllers/authController');
 
-// Public routes
-router.post('/register', register);
-router.post('/login', login);
-router.post('/guest', guestLogin);
+// Public routes (login and guest accounts are rate limited per IP)
+router.post('/register', validate(schemas.register), asyncHandler(register));
+router.post('/login', loginLimiter, validate(schemas.login), asyncHandler(login));
+router.post('/guest', guestLimiter, asyncHandler(guestLogin));
 
 // Protected routes (require authentication)
-router.get('/profile', authMiddleware, getProfile);
-router.put('/profile', authMiddleware, updateProfile);
+router.get('/profile', authMiddleware, asyncHandler(getProfile));
+router.put('/profile', authMiddleware, validate(schemas.updateProfile), asyncHandler(updateProfile));
 
 module.exports = router;
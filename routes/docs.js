@@ -0,0 +1,39 @@
+/**
+ * Documentation Routes
+ * The OpenAPI document and a Swagger UI page that renders it
+ */
+
+const express = require('express');
+const router = express.Router();
+const { buildOpenApiDocument } = require('../schemas/openapi');
+
+const SWAGGER_UI = 'https://unpkg.com/swagger-ui-dist@5';
+
+// Built once; the schemas don't change at runtime
+const document = buildOpenApiDocument();
+
+// GET /api/openapi.json - OpenAPI 3.1 document
+router.get('/openapi.json', (req, res) => {
+  res.json(document);
+});
+
+// GET /api/docs - Interactive documentation
+router.get('/docs', (req, res) => {
+  res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${document.info.title}</title>
+  <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${SWAGGER_UI}/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: 'openapi.json', dom_id: '#swagger-ui', persistAuthorization: true });
+  </script>
+</body>
+</html>`);
+});
+
+module.exports = router;
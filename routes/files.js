@@ -6,30 +6,41 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/files');
 const {
   createFile,
   listFiles,
   getFile,
   updateFile,
   deleteFile,
+  getFileHistory,
+  getFileDiff,
 } = require('../controllers/fileController');
 
 // All routes require authentication
 router.use(authMiddleware);
 
 // POST /api/files/:projectId - Create file
-router.post('/:projectId', createFile);
+router.post('/:projectId', validate(schemas.createFile), asyncHandler(createFile));
 
 // GET /api/files/:projectId - List files in project
-router.get('/:projectId', listFiles);
+router.get('/:projectId', validate(schemas.listFiles), asyncHandler(listFiles));
+
+// GET /api/files/:projectId/:fileId/history - List file revisions
+router.get('/:projectId/:fileId/history', validate(schemas.getFileHistory), asyncHandler(getFileHistory));
+
+// GET /api/files/:projectId/:fileId/diff - Diff two revisions, or one and the current file
+router.get('/:projectId/:fileId/diff', validate(schemas.getFileDiff), asyncHandler(getFileDiff));
 
 // GET /api/files/:projectId/:fileId - Get specific file
-router.get('/:projectId/:fileId', getFile);
+router.get('/:projectId/:fileId', validate(schemas.getFile), asyncHandler(getFile));
 
 // PUT /api/files/:projectId - Update file
-router.put('/:projectId', updateFile);
+router.put('/:projectId', validate(schemas.updateFile), asyncHandler(updateFile));
 
 // DELETE /api/files/:projectId - Delete file
-router.delete('/:projectId', deleteFile);
+router.delete('/:projectId', validate(schemas.deleteFile), asyncHandler(deleteFile));
 
 module.exports = router;
\ No newline at end of file
@@ -6,32 +6,67 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const validate = require('../middleware/validate');
+const { uploadArchive } = require('../middleware/upload');
+const schemas = require('../schemas/projects');
 const {
   createProject,
   listProjects,
   getProject,
   updateProject,
   deleteProject,
+  exportProject,
+  importProject,
+  forkProject,
 } = require('../controllers/projectController');
+const {
+  createSnapshot,
+  listSnapshots,
+  getSnapshot,
+  restoreSnapshot,
+} = require('../controllers/snapshotController');
 
 // All routes require authentication
 router.use(authMiddleware);
 
 // POST /api/projects - Create project
-router.post('/', createProject);
+router.post('/', validate(schemas.createProject), asyncHandler(createProject));
+
+// POST /api/projects/import - Create a project from a zip, tar or tar.gz upload
+// Multipart form: file, plus optional name, description and type
+router.post('/import', uploadArchive('file'), validate(schemas.importProject), asyncHandler(importProject));
 
 // GET /api/projects - List user's projects
-router.get('/', listProjects);
+router.get('/', asyncHandler(listProjects));
 
 // GET /api/projects/:id - Get specific project
-router.get('/:id', getProject);
+router.get('/:id', validate(schemas.getProject), asyncHandler(getProject));
 
 // PUT /api/projects/:id - Update project
-router.put('/:id', updateProject);
+router.put('/:id', validate(schemas.updateProject), asyncHandler(updateProject));
 
 // DELETE /api/projects/:id - Delete project
-router.delete('/:id', deleteProject);
+router.delete('/:id', validate(schemas.deleteProject), asyncHandler(deleteProject));
+
+// GET /api/projects/:id/export?target=cra|vite|sandpack - Download as a zip
+router.get('/:id/export', validate(schemas.exportProject), asyncHandler(exportProject));
+
+// POST /api/projects/:id/fork - Copy the project and its files into a new project
+// Body: { name, includeChat }
+router.post('/:id/fork', validate(schemas.forkProject), asyncHandler(forkProject));
+
+// POST /api/projects/:id/snapshots - Snapshot the project's files
+// Body: { label, chatMessageId }
+router.post('/:id/snapshots', validate(schemas.createSnapshot), asyncHandler(createSnapshot));
+
+// GET /api/projects/:id/snapshots - List snapshots, newest first
+router.get('/:id/snapshots', validate(schemas.listSnapshots), asyncHandler(listSnapshots));
+
+// GET /api/projects/:id/snapshots/:snapshotId - Snapshot with file contents
+router.get('/:id/snapshots/:snapshotId', validate(schemas.getSnapshot), asyncHandler(getSnapshot));
 
-module.exports = router;
+// POST /api/projects/:id/snapshots/:snapshotId/restore - Replace the files with the snapshot's
+router.post('/:id/snapshots/:snapshotId/restore', validate(schemas.restoreSnapshot), asyncHandler(restoreSnapshot));
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,17 @@
+/**
+ * Usage Routes
+ * Generation usage and quota reporting
+ */
+
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/usage');
+const { getUsage } = require('../controllers/usageController');
+
+// GET /api/usage?days=30&months=12&projectId= - Daily and monthly rollups
+router.get('/', authMiddleware, validate(schemas.getUsage), asyncHandler(getUsage));
+
+module.exports = router;
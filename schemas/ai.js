@@ -0,0 +1,80 @@
+/**
+ * AI Request Schemas
+ */
+
+const { Joi, objectId } = require('./common');
+
+const MAX_PROMPT_LENGTH = 20000;
+const MAX_VALIDATE_FILES = 500;
+
+const GENERATION_TYPES = ['general', 'react', 'sandpack', 'component', 'hook', 'fullstack', 'debug', 'optimize', 'init'];
+
+// true, or { maxRounds, threshold }; the controller caps maxRounds
+const repair = Joi.alternatives().try(
+  Joi.boolean(),
+  Joi.object({
+    maxRounds: Joi.number().integer().min(1),
+    threshold: Joi.number().integer().min(0).max(100),
+  })
+).allow(null);
+
+// Hints clients may pass to the prompt builders. The server sets the edit,
+// repair and continuation keys itself, so unknown keys are stripped.
+const context = Joi.object({
+  projectType: Joi.string().trim().max(100),
+  targetFramework: Joi.string().trim().max(100),
+});
+
+const jobParams = Joi.object({
+  id: objectId().required(),
+});
+
+const generation = {
+  prompt: Joi.string().trim().min(1).max(MAX_PROMPT_LENGTH).required(),
+  type: Joi.string().valid(...GENERATION_TYPES),
+  context,
+  repair,
+};
+
+module.exports = {
+  MAX_PROMPT_LENGTH,
+  MAX_VALIDATE_FILES,
+  GENERATION_TYPES,
+
+  generate: {
+    body: Joi.object(generation),
+  },
+
+  generateForProject: {
+    params: Joi.object({
+      projectId: objectId().required(),
+    }),
+    body: Joi.object({
+      ...generation,
+      mode: Joi.string().valid('generate', 'edit'),
+    }),
+  },
+
+  createJob: {
+    body: Joi.object(generation),
+  },
+
+  getJob: { params: jobParams },
+
+  cancelJob: { params: jobParams },
+
+  validate: {
+    body: Joi.object({
+      files: Joi.array()
+        .items(Joi.object({
+          path: Joi.string().min(1).max(512).required(),
+          content: Joi.string().allow('').required(),
+        }).unknown(true))
+        .max(MAX_VALIDATE_FILES)
+        .required(),
+      options: Joi.object({
+        addMissingDependencies: Joi.boolean(),
+      }),
+    }),
+  },
+};
@@ -0,0 +1,37 @@
+/**
+ * Auth Request Schemas
+ */
+
+const { Joi } = require('./common');
+
+const username = Joi.string().trim().min(3).max(30);
+const email = Joi.string().trim().lowercase().email().max(254);
+
+module.exports = {
+  register: {
+    body: Joi.object({
+      username: username.required(),
+      email: email.required(),
+      password: Joi.string().min(6).max(128).required(),
+      confirmPassword: Joi.string()
+        .valid(Joi.ref('password'))
+        .required()
+        .messages({ 'any.only': 'Passwords do not match' }),
+    }),
+  },
+
+  login: {
+    body: Joi.object({
+      email: email.required(),
+      password: Joi.string().max(128).required(),
+    }),
+  },
+
+  updateProfile: {
+    body: Joi.object({
+      username,
+      bio: Joi.string().allow('').max(500),
+      avatar: Joi.string().uri().max(2048).allow('', null),
+    }),
+  },
+};
@@ -0,0 +1,45 @@
+/**
+ * Chat Request Schemas
+ */
+
+const Chat = require('../models/Chat');
+const { Joi, objectId, enumOf } = require('./common');
+
+// Upper bound on messages saved by one bulk request
+const MAX_BULK_MESSAGES = 200;
+const MAX_MESSAGE_LENGTH = 100000;
+
+const params = Joi.object({
+  projectId: objectId().required(),
+});
+
+const message = Joi.object({
+  type: Joi.string().valid(...enumOf(Chat, 'type')).required(),
+  content: Joi.string().max(MAX_MESSAGE_LENGTH).required(),
+  metadata: Joi.object({
+    fileCount: Joi.number().integer().min(0),
+    codeGenerated: Joi.boolean(),
+    model: Joi.string().max(100),
+  }),
+});
+
+module.exports = {
+  MAX_BULK_MESSAGES,
+  MAX_MESSAGE_LENGTH,
+
+  listMessages: { params },
+
+  createMessage: {
+    params,
+    body: message,
+  },
+
+  bulkCreateMessages: {
+    params,
+    body: Joi.object({
+      messages: Joi.array().items(message).max(MAX_BULK_MESSAGES).required(),
+    }),
+  },
+
+  deleteMessages: { params },
+};
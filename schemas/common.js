@@ -0,0 +1,18 @@
+/**
+ * Shared Joi building blocks for the request schemas
+ */
+
+const Joi = require('joi');
+
+const objectId = () => Joi.string()
+  .pattern(/^[0-9a-fA-F]{24}$/)
+  .messages({ 'string.pattern.base': '{{#label}} must be a valid id' });
+
+// Allowed values of a Mongoose enum path, so schemas and models can't drift
+const enumOf = (model, path) => model.schema.path(path).enumValues;
+
+module.exports = {
+  Joi,
+  objectId,
+  enumOf,
+};
@@ -0,0 +1,68 @@
+/**
+ * File Request Schemas
+ */
+
+const File = require('../models/File');
+const { Joi, objectId, enumOf } = require('./common');
+
+// Generated files are source code; anything bigger is not a project file
+const MAX_CONTENT_LENGTH = 1024 * 1024;
+
+// Most context lines a diff may ask for around each change
+const MAX_DIFF_CONTEXT = 100;
+
+const params = Joi.object({
+  projectId: objectId().required(),
+});
+
+const fileParams = params.keys({
+  fileId: objectId().required(),
+});
+
+const path = Joi.string().trim().min(1).max(512);
+const content = Joi.string().allow('').max(MAX_CONTENT_LENGTH);
+const language = Joi.string().valid(...enumOf(File, 'language'));
+
+module.exports = {
+  MAX_CONTENT_LENGTH,
+
+  createFile: {
+    params,
+    body: Joi.object({
+      path: path.required(),
+      content,
+      language,
+    }),
+  },
+
+  listFiles: { params },
+
+  getFile: { params: fileParams },
+
+  getFileHistory: { params: fileParams },
+
+  getFileDiff: {
+    params: fileParams,
+    query: Joi.object({
+      from: objectId().required(),
+      to: objectId(),
+      context: Joi.number().integer().min(0).max(MAX_DIFF_CONTEXT).default(3),
+    }),
+  },
+
+  updateFile: {
+    params,
+    body: Joi.object({
+      path: path.required(),
+      content,
+      language,
+    }),
+  },
+
+  deleteFile: {
+    params,
+    body: Joi.object({
+      path: path.required(),
+    }),
+  },
+};
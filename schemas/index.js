@@ -0,0 +1,15 @@
+/**
+ * Request Schemas
+ * Joi schemas for the body, params and query of each route, grouped by
+ * router. Routes apply them with middleware/validate.js; they are exported
+ * here so documentation can be generated from the same definitions.
+ */
+
+module.exports = {
+  auth: require('./auth'),
+  projects: require('./projects'),
+  files: require('./files'),
+  chat: require('./chat'),
+  ai: require('./ai'),
+  usage: require('./usage'),
+};
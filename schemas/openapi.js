@@ -0,0 +1,197 @@
+/**
+ * OpenAPI Document
+ * Builds the OpenAPI 3.1 description of the API served at /api/openapi.json.
+ * Request bodies and parameters are converted from the Joi schemas the
+ * routes validate with; responses reference the components in responses.js.
+ * tests/openapi.test.js fails when a router and OPERATIONS disagree or a
+ * response drifts from its schema.
+ */
+
+const schemas = require('./index');
+const { components, ref } = require('./responses');
+const { joiToJsonSchema, toParameters } = require('../utils/joiToJsonSchema');
+const { version } = require('../package.json');
+
+const BEARER = [{ bearerAuth: [] }];
+// Works anonymously; a token counts the request against the user instead
+const OPTIONAL_BEARER = [{}, { bearerAuth: [] }];
+
+/**
+ * Every route, as { method, path, tag, summary, security, request, responses, errors }.
+ * `request` is the route's Joi schema, `responses` maps status codes to
+ * component names and `errors` lists the documented error statuses.
+ * `upload` names the file field of a multipart request.
+ */
+const OPERATIONS = [
+  // Auth
+  { method: 'post', path: '/api/auth/register', tag: 'Auth', summary: 'Register a user', request: schemas.auth.register, responses: { 201: 'AuthResponse' }, errors: [400, 409] },
+  { method: 'post', path: '/api/auth/login', tag: 'Auth', summary: 'Log in with email and password', request: schemas.auth.login, responses: { 200: 'AuthResponse' }, errors: [400, 401, 429] },
+  { method: 'post', path: '/api/auth/guest', tag: 'Auth', summary: 'Create a temporary guest account', responses: { 200: 'GuestAuthResponse' }, errors: [429] },
+  { method: 'get', path: '/api/auth/profile', tag: 'Auth', summary: 'Current user profile', security: BEARER, responses: { 200: 'UserResponse' }, errors: [401, 404] },
+  { method: 'put', path: '/api/auth/profile', tag: 'Auth', summary: 'Update the current user profile', security: BEARER, request: schemas.auth.updateProfile, responses: { 200: 'UserUpdatedResponse' }, errors: [400, 401, 404] },
+
+  // Projects
+  { method: 'post', path: '/api/projects', tag: 'Projects', summary: 'Create a project', security: BEARER, request: schemas.projects.createProject, responses: { 201: 'ProjectResponse' }, errors: [400, 401] },
+  { method: 'post', path: '/api/projects/import', tag: 'Projects', summary: 'Create a project from a zip, tar or tar.gz archive', security: BEARER, request: schemas.projects.importProject, upload: 'file', responses: { 201: 'ProjectImportedResponse' }, errors: [400, 401, 413] },
+  { method: 'get', path: '/api/projects', tag: 'Projects', summary: 'List the caller\'s projects', security: BEARER, responses: { 200: 'ProjectListResponse' }, errors: [401] },
+  { method: 'get', path: '/api/projects/{id}', tag: 'Projects', summary: 'Get a project with its files', security: BEARER, request: schemas.projects.getProject, responses: { 200: 'ProjectWithFilesResponse' }, errors: [400, 401, 404] },
+  { method: 'put', path: '/api/projects/{id}', tag: 'Projects', summary: 'Update a project', security: BEARER, request: schemas.projects.updateProject, responses: { 200: 'ProjectResponse' }, errors: [400, 401, 404] },
+  { method: 'delete', path: '/api/projects/{id}', tag: 'Projects', summary: 'Delete a project, its files and snapshots', security: BEARER, request: schemas.projects.deleteProject, responses: { 200: 'MessageResponse' }, errors: [400, 401, 404] },
+  { method: 'get', path: '/api/projects/{id}/export', tag: 'Projects', summary: 'Download the project as a runnable zip', security: BEARER, request: schemas.projects.exportProject, responses: { 200: 'zip' }, errors: [400, 401, 404] },
+  { method: 'post', path: '/api/projects/{id}/fork', tag: 'Projects', summary: 'Copy the project, its files and optionally its chat into a new project', security: BEARER, request: schemas.projects.forkProject, responses: { 201: 'ProjectForkedResponse' }, errors: [400, 401, 404] },
+  { method: 'post', path: '/api/projects/{id}/snapshots', tag: 'Projects', summary: 'Snapshot the project\'s files', security: BEARER, request: schemas.projects.createSnapshot, responses: { 201: 'SnapshotResponse' }, errors: [400, 401, 404] },
+  { method: 'get', path: '/api/projects/{id}/snapshots', tag: 'Projects', summary: 'List snapshots, newest first', security: BEARER, request: schemas.projects.listSnapshots, responses: { 200: 'SnapshotListResponse' }, errors: [400, 401, 404] },
+  { method: 'get', path: '/api/projects/{id}/snapshots/{snapshotId}', tag: 'Projects', summary: 'Get a snapshot with its file contents', security: BEARER, request: schemas.projects.getSnapshot, responses: { 200: 'SnapshotWithFilesResponse' }, errors: [400, 401, 404] },
+  { method: 'post', path: '/api/projects/{id}/snapshots/{snapshotId}/restore', tag: 'Projects', summary: 'Replace the project\'s files with a snapshot\'s', security: BEARER, request: schemas.projects.restoreSnapshot, responses: { 200: 'SnapshotRestoredResponse' }, errors: [400, 401, 404] },
+
+  // Files
+  { method: 'post', path: '/api/files/{projectId}', tag: 'Files', summary: 'Create a file', security: BEARER, request: schemas.files.createFile, responses: { 201: 'FileChangedResponse' }, errors: [400, 401, 404, 409] },
+  { method: 'get', path: '/api/files/{projectId}', tag: 'Files', summary: 'List a project\'s files', security: BEARER, request: schemas.files.listFiles, responses: { 200: 'FileListResponse' }, errors: [400, 401, 404] },
+  { method: 'get', path: '/api/files/{projectId}/{fileId}/history', tag: 'Files', summary: 'A file\'s revisions, newest first', security: BEARER, request: schemas.files.getFileHistory, responses: { 200: 'FileHistoryResponse' }, errors: [400, 401, 404] },
+  { method: 'get', path: '/api/files/{projectId}/{fileId}/diff', tag: 'Files', summary: 'Unified diff between two revisions, or a revision and the current file', security: BEARER, request: schemas.files.getFileDiff, responses: { 200: 'FileDiffResponse' }, errors: [400, 401, 404] },
+  { method: 'get', path: '/api/files/{projectId}/{fileId}', tag: 'Files', summary: 'Get a file', security: BEARER, request: schemas.files.getFile, responses: { 200: 'FileResponse' }, errors: [400, 401, 404] },
+  { method: 'put', path: '/api/files/{projectId}', tag: 'Files', summary: 'Update a file by path', security: BEARER, request: schemas.files.updateFile, responses: { 200: 'FileChangedResponse' }, errors: [400, 401, 404] },
+  { method: 'delete', path: '/api/files/{projectId}', tag: 'Files', summary: 'Delete a file by path', security: BEARER, request: schemas.files.deleteFile, responses: { 200: 'MessageResponse' }, errors: [400, 401, 404] },
+
+  // Chats
+  { method: 'get', path: '/api/chats/{projectId}', tag: 'Chats', summary: 'A project\'s chat messages, oldest first', security: BEARER, request: schemas.chat.listMessages, responses: { 200: 'ChatListResponse' }, errors: [400, 401] },
+  { method: 'post', path: '/api/chats/{projectId}', tag: 'Chats', summary: 'Save a chat message', security: BEARER, request: schemas.chat.createMessage, responses: { 200: 'ChatSavedResponse' }, errors: [400, 401] },
+  { method: 'post', path: '/api/chats/bulk/{projectId}', tag: 'Chats', summary: 'Save several chat messages', security: BEARER, request: schemas.chat.bulkCreateMessages, responses: { 200: 'ChatBulkSavedResponse' }, errors: [400, 401] },
+  { method: 'delete', path: '/api/chats/{projectId}', tag: 'Chats', summary: 'Delete a project\'s chat messages', security: BEARER, request: schemas.chat.deleteMessages, responses: { 200: 'ChatDeletedResponse' }, errors: [400, 401] },
+
+  // AI
+  { method: 'post', path: '/api/ai/generate', tag: 'AI', summary: 'Generate code', security: OPTIONAL_BEARER, request: schemas.ai.generate, responses: { 200: 'GenerationResponse' }, errors: [400, 401, 429, 503] },
+  { method: 'post', path: '/api/ai/generate/stream', tag: 'AI', summary: 'Generate code over Server-Sent Events', security: OPTIONAL_BEARER, request: schemas.ai.generate, responses: { 200: 'stream' }, errors: [400, 401, 429] },
+  { method: 'post', path: '/api/ai/generate/{projectId}', tag: 'AI', summary: 'Generate code into a project', security: BEARER, request: schemas.ai.generateForProject, responses: { 200: 'ProjectGenerationResponse' }, errors: [400, 401, 404, 429, 503] },
+  { method: 'post', path: '/api/ai/jobs', tag: 'AI', summary: 'Enqueue a background generation', security: BEARER, request: schemas.ai.createJob, responses: { 202: 'JobResponse' }, errors: [400, 401, 429] },
+  { method: 'get', path: '/api/ai/jobs/{id}', tag: 'AI', summary: 'Job status, partial output and result', security: BEARER, request: schemas.ai.getJob, responses: { 200: 'JobResponse' }, errors: [400, 401, 404] },
+  { method: 'delete', path: '/api/ai/jobs/{id}', tag: 'AI', summary: 'Cancel a queued or running job', security: BEARER, request: schemas.ai.cancelJob, responses: { 200: 'JobCancelledResponse' }, errors: [400, 401, 404, 409] },
+  { method: 'post', path: '/api/ai/validate', tag: 'AI', summary: 'Validate React template files', request: schemas.ai.validate, responses: { 200: 'ValidationReportResponse' }, errors: [400, 429] },
+  { method: 'get', path: '/api/ai/health', tag: 'AI', summary: 'Provider health', responses: { 200: 'AIHealthResponse' }, errors: [429] },
+  { method: 'get', path: '/api/ai/models', tag: 'AI', summary: 'Models offered by each provider', responses: { 200: 'ModelsResponse' }, errors: [429] },
+
+  // Usage
+  { method: 'get', path: '/api/usage', tag: 'Usage', summary: 'Usage rollups and quota status', security: BEARER, request: schemas.usage.getUsage, responses: { 200: 'UsageResponse' }, errors: [400, 401] },
+];
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Invalid request',
+  401: 'Missing or invalid token',
+  404: 'Not found',
+  409: 'Conflict with the current state',
+  413: 'Upload or archive too large',
+  429: 'Rate limit or quota exceeded',
+  503: 'Every AI provider failed',
+};
+
+const STREAM_DESCRIPTION = 'Server-Sent Events: `provider`, `token`, `file`, `continuation`, `done` and `error`. '
+  + '`done` carries the same payload as `data` in /api/ai/generate.';
+
+const ZIP_DESCRIPTION = 'A zip with the project under a folder named after it. `cra` is a Create React App layout, '
+  + '`vite` moves index.html to the root and adds vite.config.mjs, `sandpack` moves src/ files to the root. '
+  + 'Missing package.json, index.html, entry point, README.md and .gitignore are generated.';
+
+// Responses that are not JSON
+const RAW_RESPONSES = {
+  stream: { description: STREAM_DESCRIPTION, content: { 'text/event-stream': { schema: { type: 'string' } } } },
+  zip: { description: ZIP_DESCRIPTION, content: { 'application/zip': { schema: { type: 'string', contentMediaType: 'application/zip' } } } },
+};
+
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+
+const buildParameters = (operation) => {
+  const request = operation.request || {};
+  return [
+    ...(request.params ? toParameters(request.params, 'path') : []),
+    ...(request.query ? toParameters(request.query, 'query') : []),
+  ];
+};
+
+const buildResponses = (operation) => {
+  const responses = {};
+
+  for (const [status, name] of Object.entries(operation.responses)) {
+    responses[status] = RAW_RESPONSES[name] || { description: operation.summary, content: jsonContent(ref(name)) };
+  }
+
+  for (const status of operation.errors || []) {
+    responses[status] = { description: ERROR_DESCRIPTIONS[status], content: jsonContent(ref('Error')) };
+  }
+
+  responses['500'] = { description: 'Unexpected server error', content: jsonContent(ref('Error')) };
+
+  return responses;
+};
+
+const buildOperation = (operation) => {
+  const spec = {
+    tags: [operation.tag],
+    summary: operation.summary,
+    operationId: `${operation.method}${operation.path.replace(/[{}]/g, '').replace(/\/(\w)/g, (m, c) => c.toUpperCase())}`,
+    ...(operation.security ? { security: operation.security } : {}),
+  };
+
+  const parameters = buildParameters(operation);
+  if (parameters.length > 0) {
+    spec.parameters = parameters;
+  }
+
+  if (operation.upload) {
+    const fields = operation.request && operation.request.body
+      ? joiToJsonSchema(operation.request.body)
+      : { type: 'object', properties: {} };
+    spec.requestBody = {
+      required: true,
+      content: {
+        'multipart/form-data': {
+          schema: {
+            ...fields,
+            properties: { [operation.upload]: { type: 'string', format: 'binary' }, ...fields.properties },
+            required: [operation.upload, ...(fields.required || [])],
+          },
+        },
+      },
+    };
+  } else if (operation.request && operation.request.body) {
+    spec.requestBody = { required: true, content: jsonContent(joiToJsonSchema(operation.request.body)) };
+  }
+
+  spec.responses = buildResponses(operation);
+  return spec;
+};
+
+/**
+ * The complete OpenAPI document
+ */
+const buildOpenApiDocument = () => {
+  const paths = {};
+
+  for (const operation of OPERATIONS) {
+    paths[operation.path] = paths[operation.path] || {};
+    paths[operation.path][operation.method] = buildOperation(operation);
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Kraft AI Backend API',
+      version,
+      description: 'Authentication, projects, files, chats and AI code generation. '
+        + 'Every error response uses the `Error` envelope and carries the `X-Request-Id` header.',
+    },
+    servers: [{ url: '/' }],
+    tags: ['Auth', 'Projects', 'Files', 'Chats', 'AI', 'Usage'].map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      },
+      schemas: components,
+    },
+  };
+};
+
+module.exports = {
+  OPERATIONS,
+  buildOpenApiDocument,
+};
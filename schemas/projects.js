@@ -0,0 +1,84 @@
+/**
+ * Project Request Schemas
+ */
+
+const Project = require('../models/Project');
+const { EXPORT_TARGETS } = require('../services/projectExportService');
+const { Joi, objectId, enumOf } = require('./common');
+
+const params = Joi.object({
+  id: objectId().required(),
+});
+
+const name = Joi.string().trim().min(1).max(100);
+const description = Joi.string().allow('').max(2000);
+const type = Joi.string().valid(...enumOf(Project, 'type'));
+
+module.exports = {
+  createProject: {
+    body: Joi.object({
+      name: name.required(),
+      description,
+      type,
+    }),
+  },
+
+  importProject: {
+    body: Joi.object({
+      name,
+      description,
+      type,
+    }),
+  },
+
+  getProject: { params },
+
+  updateProject: {
+    params,
+    body: Joi.object({
+      name,
+      description,
+      type,
+      status: Joi.string().valid(...enumOf(Project, 'status')),
+    }),
+  },
+
+  deleteProject: { params },
+
+  exportProject: {
+    params,
+    query: Joi.object({
+      target: Joi.string().valid(...EXPORT_TARGETS).default('cra'),
+    }),
+  },
+
+  forkProject: {
+    params,
+    body: Joi.object({
+      name,
+      includeChat: Joi.boolean().default(false),
+    }),
+  },
+
+  createSnapshot: {
+    params,
+    body: Joi.object({
+      label: Joi.string().trim().allow('').max(200),
+      chatMessageId: objectId(),
+    }),
+  },
+
+  listSnapshots: { params },
+
+  getSnapshot: {
+    params: params.keys({
+      snapshotId: objectId().required(),
+    }),
+  },
+
+  restoreSnapshot: {
+    params: params.keys({
+      snapshotId: objectId().required(),
+    }),
+  },
+};
@@ -0,0 +1,430 @@
+/**
+ * Response Schemas
+ * JSON Schemas (OpenAPI 3.1 components) for the bodies the API sends back.
+ * Documents are serialized Mongoose models, so enumerations come from the
+ * models. Extra properties are allowed; missing or mistyped ones are drift.
+ */
+
+const Project = require('../models/Project');
+const File = require('../models/File');
+const Chat = require('../models/Chat');
+const Job = require('../models/Job');
+const Snapshot = require('../models/Snapshot');
+const FileRevision = require('../models/FileRevision');
+const { enumOf } = require('./common');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (schema) => ({ anyOf: [schema, { type: 'null' }] });
+const arrayOf = (schema) => ({ type: 'array', items: schema });
+
+const id = { type: 'string', pattern: '^[0-9a-fA-F]{24}$' };
+const timestamp = { type: 'string', format: 'date-time' };
+
+// { success: true, ...properties } with every property required
+const success = (properties) => ({
+  type: 'object',
+  properties: { success: { const: true }, ...properties },
+  required: ['success', ...Object.keys(properties)],
+});
+
+const message = { type: 'string' };
+
+const components = {
+  Error: {
+    type: 'object',
+    properties: {
+      success: { const: false },
+      error: {
+        type: 'object',
+        properties: {
+          message: { type: 'string' },
+          type: { type: 'string' },
+          requestId: { type: 'string' },
+          timestamp,
+          details: {},
+          retryAfter: { type: 'integer' },
+        },
+        required: ['message', 'type', 'requestId', 'timestamp'],
+      },
+    },
+    required: ['success', 'error'],
+  },
+
+  User: {
+    type: 'object',
+    properties: {
+      _id: id,
+      username: { type: 'string' },
+      email: { type: 'string' },
+      avatar: nullable({ type: 'string' }),
+      bio: { type: 'string' },
+      isGuest: { type: 'boolean' },
+      createdAt: timestamp,
+      updatedAt: timestamp,
+    },
+    required: ['_id', 'username', 'email'],
+    // The password hash must never be serialized
+    not: { required: ['password'] },
+  },
+
+  GuestUser: {
+    type: 'object',
+    properties: {
+      id,
+      email: { type: 'string' },
+      username: { type: 'string' },
+      name: { type: 'string' },
+      isGuest: { const: true },
+    },
+    required: ['id', 'email', 'username', 'isGuest'],
+  },
+
+  Project: {
+    type: 'object',
+    properties: {
+      _id: id,
+      userId: id,
+      name: { type: 'string' },
+      description: { type: 'string' },
+      type: { enum: enumOf(Project, 'type') },
+      status: { enum: enumOf(Project, 'status') },
+      thumbnail: nullable({ type: 'string' }),
+      tags: arrayOf({ type: 'string' }),
+      fileCount: { type: 'integer' },
+      forkedFrom: nullable(id),
+      createdAt: timestamp,
+      updatedAt: timestamp,
+    },
+    required: ['_id', 'userId', 'name', 'type', 'status'],
+  },
+
+  File: {
+    type: 'object',
+    properties: {
+      _id: id,
+      projectId: id,
+      userId: id,
+      path: { type: 'string' },
+      content: { type: 'string' },
+      language: { enum: enumOf(File, 'language') },
+      size: { type: 'integer' },
+      operation: { enum: enumOf(File, 'operation') },
+      createdAt: timestamp,
+      updatedAt: timestamp,
+    },
+    required: ['_id', 'projectId', 'path', 'content', 'language'],
+  },
+
+  ChatMessage: {
+    type: 'object',
+    properties: {
+      _id: id,
+      projectId: id,
+      userId: id,
+      type: { enum: enumOf(Chat, 'type') },
+      content: { type: 'string' },
+      metadata: {
+        type: 'object',
+        properties: {
+          fileCount: { type: 'integer' },
+          codeGenerated: { type: 'boolean' },
+          model: { type: 'string' },
+        },
+      },
+      createdAt: timestamp,
+      updatedAt: timestamp,
+    },
+    required: ['_id', 'projectId', 'type', 'content'],
+  },
+
+  Rename: {
+    type: 'object',
+    properties: { from: { type: 'string' }, to: { type: 'string' } },
+    required: ['from', 'to'],
+  },
+
+  GeneratedFile: {
+    type: 'object',
+    properties: {
+      path: { type: 'string' },
+      content: { type: 'string' },
+      language: { type: 'string' },
+      operation: { type: 'string' },
+    },
+    required: ['path', 'content'],
+  },
+
+  ValidationReport: {
+    type: 'object',
+    properties: {
+      status: { enum: ['VALID', 'INVALID'] },
+      score: { type: 'number', minimum: 0, maximum: 100 },
+      summary: {
+        type: 'object',
+        properties: {
+          valid: { type: 'boolean' },
+          errors: { type: 'integer' },
+          warnings: { type: 'integer' },
+          filesChecked: { type: 'integer' },
+        },
+        required: ['valid', 'errors', 'warnings', 'filesChecked'],
+      },
+      details: { type: 'object' },
+      errors: arrayOf({ type: 'string' }),
+      warnings: arrayOf({ type: 'string' }),
+      recommendations: { type: 'array' },
+      fixedFiles: nullable(arrayOf(ref('GeneratedFile'))),
+    },
+    required: ['status', 'score', 'summary', 'errors', 'warnings'],
+  },
+
+  GenerationResult: {
+    type: 'object',
+    properties: {
+      content: { type: 'string' },
+      explanation: { type: 'string' },
+      files: arrayOf(ref('GeneratedFile')),
+      deleted: arrayOf({ type: 'string' }),
+      renamed: arrayOf(ref('Rename')),
+      model: { type: 'string' },
+      provider: { type: 'string' },
+      type: { type: 'string' },
+      validation: nullable(ref('ValidationReport')),
+      continuation: {
+        type: 'object',
+        properties: { complete: { type: 'boolean' }, rounds: { type: 'array' } },
+        required: ['complete', 'rounds'],
+      },
+      repair: {
+        type: 'object',
+        properties: { passed: { type: 'boolean' }, rounds: { type: 'array' } },
+        required: ['passed', 'rounds'],
+      },
+    },
+    required: ['files', 'model', 'provider', 'type', 'validation'],
+  },
+
+  Job: {
+    type: 'object',
+    properties: {
+      id,
+      status: { enum: enumOf(Job, 'status') },
+      prompt: { type: 'string' },
+      type: { type: 'string' },
+      partialOutput: { type: 'string' },
+      result: nullable(ref('GenerationResult')),
+      error: nullable({ type: 'string' }),
+      attempts: { type: 'integer' },
+      createdAt: timestamp,
+      startedAt: nullable(timestamp),
+      finishedAt: nullable(timestamp),
+    },
+    required: ['id', 'status', 'prompt'],
+  },
+
+  Snapshot: {
+    type: 'object',
+    properties: {
+      id,
+      projectId: id,
+      label: { type: 'string' },
+      trigger: { enum: enumOf(Snapshot, 'trigger') },
+      chatMessageId: nullable(id),
+      fileCount: { type: 'integer' },
+      totalSize: { type: 'integer' },
+      createdAt: timestamp,
+    },
+    required: ['id', 'projectId', 'label', 'trigger', 'chatMessageId', 'fileCount', 'totalSize', 'createdAt'],
+  },
+
+  SnapshotFile: {
+    type: 'object',
+    properties: {
+      path: { type: 'string' },
+      language: { type: 'string' },
+      content: { type: 'string' },
+      size: { type: 'integer' },
+    },
+    required: ['path', 'language', 'content', 'size'],
+  },
+
+  FileRevision: {
+    type: 'object',
+    properties: {
+      id,
+      fileId: id,
+      path: { type: 'string' },
+      language: { type: 'string' },
+      hash: { type: 'string' },
+      size: { type: 'integer' },
+      source: { enum: enumOf(FileRevision, 'source') },
+      operation: { enum: enumOf(FileRevision, 'operation') },
+      userId: id,
+      createdAt: timestamp,
+    },
+    required: ['id', 'fileId', 'path', 'hash', 'size', 'source', 'operation', 'userId', 'createdAt'],
+  },
+
+  UsageRollup: {
+    type: 'object',
+    properties: {
+      period: { type: 'string' },
+      requests: { type: 'integer' },
+      failures: { type: 'integer' },
+      promptTokens: { type: 'integer' },
+      completionTokens: { type: 'integer' },
+      totalTokens: { type: 'integer' },
+      avgLatencyMs: { type: 'integer' },
+    },
+    required: ['period', 'requests', 'failures', 'promptTokens', 'completionTokens', 'totalTokens', 'avgLatencyMs'],
+  },
+
+  Quota: {
+    type: 'object',
+    properties: {
+      allowed: { type: 'boolean' },
+      plan: { enum: ['user', 'guest'] },
+      limits: { type: 'object' },
+      used: { type: 'object' },
+      exceeded: nullable({
+        type: 'object',
+        properties: {
+          period: { enum: ['daily', 'monthly'] },
+          metric: { enum: ['requests', 'tokens'] },
+          limit: { type: 'integer' },
+          used: { type: 'integer' },
+          resetAt: timestamp,
+        },
+        required: ['period', 'metric', 'limit', 'used', 'resetAt'],
+      }),
+    },
+    required: ['allowed', 'plan', 'limits', 'used', 'exceeded'],
+  },
+
+  AuthResponse: success({ message, token: { type: 'string' }, user: ref('User') }),
+  GuestAuthResponse: success({ message, token: { type: 'string' }, user: ref('GuestUser') }),
+  UserResponse: success({ user: ref('User') }),
+  UserUpdatedResponse: success({ message, user: ref('User') }),
+
+  ProjectResponse: success({ message, project: ref('Project') }),
+  ProjectImportedResponse: success({
+    message,
+    project: ref('Project'),
+    report: {
+      type: 'object',
+      properties: {
+        imported: arrayOf({
+          type: 'object',
+          properties: { path: { type: 'string' }, language: { type: 'string' }, size: { type: 'integer' } },
+          required: ['path', 'language', 'size'],
+        }),
+        skipped: arrayOf({
+          type: 'object',
+          properties: { path: { type: 'string' }, reason: { type: 'string' } },
+          required: ['path', 'reason'],
+        }),
+      },
+      required: ['imported', 'skipped'],
+    },
+  }),
+  ProjectForkedResponse: success({
+    message,
+    project: ref('Project'),
+    copied: {
+      type: 'object',
+      properties: { files: { type: 'integer' }, chatMessages: { type: 'integer' } },
+      required: ['files', 'chatMessages'],
+    },
+  }),
+  ProjectListResponse: success({ projects: arrayOf(ref('Project')), count: { type: 'integer' } }),
+  ProjectWithFilesResponse: success({ project: ref('Project'), files: arrayOf(ref('File')) }),
+
+  FileResponse: success({ file: ref('File') }),
+  FileChangedResponse: success({ message, file: ref('File') }),
+  FileListResponse: success({ files: arrayOf(ref('File')), count: { type: 'integer' } }),
+  FileHistoryResponse: success({ revisions: arrayOf(ref('FileRevision')), count: { type: 'integer' } }),
+  FileDiffResponse: success({
+    from: ref('FileRevision'),
+    // null when diffing against the current file
+    to: nullable(ref('FileRevision')),
+    diff: { type: 'string' },
+    additions: { type: 'integer' },
+    deletions: { type: 'integer' },
+  }),
+
+  ChatListResponse: success({ messages: arrayOf(ref('ChatMessage')) }),
+  ChatSavedResponse: success({ message, data: ref('ChatMessage') }),
+  ChatBulkSavedResponse: success({ message, count: { type: 'integer' }, data: arrayOf(ref('ChatMessage')) }),
+  ChatDeletedResponse: success({ message, deletedCount: { type: 'integer' } }),
+
+  MessageResponse: success({ message }),
+
+  SnapshotResponse: success({ message, snapshot: ref('Snapshot') }),
+  SnapshotListResponse: success({ snapshots: arrayOf(ref('Snapshot')), count: { type: 'integer' } }),
+  SnapshotWithFilesResponse: success({ snapshot: ref('Snapshot'), files: arrayOf(ref('SnapshotFile')) }),
+  SnapshotRestoredResponse: success({
+    message,
+    snapshot: ref('Snapshot'),
+    backup: ref('Snapshot'),
+    project: ref('Project'),
+    files: arrayOf(ref('File')),
+  }),
+
+  GenerationResponse: success({ data: ref('GenerationResult') }),
+  ProjectGenerationResponse: success({
+    data: ref('GenerationResult'),
+    snapshotId: nullable(id),
+    project: ref('Project'),
+    files: arrayOf(ref('File')),
+    changes: {
+      type: 'object',
+      properties: {
+        created: arrayOf({ type: 'string' }),
+        updated: arrayOf({ type: 'string' }),
+        deleted: arrayOf({ type: 'string' }),
+        renamed: arrayOf(ref('Rename')),
+      },
+      required: ['created', 'updated', 'deleted', 'renamed'],
+    },
+    messages: arrayOf(ref('ChatMessage')),
+  }),
+  JobResponse: success({ data: ref('Job') }),
+  JobCancelledResponse: success({ message, data: ref('Job') }),
+  ValidationReportResponse: success({ data: ref('ValidationReport') }),
+  ModelsResponse: success({
+    models: {
+      type: 'object',
+      additionalProperties: arrayOf({
+        type: 'object',
+        properties: { id: { type: 'string' }, name: { type: 'string' } },
+        required: ['id'],
+      }),
+    },
+  }),
+  AIHealthResponse: {
+    type: 'object',
+    properties: {
+      status: { const: 'ok' },
+      providers: { type: 'object', additionalProperties: { enum: ['ok', 'error'] } },
+      chain: arrayOf({ type: 'string' }),
+    },
+    required: ['status', 'providers', 'chain'],
+  },
+
+  UsageResponse: success({
+    usage: {
+      type: 'object',
+      properties: {
+        daily: arrayOf(ref('UsageRollup')),
+        monthly: arrayOf(ref('UsageRollup')),
+      },
+      required: ['daily', 'monthly'],
+    },
+    quota: ref('Quota'),
+  }),
+};
+
+module.exports = {
+  components,
+  ref,
+};
@@ -0,0 +1,16 @@
+/**
+ * Usage Request Schemas
+ */
+
+const { Joi, objectId } = require('./common');
+
+module.exports = {
+  // days and months are capped by the controller
+  getUsage: {
+    query: Joi.object({
+      days: Joi.number().integer().min(1),
+      months: Joi.number().integer().min(1),
+      projectId: objectId(),
+    }),
+  },
+};
@@ -2,6 +2,8 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const connectDB = require('./config/database');
+const jobQueue = require('./services/jobQueue');
+const { errorHandler, notFoundHandler, requestId } = require('./middleware/errorHandler');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -9,17 +11,30 @@ const aiRoutes = require('./routes/ai');
 const projectRoutes = require('./routes/projects');
 const fileRoutes = require('./routes/files');
 const chatRoutes = require('./routes/chat');
+const usageRoutes = require('./routes/usage');
+const docsRoutes = require('./routes/docs');
 
 const app = express();
 
-// Connect to MongoDB
-connectDB().catch((error) => {
+// Behind a load balancer the client IP (used by the rate limiters) comes from
+// X-Forwarded-For; TRUST_PROXY is the number of proxy hops or an express
+// trust proxy setting
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+// Connect to MongoDB, then start the background job workers
+connectDB().then(() => jobQueue.start()).catch((error) => {
   console.error('Failed to connect to MongoDB:', error);
   process.exit(1);
 });
 
+// Tag every request with an id (echoed as X-Request-Id and in error bodies)
+app.use(requestId);
+
 // CORS configuration
-app.use(cors());
+app.use(cors({ exposedHeaders: ['X-Request-Id', 'Retry-After'] }));
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
@@ -36,6 +51,8 @@ app.use('/api/ai', aiRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/files', fileRoutes);
 app.use('/api/chats', chatRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api', docsRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -47,18 +64,10 @@ app.get('/', (req, res) => {
 });
 
 // 404 handler
-app.use((req, res) => {
-  res.status(404).json({ error: 'Route not found' });
-});
+app.use(notFoundHandler);
 
-// Error handler
-app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  res.status(err.status || 500).json({
-    error: err.message || 'Internal server error',
-    timestamp: new Date().toISOString(),
-  });
-});
+// Error handler: every error response goes through here
+app.use(errorHandler);
 
 const PORT = process.env.PORT || 3001;
 
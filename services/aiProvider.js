@@ -0,0 +1,113 @@
+/**
+ * AI Provider
+ * Base class every code generation backend implements.
+ * Adapters register themselves with the provider registry and are then
+ * usable anywhere in the fallback chain.
+ */
+
+class AIProvider {
+  constructor(name) {
+    this.name = name;
+    this.model = null;
+  }
+
+  /**
+   * Whether the provider is configured (API key, base URL, ...)
+   */
+  isAvailable() {
+    return false;
+  }
+
+  /**
+   * Generate code for a prompt.
+   * Must resolve to the provider's raw response; callers pass it through
+   * normalizeResponse before use. `options.signal` (an AbortSignal) cancels
+   * the request.
+   */
+  async generateCode(prompt, type = 'react', context = {}, options = {}) {
+    throw new Error(`${this.name} provider does not implement generateCode`);
+  }
+
+  /**
+   * Stream a completion. Yields { content, finishReason, usage } chunks.
+   * Providers without native streaming yield the whole completion at once.
+   */
+  async *streamCode(prompt, type = 'react', context = {}, options = {}) {
+    const response = this.normalizeResponse(await this.generateCode(prompt, type, context, options));
+    yield {
+      content: response.content,
+      finishReason: response.finishReason,
+      usage: response.usage
+    };
+  }
+
+  /**
+   * Multi-turn chat with { role, content } messages
+   */
+  async generateChat(messages, options = {}) {
+    throw new Error(`${this.name} provider does not implement generateChat`);
+  }
+
+  /**
+   * Resolve when the provider is reachable, reject otherwise
+   */
+  async healthCheck() {
+    throw new Error(`${this.name} provider does not implement healthCheck`);
+  }
+
+  async getModels() {
+    return this.model ? [{ id: this.model, name: this.model }] : [];
+  }
+
+  /**
+   * Reject with an AbortError as soon as `signal` aborts. For SDKs that
+   * cannot cancel a request the late result is simply dropped.
+   */
+  withSignal(promise, signal) {
+    if (!signal) return promise;
+    AIProvider.throwIfAborted(signal);
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(AIProvider.abortError());
+      signal.addEventListener('abort', onAbort, { once: true });
+
+      promise.then(
+        value => {
+          signal.removeEventListener('abort', onAbort);
+          resolve(value);
+        },
+        error => {
+          signal.removeEventListener('abort', onAbort);
+          reject(error);
+        }
+      );
+    });
+  }
+
+  static abortError() {
+    const error = new Error('Generation cancelled');
+    error.name = 'AbortError';
+    return error;
+  }
+
+  static throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      throw AIProvider.abortError();
+    }
+  }
+
+  /**
+   * Convert a raw response into { content, model, provider, usage, finishReason }
+   */
+  normalizeResponse(response) {
+    return {
+      content: response?.content || '',
+      model: response?.model || this.model || 'unknown',
+      provider: this.name,
+      usage: response?.usage || null,
+      finishReason: response?.finishReason || null
+    };
+  }
+}
+
+module.exports = AIProvider;
@@ -1,7 +1,10 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const AIProvider = require('./aiProvider');
 
-class GeminiService {
+class GeminiService extends AIProvider {
   constructor() {
+    super('gemini');
+
     if (!process.env.GOOGLE_API_KEY) {
       console.warn('⚠️  GOOGLE_API_KEY not set. Gemini service will not be available.');
       this.client = null;
@@ -20,7 +23,7 @@ class GeminiService {
     this.maxRequestsPerWindow = 15; // Conservative for free tier (60 req/min limit)
   }
 
-  async isAvailable() {
+  isAvailable() {
     return this.client !== null;
   }
 
@@ -39,7 +42,7 @@ class GeminiService {
     this.requestCount++;
   }
 
-  async generateCode(prompt, type = 'react', context = {}) {
+  async generateCode(prompt, type = 'react', context = {}, options = {}) {
     if (!this.client) {
       throw new Error('Gemini service not available. API key not configured.');
     }
@@ -47,25 +50,10 @@ class GeminiService {
     this.checkRateLimit();
 
     try {
-      // For react/sandpack, use master prompt
-      let enhancedPrompt = prompt;
-      if (type === 'react' || type === 'sandpack') {
-        const masterPrompt = require('../prompts/masterPrompt');
-        const systemPromptTemplate = masterPrompt.getMasterSandpackPrompt();
-        enhancedPrompt = `${systemPromptTemplate}\n\nUser Request: ${prompt}`;
-      }
+      const model = this.getCodeModel();
 
-      const model = this.client.getGenerativeModel({ 
-        model: this.model,
-        generationConfig: {
-          temperature: this.temperature,
-          maxOutputTokens: this.maxTokens,
-          topP: 0.8,
-          topK: 10
-        }
-      });
-
-      const result = await model.generateContent(enhancedPrompt);
+      // The SDK cannot cancel requests, so an aborted call is only dropped
+      const result = await this.withSignal(model.generateContent(this.buildPrompt(prompt, type, context)), options.signal);
       const response = await result.response;
       const text = response.text();
 
@@ -82,27 +70,133 @@ class GeminiService {
           promptTokens: response.usageMetadata?.promptTokenCount || 0,
           completionTokens: response.usageMetadata?.candidatesTokenCount || 0,
           totalTokens: response.usageMetadata?.totalTokenCount || 0
-        }
+        },
+        finishReason: response.candidates?.[0]?.finishReason || null
       };
 
     } catch (error) {
+      AIProvider.throwIfAborted(options.signal);
       console.error('Gemini API error:', error.message);
+      throw this.mapError(error);
+    }
+  }
 
-      // Handle specific Gemini errors
-      if (error.message?.includes('quota') || error.message?.includes('limit')) {
-        throw new Error('Gemini rate limit exceeded. Please try again later.');
-      }
-      
-      if (error.message?.includes('API key') || error.status === 403) {
-        throw new Error('Gemini API authentication failed. Please check your API key.');
+  /**
+   * Stream a completion chunk by chunk.
+   * Yields { content, finishReason, usage } objects as Gemini sends them.
+   */
+  async *streamCode(prompt, type = 'react', context = {}, options = {}) {
+    if (!this.client) {
+      throw new Error('Gemini service not available. API key not configured.');
+    }
+
+    this.checkRateLimit();
+
+    try {
+      const model = this.getCodeModel();
+      const result = await this.withSignal(model.generateContentStream(this.buildPrompt(prompt, type, context)), options.signal);
+
+      for await (const chunk of result.stream) {
+        AIProvider.throwIfAborted(options.signal);
+        const candidate = chunk.candidates && chunk.candidates[0];
+        yield {
+          content: chunk.text(),
+          finishReason: candidate?.finishReason || null,
+          usage: chunk.usageMetadata ? {
+            promptTokens: chunk.usageMetadata.promptTokenCount || 0,
+            completionTokens: chunk.usageMetadata.candidatesTokenCount || 0,
+            totalTokens: chunk.usageMetadata.totalTokenCount || 0
+          } : null
+        };
       }
+    } catch (error) {
+      AIProvider.throwIfAborted(options.signal);
+      console.error('Gemini stream error:', error.message);
+      throw this.mapError(error);
+    }
+  }
 
-      if (error.status >= 500) {
-        throw new Error('Gemini service temporarily unavailable.');
+  /**
+   * Build the single-turn prompt sent to Gemini for a generation request
+   */
+  buildPrompt(prompt, type = 'react', context = {}) {
+    // Gemini gets a single prompt, so the cut-off answer is quoted inline
+    if (context.continuation) {
+      const SandpackPromptBuilder = require('../utils/sandpackPromptBuilder');
+      const { continuation, ...original } = context;
+      return `${this.buildPrompt(prompt, type, original)}
+
+YOUR PREVIOUS RESPONSE:
+${continuation.content}
+
+${SandpackPromptBuilder.buildContinuationPrompt(continuation)}`;
+    }
+
+    // Edit mode carries its own instructions together with the current files
+    if (context.mode === 'edit') {
+      const SandpackPromptBuilder = require('../utils/sandpackPromptBuilder');
+      return SandpackPromptBuilder.buildEditPrompt(prompt, context);
+    }
+
+    if (context.mode === 'repair') {
+      const SandpackPromptBuilder = require('../utils/sandpackPromptBuilder');
+      return SandpackPromptBuilder.buildRepairPrompt(prompt, context);
+    }
+
+    // For react/sandpack, use master prompt
+    if (type === 'react' || type === 'sandpack') {
+      const masterPrompt = require('../prompts/masterPrompt');
+      const systemPromptTemplate = masterPrompt.getMasterSandpackPrompt();
+      return `${systemPromptTemplate}\n\nUser Request: ${prompt}`;
+    }
+
+    return prompt;
+  }
+
+  getCodeModel() {
+    return this.client.getGenerativeModel({ 
+      model: this.model,
+      generationConfig: {
+        temperature: this.temperature,
+        maxOutputTokens: this.maxTokens,
+        topP: 0.8,
+        topK: 10
       }
+    });
+  }
 
-      throw new Error(`Gemini API error: ${error.message}`);
+  /**
+   * Accepts both our own response shape and raw SDK candidates
+   */
+  normalizeResponse(response) {
+    if (response && !response.content && response.candidates && response.candidates[0]) {
+      return super.normalizeResponse({
+        ...response,
+        content: response.candidates[0].content?.parts?.[0]?.text || '',
+        finishReason: response.candidates[0].finishReason
+      });
     }
+
+    return super.normalizeResponse(response);
+  }
+
+  /**
+   * Translate SDK errors into the messages the rest of the app expects
+   */
+  mapError(error) {
+    if (error.message?.includes('quota') || error.message?.includes('limit')) {
+      return new Error('Gemini rate limit exceeded. Please try again later.');
+    }
+    
+    if (error.message?.includes('API key') || error.status === 403) {
+      return new Error('Gemini API authentication failed. Please check your API key.');
+    }
+
+    if (error.status >= 500) {
+      return new Error('Gemini service temporarily unavailable.');
+    }
+
+    return new Error(`Gemini API error: ${error.message}`);
   }
 
   async generateCodeOld(systemPrompt, userPrompt, context = {}) {
@@ -0,0 +1,239 @@
+/**
+ * Job Queue
+ * Runs code generation jobs in the background with a fixed number of
+ * in-process workers. Jobs live in MongoDB, so queued work survives a
+ * restart and several server processes can share one queue.
+ *
+ * Running jobs write their partial output and a heartbeat every
+ * JOB_PROGRESS_INTERVAL_MS. A job whose heartbeat is older than
+ * JOB_STALE_AFTER_MS (its worker died) is queued again, up to
+ * MAX_ATTEMPTS times. Cancelling a job aborts the provider call in the
+ * process running it.
+ */
+
+const os = require('os');
+const Job = require('../models/Job');
+const AIController = require('../controllers/aiController');
+const UsageService = require('./usageService');
+
+const MAX_ATTEMPTS = 3;
+
+class JobQueue {
+  constructor(options = {}) {
+    this.controller = options.controller || new AIController();
+    const workers = parseInt(process.env.JOB_WORKERS);
+    this.concurrency = options.concurrency ?? (Number.isNaN(workers) ? 2 : workers);
+    this.pollInterval = options.pollInterval || parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+    this.progressInterval = options.progressInterval || parseInt(process.env.JOB_PROGRESS_INTERVAL_MS) || 1000;
+    this.staleAfter = options.staleAfter || parseInt(process.env.JOB_STALE_AFTER_MS) || 5 * 60 * 1000;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+
+    // jobId -> AbortController for the jobs this process is running
+    this.running = new Map();
+    this.timer = null;
+    this.filling = null;
+  }
+
+  /**
+   * Start polling for queued jobs. Does nothing when JOB_WORKERS is 0.
+   */
+  start() {
+    if (this.timer || this.concurrency <= 0) {
+      return this;
+    }
+
+    this.timer = setInterval(() => this.fill(), this.pollInterval);
+    this.timer.unref();
+    this.fill();
+
+    console.log(`✅ Job queue started with ${this.concurrency} worker(s)`);
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Store a new job and wake a worker. Resolves to the job document.
+   */
+  async enqueue(userId, { prompt, type = 'react', context = {}, repair = null }) {
+    const job = await Job.create({ userId, prompt, type, context, repair });
+
+    if (this.timer) {
+      this.fill();
+    }
+
+    return job;
+  }
+
+  /**
+   * Cancel a queued or running job owned by `userId`.
+   * Resolves to the updated job, or null when no active job matched.
+   */
+  async cancel(jobId, userId) {
+    const job = await Job.findOneAndUpdate(
+      { _id: jobId, userId, status: { $in: ['queued', 'running'] } },
+      { $set: { status: 'cancelled', finishedAt: new Date() } },
+      { new: true }
+    );
+
+    // Jobs running in another process notice on their next heartbeat
+    if (job && this.running.has(String(job._id))) {
+      this.running.get(String(job._id)).abort();
+    }
+
+    return job;
+  }
+
+  /**
+   * Claim queued jobs until every worker is busy. Calls are serialized so
+   * overlapping polls do not over-claim.
+   */
+  fill() {
+    if (!this.filling) {
+      this.filling = this.claimJobs()
+        .catch(error => console.error('❌ Job queue poll failed:', error.message))
+        .finally(() => {
+          this.filling = null;
+        });
+    }
+
+    return this.filling;
+  }
+
+  async claimJobs() {
+    await this.requeueStale();
+
+    while (this.running.size < this.concurrency) {
+      const job = await this.claimNext();
+      if (!job) break;
+      this.run(job);
+    }
+  }
+
+  /**
+   * Atomically move the oldest queued job to `running`
+   */
+  claimNext() {
+    const now = new Date();
+
+    return Job.findOneAndUpdate(
+      { status: 'queued' },
+      {
+        $set: { status: 'running', workerId: this.workerId, startedAt: now, heartbeatAt: now },
+        $inc: { attempts: 1 }
+      },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Queue running jobs whose worker stopped sending heartbeats again, or
+   * fail them once they have used up their attempts
+   */
+  async requeueStale() {
+    const cutoff = new Date(Date.now() - this.staleAfter);
+    const stale = { status: 'running', heartbeatAt: { $lt: cutoff } };
+
+    await Job.updateMany(
+      { ...stale, attempts: { $gte: MAX_ATTEMPTS } },
+      { $set: { status: 'failed', error: 'Worker stopped responding', finishedAt: new Date() } }
+    );
+    await Job.updateMany(
+      { ...stale, attempts: { $lt: MAX_ATTEMPTS } },
+      { $set: { status: 'queued', workerId: null, partialOutput: '' } }
+    );
+  }
+
+  /**
+   * Run one claimed job to completion. Never rejects.
+   */
+  async run(job) {
+    const id = String(job._id);
+    const abortController = new AbortController();
+    let output = '';
+    let flushed = '';
+
+    this.running.set(id, abortController);
+
+    // Only touch the job while this worker still owns it; a miss means it
+    // was cancelled (possibly from another process)
+    const owned = { _id: job._id, status: 'running', workerId: this.workerId };
+
+    const heartbeat = setInterval(async () => {
+      try {
+        const update = { heartbeatAt: new Date() };
+        if (output !== flushed) {
+          update.partialOutput = output;
+          flushed = output;
+        }
+
+        const { matchedCount } = await Job.updateOne(owned, { $set: update });
+        if (matchedCount === 0) {
+          abortController.abort();
+        }
+      } catch (error) {
+        console.error(`❌ Job ${id} heartbeat failed:`, error.message);
+      }
+    }, this.progressInterval);
+
+    try {
+      const result = await this.controller.runGeneration(job.prompt, job.type, job.context || {}, {
+        repair: job.repair,
+        signal: abortController.signal,
+        onResult: UsageService.recorder({ userId: job.userId }),
+        onOutput: text => {
+          output = text;
+        }
+      });
+
+      await Job.updateOne(owned, {
+        $set: {
+          status: 'completed',
+          partialOutput: output,
+          result,
+          finishedAt: new Date()
+        }
+      });
+    } catch (error) {
+      if (!abortController.signal.aborted) {
+        console.error(`❌ Job ${id} failed:`, error.message);
+        await Job.updateOne(owned, {
+          $set: { status: 'failed', partialOutput: output, error: error.message, finishedAt: new Date() }
+        }).catch(updateError => console.error(`❌ Job ${id} update failed:`, updateError.message));
+      }
+    } finally {
+      clearInterval(heartbeat);
+      this.running.delete(id);
+      if (this.timer) {
+        this.fill();
+      }
+    }
+  }
+
+  /**
+   * Public view of a job
+   */
+  static serialize(job) {
+    return {
+      id: job._id,
+      status: job.status,
+      prompt: job.prompt,
+      type: job.type,
+      partialOutput: job.partialOutput,
+      result: job.result,
+      error: job.error,
+      attempts: job.attempts,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+}
+
+const jobQueue = new JobQueue();
+
+module.exports = jobQueue;
+module.exports.JobQueue = JobQueue;
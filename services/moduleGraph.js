@@ -0,0 +1,278 @@
+/**
+ * Module Graph
+ * Builds the import graph of a set of generated files and reports broken
+ * imports, missing exports, circular imports and orphan files
+ */
+
+const path = require('path');
+const { isSourceFile, parseSource } = require('../utils/sourceParser');
+const { normalizePath } = require('../utils/fenceParser');
+
+// Order matters: the first candidate that exists wins, like a bundler
+const RESOLVE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.json', '.css'];
+const ENTRY_POINTS = [
+  '/src/index.js', '/src/index.jsx', '/src/index.ts', '/src/index.tsx',
+  '/src/main.js', '/src/main.jsx', '/src/main.ts', '/src/main.tsx',
+  '/index.js', '/index.jsx'
+];
+const ORPHAN_CANDIDATE_PATTERN = /\.(jsx?|tsx?|css)$/;
+
+class ModuleGraph {
+  /**
+   * Build the graph.
+   * Returns {
+   *   modules:   { [path]: { imports, exports, hasStarExport, parsed } },
+   *   edges:     [{ from, to, specifier }],
+   *   external:  [{ file, specifier, line }],
+   *   unresolved:[{ file, specifier, line }],
+   *   missingExports: [{ file, specifier, target, name, line }],
+   *   cycles:    [[path, ...]],
+   *   orphans:   [path]
+   * }
+   */
+  static build(files) {
+    const modules = {};
+
+    (files || []).forEach(file => {
+      const filePath = file && normalizePath(file.path);
+      if (!filePath) return;
+      modules[filePath] = isSourceFile(filePath)
+        ? this.analyzeModule(filePath, file.content || '')
+        : { imports: [], exports: [], hasStarExport: false, parsed: false };
+    });
+
+    const edges = [];
+    const external = [];
+    const unresolved = [];
+    const missingExports = [];
+
+    Object.entries(modules).forEach(([filePath, mod]) => {
+      mod.imports.forEach(imp => {
+        if (!this.isLocalSpecifier(imp.specifier)) {
+          external.push({ file: filePath, specifier: imp.specifier, line: imp.line });
+          return;
+        }
+
+        const target = this.resolve(filePath, imp.specifier, modules);
+        if (!target) {
+          unresolved.push({ file: filePath, specifier: imp.specifier, line: imp.line });
+          return;
+        }
+
+        edges.push({ from: filePath, to: target, specifier: imp.specifier });
+
+        const targetModule = modules[target];
+        if (!targetModule.parsed || targetModule.hasStarExport) return;
+
+        imp.names.forEach(name => {
+          if (!targetModule.exports.includes(name)) {
+            missingExports.push({ file: filePath, specifier: imp.specifier, target, name, line: imp.line });
+          }
+        });
+      });
+    });
+
+    return {
+      modules,
+      edges,
+      external,
+      unresolved,
+      missingExports,
+      cycles: this.findCycles(Object.keys(modules), edges),
+      orphans: this.findOrphans(Object.keys(modules), edges)
+    };
+  }
+
+  /**
+   * Collect imports and exports of one module from its AST
+   */
+  static analyzeModule(filePath, content) {
+    const { ast } = parseSource(filePath, content);
+    const mod = { imports: [], exports: [], hasStarExport: false, parsed: !!ast };
+
+    if (!ast) return mod;
+
+    const addImport = (specifier, names, node) => {
+      mod.imports.push({ specifier, names, line: node.loc ? node.loc.start.line : null });
+    };
+
+    ast.program.body.forEach(node => {
+      switch (node.type) {
+        case 'ImportDeclaration': {
+          if (node.importKind === 'type') break;
+          const names = [];
+          node.specifiers.forEach(spec => {
+            if (spec.type === 'ImportDefaultSpecifier') names.push('default');
+            if (spec.type === 'ImportSpecifier' && spec.importKind !== 'type') {
+              names.push(this.getName(spec.imported));
+            }
+          });
+          addImport(node.source.value, names, node);
+          break;
+        }
+
+        case 'ExportDefaultDeclaration':
+          mod.exports.push('default');
+          break;
+
+        case 'ExportNamedDeclaration':
+          if (node.declaration) {
+            this.getDeclarationNames(node.declaration).forEach(name => mod.exports.push(name));
+          }
+          node.specifiers.forEach(spec => mod.exports.push(this.getName(spec.exported)));
+          if (node.source) {
+            const names = node.specifiers
+              .filter(spec => spec.type === 'ExportSpecifier')
+              .map(spec => this.getName(spec.local));
+            addImport(node.source.value, names, node);
+          }
+          break;
+
+        case 'ExportAllDeclaration':
+          if (node.exported) {
+            mod.exports.push(this.getName(node.exported));
+          } else {
+            mod.hasStarExport = true;
+          }
+          addImport(node.source.value, [], node);
+          break;
+
+        default:
+          break;
+      }
+    });
+
+    // require('x') and import('x') can appear anywhere
+    this.walk(ast.program, node => {
+      const isRequire = node.type === 'CallExpression' &&
+        node.callee.type === 'Identifier' && node.callee.name === 'require';
+      const isDynamicImport = node.type === 'CallExpression' && node.callee.type === 'Import';
+
+      if ((isRequire || isDynamicImport) && node.arguments[0] && node.arguments[0].type === 'StringLiteral') {
+        addImport(node.arguments[0].value, [], node);
+      }
+    });
+
+    return mod;
+  }
+
+  static getName(node) {
+    return node.type === 'StringLiteral' ? node.value : node.name;
+  }
+
+  static getDeclarationNames(declaration) {
+    if (declaration.id) return [declaration.id.name];
+    if (declaration.declarations) {
+      return declaration.declarations
+        .filter(d => d.id && d.id.type === 'Identifier')
+        .map(d => d.id.name);
+    }
+    return [];
+  }
+
+  static walk(node, visit) {
+    if (!node || typeof node.type !== 'string') return;
+    visit(node);
+
+    Object.keys(node).forEach(key => {
+      if (key === 'loc' || key === 'start' || key === 'end' || key === 'extra') return;
+      const child = node[key];
+      if (Array.isArray(child)) {
+        child.forEach(item => this.walk(item, visit));
+      } else if (child && typeof child === 'object') {
+        this.walk(child, visit);
+      }
+    });
+  }
+
+  static isLocalSpecifier(specifier) {
+    return specifier.startsWith('.') || specifier.startsWith('/');
+  }
+
+  /**
+   * Resolve a relative or root-absolute specifier to a file in the graph,
+   * trying the exact path, then extensions, then index files
+   */
+  static resolve(fromPath, specifier, modules) {
+    const base = specifier.startsWith('/')
+      ? path.posix.normalize(specifier)
+      : path.posix.join(path.posix.dirname(fromPath), specifier);
+
+    const candidates = [
+      base,
+      ...RESOLVE_EXTENSIONS.map(ext => base + ext),
+      ...RESOLVE_EXTENSIONS.map(ext => `${base}/index${ext}`)
+    ];
+
+    return candidates.find(candidate => modules[candidate]) || null;
+  }
+
+  /**
+   * Strongly connected components with more than one module (or a module
+   * importing itself) are import cycles
+   */
+  static findCycles(nodes, edges) {
+    const adjacency = new Map(nodes.map(node => [node, []]));
+    edges.forEach(edge => adjacency.get(edge.from).push(edge.to));
+
+    let index = 0;
+    const stack = [];
+    const onStack = new Set();
+    const indices = new Map();
+    const lowLinks = new Map();
+    const cycles = [];
+
+    const strongConnect = (node) => {
+      indices.set(node, index);
+      lowLinks.set(node, index);
+      index++;
+      stack.push(node);
+      onStack.add(node);
+
+      adjacency.get(node).forEach(next => {
+        if (!indices.has(next)) {
+          strongConnect(next);
+          lowLinks.set(node, Math.min(lowLinks.get(node), lowLinks.get(next)));
+        } else if (onStack.has(next)) {
+          lowLinks.set(node, Math.min(lowLinks.get(node), indices.get(next)));
+        }
+      });
+
+      if (lowLinks.get(node) === indices.get(node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== node);
+
+        if (component.length > 1 || adjacency.get(node).includes(node)) {
+          cycles.push(component.reverse());
+        }
+      }
+    };
+
+    nodes.forEach(node => {
+      if (!indices.has(node)) strongConnect(node);
+    });
+
+    return cycles;
+  }
+
+  /**
+   * Source and stylesheet files that no other file imports
+   */
+  static findOrphans(nodes, edges) {
+    const imported = new Set(edges.filter(edge => edge.from !== edge.to).map(edge => edge.to));
+
+    return nodes.filter(node =>
+      ORPHAN_CANDIDATE_PATTERN.test(node) &&
+      !ENTRY_POINTS.includes(node) &&
+      !imported.has(node) &&
+      !/\.config\.(js|ts)$/.test(node)
+    );
+  }
+}
+
+module.exports = ModuleGraph;
@@ -0,0 +1,79 @@
+/**
+ * Mongo Rate Limit Store
+ * express-rate-limit store that keeps counters in MongoDB so every server
+ * instance shares them. One document per key holds the hit count and the
+ * end of its window; a TTL index removes expired counters.
+ */
+
+const RateLimit = require('../models/RateLimit');
+
+const DUPLICATE_KEY = 11000;
+
+class MongoRateLimitStore {
+  constructor(prefix = 'rl:') {
+    this.prefix = prefix;
+    // Keys are shared between instances, not local to this store
+    this.localKeys = false;
+    this.windowMs = 60 * 1000;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  key(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  async get(key) {
+    const doc = await RateLimit.findOne({ key: this.key(key), resetAt: { $gt: new Date() } });
+    return doc ? { totalHits: doc.hits, resetTime: doc.resetAt } : undefined;
+  }
+
+  /**
+   * Count a hit. Starts a new window when the key is missing or its window
+   * has passed, in one atomic update.
+   */
+  async increment(key, retried = false) {
+    const now = new Date();
+    const active = { $gt: ['$resetAt', now] };
+
+    try {
+      const doc = await RateLimit.findOneAndUpdate(
+        { key: this.key(key) },
+        [{
+          $set: {
+            hits: { $cond: [active, { $add: ['$hits', 1] }, 1] },
+            resetAt: { $cond: [active, '$resetAt', new Date(now.getTime() + this.windowMs)] }
+          }
+        }],
+        { upsert: true, new: true }
+      );
+
+      return { totalHits: doc.hits, resetTime: doc.resetAt };
+    } catch (error) {
+      // Two instances upserted the same new key at once; the other one won
+      if (error.code === DUPLICATE_KEY && !retried) {
+        return this.increment(key, true);
+      }
+      throw error;
+    }
+  }
+
+  async decrement(key) {
+    await RateLimit.updateOne(
+      { key: this.key(key), resetAt: { $gt: new Date() }, hits: { $gt: 0 } },
+      { $inc: { hits: -1 } }
+    );
+  }
+
+  async resetKey(key) {
+    await RateLimit.deleteOne({ key: this.key(key) });
+  }
+
+  async resetAll() {
+    await RateLimit.deleteMany({ key: { $regex: `^${this.prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` } });
+  }
+}
+
+module.exports = MongoRateLimitStore;
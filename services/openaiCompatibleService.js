@@ -0,0 +1,245 @@
+const { StringDecoder } = require('string_decoder');
+const axios = require('axios');
+const AIProvider = require('./aiProvider');
+const { buildChatMessages } = require('../prompts/chatPrompts');
+
+/**
+ * OpenAI-compatible provider
+ * Talks the chat-completions wire format to any server exposing it
+ * (llama.cpp server, vLLM, Ollama, LM Studio, hosted OpenAI-style APIs).
+ */
+class OpenAICompatibleService extends AIProvider {
+  constructor() {
+    super('openai');
+
+    if (!process.env.OPENAI_COMPAT_BASE_URL) {
+      console.log('⚠️  OPENAI_COMPAT_BASE_URL not set. OpenAI-compatible service will not be available.');
+      this.available = false;
+      return;
+    }
+
+    this.baseURL = process.env.OPENAI_COMPAT_BASE_URL.replace(/\/+$/, '');
+    this.model = process.env.OPENAI_COMPAT_MODEL || 'llama3';
+    this.maxTokens = parseInt(process.env.OPENAI_COMPAT_MAX_TOKENS) || 7000;
+    // 0 is a valid (deterministic) temperature
+    const temperature = parseFloat(process.env.OPENAI_COMPAT_TEMPERATURE);
+    this.temperature = Number.isNaN(temperature) ? 0.1 : temperature;
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.OPENAI_COMPAT_API_KEY) {
+      headers.Authorization = `Bearer ${process.env.OPENAI_COMPAT_API_KEY}`;
+    }
+
+    this.client = axios.create({
+      baseURL: this.baseURL,
+      headers,
+      timeout: parseInt(process.env.OPENAI_COMPAT_TIMEOUT_MS) || 120000
+    });
+    // Cleared once the server turns out to reject `stream_options`
+    this.streamUsage = true;
+    this.available = true;
+
+    console.log('✅ OpenAI-compatible service initialized');
+    console.log('   Base URL:', this.baseURL);
+    console.log('   Model:', this.model);
+  }
+
+  isAvailable() {
+    return this.available;
+  }
+
+  async generateCode(prompt, type = 'react', context = {}, options = {}) {
+    if (!this.available) {
+      throw new Error('OpenAI-compatible service not available. Base URL not configured.');
+    }
+
+    try {
+      const response = await this.client.post('/chat/completions', {
+        model: this.model,
+        messages: buildChatMessages(prompt, type, context),
+        temperature: this.temperature,
+        max_tokens: this.maxTokens,
+        stream: false
+      }, { signal: options.signal });
+
+      const choice = response.data.choices && response.data.choices[0];
+
+      return {
+        success: true,
+        content: choice?.message?.content || '',
+        model: response.data.model || this.model,
+        provider: 'openai',
+        usage: response.data.usage || null,
+        finishReason: choice?.finish_reason || null
+      };
+    } catch (error) {
+      AIProvider.throwIfAborted(options.signal);
+      console.error('❌ OpenAI-compatible API error:', this.describeError(error));
+      throw new Error(`OpenAI-compatible API error: ${this.describeError(error)}`);
+    }
+  }
+
+  /**
+   * Stream a completion chunk by chunk.
+   * Parses the `data: {...}` server-sent events the chat-completions API emits.
+   */
+  async *streamCode(prompt, type = 'react', context = {}, options = {}) {
+    if (!this.available) {
+      throw new Error('OpenAI-compatible service not available. Base URL not configured.');
+    }
+
+    let response;
+    try {
+      response = await this.requestStream({
+        model: this.model,
+        messages: buildChatMessages(prompt, type, context),
+        temperature: this.temperature,
+        max_tokens: this.maxTokens,
+        stream: true
+      }, options);
+    } catch (error) {
+      AIProvider.throwIfAborted(options.signal);
+      console.error('❌ OpenAI-compatible API error:', this.describeError(error));
+      throw new Error(`OpenAI-compatible API error: ${this.describeError(error)}`);
+    }
+
+    let buffer = '';
+    // Characters can be split across socket chunks
+    const decoder = new StringDecoder('utf8');
+
+    try {
+      for await (const data of response.data) {
+        buffer += decoder.write(data);
+
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const chunk = this.parseStreamLine(line);
+          if (chunk === 'done') return;
+          if (chunk) yield chunk;
+        }
+      }
+
+      const chunk = this.parseStreamLine(buffer + decoder.end());
+      if (chunk && chunk !== 'done') yield chunk;
+    } catch (error) {
+      AIProvider.throwIfAborted(options.signal);
+      console.error('❌ OpenAI-compatible stream error:', error.message);
+      throw new Error(`OpenAI-compatible API error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Start a streamed completion that ends with a usage chunk, so streamed
+   * generations report their token usage. Servers that reject
+   * `stream_options` with a 400 or 422 are retried without it and not
+   * asked again once that works.
+   */
+  async requestStream(body, options = {}) {
+    const config = { responseType: 'stream', signal: options.signal };
+
+    if (this.streamUsage) {
+      try {
+        return await this.client.post('/chat/completions', { ...body, stream_options: { include_usage: true } }, config);
+      } catch (error) {
+        if (![400, 422].includes(error.response?.status)) throw error;
+      }
+    }
+
+    const response = await this.client.post('/chat/completions', body, config);
+    this.streamUsage = false;
+    return response;
+  }
+
+  /**
+   * Parse one SSE line. Returns a chunk, 'done' for the terminator, or null.
+   */
+  parseStreamLine(line) {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('data:')) return null;
+
+    const payload = trimmed.slice(5).trim();
+    if (payload === '[DONE]') return 'done';
+
+    let parsed;
+    try {
+      parsed = JSON.parse(payload);
+    } catch (error) {
+      return null;
+    }
+
+    const choice = parsed.choices && parsed.choices[0];
+    return {
+      content: choice?.delta?.content || '',
+      finishReason: choice?.finish_reason || null,
+      usage: parsed.usage || null
+    };
+  }
+
+  async generateChat(messages, options = {}) {
+    if (!this.available) {
+      throw new Error('OpenAI-compatible service not available. Base URL not configured.');
+    }
+
+    try {
+      const response = await this.client.post('/chat/completions', {
+        model: options.model || this.model,
+        messages,
+        temperature: options.temperature ?? this.temperature,
+        max_tokens: options.maxTokens || this.maxTokens
+      });
+
+      const choice = response.data.choices && response.data.choices[0];
+
+      return {
+        success: true,
+        content: choice?.message?.content || '',
+        model: response.data.model || options.model || this.model,
+        provider: 'openai',
+        usage: response.data.usage || null,
+        finishReason: choice?.finish_reason || null
+      };
+    } catch (error) {
+      console.error('❌ OpenAI-compatible chat error:', this.describeError(error));
+      throw new Error(`OpenAI-compatible API error: ${this.describeError(error)}`);
+    }
+  }
+
+  async getModels() {
+    if (!this.available) {
+      return [];
+    }
+
+    try {
+      const response = await this.client.get('/models');
+      return (response.data.data || []).map(model => ({ id: model.id, name: model.id }));
+    } catch (error) {
+      console.error('Error fetching OpenAI-compatible models:', this.describeError(error));
+      return [{ id: this.model, name: this.model }];
+    }
+  }
+
+  async healthCheck() {
+    if (!this.available) {
+      throw new Error('OpenAI-compatible service not available');
+    }
+
+    try {
+      await this.client.get('/models', { timeout: 10000 });
+      return { status: 'healthy', model: this.model, baseURL: this.baseURL };
+    } catch (error) {
+      throw new Error(`OpenAI-compatible health check failed: ${this.describeError(error)}`);
+    }
+  }
+
+  describeError(error) {
+    if (error.response) {
+      const detail = error.response.data?.error?.message || error.response.statusText;
+      return `${error.response.status} ${detail || ''}`.trim();
+    }
+    return error.message;
+  }
+}
+
+module.exports = OpenAICompatibleService;
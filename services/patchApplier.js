@@ -0,0 +1,184 @@
+/**
+ * Patch Applier
+ * Applies unified-diff hunks from the model to stored file contents.
+ *
+ * Hunks are located by their context rather than trusting line numbers:
+ * the nearest match to the expected line wins, first comparing lines exactly,
+ * then ignoring trailing whitespace, then ignoring all whitespace changes.
+ * If that fails, up to MAX_FUZZ context lines are dropped from each end of
+ * the hunk (like `patch --fuzz`).
+ */
+
+const { normalizePath, getLanguageFromPath } = require('../utils/fenceParser');
+
+const MAX_FUZZ = 2;
+
+const COMPARATORS = [
+  (a, b) => a === b,
+  (a, b) => a.trimEnd() === b.trimEnd(),
+  (a, b) => a.replace(/\s+/g, ' ').trim() === b.replace(/\s+/g, ' ').trim()
+];
+
+class PatchApplier {
+  /**
+   * Apply patches to a set of files ({ path, content }).
+   * A file is only changed when every hunk of its patch applies.
+   * Returns {
+   *   files:   [{ path, content, language, operation: 'update' }],
+   *   results: [{ path, applied, failed: [{ hunk, header, reason }] }]
+   * }
+   */
+  static applyAll(patches, currentFiles = []) {
+    const byPath = new Map(currentFiles.map(file => [normalizePath(file.path), file]));
+    const files = [];
+    const results = [];
+
+    patches.forEach(patch => {
+      const current = byPath.get(patch.path);
+
+      if (!current) {
+        results.push({
+          path: patch.path,
+          applied: 0,
+          failed: [{ hunk: null, header: null, reason: 'File not found in project' }]
+        });
+        return;
+      }
+
+      const { content, applied, failed } = this.applyPatch(current.content || '', patch.hunks);
+      results.push({ path: patch.path, applied, failed });
+
+      if (failed.length === 0) {
+        const file = { path: patch.path, content, language: getLanguageFromPath(patch.path), operation: 'update' };
+        byPath.set(patch.path, file);
+
+        // Two patches for the same file apply on top of each other
+        const existing = files.findIndex(f => f.path === patch.path);
+        if (existing !== -1) {
+          files[existing] = file;
+        } else {
+          files.push(file);
+        }
+      }
+    });
+
+    return { files, results };
+  }
+
+  /**
+   * Apply hunks to one file's content.
+   * Returns { content, applied, failed } where applied is the number of hunks
+   * that applied and failed lists { hunk (1-based), header, reason }.
+   */
+  static applyPatch(content, hunks) {
+    const endsWithNewline = content.endsWith('\n');
+    let lines = content.split('\n');
+    if (endsWithNewline) lines.pop();
+
+    const failed = [];
+    let applied = 0;
+    let offset = 0;
+    let searchFrom = 0;
+
+    hunks.forEach((hunk, index) => {
+      const expected = hunk.oldStart ? Math.max(0, hunk.oldStart - 1 + offset) : searchFrom;
+      const match = this.locateHunk(lines, hunk, expected, searchFrom);
+
+      if (!match) {
+        failed.push({ hunk: index + 1, header: hunk.header, reason: 'Context lines not found' });
+        return;
+      }
+
+      lines = [
+        ...lines.slice(0, match.index),
+        ...match.newLines,
+        ...lines.slice(match.index + match.oldLines.length)
+      ];
+
+      // Later line numbers shift by where this hunk landed and how it resized the file
+      if (hunk.oldStart) {
+        offset = match.index - (hunk.oldStart - 1) + match.newLines.length - match.oldLines.length;
+      }
+      searchFrom = match.index + match.newLines.length;
+      applied++;
+    });
+
+    let result = lines.join('\n');
+    if (endsWithNewline) result += '\n';
+
+    return { content: result, applied, failed };
+  }
+
+  /**
+   * Find where a hunk applies. Returns { index, oldLines, newLines } or null.
+   */
+  static locateHunk(lines, hunk, expected, searchFrom) {
+    for (let fuzz = 0; fuzz <= MAX_FUZZ; fuzz++) {
+      const trimmed = this.trimContext(hunk.lines, fuzz);
+      if (!trimmed) break;
+
+      const oldLines = trimmed.filter(l => l.type !== '+').map(l => l.text);
+      const newLines = trimmed.filter(l => l.type !== '-').map(l => l.text);
+
+      // Pure insertion with no context: trust the line number
+      if (oldLines.length === 0) {
+        return { index: Math.min(expected, lines.length), oldLines, newLines };
+      }
+
+      for (const equals of COMPARATORS) {
+        const index = this.findNearest(lines, oldLines, expected, searchFrom, equals);
+        if (index !== -1) {
+          return { index, oldLines: lines.slice(index, index + oldLines.length), newLines };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Drop `fuzz` context lines from both ends of a hunk. Returns null when
+   * there is not enough leading or trailing context to drop.
+   */
+  static trimContext(hunkLines, fuzz) {
+    if (fuzz === 0) return hunkLines;
+
+    let start = 0;
+    let end = hunkLines.length;
+
+    for (let i = 0; i < fuzz; i++) {
+      if (start < end && hunkLines[start].type === ' ') start++;
+      if (end > start && hunkLines[end - 1].type === ' ') end--;
+    }
+
+    if (start === 0 && end === hunkLines.length) return null;
+
+    const trimmed = hunkLines.slice(start, end);
+    return trimmed.some(l => l.type !== '+') ? trimmed : null;
+  }
+
+  /**
+   * Index of the match for `needle` closest to `expected`, at or after `from`
+   */
+  static findNearest(lines, needle, expected, from, equals) {
+    let best = -1;
+
+    for (let i = from; i + needle.length <= lines.length; i++) {
+      let matches = true;
+      for (let j = 0; j < needle.length; j++) {
+        if (!equals(lines[i + j], needle[j])) {
+          matches = false;
+          break;
+        }
+      }
+
+      if (matches && (best === -1 || Math.abs(i - expected) < Math.abs(best - expected))) {
+        best = i;
+      }
+    }
+
+    return best;
+  }
+}
+
+module.exports = PatchApplier;
@@ -0,0 +1,299 @@
+/**
+ * Project Export Service
+ * Turns a project's files into a runnable app for one of three layouts and
+ * writes it as a zip:
+ *   cra      - Create React App: src/, public/index.html, react-scripts
+ *   vite     - Vite: index.html at the root loading the entry as a module
+ *   sandpack - Sandpack's react template: src/ files moved to the root
+ * Missing scaffold files are filled in from the base prompt templates and
+ * the same defaults generation uses.
+ */
+
+const archiver = require('archiver');
+const { toProjectPath } = require('../utils/fenceParser');
+const SandpackResponseProcessor = require('./sandpackResponseProcessor');
+const {
+  getPackageJsonTemplate,
+  getHtmlTemplate,
+  getReadmeTemplate,
+  getGitignoreTemplate,
+} = require('../prompts/basePrompts');
+
+const EXPORT_TARGETS = ['cra', 'vite', 'sandpack'];
+
+const ENTRY_PATHS = ['/src/index.js', '/src/index.jsx', '/src/index.tsx', '/src/main.jsx', '/src/main.js', '/src/main.tsx'];
+
+// Names generation and the templates give package.json; the project name is better
+const PLACEHOLDER_PACKAGE_NAMES = ['sandpack-app', 'project-name'];
+
+const DEFAULT_ENTRY_FILES = ['/src/index.js', '/src/App.js', '/src/index.css'];
+
+const VITE_DEV_DEPENDENCIES = {
+  vite: '^5.4.0',
+  '@vitejs/plugin-react': '^4.3.0',
+};
+
+// Generated components use JSX in .js files, which Vite only parses when told to
+const VITE_CONFIG = `import { defineConfig } from 'vite';
+import react from '@vitejs/plugin-react';
+
+export default defineConfig({
+  plugins: [react()],
+  esbuild: {
+    loader: 'jsx',
+    include: /src\\/.*\\.jsx?$/,
+    exclude: [],
+  },
+  optimizeDeps: {
+    esbuildOptions: {
+      loader: { '.js': 'jsx' },
+    },
+  },
+});
+`;
+
+/**
+ * A template from basePrompts without its <name_template> wrapper
+ */
+const templateBody = (template) => template
+  .trim()
+  .replace(/^<\w+>\n/, '')
+  .replace(/\n<\/\w+>$/, '');
+
+const escapeHtml = (text) => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+
+const parseJson = (text) => {
+  try {
+    const value = JSON.parse(text);
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const toJson = (value) => `${JSON.stringify(value, null, 2)}\n`;
+
+class ProjectExportService {
+  /**
+   * The files of an export as [{ path, content }], with paths relative to
+   * the archive root ('src/App.js'), sorted by path
+   */
+  static buildExport(project, files, target = 'cra') {
+    if (!EXPORT_TARGETS.includes(target)) {
+      throw new Error(`Unknown export target "${target}"`);
+    }
+
+    const slug = this.slugify(project.name);
+    const layout = this.fillScaffold(project, slug, files);
+
+    if (target === 'vite') {
+      this.toVite(layout);
+    } else if (target === 'sandpack') {
+      this.toSandpack(layout);
+    } else {
+      this.toCra(layout);
+    }
+
+    if (layout.generatedReadme) {
+      layout.files.set('/README.md', this.readme(project, slug, target));
+    }
+
+    return [...layout.files]
+      .map(([path, content]) => ({ path: path.substring(1), content }))
+      .sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  /**
+   * Canonical project files plus whatever a CRA layout is missing.
+   * Returns { files: Map of path to content, generatedReadme }.
+   */
+  static fillScaffold(project, slug, files) {
+    const byPath = new Map();
+    (files || []).forEach(file => {
+      const path = toProjectPath(file.path);
+      if (path) byPath.set(path, file.content || '');
+    });
+
+    const templatePackage = JSON.parse(templateBody(getPackageJsonTemplate()));
+    templatePackage.name = slug;
+    byPath.set('/package.json', byPath.has('/package.json')
+      ? this.mergePackageJson(templatePackage, byPath.get('/package.json'))
+      : toJson(templatePackage));
+
+    if (!byPath.has('/public/index.html') && !byPath.has('/index.html')) {
+      byPath.set('/public/index.html', `${templateBody(getHtmlTemplate())
+        .replace('<title>React App</title>', `<title>${escapeHtml(project.name)}</title>`)}\n`);
+    }
+
+    // Without an entry point, add the one generation would, with its App and index.css
+    if (!ENTRY_PATHS.some(path => byPath.has(path))) {
+      SandpackResponseProcessor.ensureEssentialFiles(
+        [...byPath].map(([path, content]) => ({ path, content }))
+      )
+        .filter(file => DEFAULT_ENTRY_FILES.includes(file.path) && !byPath.has(file.path))
+        .forEach(file => byPath.set(file.path, file.content));
+    }
+
+    if (!byPath.has('/.gitignore')) {
+      byPath.set('/.gitignore', `${templateBody(getGitignoreTemplate())}\n`);
+    }
+
+    return { files: byPath, generatedReadme: !byPath.has('/README.md') };
+  }
+
+  /**
+   * Fill what the project's package.json lacks from the template. The
+   * project's own values win, so its dependencies and scripts are kept.
+   */
+  static mergePackageJson(template, content) {
+    const existing = parseJson(content);
+    if (!existing) {
+      // Not ours to fix; the build will report it
+      return content;
+    }
+
+    return toJson({
+      ...template,
+      ...existing,
+      name: existing.name && !PLACEHOLDER_PACKAGE_NAMES.includes(existing.name) ? existing.name : template.name,
+      dependencies: { ...template.dependencies, ...existing.dependencies },
+      devDependencies: { ...template.devDependencies, ...existing.devDependencies },
+      scripts: { ...template.scripts, ...existing.scripts },
+    });
+  }
+
+  static entryPath(files) {
+    return ENTRY_PATHS.find(path => files.has(path)) || '/src/index.js';
+  }
+
+  static toCra({ files }) {
+    // A Vite-style root index.html becomes public/index.html without its module script
+    if (files.has('/index.html') && !files.has('/public/index.html')) {
+      files.set('/public/index.html', files.get('/index.html')
+        .replace(/[ \t]*<script type="module" src="[^"]*"><\/script>\n?/g, ''));
+      files.delete('/index.html');
+    }
+
+    this.dropMissingAssets(files, '/public/index.html');
+  }
+
+  static toVite({ files }) {
+    const entry = this.entryPath(files);
+
+    if (!files.has('/index.html')) {
+      files.set('/index.html', files.get('/public/index.html'));
+      files.delete('/public/index.html');
+    }
+
+    this.dropMissingAssets(files, '/index.html');
+    let html = files.get('/index.html').replace(/%PUBLIC_URL%/g, '');
+    if (!/<script[^>]+type="module"/.test(html)) {
+      html = html.replace('</body>', `  <script type="module" src="${entry}"></script>\n  </body>`);
+    }
+    files.set('/index.html', html);
+
+    const pkg = parseJson(files.get('/package.json'));
+    if (pkg) {
+      const scripts = Object.fromEntries(Object.entries(pkg.scripts || {})
+        .filter(([, command]) => !/react-scripts/.test(command)));
+      const dependencies = { ...pkg.dependencies };
+      delete dependencies['react-scripts'];
+      delete pkg.eslintConfig;
+
+      files.set('/package.json', toJson({
+        ...pkg,
+        scripts: { dev: 'vite', build: 'vite build', preview: 'vite preview', ...scripts },
+        dependencies,
+        devDependencies: { ...pkg.devDependencies, ...VITE_DEV_DEPENDENCIES },
+      }));
+    }
+
+    if (![...files.keys()].some(path => /^\/vite\.config\.(?:js|cjs|mjs|ts)$/.test(path))) {
+      // .mjs, so the config loads as ESM without making the package "type": "module"
+      files.set('/vite.config.mjs', VITE_CONFIG);
+    }
+  }
+
+  static toSandpack(layout) {
+    const { files } = layout;
+    const entry = this.entryPath(files).replace(/^\/src\//, '/');
+
+    // src/ files move to the root; they win over a root file with the same name
+    [...files.keys()]
+      .filter(path => path.startsWith('/src/'))
+      .forEach(path => {
+        files.set(path.substring(4), files.get(path));
+        files.delete(path);
+      });
+
+    if (files.has('/index.html') && files.has('/public/index.html')) {
+      files.delete('/index.html');
+    }
+
+    const pkg = parseJson(files.get('/package.json'));
+    if (pkg) {
+      files.set('/package.json', toJson({ ...pkg, main: entry }));
+    }
+  }
+
+  /**
+   * Remove <link> tags for %PUBLIC_URL% assets the export does not contain,
+   * like the template's favicon and manifest
+   */
+  static dropMissingAssets(files, htmlPath) {
+    files.set(htmlPath, files.get(htmlPath).replace(
+      /[ \t]*<link [^>]*href="%PUBLIC_URL%\/([^"]+)"[^>]*>\n?/g,
+      (tag, asset) => (files.has(`/public/${asset}`) ? tag : '')
+    ));
+  }
+
+  static readme(project, slug, target) {
+    let readme = templateBody(getReadmeTemplate())
+      .replace('# Project Name', `# ${project.name}`)
+      .replace('Brief description of what this project does.', project.description || `${project.name}, built with React.`)
+      .replace(/project-name/g, slug);
+
+    if (target === 'vite') {
+      readme = readme
+        .replace(/npm start/g, 'npm run dev')
+        .replace(/yarn start/g, 'yarn dev')
+        .replace(/localhost:3000/g, 'localhost:5173');
+    }
+
+    return `${readme}\n`;
+  }
+
+  /**
+   * A file and package name for a project name: 'My Todo App!' -> 'my-todo-app'
+   */
+  static slugify(name) {
+    return String(name || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .substring(0, 100) || 'project';
+  }
+
+  /**
+   * Stream entries into `output` as a zip with every path under `folder`/.
+   * Rejects on an archive error or warning; `finalize()` alone never
+   * settles once the archive has failed.
+   */
+  static async writeZip(entries, output, { folder }) {
+    const archive = archiver('zip');
+    const failed = new Promise((resolve, reject) => {
+      archive.on('error', reject);
+      archive.on('warning', reject);
+    });
+    archive.pipe(output);
+
+    entries.forEach(entry => {
+      archive.append(entry.content, { name: `${folder}/${entry.path}` });
+    });
+
+    await Promise.race([archive.finalize(), failed]);
+  }
+}
+
+module.exports = ProjectExportService;
+module.exports.EXPORT_TARGETS = EXPORT_TARGETS;
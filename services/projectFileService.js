@@ -0,0 +1,195 @@
+/**
+ * Project File Service
+ * Writes generated files into a project's File collection
+ */
+
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const RevisionService = require('./revisionService');
+const { getLanguageFromPath } = require('../utils/fenceParser');
+
+class ProjectFileService {
+  /**
+   * Upsert generated files into a project.
+   * Existing files are matched by path (with or without a leading slash)
+   * and updated in place; everything else is created.
+   */
+  static async upsertFiles(project, userId, files, options) {
+    return this.applyOperations(
+      project,
+      userId,
+      (files || []).map(file => ({ ...file, operation: 'create' })),
+      options
+    );
+  }
+
+  /**
+   * Apply file operations to a project, in order.
+   * Each operation is { path, content, language, operation } where operation
+   * is 'create', 'update', 'delete' or 'rename' (with `to`, the new path).
+   * Creates and updates behave as upserts so a stale operation type never
+   * fails the whole batch, and a path created earlier in the batch is
+   * updated by later writes. A rename onto an existing file replaces it.
+   * Every write is recorded as a file revision with `options.source`
+   * ('manual' or 'generation'); `options.session` runs the reads and writes
+   * in the caller's transaction.
+   */
+  static async applyOperations(project, userId, operations, { source = 'manual', session } = {}) {
+    const existingFiles = await File.find({ projectId: project._id }, null, { session });
+    const existingByPath = new Map(
+      existingFiles.map(file => [this.normalizePath(file.path), file])
+    );
+
+    // Each file as the operations so far left it, for its revisions
+    const states = new Map(existingFiles.map(file => [String(file._id), {
+      _id: file._id,
+      projectId: project._id,
+      userId: file.userId,
+      path: file.path,
+      language: file.language,
+      content: file.content,
+      updatedAt: file.updatedAt,
+    }]));
+    const revisions = [];
+    const revise = (fileId, operation, changes) => {
+      const previous = states.get(String(fileId));
+      const file = { ...previous, ...changes };
+      states.set(String(fileId), file);
+      revisions.push({ file, operation, previous });
+    };
+
+    const writes = [];
+    const created = [];
+    const updated = [];
+    const deleted = [];
+    const renamed = [];
+    const deletedIds = [];
+    const now = new Date();
+
+    (operations || []).forEach(op => {
+      if (!op || !op.path) return;
+
+      const existing = existingByPath.get(this.normalizePath(op.path));
+
+      if (op.operation === 'delete') {
+        if (existing) {
+          writes.push({ deleteOne: { filter: { _id: existing._id } } });
+          existingByPath.delete(this.normalizePath(op.path));
+          deleted.push(existing.path);
+          deletedIds.push(existing._id);
+        }
+        return;
+      }
+
+      if (op.operation === 'rename') {
+        if (!existing || !op.to) return;
+
+        const replaced = existingByPath.get(this.normalizePath(op.to));
+        if (replaced && replaced !== existing) {
+          writes.push({ deleteOne: { filter: { _id: replaced._id } } });
+          deletedIds.push(replaced._id);
+        }
+
+        writes.push({
+          updateOne: {
+            filter: { _id: existing._id },
+            update: {
+              $set: {
+                path: op.to,
+                language: getLanguageFromPath(op.to),
+                operation: 'rename',
+                updatedAt: now,
+              },
+            },
+          },
+        });
+        renamed.push({ from: existing.path, to: op.to });
+        revise(existing._id, 'rename', { path: op.to, language: getLanguageFromPath(op.to) });
+
+        // Later operations on the new path update the moved file
+        existingByPath.delete(this.normalizePath(op.path));
+        existingByPath.set(this.normalizePath(op.to), existing);
+        return;
+      }
+
+      const content = op.content || '';
+
+      if (existing) {
+        writes.push({
+          updateOne: {
+            filter: { _id: existing._id },
+            update: {
+              $set: {
+                content,
+                language: op.language || existing.language,
+                size: content.length,
+                operation: 'update',
+                updatedAt: now,
+              },
+            },
+          },
+        });
+        updated.push(existing.path);
+        revise(existing._id, 'update', { content, language: op.language || existing.language });
+      } else {
+        const document = {
+          _id: new mongoose.Types.ObjectId(),
+          projectId: project._id,
+          userId,
+          path: op.path,
+          content,
+          language: op.language || 'javascript',
+          size: content.length,
+          operation: 'create',
+        };
+        writes.push({ insertOne: { document } });
+        created.push(op.path);
+        revisions.push({ file: document, operation: 'create' });
+
+        // Later operations on the same path update the new file
+        existingByPath.set(this.normalizePath(op.path), document);
+        states.set(String(document._id), document);
+      }
+    });
+
+    if (writes.length > 0) {
+      await File.bulkWrite(writes, { ordered: true, session });
+    }
+
+    const recorded = revisions.filter(({ file }) => !deletedIds.some(id => String(id) === String(file._id)));
+    await RevisionService.recordRevisions(recorded, { userId, source, session });
+    if (deletedIds.length > 0) {
+      await RevisionService.deleteRevisions({ fileId: { $in: deletedIds } }, { session });
+    }
+
+    return {
+      ...(await this.refreshProject(project, { session })),
+      created,
+      updated,
+      deleted,
+      renamed,
+    };
+  }
+
+  /**
+   * Recalculate the project's file count and return the project with its files
+   */
+  static async refreshProject(project, { session } = {}) {
+    const files = await File.find({ projectId: project._id }, null, { session });
+
+    project.fileCount = files.length;
+    project.updatedAt = new Date();
+    await project.save({ session });
+
+    return { project, files };
+  }
+
+  /**
+   * Compare paths regardless of a leading slash ('/src/App.js' === 'src/App.js')
+   */
+  static normalizePath(filePath) {
+    return String(filePath || '').trim().replace(/^\/+/, '');
+  }
+}
+
+module.exports = ProjectFileService;
@@ -0,0 +1,84 @@
+/**
+ * Project Fork Service
+ * Copies a project and its files into a new project for another owner
+ * (or the same one), optionally with the chat history. Callers decide
+ * which projects a user may fork; this only does the copying.
+ */
+
+const Project = require('../models/Project');
+const File = require('../models/File');
+const Chat = require('../models/Chat');
+const RevisionService = require('./revisionService');
+
+// Longest project name, as in the request schemas
+const MAX_NAME_LENGTH = 100;
+
+class ProjectForkService {
+  /**
+   * Fork `source` into a new project owned by `userId`.
+   * Options: { name (default "<source name> (fork)"), includeChat (default false) }
+   * Returns { project, files, chatMessages }. File histories start at the
+   * fork; the source's revisions and snapshots are not copied.
+   */
+  static async forkProject(source, userId, { name, includeChat = false } = {}) {
+    const project = new Project({
+      userId,
+      name: (name || `${source.name} (fork)`).substring(0, MAX_NAME_LENGTH),
+      description: source.description,
+      type: source.type,
+      thumbnail: source.thumbnail,
+      tags: [...(source.tags || [])],
+      forkedFrom: source._id,
+    });
+
+    const sourceFiles = await File.find({ projectId: source._id });
+    project.fileCount = sourceFiles.length;
+    await project.save();
+
+    let files = [];
+    let chatMessages = [];
+    try {
+      if (sourceFiles.length > 0) {
+        files = await File.insertMany(sourceFiles.map(file => ({
+          projectId: project._id,
+          userId,
+          path: file.path,
+          content: file.content,
+          language: file.language,
+          size: file.size,
+          operation: 'create',
+        })));
+      }
+
+      if (includeChat) {
+        // Only the source owner's conversation; timestamps keep its order
+        const messages = await Chat.find({ projectId: source._id, userId: source.userId }).sort({ createdAt: 1 });
+        if (messages.length > 0) {
+          chatMessages = await Chat.insertMany(messages.map(message => ({
+            projectId: project._id,
+            userId,
+            type: message.type,
+            content: message.content,
+            metadata: message.metadata,
+            createdAt: message.createdAt,
+          })));
+        }
+      }
+    } catch (error) {
+      // Leave no half-copied project behind
+      await File.deleteMany({ projectId: project._id });
+      await Chat.deleteMany({ projectId: project._id });
+      await Project.deleteOne({ _id: project._id });
+      throw error;
+    }
+
+    await RevisionService.recordRevisions(
+      files.map(file => ({ file, operation: 'create' })),
+      { userId, source: 'fork' }
+    );
+
+    return { project, files, chatMessages };
+  }
+}
+
+module.exports = ProjectForkService;
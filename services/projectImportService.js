@@ -0,0 +1,339 @@
+/**
+ * Project Import Service
+ * Reads an uploaded zip, tar or tar.gz archive into project files.
+ * Every text file whose language the File model knows is imported; the
+ * rest are reported as skipped with a reason. Dependency and VCS
+ * directories are skipped whole and reported once each.
+ */
+
+const path = require('path');
+const zlib = require('zlib');
+const { kMaxLength } = require('buffer');
+const { Readable, pipeline } = require('stream');
+const AdmZip = require('adm-zip');
+const tar = require('tar-stream');
+const getImportLimits = require('../config/imports');
+const { normalizePath } = require('../utils/fenceParser');
+const { MAX_CONTENT_LENGTH } = require('../schemas/files');
+const { APIError, ValidationError, PayloadTooLargeError } = require('../middleware/errorHandler');
+
+const IGNORED_DIRECTORIES = ['node_modules', '.git', '__MACOSX'];
+const IGNORED_FILES = ['.DS_Store', 'Thumbs.db'];
+
+// File.language for each extension the model can hold
+const LANGUAGE_BY_EXTENSION = {
+  js: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  jsx: 'jsx',
+  ts: 'typescript',
+  tsx: 'tsx',
+  css: 'css',
+  html: 'html',
+  htm: 'html',
+  json: 'json',
+  md: 'markdown',
+  markdown: 'markdown',
+  py: 'python',
+};
+
+// Reported as binary without reading them
+const BINARY_EXTENSIONS = [
+  'png', 'jpg', 'jpeg', 'gif', 'webp', 'ico', 'bmp', 'avif',
+  'woff', 'woff2', 'ttf', 'otf', 'eot',
+  'mp3', 'mp4', 'wav', 'ogg', 'webm', 'mov',
+  'zip', 'gz', 'tgz', 'tar', 'pdf', 'exe', 'dll', 'so', 'dylib', 'wasm', 'node',
+];
+
+// Packages that make a React project a full-stack one
+const SERVER_PACKAGES = ['express', 'koa', 'fastify', '@nestjs/core', '@hapi/hapi', 'next'];
+
+// Top-level folders that are part of a project, never a wrapper around one
+const PROJECT_DIRECTORIES = ['src', 'public', 'components', 'pages', 'app'];
+
+const decoder = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * UTF-8 text of a file, or null when it is binary
+ */
+const decodeText = (buffer) => {
+  if (buffer.subarray(0, 8000).includes(0)) return null;
+  try {
+    return decoder.decode(buffer);
+  } catch (error) {
+    return null;
+  }
+};
+
+const formatMegabytes = (bytes) => `${Math.round((bytes / (1024 * 1024)) * 10) / 10} MB`;
+
+class ProjectImportService {
+  /**
+   * Read an archive into { files, skipped, packageJson } where files are
+   * { path, language, content, size } with canonical paths, skipped are
+   * { path, reason } and packageJson is the parsed root package.json (or null).
+   * A single folder wrapping the whole project is removed from the paths.
+   * When the archive repeats a path, the last entry wins.
+   * Throws ValidationError for unreadable archives and PayloadTooLargeError
+   * when a limit is exceeded.
+   */
+  static async readArchive(buffer, limits = getImportLimits()) {
+    const format = this.detectFormat(buffer);
+    if (!format) {
+      throw new ValidationError('Upload must be a zip, tar or tar.gz archive');
+    }
+
+    // Keyed by path: archives may hold a path more than once (tar appends
+    // updated copies), and like extraction the last entry wins
+    const filesByPath = new Map();
+    const skippedByPath = new Map();
+    const ignoredDirectories = new Map();
+    let expandedBytes = 0;
+    let totalBytes = 0;
+
+    const forget = (filePath) => {
+      const earlier = filesByPath.get(filePath);
+      if (earlier) {
+        totalBytes -= earlier.size;
+        filesByPath.delete(filePath);
+      }
+      skippedByPath.delete(filePath);
+    };
+
+    const skip = (filePath, reason) => {
+      forget(filePath);
+      skippedByPath.set(filePath, { path: filePath, reason });
+    };
+
+    const expandedTooLarge = () => new PayloadTooLargeError(`Archive expands to more than ${formatMegabytes(limits.maxExpandedBytes)}`);
+
+    // `read(maxBytes)` resolves the entry's data, or null when it holds more
+    // than maxBytes. Zip entries declare their own size, so it is not trusted.
+    const visit = async ({ name, size, isFile, isDirectory, read }) => {
+      if (isDirectory) return;
+
+      expandedBytes += size;
+      if (expandedBytes > limits.maxExpandedBytes) throw expandedTooLarge();
+
+      const filePath = normalizePath(name);
+      if (!filePath) {
+        skip(name, 'Invalid path');
+        return;
+      }
+
+      const segments = filePath.split('/');
+      const ignoredAt = segments.findIndex(segment => IGNORED_DIRECTORIES.includes(segment));
+      if (ignoredAt !== -1) {
+        const directory = `${segments.slice(0, ignoredAt + 1).join('/')}/`;
+        ignoredDirectories.set(directory, (ignoredDirectories.get(directory) || 0) + 1);
+        return;
+      }
+
+      const reason = this.skipReason(filePath, size, isFile);
+      if (reason) {
+        skip(filePath, reason);
+        return;
+      }
+
+      const data = await read(limits.maxExpandedBytes - expandedBytes + size);
+      if (data === null) throw expandedTooLarge();
+
+      expandedBytes += data.length - size;
+      if (expandedBytes > limits.maxExpandedBytes) throw expandedTooLarge();
+      if (data.length > MAX_CONTENT_LENGTH) {
+        skip(filePath, `Larger than ${formatMegabytes(MAX_CONTENT_LENGTH)}`);
+        return;
+      }
+
+      const content = decodeText(data);
+      if (content === null) {
+        skip(filePath, 'Binary file');
+        return;
+      }
+
+      forget(filePath);
+      if (filesByPath.size >= limits.maxFiles) {
+        throw new PayloadTooLargeError(`Archive has more than ${limits.maxFiles} importable files`);
+      }
+
+      totalBytes += content.length;
+      if (totalBytes > limits.maxTotalBytes) {
+        throw new PayloadTooLargeError(`Imported files exceed ${formatMegabytes(limits.maxTotalBytes)}`);
+      }
+
+      filesByPath.set(filePath, { path: filePath, language: this.languageOf(filePath), content, size: content.length });
+    };
+
+    if (format === 'zip') {
+      await this.readZip(buffer, visit);
+    } else {
+      await this.readTar(buffer, format === 'tar.gz', visit);
+    }
+
+    const files = [...filesByPath.values()];
+    const skipped = [...skippedByPath.values()];
+    ignoredDirectories.forEach((count, directory) => {
+      skipped.push({ path: directory, reason: `Ignored directory (${count} ${count === 1 ? 'file' : 'files'})` });
+    });
+
+    const root = this.wrapperFolder(files, skipped);
+    if (root) {
+      const unwrap = entry => ({ ...entry, path: entry.path.startsWith(root) ? entry.path.substring(root.length - 1) : entry.path });
+      files.splice(0, files.length, ...files.map(unwrap));
+      skipped.splice(0, skipped.length, ...skipped.map(unwrap));
+    }
+
+    const packageFile = files.find(file => file.path === '/package.json');
+    let packageJson = null;
+    if (packageFile) {
+      try {
+        packageJson = JSON.parse(packageFile.content);
+      } catch (error) {
+        packageJson = null;
+      }
+    }
+
+    return { files, skipped, packageJson };
+  }
+
+  static detectFormat(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 4) return null;
+    if (buffer[0] === 0x50 && buffer[1] === 0x4b && (buffer[2] === 0x03 || buffer[2] === 0x05)) return 'zip';
+    if (buffer[0] === 0x1f && buffer[1] === 0x8b) return 'tar.gz';
+    if (buffer.length > 262 && buffer.toString('ascii', 257, 262) === 'ustar') return 'tar';
+    return null;
+  }
+
+  /**
+   * Why a file is skipped before reading it, or null to read it
+   */
+  static skipReason(filePath, size, isFile) {
+    if (!isFile) return 'Not a regular file';
+
+    const name = path.posix.basename(filePath);
+    if (IGNORED_FILES.includes(name)) return 'System file';
+
+    const extension = path.posix.extname(name).substring(1).toLowerCase();
+    if (BINARY_EXTENSIONS.includes(extension)) return 'Binary file';
+    if (!LANGUAGE_BY_EXTENSION[extension]) {
+      return extension ? `Unsupported file type .${extension}` : 'Unsupported file type';
+    }
+
+    if (size > MAX_CONTENT_LENGTH) return `Larger than ${formatMegabytes(MAX_CONTENT_LENGTH)}`;
+
+    return null;
+  }
+
+  static languageOf(filePath) {
+    return LANGUAGE_BY_EXTENSION[path.posix.extname(filePath).substring(1).toLowerCase()];
+  }
+
+  static async readZip(buffer, visit) {
+    try {
+      for (const entry of new AdmZip(buffer).getEntries()) {
+        await visit({
+          name: entry.entryName,
+          size: entry.header.size,
+          isFile: !entry.isDirectory,
+          isDirectory: entry.isDirectory,
+          read: async maxBytes => this.inflateZipEntry(entry, maxBytes),
+        });
+      }
+    } catch (error) {
+      if (error instanceof APIError) throw error;
+      throw new ValidationError('Could not read the zip archive');
+    }
+  }
+
+  /**
+   * Data of a stored or deflated zip entry, inflated no further than
+   * maxBytes; null when it holds more
+   */
+  static inflateZipEntry(entry, maxBytes) {
+    const data = entry.getCompressedData();
+    const { method } = entry.header;
+
+    if (method === 0) {
+      return data.length > maxBytes ? null : data;
+    }
+    if (method !== 8) {
+      throw new ValidationError(`Unsupported zip compression method ${method}`);
+    }
+
+    try {
+      return zlib.inflateRawSync(data, { maxOutputLength: Math.max(1, Math.min(maxBytes, kMaxLength)) });
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') return null;
+      throw error;
+    }
+  }
+
+  static async readTar(buffer, gzipped, visit) {
+    const extract = tar.extract();
+    const stages = [Readable.from([buffer]), ...(gzipped ? [zlib.createGunzip()] : []), extract];
+    // Stream errors surface through the loop below
+    pipeline(...stages, () => {});
+
+    try {
+      for await (const entry of extract) {
+        const { name, size, type } = entry.header;
+        let consumed = false;
+
+        await visit({
+          name,
+          size: size || 0,
+          isFile: type === 'file' || type === 'contiguous-file',
+          isDirectory: type === 'directory',
+          read: async () => {
+            consumed = true;
+            const chunks = [];
+            for await (const chunk of entry) chunks.push(chunk);
+            return Buffer.concat(chunks);
+          },
+        });
+
+        // The next entry only arrives once this one has been read
+        if (!consumed) entry.resume();
+      }
+    } catch (error) {
+      if (error instanceof PayloadTooLargeError) throw error;
+      throw new ValidationError(`Could not read the ${gzipped ? 'tar.gz' : 'tar'} archive`);
+    }
+  }
+
+  /**
+   * The folder ('/my-app/') every entry sits in when the archive wraps a
+   * project in one, e.g. a GitHub download or an export from this API
+   */
+  static wrapperFolder(files, skipped) {
+    const paths = [...files, ...skipped].map(entry => entry.path).filter(entryPath => entryPath.startsWith('/'));
+    if (paths.length === 0) return null;
+
+    const [first] = paths[0].substring(1).split('/');
+    const root = `/${first}/`;
+    if (PROJECT_DIRECTORIES.includes(first) || !paths.every(entryPath => entryPath.startsWith(root))) {
+      return null;
+    }
+
+    return root;
+  }
+
+  /**
+   * Project.type for a package.json: 'fullstack' with a server framework,
+   * 'component' for a library with React as a peer dependency, otherwise
+   * 'react-app'
+   */
+  static detectType(packageJson) {
+    if (!packageJson || typeof packageJson !== 'object') return 'react-app';
+
+    const dependencies = { ...packageJson.dependencies, ...packageJson.devDependencies };
+    if (SERVER_PACKAGES.some(name => dependencies[name])) return 'fullstack';
+
+    const peers = packageJson.peerDependencies || {};
+    if (peers.react && !dependencies['react-scripts'] && !dependencies.vite) return 'component';
+
+    return 'react-app';
+  }
+}
+
+module.exports = ProjectImportService;
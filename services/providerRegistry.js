@@ -0,0 +1,270 @@
+/**
+ * AI Provider Registry
+ * Holds the available code generation backends and runs requests through
+ * an ordered fallback chain.
+ *
+ * The chain comes from AI_PROVIDER_CHAIN (comma separated, e.g. "groq,gemini")
+ * and falls back to PRIMARY_AI_PROVIDER / FALLBACK_AI_PROVIDER.
+ * Use "replay" to serve recorded fixtures offline.
+ *
+ * Every provider call, successful or not, is reported to `options.onResult`
+ * as { provider, model, mode, usage, latencyMs, success, error } so callers
+ * can account for it.
+ */
+
+const GroqService = require('./groqService');
+const GeminiService = require('./geminiService');
+const OpenAICompatibleService = require('./openaiCompatibleService');
+const ReplayService = require('./replayService');
+const RecordingProvider = require('./recordingProvider');
+const AIProvider = require('./aiProvider');
+const { ServiceUnavailableError } = require('../middleware/errorHandler');
+
+class ProviderRegistry {
+  constructor() {
+    this.factories = new Map();
+    this.instances = new Map();
+  }
+
+  /**
+   * Register a provider factory. The factory is called once, on first use,
+   * and must return an AIProvider instance.
+   */
+  register(name, factory) {
+    this.factories.set(name, factory);
+    this.instances.delete(name);
+    return this;
+  }
+
+  has(name) {
+    return this.factories.has(name);
+  }
+
+  names() {
+    return [...this.factories.keys()];
+  }
+
+  get(name) {
+    if (!this.factories.has(name)) {
+      return null;
+    }
+
+    if (!this.instances.has(name)) {
+      let provider = this.factories.get(name)();
+
+      // Capture real completions as replay fixtures
+      if (process.env.AI_RECORD_FIXTURES === 'true' && !(provider instanceof ReplayService)) {
+        provider = new RecordingProvider(provider);
+      }
+
+      this.instances.set(name, provider);
+    }
+
+    return this.instances.get(name);
+  }
+
+  /**
+   * Ordered list of provider names to try
+   */
+  getChain() {
+    const configured = process.env.AI_PROVIDER_CHAIN
+      ? process.env.AI_PROVIDER_CHAIN.split(',')
+      : [
+          process.env.PRIMARY_AI_PROVIDER || 'groq',
+          process.env.FALLBACK_AI_PROVIDER || 'gemini'
+        ];
+
+    const chain = [...new Set(configured.map(name => name.trim()).filter(Boolean))];
+
+    chain.forEach(name => {
+      if (!this.has(name)) {
+        console.warn(`⚠️  Unknown AI provider "${name}" in provider chain`);
+      }
+    });
+
+    return chain.filter(name => this.has(name));
+  }
+
+  /**
+   * Generate with the first provider in the chain that succeeds.
+   * Resolves to the normalized response ({ content, model, provider, usage, finishReason }).
+   * An aborted `options.signal` stops the chain instead of falling back.
+   */
+  async generate(prompt, type = 'react', context = {}, options = {}) {
+    const failures = [];
+
+    for (const name of this.getChain()) {
+      AIProvider.throwIfAborted(options.signal);
+      const provider = this.get(name);
+
+      if (!provider.isAvailable()) {
+        failures.push(`${name}: not configured`);
+        continue;
+      }
+
+      const startedAt = Date.now();
+
+      try {
+        const response = provider.normalizeResponse(await provider.generateCode(prompt, type, context, options));
+        this.report(options, context, startedAt, { provider: name, model: response.model, usage: response.usage });
+        return response;
+      } catch (error) {
+        this.report(options, context, startedAt, { provider: name, model: provider.model, error });
+        AIProvider.throwIfAborted(options.signal);
+        console.error(`❌ ${name} generation failed:`, error.message);
+        failures.push(`${name}: ${error.message}`);
+      }
+    }
+
+    // Per-provider messages stay server side; clients only see the 503
+    const error = new ServiceUnavailableError('All AI providers failed');
+    error.failures = failures;
+    throw error;
+  }
+
+  /**
+   * Generate with one named provider, without falling back. Used for
+   * follow-up requests that must go to the model that wrote the first part.
+   */
+  async generateWith(name, prompt, type = 'react', context = {}, options = {}) {
+    const provider = this.get(name);
+
+    if (!provider || !provider.isAvailable()) {
+      throw new Error(`AI provider "${name}" is not available`);
+    }
+
+    const startedAt = Date.now();
+
+    try {
+      const response = provider.normalizeResponse(await provider.generateCode(prompt, type, context, options));
+      this.report(options, context, startedAt, { provider: name, model: response.model, usage: response.usage });
+      return response;
+    } catch (error) {
+      this.report(options, context, startedAt, { provider: name, model: provider.model, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Stream with fallback. A provider that fails before producing any content
+   * is skipped; once content has been yielded errors propagate to the caller.
+   * Yields { provider, model, chunk }.
+   */
+  async *stream(prompt, type = 'react', context = {}, options = {}) {
+    const failures = [];
+
+    for (const name of this.getChain()) {
+      AIProvider.throwIfAborted(options.signal);
+      const provider = this.get(name);
+
+      if (!provider.isAvailable()) {
+        failures.push(`${name}: not configured`);
+        continue;
+      }
+
+      let receivedContent = false;
+      let usage = null;
+      let reported = false;
+      const startedAt = Date.now();
+      const report = (error = null) => {
+        reported = true;
+        this.report(options, context, startedAt, { provider: name, model: provider.model, usage, error });
+      };
+
+      try {
+        for await (const chunk of provider.streamCode(prompt, type, context, options)) {
+          usage = chunk.usage || usage;
+          if (!receivedContent && !chunk.content) continue;
+          receivedContent = true;
+          yield { provider: name, model: provider.model || 'unknown', chunk };
+        }
+      } catch (error) {
+        report(error);
+        if (receivedContent || (options.signal && options.signal.aborted)) {
+          error.provider = name;
+          throw error;
+        }
+        console.error(`❌ ${name} stream failed before first token:`, error.message);
+        failures.push(`${name}: ${error.message}`);
+        continue;
+      } finally {
+        // The consumer stopped reading (e.g. the client disconnected)
+        if (!reported && receivedContent) report();
+      }
+
+      if (receivedContent) return;
+      report(new Error('Empty response'));
+      failures.push(`${name}: empty response`);
+    }
+
+    const error = new ServiceUnavailableError('All AI providers failed');
+    error.failures = failures;
+    throw error;
+  }
+
+  /**
+   * Pass one provider call to `options.onResult`. Accounting must never
+   * break a generation, so callback errors are only logged.
+   */
+  report(options, context, startedAt, { provider, model, usage = null, error = null }) {
+    if (!options.onResult) return;
+
+    try {
+      options.onResult({
+        provider,
+        model: model || 'unknown',
+        mode: context.continuation ? 'continuation' : (context.mode || 'generate'),
+        usage,
+        latencyMs: Date.now() - startedAt,
+        success: !error,
+        error: error ? error.message : null
+      });
+    } catch (callbackError) {
+      console.error('Failed to report AI usage:', callbackError.message);
+    }
+  }
+
+  /**
+   * Check one provider. Resolves to 'ok' or 'error'.
+   */
+  async checkHealth(name) {
+    const provider = this.get(name);
+
+    if (!provider || !provider.isAvailable()) {
+      return 'error';
+    }
+
+    try {
+      const result = await provider.healthCheck();
+      // Some adapters report failures in the result instead of throwing
+      if (result && ['unavailable', 'unhealthy'].includes(result.status)) {
+        return 'error';
+      }
+      return 'ok';
+    } catch (error) {
+      return 'error';
+    }
+  }
+
+  async listModels() {
+    const models = {};
+
+    for (const name of this.names()) {
+      const provider = this.get(name);
+      models[name] = provider.isAvailable() ? await provider.getModels() : [];
+    }
+
+    return models;
+  }
+}
+
+const registry = new ProviderRegistry();
+
+// Built-in providers
+registry.register('groq', () => new GroqService());
+registry.register('gemini', () => new GeminiService());
+registry.register('openai', () => new OpenAICompatibleService());
+registry.register('replay', () => new ReplayService());
+
+module.exports = registry;
+module.exports.ProviderRegistry = ProviderRegistry;
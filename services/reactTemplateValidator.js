@@ -4,11 +4,21 @@
  * Checks file structure, imports, syntax, and completeness
  */
 
+const { isSourceFile, parseSource } = require('../utils/sourceParser');
+const { normalizePath, toProjectPath } = require('../utils/fenceParser');
+const ModuleGraph = require('./moduleGraph');
+const dependencyAllowlist = require('../config/dependencyAllowlist');
+
+// Declared packages that are used without being imported
+const IMPLICIT_DEPENDENCIES = ['react', 'react-dom', 'react-scripts'];
+
 class ReactTemplateValidator {
   /**
-   * Main validation method - returns detailed report
+   * Main validation method - returns detailed report.
+   * Options: { addMissingDependencies } - add undeclared imports to package.json
+   * from the dependency allowlist (default: VALIDATOR_ADD_MISSING_DEPENDENCIES)
    */
-  static validate(files) {
+  static validate(files, options = {}) {
     const report = {
       isValid: false,
       errors: [],
@@ -42,21 +52,31 @@ class ReactTemplateValidator {
     const syntaxCheck = this.checkReactSyntax(files);
     report.issues.syntax = syntaxCheck;
     if (syntaxCheck.errors.length > 0) {
-      report.errors.push(...syntaxCheck.errors.map(e => `Syntax error in ${e.file}: ${e.message}`));
+      report.errors.push(...syntaxCheck.errors.map(e => `Syntax error in ${e.file}${this.formatLocation(e)}: ${e.message}`));
     }
     if (syntaxCheck.warnings.length > 0) {
       report.warnings.push(...syntaxCheck.warnings.map(w => `Syntax warning in ${w.file}: ${w.message}`));
     }
 
+    const graph = ModuleGraph.build(files);
+
     // Check dependencies in package.json
-    const dependencyCheck = this.checkDependencies(files);
+    const dependencyCheck = this.checkDependencies(files, graph);
     report.issues.dependencies = dependencyCheck;
     if (!dependencyCheck.hasReact || !dependencyCheck.hasReactDom) {
       report.errors.push('Missing React or React-DOM in dependencies');
     }
+    if (dependencyCheck.found) {
+      report.errors.push(...dependencyCheck.undeclared.map(dep =>
+        `Package "${dep.name}" is imported in ${dep.files.join(', ')} but not declared in package.json`
+      ));
+      report.warnings.push(...dependencyCheck.unused.map(name =>
+        `Package "${name}" is declared in package.json but never imported`
+      ));
+    }
 
     // Check file linkage and exports
-    const linkageCheck = this.checkFileLinkage(files);
+    const linkageCheck = this.checkFileLinkage(files, graph);
     report.issues.linkage = linkageCheck;
     if (linkageCheck.errors.length > 0) {
       report.errors.push(...linkageCheck.errors.map(e => `Linkage error: ${e}`));
@@ -70,7 +90,7 @@ class ReactTemplateValidator {
 
     // Fix issues if possible
     if (report.errors.length > 0) {
-      const fixed = this.autoFixIssues(files, report.issues);
+      const fixed = this.autoFixIssues(files, report.issues, options);
       report.fixedFiles = fixed.files;
       report.recommendations.push(...fixed.recommendations);
       report.isValid = report.errors.length === 0; // Check again after fixes
@@ -86,17 +106,17 @@ class ReactTemplateValidator {
    */
   static checkEssentialFiles(files) {
     const required = [
-      { name: 'package.json', path: 'package.json', critical: true },
-      { name: 'public/index.html', path: 'public/index.html', critical: true },
-      { name: 'src/index.js', path: 'src/index.js', critical: true },
-      { name: 'src/App.js', path: 'src/App.js', critical: true }
+      { name: 'package.json', path: '/package.json', critical: true },
+      { name: 'public/index.html', path: '/public/index.html', critical: true },
+      { name: 'src/index.js', path: '/src/index.js', critical: true },
+      { name: 'src/App.js', path: '/src/App.js', critical: true }
     ];
 
-    const filePaths = files.map(f => f.path);
+    const filePaths = files.map(f => normalizePath(f.path));
     const missing = [];
 
     required.forEach(req => {
-      const exists = filePaths.some(p => p === req.path || p.endsWith(req.name));
+      const exists = filePaths.includes(req.path);
       if (!exists && req.critical) {
         missing.push(req.name);
       }
@@ -167,6 +187,11 @@ class ReactTemplateValidator {
     files.forEach(file => {
       const content = file.content || '';
 
+      if (isSourceFile(file.path)) {
+        // Parse with a real JS/JSX/TS parser and report every error it finds
+        errors.push(...this.parseSourceFile(file.path, content));
+      }
+
       if (file.path.endsWith('.jsx') || file.path.endsWith('.js')) {
         // Check for JSX without React import
         if (content.includes('<') && content.includes('>') && !content.match(/import.*React/)) {
@@ -192,24 +217,16 @@ class ReactTemplateValidator {
             message: 'Component file missing export statement'
           });
         }
-
-        // Check for obvious syntax errors
-        const syntaxIssues = this.detectSyntaxErrors(content);
-        if (syntaxIssues.length > 0) {
-          errors.push({
-            file: file.path,
-            message: syntaxIssues.join(', ')
-          });
-        }
       }
 
-      if (file.path === 'package.json') {
+      if (toProjectPath(file.path) === '/package.json') {
         try {
           JSON.parse(content);
         } catch (e) {
           errors.push({
             file: file.path,
-            message: 'Invalid JSON syntax'
+            message: 'Invalid JSON syntax',
+            ...this.jsonErrorLocation(content, e)
           });
         }
       }
@@ -234,49 +251,57 @@ class ReactTemplateValidator {
   }
 
   /**
-   * Detect obvious syntax errors
+   * Parse a JS/JSX/TS/TSX file and return syntax errors with locations.
+   * Uses error recovery so several independent errors are reported at once.
    */
-  static detectSyntaxErrors(content) {
-    const errors = [];
+  static parseSourceFile(filePath, content) {
+    return parseSource(filePath, content).errors.map(error => ({
+      file: filePath,
+      message: error.message.replace(/\s*\(\d+:\d+\)$/, ''),
+      line: error.loc ? error.loc.line : null,
+      column: error.loc ? error.loc.column + 1 : null,
+      code: error.reasonCode || error.code || null
+    }));
+  }
 
-    // Check for common syntax patterns
-    if (content.match(/function\s+\w+\s*\(/)) {
-      // Function declaration found
-      if (!content.match(/\}\s*$/)) {
-        if (content.split('{').length > content.split('}').length) {
-          errors.push('Unclosed function body');
-        }
-      }
-    }
+  /**
+   * Work out the line/column of a JSON.parse failure from its message
+   */
+  static jsonErrorLocation(content, error) {
+    const match = error.message.match(/position (\d+)/);
+    if (!match) return { line: null, column: null };
 
-    // Check for arrow function syntax
-    if (content.includes('=>') && !content.includes('function')) {
-      if (content.split('(').length !== content.split(')').length) {
-        errors.push('Arrow function has unmatched parentheses');
-      }
-    }
+    const before = content.substring(0, parseInt(match[1]));
+    const lines = before.split('\n');
 
-    // Check for missing return statements in JSX
-    if (content.includes('export default') && content.includes('<') &&
-        !content.includes('return')) {
-      errors.push('JSX component without return statement');
-    }
+    return {
+      line: lines.length,
+      column: lines[lines.length - 1].length + 1
+    };
+  }
 
-    return errors;
+  static formatLocation(error) {
+    if (!error.line) return '';
+    return error.column ? ` (line ${error.line}, column ${error.column})` : ` (line ${error.line})`;
   }
 
   /**
-   * Check React dependencies
+   * Check React dependencies and cross-check bare imports against package.json
    */
-  static checkDependencies(files) {
-    const packageJsonFile = files.find(f => f.path === 'package.json');
-    
+  static checkDependencies(files, graph = ModuleGraph.build(files)) {
+    const packageJsonFile = this.findFile(files, '/package.json');
+    const imports = this.collectPackageImports(graph);
+
     if (!packageJsonFile) {
       return {
+        found: false,
         hasReact: false,
         hasReactDom: false,
         hasReactScripts: false,
         valid: false,
+        imported: Object.keys(imports),
+        undeclared: this.findUndeclaredPackages(imports, {}),
+        unused: [],
         issues: ['package.json not found']
       };
     }
@@ -284,13 +309,23 @@ class ReactTemplateValidator {
     try {
       const pkg = JSON.parse(packageJsonFile.content);
       const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+      const undeclared = this.findUndeclaredPackages(imports, deps);
+
+      // devDependencies are build tooling and are not expected to be imported
+      const unused = Object.keys(pkg.dependencies || {}).filter(name =>
+        !imports[name] && !IMPLICIT_DEPENDENCIES.includes(name)
+      );
 
       return {
+        found: true,
         hasReact: !!deps.react,
         hasReactDom: !!deps['react-dom'],
         hasReactScripts: !!deps['react-scripts'],
         dependencies: Object.keys(deps),
-        valid: !!deps.react && !!deps['react-dom'],
+        imported: Object.keys(imports),
+        undeclared,
+        unused,
+        valid: !!deps.react && !!deps['react-dom'] && undeclared.length === 0,
         version: {
           react: deps.react || 'missing',
           reactDom: deps['react-dom'] || 'missing'
@@ -298,18 +333,61 @@ class ReactTemplateValidator {
       };
     } catch (e) {
       return {
+        found: false,
         hasReact: false,
         hasReactDom: false,
         valid: false,
+        imported: Object.keys(imports),
+        undeclared: [],
+        unused: [],
         issues: ['Invalid package.json JSON']
       };
     }
   }
 
+  /**
+   * Map of package name -> files importing it, from the graph's bare imports
+   */
+  static collectPackageImports(graph) {
+    const imports = {};
+
+    graph.external.forEach(imp => {
+      const name = this.getPackageName(imp.specifier);
+      if (!name) return;
+
+      imports[name] = imports[name] || [];
+      if (!imports[name].includes(imp.file)) {
+        imports[name].push(imp.file);
+      }
+    });
+
+    return imports;
+  }
+
+  static findUndeclaredPackages(imports, deps) {
+    return Object.entries(imports)
+      .filter(([name]) => !deps[name])
+      .map(([name, importedBy]) => ({ name, files: importedBy }));
+  }
+
+  /**
+   * Package a bare specifier belongs to: 'react-dom/client' -> 'react-dom',
+   * '@scope/pkg/sub' -> '@scope/pkg'. URLs and node: specifiers have none.
+   */
+  static getPackageName(specifier) {
+    if (!specifier || specifier.includes(':')) return null;
+
+    const parts = specifier.split('/');
+    if (specifier.startsWith('@')) {
+      return parts.length >= 2 ? `${parts[0]}/${parts[1]}` : null;
+    }
+    return parts[0] || null;
+  }
+
   /**
    * Check if files are properly linked and have exports
    */
-  static checkFileLinkage(files) {
+  static checkFileLinkage(files, graph = ModuleGraph.build(files)) {
     const errors = [];
     const warnings = [];
 
@@ -330,7 +408,7 @@ class ReactTemplateValidator {
     }
 
     // Find index.js and check for proper React initialization
-    const indexFile = files.find(f => f.path === 'src/index.js');
+    const indexFile = this.findFile(files, '/src/index.js');
     if (indexFile) {
       const content = indexFile.content || '';
       
@@ -347,25 +425,43 @@ class ReactTemplateValidator {
       }
     }
 
-    // Check for circular dependencies or missing imports
-    files.forEach(file => {
-      if ((file.path.endsWith('.js') || file.path.endsWith('.jsx')) && 
-          file.path !== 'src/index.js') {
-        const content = file.content || '';
-        const imports = content.match(/import\s+.*from\s+['"](.*?)['"]/g) || [];
-
-        imports.forEach(imp => {
-          const importPath = imp.match(/from\s+['"](.*?)['"]/)[1];
-          
-          // Check for non-existent imports
-          if (!importPath.startsWith('react') && !importPath.startsWith('.')) {
-            warnings.push(`${file.path}: Import from external package "${importPath}"`);
-          }
-        });
-      }
+    // Report broken imports across the generated files
+    graph.unresolved.forEach(imp => {
+      errors.push(`${imp.file}${this.formatLocation(imp)}: Cannot resolve import "${imp.specifier}"`);
     });
 
-    return { errors, warnings };
+    graph.missingExports.forEach(imp => {
+      const exportName = imp.name === 'default' ? 'a default export' : `an export named "${imp.name}"`;
+      errors.push(`${imp.file}${this.formatLocation(imp)}: "${imp.specifier}" (${imp.target}) does not provide ${exportName}`);
+    });
+
+    graph.cycles.forEach(cycle => {
+      warnings.push(`Circular import: ${[...cycle, cycle[0]].join(' -> ')}`);
+    });
+
+    graph.orphans.forEach(file => {
+      warnings.push(`${file}: File is not imported by any other file`);
+    });
+
+    return {
+      errors,
+      warnings,
+      graph: {
+        edges: graph.edges,
+        external: graph.external,
+        unresolved: graph.unresolved,
+        missingExports: graph.missingExports,
+        cycles: graph.cycles,
+        orphans: graph.orphans
+      }
+    };
+  }
+
+  /**
+   * Find a file by canonical path ('/package.json' matches 'package.json')
+   */
+  static findFile(files, filePath) {
+    return files.find(f => normalizePath(f.path) === filePath);
   }
 
   /**
@@ -405,7 +501,7 @@ class ReactTemplateValidator {
   /**
    * Auto-fix common issues
    */
-  static autoFixIssues(files, issues) {
+  static autoFixIssues(files, issues, options = {}) {
     const fixedFiles = [...files];
     const recommendations = [];
 
@@ -414,7 +510,7 @@ class ReactTemplateValidator {
       issues.essential.missing.forEach(missing => {
         if (missing === 'package.json') {
           fixedFiles.push({
-            path: 'package.json',
+            path: '/package.json',
             content: JSON.stringify({
               name: 'react-app',
               version: '1.0.0',
@@ -429,7 +525,7 @@ class ReactTemplateValidator {
           recommendations.push('✅ Added default package.json');
         } else if (missing === 'public/index.html') {
           fixedFiles.push({
-            path: 'public/index.html',
+            path: '/public/index.html',
             content: `<!DOCTYPE html>
 <html lang="en">
   <head>
@@ -448,7 +544,7 @@ class ReactTemplateValidator {
           recommendations.push('✅ Added default public/index.html');
         } else if (missing === 'src/index.js') {
           fixedFiles.push({
-            path: 'src/index.js',
+            path: '/src/index.js',
             content: `import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
@@ -461,7 +557,7 @@ root.render(<App />);`,
           recommendations.push('✅ Added default src/index.js');
         } else if (missing === 'src/App.js') {
           fixedFiles.push({
-            path: 'src/App.js',
+            path: '/src/App.js',
             content: `import React from 'react';
 
 export default function App() {
@@ -482,10 +578,20 @@ export default function App() {
       });
     }
 
+    // Declare imported packages from the allowlist (opt-in)
+    const addMissingDependencies = options.addMissingDependencies !== undefined
+      ? options.addMissingDependencies
+      : process.env.VALIDATOR_ADD_MISSING_DEPENDENCIES === 'true';
+
+    if (addMissingDependencies && issues.dependencies && issues.dependencies.undeclared.length > 0) {
+      const added = this.addMissingDependencies(fixedFiles, issues.dependencies.undeclared);
+      recommendations.push(...added.map(dep => `✅ Added ${dep.name}@${dep.version} to package.json`));
+    }
+
     // Fix common syntax issues
     if (issues.syntax && issues.syntax.warnings.length > 0) {
       issues.syntax.warnings.forEach(warning => {
-        const file = fixedFiles.find(f => f.path === warning.file);
+        const file = fixedFiles.find(f => toProjectPath(f.path) === toProjectPath(warning.file));
         if (file) {
           if (warning.message.includes('class=')) {
             file.content = file.content.replace(/\sclass=/g, ' className=');
@@ -504,11 +610,47 @@ export default function App() {
     return { files: fixedFiles, recommendations };
   }
 
+  /**
+   * Add allowlisted packages to package.json in place of the original entry.
+   * Returns the packages that were added.
+   */
+  static addMissingDependencies(files, undeclared) {
+    const index = files.findIndex(f => normalizePath(f.path) === '/package.json');
+    if (index === -1) return [];
+
+    let pkg;
+    try {
+      pkg = JSON.parse(files[index].content);
+    } catch (e) {
+      return [];
+    }
+
+    const declared = { ...pkg.dependencies, ...pkg.devDependencies };
+    const added = undeclared
+      .filter(dep => dependencyAllowlist[dep.name] && !declared[dep.name])
+      .map(dep => ({ name: dep.name, version: dependencyAllowlist[dep.name] }));
+
+    if (added.length === 0) return [];
+
+    pkg.dependencies = { ...pkg.dependencies };
+    added.forEach(dep => {
+      pkg.dependencies[dep.name] = dep.version;
+    });
+
+    files[index] = {
+      ...files[index],
+      content: JSON.stringify(pkg, null, 2),
+      operation: files[index].operation || 'update'
+    };
+
+    return added;
+  }
+
   /**
    * Generate detailed report for UI
    */
-  static generateReport(files) {
-    const validation = this.validate(files);
+  static generateReport(files, options = {}) {
+    const validation = this.validate(files, options);
 
     return {
       status: validation.isValid ? 'VALID' : 'INVALID',
@@ -0,0 +1,84 @@
+const path = require('path');
+const AIProvider = require('./aiProvider');
+const ReplayService = require('./replayService');
+
+/**
+ * Recording provider
+ * Wraps a real provider and writes every successful completion to a replay
+ * fixture. Enabled for all providers with AI_RECORD_FIXTURES=true.
+ */
+class RecordingProvider extends AIProvider {
+  constructor(inner, fixturesDir = process.env.AI_FIXTURES_DIR || path.join(__dirname, '..', 'fixtures', 'ai')) {
+    super(inner.name);
+    this.inner = inner;
+    this.model = inner.model;
+    this.fixturesDir = path.resolve(fixturesDir);
+  }
+
+  isAvailable() {
+    return this.inner.isAvailable();
+  }
+
+  async generateCode(prompt, type = 'react', context = {}, options = {}) {
+    const response = await this.inner.generateCode(prompt, type, context, options);
+
+    this.save(prompt, type, context, this.inner.normalizeResponse(response));
+
+    return response;
+  }
+
+  async *streamCode(prompt, type = 'react', context = {}, options = {}) {
+    const chunks = [];
+    let finishReason = null;
+    let usage = null;
+
+    for await (const chunk of this.inner.streamCode(prompt, type, context, options)) {
+      if (chunk.content) chunks.push(chunk.content);
+      finishReason = chunk.finishReason || finishReason;
+      usage = chunk.usage || usage;
+      yield chunk;
+    }
+
+    this.save(prompt, type, context, {
+      content: chunks.join(''),
+      model: this.inner.model,
+      usage,
+      finishReason
+    }, chunks);
+  }
+
+  generateChat(messages, options = {}) {
+    return this.inner.generateChat(messages, options);
+  }
+
+  healthCheck() {
+    return this.inner.healthCheck();
+  }
+
+  getModels() {
+    return this.inner.getModels();
+  }
+
+  normalizeResponse(response) {
+    return this.inner.normalizeResponse(response);
+  }
+
+  save(prompt, type, context, response, chunks) {
+    try {
+      const file = ReplayService.saveFixture(this.fixturesDir, {
+        prompt,
+        type,
+        context,
+        provider: this.inner.name,
+        response,
+        chunks
+      });
+      console.log(`📼 Recorded ${this.inner.name} completion to ${file}`);
+    } catch (error) {
+      // Recording is best effort and must never break a generation
+      console.error('Failed to record AI fixture:', error.message);
+    }
+  }
+}
+
+module.exports = RecordingProvider;
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const AIProvider = require('./aiProvider');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'ai');
+const STREAM_CHUNK_SIZE = 64;
+
+/**
+ * Replay provider
+ * Serves recorded completions from JSON fixtures keyed by a hash of the
+ * prompt, so the generation pipeline can run without network or API keys.
+ * Fixtures are written by RecordingProvider (AI_RECORD_FIXTURES=true).
+ */
+class ReplayService extends AIProvider {
+  constructor(fixturesDir = process.env.AI_FIXTURES_DIR || DEFAULT_FIXTURES_DIR) {
+    super('replay');
+    this.fixturesDir = path.resolve(fixturesDir);
+    this.model = 'replay';
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async generateCode(prompt, type = 'react', context = {}, options = {}) {
+    AIProvider.throwIfAborted(options.signal);
+    const fixture = this.loadFixture(prompt, type, context);
+
+    return {
+      success: true,
+      ...fixture.response,
+      provider: 'replay',
+      recordedFrom: fixture.provider
+    };
+  }
+
+  /**
+   * Replays recorded chunks when the fixture has them, otherwise splits the
+   * completion into fixed-size chunks so output is always deterministic
+   */
+  async *streamCode(prompt, type = 'react', context = {}, options = {}) {
+    const fixture = this.loadFixture(prompt, type, context);
+    const { content = '', finishReason = 'stop', usage = null } = fixture.response;
+
+    const chunks = Array.isArray(fixture.chunks) && fixture.chunks.length > 0
+      ? fixture.chunks
+      : ReplayService.splitContent(content);
+
+    for (let i = 0; i < chunks.length; i++) {
+      AIProvider.throwIfAborted(options.signal);
+      const isLast = i === chunks.length - 1;
+      yield {
+        content: chunks[i],
+        finishReason: isLast ? finishReason : null,
+        usage: isLast ? usage : null
+      };
+    }
+  }
+
+  async generateChat(messages, options = {}) {
+    const last = messages[messages.length - 1];
+    return this.generateCode(last ? last.content : '', 'chat', { messages });
+  }
+
+  async healthCheck() {
+    if (!fs.existsSync(this.fixturesDir)) {
+      throw new Error(`Fixtures directory not found: ${this.fixturesDir}`);
+    }
+    return { status: 'healthy', model: this.model, fixturesDir: this.fixturesDir };
+  }
+
+  async getModels() {
+    return [{ id: 'replay', name: 'Recorded fixtures' }];
+  }
+
+  loadFixture(prompt, type, context) {
+    const key = ReplayService.hashPrompt(prompt, type, context);
+    const file = ReplayService.fixturePath(this.fixturesDir, key);
+
+    if (!fs.existsSync(file)) {
+      throw new Error(`No recorded completion for prompt ${key} in ${this.fixturesDir}`);
+    }
+
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * Fixture key: the prompt, generation type and mode, plus a digest of what
+   * else the model is shown (project files, conversation, validator errors)
+   * so edits of different project states get different fixtures. Other
+   * context is left out so fixtures survive unrelated changes to it.
+   * Continuations are keyed by their round so each follow-up gets its own
+   * fixture.
+   */
+  static hashPrompt(prompt, type = 'react', context = {}) {
+    const key = { prompt, type, mode: context.mode || 'generate' };
+    if (context.continuation) {
+      key.continuation = context.continuation.round || 1;
+    }
+
+    const digest = this.digestContext(context);
+    if (digest) {
+      key.context = digest;
+    }
+
+    return this.sha256(JSON.stringify(key)).substring(0, 32);
+  }
+
+  /**
+   * Digest of the files, messages and errors in a generation context, or
+   * null when it has none
+   */
+  static digestContext(context = {}) {
+    const files = [...(context.currentFiles || []), ...(context.files || [])]
+      .map(file => [file.path, file.content]);
+    const messages = [...(context.history || []), ...(context.messages || [])]
+      .map(message => [message.role, message.content]);
+    const errors = context.errors || [];
+
+    if (files.length === 0 && messages.length === 0 && errors.length === 0) {
+      return null;
+    }
+
+    return this.sha256(JSON.stringify({ files, messages, errors }));
+  }
+
+  static sha256(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+  }
+
+  static fixturePath(fixturesDir, key) {
+    return path.join(fixturesDir, `${key}.json`);
+  }
+
+  static saveFixture(fixturesDir, { prompt, type, context = {}, provider, response, chunks }) {
+    const key = this.hashPrompt(prompt, type, context);
+    const file = this.fixturePath(fixturesDir, key);
+
+    fs.mkdirSync(fixturesDir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({
+      key,
+      prompt,
+      type,
+      mode: context.mode || 'generate',
+      provider,
+      recordedAt: new Date().toISOString(),
+      response: {
+        content: response.content,
+        model: response.model,
+        usage: response.usage,
+        finishReason: response.finishReason
+      },
+      ...(chunks ? { chunks } : {})
+    }, null, 2) + '\n');
+
+    return file;
+  }
+
+  static splitContent(content) {
+    const chunks = [];
+    for (let i = 0; i < content.length; i += STREAM_CHUNK_SIZE) {
+      chunks.push(content.substring(i, i + STREAM_CHUNK_SIZE));
+    }
+    return chunks.length > 0 ? chunks : [''];
+  }
+}
+
+module.exports = ReplayService;
@@ -0,0 +1,110 @@
+/**
+ * Revision Service
+ * Records every write to a file as a revision and diffs revisions.
+ * Contents are stored in ContentBlob, shared with snapshots, so a revision
+ * of unchanged content costs no more than its metadata.
+ */
+
+const FileRevision = require('../models/FileRevision');
+const ContentBlob = require('../models/ContentBlob');
+const { createUnifiedDiff } = require('../utils/unifiedDiff');
+
+class RevisionService {
+  /**
+   * Record a revision for each written file, in order.
+   * Changes are { file, operation, previous } where `file` is the file as
+   * written ({ _id, projectId, path, language, content }) and `previous` the
+   * file before an update or rename. Writes that change neither content nor
+   * path are skipped. A file without history gets a baseline revision of its
+   * previous content first, so its first diff has something to compare to.
+   * `session` runs the writes in the caller's transaction.
+   */
+  static async recordRevisions(changes, { userId, source = 'manual', session }) {
+    const written = changes.filter(({ file, previous }) => !previous
+      || previous.path !== file.path
+      || (previous.content || '') !== (file.content || ''));
+
+    if (written.length === 0) return [];
+
+    const changedIds = written.filter(change => change.previous).map(change => change.file._id);
+    const tracked = new Set(changedIds.length > 0
+      ? (await FileRevision.distinct('fileId', { fileId: { $in: changedIds } }, { session })).map(String)
+      : []);
+
+    const entries = [];
+    written.forEach(({ file, operation, previous }) => {
+      if (previous && !tracked.has(String(file._id))) {
+        entries.push(this.toEntry(file._id, previous, {
+          userId: previous.userId || userId,
+          source: 'baseline',
+          operation: 'create',
+          createdAt: previous.updatedAt,
+        }));
+      }
+      tracked.add(String(file._id));
+
+      entries.push(this.toEntry(file._id, file, { userId, source, operation }));
+    });
+
+    await ContentBlob.storeContents(entries, { session });
+    return FileRevision.insertMany(entries.map(({ content, ...revision }) => revision), { session });
+  }
+
+  /**
+   * Delete the revisions matching `filter` and the stored contents that
+   * only they used
+   */
+  static async deleteRevisions(filter, { session } = {}) {
+    const hashes = await FileRevision.distinct('hash', filter, { session });
+    await FileRevision.deleteMany(filter, { session });
+    await ContentBlob.removeUnreferenced(hashes, { session });
+  }
+
+  static toEntry(fileId, file, details) {
+    const content = file.content || '';
+    return {
+      fileId,
+      projectId: file.projectId,
+      path: file.path,
+      language: file.language,
+      hash: ContentBlob.hashContent(content),
+      size: content.length,
+      content,
+      ...details,
+    };
+  }
+
+  /**
+   * A file's revisions, newest first
+   */
+  static async listRevisions(fileId) {
+    return FileRevision.find({ fileId }).sort({ createdAt: -1, _id: -1 });
+  }
+
+  static async findRevision(fileId, revisionId) {
+    return FileRevision.findOne({ _id: revisionId, fileId });
+  }
+
+  /**
+   * Unified diff from one revision to another, or to the file as it is now
+   * when `to` is null. Returns { diff, additions, deletions }.
+   */
+  static async diffRevisions(file, from, to, { context } = {}) {
+    const contents = await ContentBlob.findContents(to ? [from.hash, to.hash] : [from.hash]);
+
+    const contentOf = (revision) => {
+      if (!contents.has(revision.hash)) {
+        throw new Error(`Revision ${revision._id} references missing content ${revision.hash}`);
+      }
+      return contents.get(revision.hash);
+    };
+
+    return createUnifiedDiff(contentOf(from), to ? contentOf(to) : file.content, {
+      oldPath: from.path,
+      newPath: to ? to.path : file.path,
+      context,
+    });
+  }
+}
+
+module.exports = RevisionService;
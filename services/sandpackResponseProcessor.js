@@ -3,113 +3,153 @@
  * Validates and fixes generated React code to ensure it works in Sandpack
  */
 
+const {
+  normalizePath,
+  toProjectPath,
+  getLanguageFromPath,
+  guessFilePath,
+  extractFileBlocks
+} = require('../utils/fenceParser');
+const { parseArtifacts } = require('../utils/artifactParser');
+const { parsePatches } = require('../utils/unifiedDiff');
+
 class SandpackResponseProcessor {
   /**
    * Process and validate AI response for Sandpack compatibility
    */
   static processResponse(content, provider = 'groq') {
-    const files = this.extractFiles(content);
+    return this.parseResponse(content).files;
+  }
+
+  /**
+   * Same as processResponse, but also returns the shell steps the model asked
+   * for and the fragments of the response that could not be turned into
+   * files: { files, steps, fragments }
+   */
+  static parseResponse(content) {
+    const { files, steps, fragments } = this.parseOperations(content);
     
     // If no files extracted, try to create a minimal project
     if (files.length === 0) {
-      return this.createMinimalProject(content);
+      return { files: this.createMinimalProject(content), steps, fragments };
     }
 
     // Validate and fix extracted files
     const validatedFiles = this.validateAndFixFiles(files);
     
     // Ensure essential files exist
-    return this.ensureEssentialFiles(validatedFiles);
+    return { files: this.ensureEssentialFiles(validatedFiles), steps, fragments };
   }
 
   /**
-   * Extract files from content using multiple patterns
+   * Process an edit-mode response.
+   * Only the files the model returned are kept (no essential-file padding),
+   * together with the paths it asked to delete, the files it moved and the
+   * unified diffs still to be applied to the current files.
    */
-  static extractFiles(content) {
-    const files = [];
-    
-    // Pattern 1: // filepath with ``` (supports root level files like package.json, public/*, src/*)
-    const pattern1 = /\/\/\s*(?:src\/|public\/|)([\w\.\/-]+\.(jsx?|tsx?|css|html|json|md))\s*\n```[\w]*\n([\s\S]*?)```/gi;
-    let match;
+  static processEditResponse(content) {
+    const { files, deletions, renames, patches, steps, fragments } = this.parseOperations(content, { edit: true });
+
+    return {
+      files: this.validateAndFixFiles(files).filter(file => !deletions.includes(file.path)),
+      deletions,
+      renames,
+      patches,
+      steps,
+      fragments
+    };
+  }
 
-    while ((match = pattern1.exec(content)) !== null) {
-      let filePath = match[1].trim();
-      const fileContent = match[3].trim();
-
-      // Ensure proper path prefix
-      if (!filePath.startsWith('/')) {
-        if (filePath === 'package.json' || filePath.startsWith('tailwind.')) {
-          filePath = '/' + filePath;
-        } else if (!filePath.startsWith('src/') && !filePath.startsWith('public/')) {
-          filePath = '/src/' + filePath;
-        } else {
-          filePath = '/' + filePath;
-        }
+  /**
+   * Parse structured artifacts (<file> tags or a JSON manifest, see
+   * utils/artifactParser), unified diffs (see utils/unifiedDiff) and legacy
+   * "// path" code fences together.
+   * Returns { files, deletions, renames, patches, steps, fragments }; files
+   * carry operation 'create' or 'update'. Deletes, renames and patches only
+   * apply in edit mode (options.edit) and are reported as fragments otherwise.
+   */
+  static parseOperations(content, options = {}) {
+    const { edit = false } = options;
+    const artifact = parseArtifacts(content);
+    const diff = parsePatches(artifact.remainder);
+    const fenced = extractFileBlocks(diff.remainder, {
+      guessPaths: !artifact.found && diff.patches.length === 0
+    });
+    const fragments = [...artifact.fragments, ...diff.fragments, ...fenced.fragments];
+    const files = new Map();
+    const deletions = [];
+    const renames = [];
+    const patches = [];
+
+    artifact.operations.forEach(op => {
+      if (op.op === 'create' || op.op === 'update') {
+        files.set(op.path, { path: op.path, content: op.content, language: op.language, operation: op.op });
+      } else if (!edit) {
+        fragments.push({ line: op.line, reason: `Cannot ${op.op} ${op.path} outside edit mode`, text: '' });
+      } else if (op.op === 'delete') {
+        if (!deletions.includes(op.path)) deletions.push(op.path);
+      } else {
+        renames.push({ from: op.path, to: op.to });
       }
+    });
 
-      if (fileContent && filePath && fileContent.length > 5) {
-        files.push({
-          path: filePath,
-          content: fileContent,
-          language: this.getLanguageFromPath(filePath),
-          operation: 'create'
-        });
+    diff.patches.forEach(patch => {
+      if (patch.isNew) {
+        // A diff against /dev/null is a whole new file
+        const content = patch.hunks
+          .map(hunk => hunk.lines.filter(l => l.type === '+').map(l => l.text).join('\n'))
+          .join('\n');
+        files.set(patch.path, { path: patch.path, content, language: getLanguageFromPath(patch.path), operation: 'create' });
+      } else if (!edit) {
+        fragments.push({ line: patch.line, reason: `Cannot patch ${patch.path} outside edit mode`, text: '' });
+      } else if (patch.isDelete) {
+        if (!deletions.includes(patch.path)) deletions.push(patch.path);
+      } else {
+        patches.push({ path: patch.path, hunks: patch.hunks });
       }
-    }
+    });
 
-    // Pattern 2: ** filepath ** with ``` (supports all file types)
-    if (files.length === 0) {
-      const pattern2 = /\*\*(?:src\/|public\/|)?([\w\.\/-]+\.(jsx?|tsx?|css|html|json|md))\*\*\s*\n```[\w]*\n([\s\S]*?)```/gi;
-
-      while ((match = pattern2.exec(content)) !== null) {
-        let filePath = match[1].trim();
-        const fileContent = match[3].trim();
-
-        // Ensure proper path prefix
-        if (!filePath.startsWith('/')) {
-          if (filePath === 'package.json' || filePath.startsWith('tailwind.')) {
-            filePath = '/' + filePath;
-          } else if (!filePath.startsWith('src/') && !filePath.startsWith('public/')) {
-            filePath = '/src/' + filePath;
-          } else {
-            filePath = '/' + filePath;
-          }
-        }
+    fenced.files.forEach(file => files.set(file.path, file));
 
-        if (fileContent && filePath && fileContent.length > 5) {
-          files.push({
-            path: filePath,
-            content: fileContent,
-            language: this.getLanguageFromPath(filePath),
-            operation: 'create'
-          });
-        }
-      }
+    if (edit) {
+      this.extractDeletions(diff.remainder).forEach(filePath => {
+        if (!deletions.includes(filePath)) deletions.push(filePath);
+      });
     }
 
-    // Pattern 3: Generic code blocks with smart path detection
-    if (files.length === 0) {
-      const pattern3 = /```(jsx?|tsx?|css|html|json)\n([\s\S]*?)```/gi;
-      let fileIndex = 1;
-
-      while ((match = pattern3.exec(content)) !== null) {
-        const language = match[1];
-        const fileContent = match[2].trim();
-
-        if (fileContent && fileContent.length > 5) {
-          const smartPath = this.generateSmartFilePath(fileContent, language, fileIndex);
-          files.push({
-            path: smartPath,
-            content: fileContent,
-            language: this.getLanguageFromPath(fileContent),
-            operation: 'create'
-          });
-          fileIndex++;
-        }
+    return {
+      files: [...files.values()],
+      deletions,
+      renames,
+      patches,
+      steps: artifact.steps.map(({ type, command }) => ({ type, command })),
+      fragments: fragments.sort((a, b) => a.line - b.line)
+    };
+  }
+
+  /**
+   * Extract "// DELETE: path" instructions
+   */
+  static extractDeletions(content) {
+    const deletions = [];
+    const pattern = /^\s*\/\/\s*DELETE:?\s+([\w\.\/-]+)\s*$/gim;
+    let match;
+
+    while ((match = pattern.exec(content || '')) !== null) {
+      const filePath = toProjectPath(match[1]);
+      if (filePath && !deletions.includes(filePath)) {
+        deletions.push(filePath);
       }
     }
 
-    return files;
+    return deletions;
+  }
+
+  /**
+   * Extract created and updated files from artifacts and code fences
+   */
+  static extractFiles(content) {
+    return this.parseOperations(content).files;
   }
 
   /**
@@ -220,28 +260,7 @@ root.render(<App />);`;
    * Generate smart file path based on content
    */
   static generateSmartFilePath(content, language, index) {
-    const lower = content.toLowerCase();
-    
-    // Root level files
-    if (lower.includes('"name":') && lower.includes('"dependencies":')) return '/package.json';
-    if (lower.includes('<!doctype') || lower.includes('<html')) return '/public/index.html';
-    if (lower.includes('tailwind') && language === 'js') return '/tailwind.config.js';
-    
-    // Source files
-    if (content.includes('createRoot') || content.includes('ReactDOM')) return '/src/index.js';
-    if (content.includes('export default function App') || 
-        (content.includes('export default') && content.includes('return ('))) return '/src/App.js';
-    
-    // CSS files
-    if (language === 'css' && lower.includes('@tailwind')) return '/src/index.css';
-    if (language === 'css') return `/src/styles/style${index}.css`;
-    
-    // Components
-    if (content.includes('function ') || content.includes('const ') || content.includes('import')) {
-      return `/src/components/Component${index}.jsx`;
-    }
-    
-    return `/src/file${index}.${language}`;
+    return guessFilePath(content, language, index);
   }
 
   /**
@@ -380,19 +399,18 @@ export default function App() {
    * Ensure essential files exist
    */
   static ensureEssentialFiles(files) {
-    const hasPackageJson = files.some(f => f.path === '/package.json' || f.path === 'package.json');
-    const hasHtml = files.some(f => f.path === '/public/index.html' || f.path === 'public/index.html');
-    const hasIndex = files.some(f => f.path === '/src/index.js' || f.path === 'src/index.js' || 
-                                      f.path === '/src/index.jsx' || f.path === 'src/index.jsx');
-    const hasApp = files.some(f => f.path === '/src/App.js' || f.path === 'src/App.js' || 
-                                   f.path === '/src/App.jsx' || f.path === 'src/App.jsx');
-    const hasIndexCss = files.some(f => f.path === '/src/index.css' || f.path === 'src/index.css');
-
-    // Normalize paths to start with /
+    // Normalize paths to the canonical '/src/App.js' form
     const normalizedFiles = files.map(f => ({
       ...f,
-      path: f.path.startsWith('/') ? f.path : '/' + f.path
+      path: normalizePath(f.path) || f.path
     }));
+    const has = (...paths) => normalizedFiles.some(f => paths.includes(f.path));
+
+    const hasPackageJson = has('/package.json');
+    const hasHtml = has('/public/index.html');
+    const hasIndex = has('/src/index.js', '/src/index.jsx');
+    const hasApp = has('/src/App.js', '/src/App.jsx');
+    const hasIndexCss = has('/src/index.css');
 
     if (!hasPackageJson) {
       normalizedFiles.push({
@@ -506,18 +524,7 @@ html, body, #root {
    * Get language from file path
    */
   static getLanguageFromPath(filePath) {
-    const ext = filePath.split('.').pop().toLowerCase();
-    const map = {
-      js: 'javascript',
-      jsx: 'javascript',
-      ts: 'typescript',
-      tsx: 'typescript',
-      css: 'css',
-      html: 'html',
-      json: 'json',
-      md: 'markdown'
-    };
-    return map[ext] || 'javascript';
+    return getLanguageFromPath(filePath);
   }
 }
 
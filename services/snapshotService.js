@@ -0,0 +1,178 @@
+/**
+ * Snapshot Service
+ * Captures a project's files as a snapshot and restores them later.
+ * Contents are stored once per SHA-256 hash in ContentBlob, so a snapshot
+ * only adds the files that changed since any earlier one.
+ */
+
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const Snapshot = require('../models/Snapshot');
+const ContentBlob = require('../models/ContentBlob');
+const ProjectFileService = require('./projectFileService');
+const RevisionService = require('./revisionService');
+
+// Longest label derived from a prompt for automatic snapshots
+const MAX_AUTO_LABEL_LENGTH = 80;
+
+// Standalone servers reject transactions with IllegalOperation
+const TRANSACTIONS_UNSUPPORTED = 20;
+
+class SnapshotService {
+  /**
+   * Snapshot every file of a project.
+   * Options: { label, trigger ('manual', 'generation' or 'restore'), chatMessageId, session }
+   */
+  static async createSnapshot(project, userId, { label = '', trigger = 'manual', chatMessageId = null, session } = {}) {
+    const files = await File.find({ projectId: project._id }, null, { session });
+    const entries = files.map(file => ({
+      path: file.path,
+      language: file.language,
+      hash: ContentBlob.hashContent(file.content),
+      size: (file.content || '').length,
+      content: file.content || '',
+    }));
+
+    await ContentBlob.storeContents(entries, { session });
+
+    const [snapshot] = await Snapshot.create([{
+      projectId: project._id,
+      userId,
+      label,
+      trigger,
+      chatMessageId,
+      files: entries.map(({ path, language, hash, size }) => ({ path, language, hash, size })),
+      fileCount: entries.length,
+      totalSize: entries.reduce((total, entry) => total + entry.size, 0),
+    }], { session });
+
+    return snapshot;
+  }
+
+  /**
+   * Snapshot taken before a generation writes into a project. Projects
+   * without files have nothing to roll back to, so they are skipped.
+   */
+  static async snapshotBeforeGeneration(project, userId, prompt, { session } = {}) {
+    const hasFiles = await File.exists({ projectId: project._id }, { session });
+    if (!hasFiles) {
+      return null;
+    }
+
+    const summary = String(prompt || '').replace(/\s+/g, ' ').trim();
+    const label = summary.length > MAX_AUTO_LABEL_LENGTH
+      ? `${summary.substring(0, MAX_AUTO_LABEL_LENGTH - 1)}…`
+      : summary;
+
+    return this.createSnapshot(project, userId, { label: `Before: ${label}`, trigger: 'generation', session });
+  }
+
+  static async listSnapshots(projectId) {
+    return Snapshot.find({ projectId })
+      .select('-files')
+      .sort({ createdAt: -1 });
+  }
+
+  static async findSnapshot(projectId, snapshotId) {
+    if (!mongoose.isValidObjectId(snapshotId)) {
+      return null;
+    }
+    return Snapshot.findOne({ _id: snapshotId, projectId });
+  }
+
+  /**
+   * A snapshot's files with their contents: [{ path, language, content, size }]
+   */
+  static async getSnapshotFiles(snapshot) {
+    const contentByHash = await ContentBlob.findContents(snapshot.files.map(file => file.hash));
+
+    return snapshot.files.map(file => {
+      if (!contentByHash.has(file.hash)) {
+        throw new Error(`Snapshot ${snapshot._id} references missing content ${file.hash}`);
+      }
+
+      return {
+        path: file.path,
+        language: file.language,
+        content: contentByHash.get(file.hash),
+        size: file.size,
+      };
+    });
+  }
+
+  /**
+   * Replace a project's files with a snapshot's. The current files are
+   * snapshotted first, and the swap runs in a transaction where the server
+   * supports them, so a failed restore leaves the project as it was.
+   * Files whose path survives keep their id, so their revision history
+   * continues with a `restore` revision; the history of removed files goes.
+   */
+  static async restoreSnapshot(project, userId, snapshot) {
+    const files = await this.getSnapshotFiles(snapshot);
+    const currentFiles = await File.find({ projectId: project._id });
+    const currentByPath = new Map(currentFiles.map(file => [file.path, file]));
+    const restoredPaths = new Set(files.map(file => file.path));
+    const removedIds = currentFiles.filter(file => !restoredPaths.has(file.path)).map(file => file._id);
+
+    const restored = files.map(file => ({
+      _id: currentByPath.has(file.path) ? currentByPath.get(file.path)._id : new mongoose.Types.ObjectId(),
+      projectId: project._id,
+      userId,
+      path: file.path,
+      content: file.content,
+      language: file.language,
+      size: file.size,
+      operation: 'create',
+    }));
+
+    const backup = await this.createSnapshot(project, userId, {
+      label: `Before restoring ${snapshot.label ? `"${snapshot.label}"` : `snapshot ${snapshot._id}`}`,
+      trigger: 'restore',
+    });
+
+    await this.inTransaction(async (session) => {
+      await File.deleteMany({ projectId: project._id }, { session });
+      if (restored.length > 0) {
+        await File.insertMany(restored, { session });
+      }
+      if (removedIds.length > 0) {
+        await RevisionService.deleteRevisions({ fileId: { $in: removedIds } }, { session });
+      }
+    });
+
+    await RevisionService.recordRevisions(
+      restored.map(file => ({
+        file,
+        operation: currentByPath.has(file.path) ? 'update' : 'create',
+        previous: currentByPath.get(file.path),
+      })),
+      { userId, source: 'restore' }
+    );
+
+    return {
+      ...(await ProjectFileService.refreshProject(project)),
+      backup,
+    };
+  }
+
+  /**
+   * Run `work(session)` in a transaction. Without replica set support it
+   * runs once without one; callers keep a snapshot to recover from.
+   */
+  static async inTransaction(work) {
+    const session = await mongoose.startSession();
+
+    try {
+      return await session.withTransaction(() => work(session));
+    } catch (error) {
+      if (error.code !== TRANSACTIONS_UNSUPPORTED) {
+        throw error;
+      }
+      return work(null);
+    } finally {
+      await session.endSession();
+    }
+  }
+}
+
+module.exports = SnapshotService;
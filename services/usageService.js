@@ -0,0 +1,192 @@
+/**
+ * Usage Service
+ * Records provider calls, rolls them up per day and month, and checks the
+ * generation quotas in config/quotas.js.
+ */
+
+const mongoose = require('mongoose');
+const Usage = require('../models/Usage');
+const User = require('../models/User');
+const getQuotas = require('../config/quotas');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class UsageService {
+  /**
+   * Token counts from any provider's usage object: OpenAI-style
+   * snake_case fields (Groq, OpenAI-compatible) or our camelCase ones (Gemini)
+   */
+  static normalizeUsage(usage) {
+    const promptTokens = usage?.promptTokens ?? usage?.prompt_tokens ?? 0;
+    const completionTokens = usage?.completionTokens ?? usage?.completion_tokens ?? 0;
+    const totalTokens = usage?.totalTokens ?? usage?.total_tokens ?? promptTokens + completionTokens;
+
+    return { promptTokens, completionTokens, totalTokens };
+  }
+
+  /**
+   * Who a request is accounted to: { userId, ip, isGuest }.
+   * Callers without a token are anonymous and held to the guest quota.
+   */
+  static async resolveSubject(req) {
+    if (!req.user) {
+      return { userId: null, ip: req.ip, isGuest: true };
+    }
+
+    const user = await User.findById(req.user.userId).select('isGuest');
+
+    return { userId: req.user.userId, ip: req.ip, isGuest: !user || user.isGuest };
+  }
+
+  /**
+   * An `onResult` callback for the provider registry that stores each call
+   * for `subject` ({ userId, ip, projectId }).
+   */
+  static recorder(subject = {}) {
+    return (call) => {
+      this.record(subject, call);
+    };
+  }
+
+  /**
+   * Store one provider call. Best effort: writes are skipped while the
+   * database is disconnected rather than buffered, and errors are logged.
+   */
+  static record({ userId = null, ip = null, projectId = null }, call) {
+    if (mongoose.connection.readyState !== 1) {
+      return Promise.resolve(null);
+    }
+
+    return Usage.create({
+      userId,
+      ip: userId ? null : ip,
+      projectId,
+      provider: call.provider,
+      model: call.model,
+      mode: call.mode,
+      ...this.normalizeUsage(call.usage),
+      latencyMs: call.latencyMs,
+      success: call.success,
+      error: call.error
+    }).catch(error => {
+      console.error('Failed to record AI usage:', error.message);
+      return null;
+    });
+  }
+
+  /**
+   * Query filter for a subject's records
+   */
+  static subjectFilter({ userId, ip }) {
+    return userId
+      ? { userId: new mongoose.Types.ObjectId(String(userId)) }
+      : { userId: null, ip };
+  }
+
+  /**
+   * Start of the current UTC day and month
+   */
+  static periodStarts(now = new Date()) {
+    return {
+      daily: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())),
+      monthly: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1))
+    };
+  }
+
+  /**
+   * Requests and tokens used since `since`
+   */
+  static async getTotals(filter, since) {
+    const [totals] = await Usage.aggregate([
+      { $match: { ...filter, createdAt: { $gte: since } } },
+      {
+        $group: {
+          _id: null,
+          requests: { $sum: { $cond: ['$success', 1, 0] } },
+          tokens: { $sum: '$totalTokens' }
+        }
+      }
+    ]);
+
+    return { requests: totals?.requests || 0, tokens: totals?.tokens || 0 };
+  }
+
+  /**
+   * Compare a subject's usage with its quota.
+   * Returns { allowed, plan, limits, used, exceeded } where exceeded is
+   * { period, metric, limit, used, resetAt } for the first limit reached.
+   */
+  static async checkQuota(subject, now = new Date()) {
+    const plan = subject.isGuest ? 'guest' : 'user';
+    const limits = getQuotas()[plan];
+    const starts = this.periodStarts(now);
+    const filter = this.subjectFilter(subject);
+
+    const used = {
+      daily: await this.getTotals(filter, starts.daily),
+      monthly: await this.getTotals(filter, starts.monthly)
+    };
+
+    const resets = {
+      daily: new Date(starts.daily.getTime() + DAY_MS),
+      monthly: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+    };
+
+    let exceeded = null;
+    for (const period of ['daily', 'monthly']) {
+      for (const metric of ['requests', 'tokens']) {
+        const limit = limits[period][metric];
+        if (!exceeded && limit > 0 && used[period][metric] >= limit) {
+          exceeded = { period, metric, limit, used: used[period][metric], resetAt: resets[period] };
+        }
+      }
+    }
+
+    return { allowed: !exceeded, plan, limits, used, exceeded };
+  }
+
+  /**
+   * Per-day and per-month rollups for a user, newest first.
+   * Each row is { period, requests, failures, promptTokens, completionTokens,
+   * totalTokens, avgLatencyMs }.
+   */
+  static async getRollups(userId, { days = 30, months = 12, projectId = null } = {}, now = new Date()) {
+    const starts = this.periodStarts(now);
+    const filter = { userId: new mongoose.Types.ObjectId(String(userId)) };
+    if (projectId) {
+      filter.projectId = new mongoose.Types.ObjectId(String(projectId));
+    }
+
+    const rollup = (since, format) => Usage.aggregate([
+      { $match: { ...filter, createdAt: { $gte: since } } },
+      {
+        $group: {
+          _id: { $dateToString: { format, date: '$createdAt', timezone: 'UTC' } },
+          requests: { $sum: { $cond: ['$success', 1, 0] } },
+          failures: { $sum: { $cond: ['$success', 0, 1] } },
+          promptTokens: { $sum: '$promptTokens' },
+          completionTokens: { $sum: '$completionTokens' },
+          totalTokens: { $sum: '$totalTokens' },
+          avgLatencyMs: { $avg: '$latencyMs' }
+        }
+      },
+      { $sort: { _id: -1 } }
+    ]);
+
+    const toRows = rows => rows.map(({ _id, avgLatencyMs, ...totals }) => ({
+      period: _id,
+      ...totals,
+      avgLatencyMs: Math.round(avgLatencyMs || 0)
+    }));
+
+    const dailySince = new Date(starts.daily.getTime() - (days - 1) * DAY_MS);
+    const monthlySince = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (months - 1), 1));
+
+    return {
+      daily: toRows(await rollup(dailySince, '%Y-%m-%d')),
+      monthly: toRows(await rollup(monthlySince, '%Y-%m'))
+    };
+  }
+}
+
+module.exports = UsageService;
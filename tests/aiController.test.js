@@ -0,0 +1,398 @@
+const http = require('http');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+process.env.AI_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'ai');
+
+const AIController = require('../controllers/aiController');
+const Chat = require('../models/Chat');
+const ContentBlob = require('../models/ContentBlob');
+const File = require('../models/File');
+const FileRevision = require('../models/FileRevision');
+const Project = require('../models/Project');
+const Snapshot = require('../models/Snapshot');
+const Usage = require('../models/Usage');
+const User = require('../models/User');
+const aiRoutes = require('../routes/ai');
+const { ProviderRegistry } = require('../services/providerRegistry');
+const AIProvider = require('../services/aiProvider');
+const GroqService = require('../services/groqService');
+const ReplayService = require('../services/replayService');
+const { asyncHandler, errorHandler } = require('../middleware/errorHandler');
+const { generateToken } = require('../utils/jwt');
+
+const COUNTER_PROMPT = 'Create a counter app with increment and decrement buttons';
+
+const parseSSE = (res, callback) => {
+  let data = '';
+  res.setEncoding('utf8');
+  res.on('data', chunk => { data += chunk; });
+  res.on('end', () => {
+    const events = data.split('\n\n').filter(Boolean).map(block => {
+      const [eventLine, dataLine] = block.split('\n');
+      return {
+        event: eventLine.replace('event: ', ''),
+        data: JSON.parse(dataLine.replace('data: ', ''))
+      };
+    });
+    callback(null, events);
+  });
+};
+
+describe('AIController with replayed completions', () => {
+  const originalChain = process.env.AI_PROVIDER_CHAIN;
+  let app;
+  let controller;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    // Groq without an API key fails, so every request exercises the fallback
+    delete process.env.GROQ_API_KEY;
+    process.env.AI_PROVIDER_CHAIN = 'groq,replay';
+
+    const registry = new ProviderRegistry();
+    registry.register('groq', () => new GroqService());
+    registry.register('replay', () => new ReplayService());
+    controller = new AIController(registry);
+
+    app = express();
+    app.use(express.json());
+    app.post('/generate', asyncHandler((req, res) => controller.generateCode(req, res)));
+    app.post('/generate/stream', asyncHandler((req, res) => controller.streamCode(req, res)));
+    app.use(errorHandler);
+  });
+
+  afterAll(() => {
+    process.env.AI_PROVIDER_CHAIN = originalChain;
+    jest.restoreAllMocks();
+  });
+
+  test('generates, processes and validates a React project', async () => {
+    const res = await request(app)
+      .post('/generate')
+      .send({ prompt: COUNTER_PROMPT, type: 'react' })
+      .expect(200);
+
+    const { data } = res.body;
+    const paths = data.files.map(f => f.path);
+
+    expect(data.provider).toBe('replay');
+    expect(paths).toEqual(expect.arrayContaining([
+      '/package.json',
+      '/public/index.html',
+      '/src/index.js',
+      '/src/App.js',
+      '/src/components/Counter.js'
+    ]));
+    expect(data.validation).toHaveProperty('score');
+    expect(data.validation).toHaveProperty('status');
+  });
+
+  test('fails with a 503 when no provider can answer', async () => {
+    const res = await request(app)
+      .post('/generate')
+      .send({ prompt: 'never recorded', type: 'react' })
+      .expect(503);
+
+    expect(res.body.error).toMatchObject({ message: 'All AI providers failed', type: 'ServiceUnavailableError' });
+    // Per-provider failures are only logged
+    expect(res.body.error.details).toBeUndefined();
+  });
+
+  test('streams tokens, completed files and a final report over SSE', async () => {
+    const res = await request(app)
+      .post('/generate/stream')
+      .send({ prompt: COUNTER_PROMPT, type: 'react' })
+      .buffer(true)
+      .parse(parseSSE)
+      .expect('Content-Type', /text\/event-stream/);
+
+    const events = res.body;
+    const names = events.map(e => e.event);
+
+    expect(names[0]).toBe('provider');
+    expect(events[0].data.provider).toBe('replay');
+    expect(names).toContain('token');
+    expect(names[names.length - 1]).toBe('done');
+
+    const streamed = events.filter(e => e.event === 'file').map(e => e.data.path);
+    expect(streamed).toEqual(expect.arrayContaining(['/src/App.js', '/src/components/Counter.js']));
+
+    const tokens = events.filter(e => e.event === 'token').map(e => e.data.content).join('');
+    const done = events[events.length - 1].data;
+    expect(done.content).toBe(tokens);
+    expect(done.validation).toHaveProperty('score');
+  });
+
+  test('sends each file event once the tokens before it have closed its fence', async () => {
+    const res = await request(app)
+      .post('/generate/stream')
+      .send({ prompt: COUNTER_PROMPT, type: 'react' })
+      .buffer(true)
+      .parse(parseSSE);
+
+    const events = res.body;
+    expect(events.map(e => e.event).join(' ')).toMatch(/^provider token( token| file)* done$/);
+
+    let streamed = '';
+    events.forEach((e) => {
+      if (e.event === 'token') streamed += e.data.content;
+      if (e.event === 'file') expect(streamed).toContain(`${e.data.content.trim()}\n\`\`\``);
+    });
+  });
+
+  test('sends an error event when no provider can stream', async () => {
+    const res = await request(app)
+      .post('/generate/stream')
+      .send({ prompt: 'never recorded', type: 'react' })
+      .buffer(true)
+      .parse(parseSSE)
+      .expect(200);
+
+    expect(res.body).toEqual([
+      { event: 'error', data: { error: 'All AI providers failed', provider: null } }
+    ]);
+  });
+
+  test('edit mode returns only changed files and deletions', async () => {
+    const currentFiles = [
+      { path: 'src/App.js', content: 'export default function App() { return null; }' },
+      { path: 'src/components/Counter.js', content: 'export default function Counter() { return null; }' },
+      { path: 'src/index.css', content: 'body { margin: 0; }' }
+    ];
+
+    const data = await controller.runGeneration('Make the counter header sticky', 'react', {
+      mode: 'edit',
+      currentFiles
+    });
+
+    expect(data.files).toHaveLength(1);
+    expect(data.files[0]).toMatchObject({ path: '/src/components/Counter.js', operation: 'update' });
+    expect(data.files[0].content).toContain('sticky top-0');
+    expect(data.deleted).toEqual(['/src/index.css']);
+  });
+
+  test('repair loop feeds validator errors back until the score passes', async () => {
+    const data = await controller.runGeneration('Create a greeting app', 'react', {}, {
+      repair: { maxRounds: 3, threshold: 90 }
+    });
+
+    const { rounds } = data.repair;
+
+    expect(rounds[0].errors).toEqual(expect.arrayContaining([
+      expect.stringContaining('/src/App.js')
+    ]));
+    expect(rounds).toHaveLength(2);
+    expect(rounds[1].changedFiles).toEqual(['/src/App.js']);
+    expect(rounds[1].score).toBeGreaterThan(rounds[0].score);
+    expect(data.repair.passed).toBe(true);
+    expect(data.validation.score).toBe(rounds[1].score);
+    expect(data.files.find(f => f.path === '/src/App.js').content.trim().endsWith('}')).toBe(true);
+  });
+});
+
+describe('AIController.streamCode with stub providers', () => {
+  class StubProvider extends AIProvider {
+    constructor({ chunks = [], error = null, generateCode = null }) {
+      super('stub');
+      this.model = 'stub-model';
+      this.chunks = chunks;
+      this.error = error;
+      this.generateCode = generateCode;
+    }
+
+    isAvailable() {
+      return true;
+    }
+
+    async *streamCode() {
+      yield* this.chunks;
+      if (this.error) throw this.error;
+    }
+  }
+
+  const originalChain = process.env.AI_PROVIDER_CHAIN;
+
+  const createApp = (provider, onFinish = () => {}) => {
+    const registry = new ProviderRegistry();
+    registry.register('stub', () => provider);
+    const controller = new AIController(registry);
+
+    const app = express();
+    app.use(express.json());
+    app.post('/generate/stream', asyncHandler(async (req, res) => {
+      await controller.streamCode(req, res);
+      onFinish();
+    }));
+    app.use(errorHandler);
+    return app;
+  };
+
+  beforeEach(() => {
+    process.env.AI_PROVIDER_CHAIN = 'stub';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env.AI_PROVIDER_CHAIN = originalChain;
+    jest.restoreAllMocks();
+  });
+
+  test('sends an error event naming the provider that failed mid-stream', async () => {
+    const app = createApp(new StubProvider({
+      chunks: [{ content: 'Here is ', finishReason: null, usage: null }],
+      error: new Error('connection reset')
+    }));
+
+    const res = await request(app)
+      .post('/generate/stream')
+      .send({ prompt: 'Build a todo app', type: 'react' })
+      .buffer(true)
+      .parse(parseSSE);
+
+    expect(res.body.map(e => e.event)).toEqual(['provider', 'token', 'error']);
+    expect(res.body[2].data).toMatchObject({ error: 'connection reset', provider: 'stub' });
+  });
+
+  test('stops continuation rounds once the client disconnects', async () => {
+    let client;
+    let finished;
+    const done = new Promise((resolve) => { finished = resolve; });
+
+    // Each round disconnects the client, then answers still truncated
+    const generateCode = jest.fn(async (prompt, type, context, { signal }) => {
+      client.destroy();
+      await new Promise(resolve => signal.addEventListener('abort', resolve, { once: true }));
+      return { content: 'more', finishReason: 'length' };
+    });
+    const provider = new StubProvider({
+      chunks: [{ content: 'Here is the app', finishReason: 'length', usage: null }],
+      generateCode
+    });
+
+    const server = createApp(provider, finished).listen(0);
+    try {
+      client = http.request({ port: server.address().port, method: 'POST', path: '/generate/stream', headers: { 'Content-Type': 'application/json' } });
+      client.on('error', () => {});
+      client.end(JSON.stringify({ prompt: 'Build a todo app', type: 'react' }));
+      await done;
+    } finally {
+      server.close();
+    }
+
+    expect(generateCode).toHaveBeenCalledTimes(1);
+    expect(generateCode.mock.calls[0][3].signal.aborted).toBe(true);
+  });
+});
+
+describe('POST /api/ai/generate/:projectId', () => {
+  const originalChain = process.env.AI_PROVIDER_CHAIN;
+  const userId = new mongoose.Types.ObjectId();
+  const auth = `Bearer ${generateToken(String(userId), 'user@example.com')}`;
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/ai', aiRoutes);
+  app.use(errorHandler);
+
+  let project;
+  let stored;
+  let session;
+
+  beforeEach(() => {
+    process.env.AI_PROVIDER_CHAIN = 'replay';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    project = new Project({ userId, name: 'Counter', fileCount: 1, updatedAt: new Date('2026-01-01T00:00:00Z') });
+    stored = [new File({ projectId: project._id, userId, path: '/src/App.js', content: 'export default null;' })];
+    session = { withTransaction: jest.fn(work => work()), endSession: jest.fn() };
+
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue({ isGuest: false }) });
+    jest.spyOn(Usage, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    jest.spyOn(Project, 'findOne').mockResolvedValue(project);
+    jest.spyOn(project, 'save').mockResolvedValue(project);
+    jest.spyOn(File, 'exists').mockImplementation(() => Promise.resolve(stored.length > 0 ? { _id: stored[0]._id } : null));
+    jest.spyOn(File, 'find').mockImplementation(() => Promise.resolve([...stored]));
+    jest.spyOn(File, 'bulkWrite').mockImplementation((writes) => {
+      writes.forEach(({ insertOne, updateOne }) => {
+        if (insertOne) stored.push(new File(insertOne.document));
+        if (updateOne) stored.find(file => String(file._id) === String(updateOne.filter._id)).set(updateOne.update.$set);
+      });
+      return Promise.resolve({});
+    });
+    jest.spyOn(FileRevision, 'distinct').mockResolvedValue([]);
+    jest.spyOn(FileRevision, 'insertMany').mockImplementation(docs => Promise.resolve(docs));
+    jest.spyOn(ContentBlob, 'bulkWrite').mockResolvedValue({});
+    jest.spyOn(Snapshot, 'create').mockImplementation(docs => Promise.resolve(docs.map(doc => new Snapshot(doc))));
+    jest.spyOn(Snapshot.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+    jest.spyOn(Chat, 'insertMany').mockImplementation(docs => Promise.resolve(docs.map(doc => new Chat(doc))));
+  });
+
+  afterEach(() => {
+    process.env.AI_PROVIDER_CHAIN = originalChain;
+    jest.restoreAllMocks();
+  });
+
+  test('saves the generated files and the exchange into the project', async () => {
+    const res = await request(app)
+      .post(`/api/ai/generate/${project._id}`)
+      .set('Authorization', auth)
+      .send({ prompt: COUNTER_PROMPT, type: 'react' })
+      .expect(200);
+
+    expect(Project.findOne).toHaveBeenCalledWith({ _id: String(project._id), userId: String(userId) });
+
+    const paths = res.body.files.map(file => file.path);
+    expect(paths).toEqual(expect.arrayContaining(['/src/App.js', '/src/components/Counter.js', '/package.json']));
+    expect(new Set(paths).size).toBe(paths.length);
+    expect(res.body.changes.updated).toEqual(['/src/App.js']);
+    expect(res.body.changes.created).toEqual(expect.arrayContaining(['/src/components/Counter.js']));
+    expect(stored.find(file => file.path === '/src/App.js').content).toBe(res.body.data.files.find(file => file.path === '/src/App.js').content);
+
+    expect(res.body.project.fileCount).toBe(stored.length);
+    expect(new Date(res.body.project.updatedAt).getTime()).toBeGreaterThan(new Date('2026-01-01T00:00:00Z').getTime());
+
+    expect(res.body.messages.map(message => [message.type, message.content])).toEqual([
+      ['user', COUNTER_PROMPT],
+      ['assistant', res.body.data.explanation]
+    ]);
+    expect(res.body.messages[1].metadata).toMatchObject({ fileCount: res.body.data.files.length, codeGenerated: true, model: 'replay' });
+    expect(res.body.snapshotId).toBeTruthy();
+  });
+
+  test('writes the snapshot, files, revisions and chat in one transaction', async () => {
+    await request(app)
+      .post(`/api/ai/generate/${project._id}`)
+      .set('Authorization', auth)
+      .send({ prompt: COUNTER_PROMPT, type: 'react' })
+      .expect(200);
+
+    expect(session.withTransaction).toHaveBeenCalledTimes(1);
+    expect(Snapshot.create.mock.calls[0][1]).toEqual({ session });
+    expect(File.bulkWrite.mock.calls[0][1]).toEqual({ ordered: true, session });
+    expect(FileRevision.insertMany.mock.calls[0][1]).toEqual({ session });
+    expect(project.save).toHaveBeenCalledWith({ session });
+    expect(Chat.insertMany.mock.calls[0][1]).toEqual({ session });
+    expect(session.endSession).toHaveBeenCalled();
+  });
+
+  test('returns 404 for another user\'s project', async () => {
+    Project.findOne.mockResolvedValue(null);
+
+    const res = await request(app)
+      .post(`/api/ai/generate/${project._id}`)
+      .set('Authorization', auth)
+      .send({ prompt: COUNTER_PROMPT, type: 'react' })
+      .expect(404);
+
+    expect(res.body.error.message).toBe('Project not found');
+    expect(File.bulkWrite).not.toHaveBeenCalled();
+    expect(Chat.insertMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,113 @@
+const { parseArtifacts } = require('../utils/artifactParser');
+const SandpackResponseProcessor = require('../services/sandpackResponseProcessor');
+const AIController = require('../controllers/aiController');
+
+const fence = '```';
+
+describe('artifactParser.parseArtifacts', () => {
+  test('reads <file> operations and shell steps', () => {
+    const content = [
+      'Moving the card into components.',
+      '<shell>npm install clsx</shell>',
+      '<file path="src/Card.js" op="rename" to="src/components/Card.js" />',
+      '<file path="src/App.js" op="update">',
+      `${fence}jsx`,
+      "import Card from './components/Card';",
+      'export default function App() { return <Card />; }',
+      fence,
+      '</file>',
+      "<file path='src/Old.js' op='remove'/>"
+    ].join('\n');
+
+    const { found, operations, steps, fragments, remainder } = parseArtifacts(content);
+
+    expect(found).toBe(true);
+    expect(operations.map(({ op, path, to }) => ({ op, path, to }))).toEqual([
+      { op: 'rename', path: '/src/Card.js', to: '/src/components/Card.js' },
+      { op: 'update', path: '/src/App.js', to: undefined },
+      { op: 'delete', path: '/src/Old.js', to: undefined }
+    ]);
+    expect(operations[1].content).toBe("import Card from './components/Card';\nexport default function App() { return <Card />; }");
+    expect(steps).toEqual([{ type: 'shell', command: 'npm install clsx', line: 2 }]);
+    expect(fragments).toEqual([]);
+    expect(remainder.split('\n')).toHaveLength(content.split('\n').length);
+    expect(remainder).not.toContain('<file');
+  });
+
+  test('reads a fenced JSON manifest', () => {
+    const manifest = {
+      files: [
+        { path: 'src/App.js', op: 'create', content: 'export default function App() { return null; }' },
+        { path: 'src/legacy.js', action: 'delete' },
+        { path: 'src/util.js', op: 'explode' }
+      ],
+      steps: [{ type: 'shell', command: 'npm test' }]
+    };
+
+    const { operations, steps, fragments } = parseArtifacts(`Plan:\n${fence}json\n${JSON.stringify(manifest, null, 2)}\n${fence}`);
+
+    expect(operations.map(op => [op.op, op.path])).toEqual([
+      ['create', '/src/App.js'],
+      ['delete', '/src/legacy.js']
+    ]);
+    expect(steps.map(step => step.command)).toEqual(['npm test']);
+    expect(fragments).toEqual([expect.objectContaining({ reason: 'Unknown file operation "explode"' })]);
+  });
+
+  test('leaves package.json blocks alone', () => {
+    const pkg = JSON.stringify({ name: 'app', files: ['dist'], dependencies: {} });
+    const { found, remainder } = parseArtifacts(`// package.json\n${fence}json\n${pkg}\n${fence}`);
+
+    expect(found).toBe(false);
+    expect(remainder).toContain(pkg);
+  });
+});
+
+describe('SandpackResponseProcessor with artifacts', () => {
+  const content = [
+    '<file path="src/Card.js" op="rename" to="src/components/Card.js" />',
+    '// DELETE: src/index.css',
+    '',
+    '// src/App.js',
+    `${fence}jsx`,
+    "import Card from './components/Card';",
+    'export default function App() { return <Card />; }',
+    fence
+  ].join('\n');
+
+  test('edit responses combine artifacts with legacy fences', () => {
+    const { files, deletions, renames, fragments } = SandpackResponseProcessor.processEditResponse(content);
+
+    expect(files.map(f => f.path)).toEqual(['/src/App.js']);
+    expect(deletions).toEqual(['/src/index.css']);
+    expect(renames).toEqual([{ from: '/src/Card.js', to: '/src/components/Card.js' }]);
+    expect(fragments).toEqual([]);
+  });
+
+  test('full generations report deletes and renames instead of applying them', () => {
+    const { fragments } = SandpackResponseProcessor.parseResponse(content);
+
+    expect(fragments).toEqual([
+      expect.objectContaining({ line: 1, reason: 'Cannot rename /src/Card.js outside edit mode' })
+    ]);
+  });
+
+  test('the controller turns edit responses into project operations', () => {
+    const controller = new AIController();
+    const currentFiles = [
+      { path: 'src/App.js', content: 'old app' },
+      { path: 'src/Card.js', content: 'export default function Card() { return null; }' },
+      { path: 'src/index.css', content: 'body {}' }
+    ];
+
+    const processed = controller.processEditResponse({ content }, currentFiles);
+
+    expect(processed.deleted).toEqual(['/src/index.css']);
+    expect(processed.renamed).toEqual([{ from: '/src/Card.js', to: '/src/components/Card.js' }]);
+    expect(processed.files[0]).toMatchObject({ path: '/src/App.js', operation: 'update' });
+
+    const merged = controller.mergeFileChanges(currentFiles, processed.files, processed.deleted, processed.renamed);
+
+    expect(merged.map(f => f.path).sort()).toEqual(['/src/App.js', '/src/components/Card.js']);
+  });
+});
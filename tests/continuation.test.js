@@ -0,0 +1,121 @@
+const { detectTruncation, trimToLastCompleteFile, stitch } = require('../utils/continuation');
+const { buildChatMessages } = require('../prompts/chatPrompts');
+const AIController = require('../controllers/aiController');
+
+const fence = '```';
+
+const INDEX = [
+  '// src/index.js',
+  `${fence}jsx`,
+  "import React from 'react';",
+  "import { createRoot } from 'react-dom/client';",
+  "import App from './App';",
+  '',
+  "createRoot(document.getElementById('root')).render(<App />);",
+  fence
+].join('\n');
+
+const TRUNCATED = [
+  "Here's your app.",
+  '',
+  INDEX,
+  '',
+  '// src/App.js',
+  `${fence}jsx`,
+  'export default function App() {',
+  '  return <h1>Hel'
+].join('\n');
+
+const REST = [
+  '// src/App.js',
+  `${fence}jsx`,
+  'export default function App() {',
+  '  return <h1>Hello</h1>;',
+  '}',
+  fence
+].join('\n');
+
+describe('continuation helpers', () => {
+  test('detects length finish reasons and unclosed fences', () => {
+    expect(detectTruncation(INDEX, 'length')).toBe('finish_reason');
+    expect(detectTruncation(INDEX, 'MAX_TOKENS')).toBe('finish_reason');
+    expect(detectTruncation(TRUNCATED, 'stop')).toBe('unclosed_fence');
+    expect(detectTruncation(INDEX, 'stop')).toBeNull();
+  });
+
+  test('trims back to the last complete file', () => {
+    const { content, completedFiles } = trimToLastCompleteFile(TRUNCATED);
+
+    expect(content.endsWith(fence)).toBe(true);
+    expect(content).not.toContain('src/App.js');
+    expect(completedFiles).toEqual(['/src/index.js']);
+  });
+
+  test('stitch drops a repeated last line', () => {
+    expect(stitch('a\nb', 'b\nc')).toBe('a\nb\n\nc');
+    expect(stitch('a', '\nc')).toBe('a\n\nc');
+  });
+
+  test('chat messages replay the cut-off answer', () => {
+    const messages = buildChatMessages('Build an app', 'react', {
+      continuation: { round: 1, content: INDEX, completedFiles: ['/src/index.js'] }
+    });
+
+    expect(messages.map(m => m.role)).toEqual(['system', 'user', 'assistant', 'user']);
+    expect(messages[2].content).toBe(INDEX);
+    expect(messages[3].content).toContain('- src/index.js');
+  });
+});
+
+describe('AIController continuation', () => {
+  afterEach(() => {
+    delete process.env.AI_MAX_CONTINUATIONS;
+  });
+
+  test('asks the same provider to finish a truncated response', async () => {
+    const registry = {
+      generate: jest.fn().mockResolvedValue({ provider: 'gemini', model: 'm', content: TRUNCATED, finishReason: 'MAX_TOKENS' }),
+      generateWith: jest.fn().mockResolvedValue({ provider: 'gemini', model: 'm', content: REST, finishReason: 'STOP' })
+    };
+
+    const data = await new AIController(registry).runGeneration('Build an app', 'react');
+
+    expect(registry.generateWith).toHaveBeenCalledTimes(1);
+    const [provider, , , context] = registry.generateWith.mock.calls[0];
+    expect(provider).toBe('gemini');
+    expect(context.continuation).toMatchObject({ round: 1, completedFiles: ['/src/index.js'] });
+    expect(context.continuation.content).not.toContain('<h1>Hel');
+
+    const app = data.files.find(file => file.path === '/src/App.js');
+    expect(app.content).toContain('<h1>Hello</h1>');
+    expect(data.continuation).toEqual({
+      complete: true,
+      rounds: [{ round: 1, reason: 'finish_reason', completedFiles: ['/src/index.js'], usage: null }]
+    });
+  });
+
+  test('stops after AI_MAX_CONTINUATIONS rounds', async () => {
+    process.env.AI_MAX_CONTINUATIONS = '1';
+    const registry = {
+      generate: jest.fn().mockResolvedValue({ provider: 'groq', model: 'm', content: TRUNCATED, finishReason: 'length' }),
+      generateWith: jest.fn().mockResolvedValue({ provider: 'groq', model: 'm', content: `${fence}jsx\nstill going`, finishReason: 'length' })
+    };
+
+    const data = await new AIController(registry).runGeneration('Build an app', 'react');
+
+    expect(registry.generateWith).toHaveBeenCalledTimes(1);
+    expect(data.continuation.complete).toBe(false);
+  });
+
+  test('leaves complete responses alone', async () => {
+    const registry = {
+      generate: jest.fn().mockResolvedValue({ provider: 'groq', model: 'm', content: REST, finishReason: 'stop' }),
+      generateWith: jest.fn()
+    };
+
+    const data = await new AIController(registry).runGeneration('Build an app', 'react');
+
+    expect(registry.generateWith).not.toHaveBeenCalled();
+    expect(data.continuation).toBeUndefined();
+  });
+});
@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const AIController = require('../controllers/aiController');
+const AIProvider = require('../services/aiProvider');
+const Chat = require('../models/Chat');
+const File = require('../models/File');
+const { ProviderRegistry } = require('../services/providerRegistry');
+const SandpackPromptBuilder = require('../utils/sandpackPromptBuilder');
+
+const fence = '```';
+
+const currentFiles = [
+  { path: '/src/App.js', content: 'export default function App() { return null; }', language: 'javascript' },
+  { path: '/src/Card.js', content: 'export default function Card() { return null; }', language: 'javascript' },
+  { path: '/src/index.css', content: 'body { margin: 0; }', language: 'css' },
+  { path: '/src/index.js', content: "import App from './App';", language: 'javascript' }
+];
+
+describe('AIController.buildEditContext', () => {
+  const controller = new AIController();
+  const project = { _id: new mongoose.Types.ObjectId() };
+  const userId = new mongoose.Types.ObjectId();
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('sends the current files and recent conversation, oldest turn first', async () => {
+    const sort = jest.fn().mockResolvedValue(currentFiles);
+    const limit = jest.fn().mockResolvedValue([
+      { type: 'assistant', content: 'x'.repeat(2500) },
+      { type: 'user', content: 'Build a card list' }
+    ]);
+    jest.spyOn(File, 'find').mockReturnValue({ sort });
+    jest.spyOn(Chat, 'find').mockReturnValue({ sort: jest.fn().mockReturnValue({ limit }) });
+
+    const context = await controller.buildEditContext(project, userId, { projectType: 'react-app', mode: 'generate' });
+
+    expect(File.find).toHaveBeenCalledWith({ projectId: project._id });
+    expect(Chat.find).toHaveBeenCalledWith({ projectId: project._id, userId });
+    expect(limit).toHaveBeenCalledWith(10);
+
+    expect(context.mode).toBe('edit');
+    expect(context.projectType).toBe('react-app');
+    expect(context.currentFiles).toEqual(currentFiles);
+    expect(context.history[0]).toEqual({ role: 'user', content: 'Build a card list' });
+    expect(context.history[1].role).toBe('assistant');
+    expect(context.history[1].content).toBe(`${'x'.repeat(2000)}\n[truncated]`);
+  });
+
+  test('the edit prompt carries every current file and the conversation', () => {
+    const prompt = SandpackPromptBuilder.buildEditPrompt('Make the card blue', {
+      currentFiles,
+      history: [{ role: 'user', content: 'Build a card list' }]
+    });
+
+    currentFiles.forEach((file) => {
+      expect(prompt).toContain(`// ${file.path.substring(1)}\n${fence}`);
+      expect(prompt).toContain(file.content);
+    });
+    expect(prompt).toContain('USER: Build a card list');
+    expect(prompt).toContain('CHANGE REQUEST:\nMake the card blue');
+  });
+});
+
+describe('AIController edit responses', () => {
+  const controller = new AIController();
+
+  const content = [
+    'Moved the card and dropped the stylesheet.',
+    '<file path="src/Card.js" op="rename" to="src/components/Card.js" />',
+    '// DELETE: src/index.css',
+    '// DELETE: src/never-existed.js',
+    '',
+    '// src/App.js',
+    `${fence}jsx`,
+    "import Card from './components/Card';",
+    'export default function App() { return <Card />; }',
+    fence,
+    '',
+    '// src/components/Header.js',
+    `${fence}jsx`,
+    'export default function Header() { return <h1>Cards</h1>; }',
+    fence
+  ].join('\n');
+
+  test('turns the response into update, create, delete and rename operations', () => {
+    const processed = controller.processEditResponse({ content }, currentFiles);
+
+    expect(processed.files.map(file => [file.path, file.operation])).toEqual([
+      ['/src/App.js', 'update'],
+      ['/src/components/Header.js', 'create']
+    ]);
+    // Only files the project has can be deleted or moved
+    expect(processed.deleted).toEqual(['/src/index.css']);
+    expect(processed.renamed).toEqual([{ from: '/src/Card.js', to: '/src/components/Card.js' }]);
+  });
+
+  test('merging the operations keeps the files the response left alone', () => {
+    const processed = controller.processEditResponse({ content }, currentFiles);
+    const merged = controller.mergeFileChanges(currentFiles, processed.files, processed.deleted, processed.renamed);
+    const byPath = new Map(merged.map(file => [file.path, file]));
+
+    expect([...byPath.keys()].sort()).toEqual([
+      '/src/App.js',
+      '/src/components/Card.js',
+      '/src/components/Header.js',
+      '/src/index.js'
+    ]);
+    expect(byPath.get('/src/index.js')).toBe(currentFiles[3]);
+    expect(byPath.get('/src/components/Card.js').content).toBe(currentFiles[1].content);
+    expect(byPath.get('/src/App.js').content).toContain('<Card />');
+  });
+
+  test('a change to a renamed file lands on its new path', () => {
+    const merged = controller.mergeFileChanges(
+      currentFiles,
+      [{ path: '/src/components/Card.js', content: 'export default function Card() { return <div />; }' }],
+      [],
+      [{ from: '/src/Card.js', to: '/src/components/Card.js' }]
+    );
+
+    expect(merged.map(file => file.path)).not.toContain('/src/Card.js');
+    expect(merged.find(file => file.path === '/src/components/Card.js').content).toContain('<div />');
+    expect(merged).toHaveLength(currentFiles.length);
+  });
+
+  test('edit generations send the current files to the provider and validate the merged project', async () => {
+    class EditProvider extends AIProvider {
+      constructor() {
+        super('stub');
+      }
+
+      isAvailable() {
+        return true;
+      }
+    }
+
+    const provider = new EditProvider();
+    provider.generateCode = jest.fn().mockResolvedValue({ content, finishReason: 'stop' });
+    const registry = new ProviderRegistry();
+    registry.register('stub', () => provider);
+
+    const originalChain = process.env.AI_PROVIDER_CHAIN;
+    process.env.AI_PROVIDER_CHAIN = 'stub';
+    try {
+      const data = await new AIController(registry).runGeneration('Move the card', 'react', { mode: 'edit', currentFiles });
+
+      const [prompt, type, context] = provider.generateCode.mock.calls[0];
+      expect([prompt, type]).toEqual(['Move the card', 'react']);
+      expect(context.currentFiles).toBe(currentFiles);
+      expect(data.files.map(file => file.path)).toEqual(['/src/App.js', '/src/components/Header.js']);
+      expect(data.deleted).toEqual(['/src/index.css']);
+      expect(data.validation).toHaveProperty('score');
+    } finally {
+      process.env.AI_PROVIDER_CHAIN = originalChain;
+    }
+  });
+});
@@ -0,0 +1,109 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const projectRoutes = require('../routes/projects');
+const authRoutes = require('../routes/auth');
+const { generateToken } = require('../utils/jwt');
+const {
+  errorHandler,
+  notFoundHandler,
+  requestId,
+  asyncHandler,
+  ConflictError,
+} = require('../middleware/errorHandler');
+
+const buildApp = () => {
+  const app = express();
+  app.use(requestId);
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  app.use('/api/projects', projectRoutes);
+  app.get('/conflict', asyncHandler(async () => {
+    throw new ConflictError('Already there', [{ field: 'name', message: 'Taken' }]);
+  }));
+  app.get('/boom', asyncHandler(async () => {
+    throw new Error('connect ECONNREFUSED 10.0.0.5:27017');
+  }));
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+  return app;
+};
+
+describe('central error handler', () => {
+  const app = buildApp();
+  const auth = `Bearer ${generateToken(String(new mongoose.Types.ObjectId()), 'user@example.com')}`;
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('typed errors use the envelope and echo the request id', async () => {
+    const res = await request(app).get('/conflict').set('X-Request-Id', 'trace-123');
+
+    expect(res.status).toBe(409);
+    expect(res.headers['x-request-id']).toBe('trace-123');
+    expect(res.body).toEqual({
+      success: false,
+      error: {
+        message: 'Already there',
+        type: 'ConflictError',
+        requestId: 'trace-123',
+        timestamp: expect.any(String),
+        details: [{ field: 'name', message: 'Taken' }]
+      }
+    });
+  });
+
+  test('generates a request id when none is sent', async () => {
+    const res = await request(app).get('/conflict');
+
+    expect(res.headers['x-request-id']).toMatch(/^req_/);
+    expect(res.body.error.requestId).toBe(res.headers['x-request-id']);
+  });
+
+  test('unexpected errors do not leak their message', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await request(app).get('/boom');
+
+    expect(res.status).toBe(500);
+    expect(res.body.error).toMatchObject({ message: 'Internal server error', type: 'ServerError' });
+    expect(res.body.error.message).not.toContain('ECONNREFUSED');
+  });
+
+  test('bad ObjectIds become a 400 without the raw CastError', async () => {
+    jest.spyOn(Project, 'findOne').mockRejectedValue(
+      new mongoose.Error.CastError('ObjectId', 'not-an-id', '_id')
+    );
+
+    const res = await request(app)
+      .get(`/api/projects/${new mongoose.Types.ObjectId()}`)
+      .set('Authorization', auth);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatchObject({
+      message: 'Invalid id',
+      type: 'CastError',
+      details: [{ field: '_id', message: 'Invalid ObjectId' }]
+    });
+    expect(JSON.stringify(res.body)).not.toContain('Cast to ObjectId failed');
+  });
+
+  test('missing credentials and unknown routes go through the handler', async () => {
+    const unauthenticated = await request(app).get('/api/projects');
+    expect(unauthenticated.status).toBe(401);
+    expect(unauthenticated.body.error).toMatchObject({ message: 'No token provided', type: 'AuthenticationError' });
+
+    const missing = await request(app).get('/api/nothing-here');
+    expect(missing.status).toBe(404);
+    expect(missing.body.error.type).toBe('NotFoundError');
+  });
+
+  test('malformed JSON is a 400', async () => {
+    const malformed = await request(app)
+      .post('/api/auth/login')
+      .set('Content-Type', 'application/json')
+      .send('{"email":');
+    expect(malformed.status).toBe(400);
+    expect(malformed.body.error.message).toBe('Malformed JSON in request body');
+  });
+});
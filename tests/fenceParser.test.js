@@ -0,0 +1,168 @@
+const {
+  normalizePath,
+  toProjectPath,
+  parseFences,
+  extractFileBlocks
+} = require('../utils/fenceParser');
+const ReactTemplateValidator = require('../services/reactTemplateValidator');
+
+const fence = '```';
+
+describe('fenceParser paths', () => {
+  test('normalizes to a leading slash', () => {
+    expect(normalizePath('src/App.js')).toBe('/src/App.js');
+    expect(normalizePath('./src//components/../App.js')).toBe('/src/App.js');
+    expect(normalizePath('src\\App.js')).toBe('/src/App.js');
+    expect(normalizePath('../secrets.txt')).toBeNull();
+    expect(normalizePath('')).toBeNull();
+  });
+
+  test('places bare source files under /src but keeps root files at the root', () => {
+    expect(toProjectPath('App.js')).toBe('/src/App.js');
+    expect(toProjectPath('components/Header.jsx')).toBe('/src/components/Header.jsx');
+    expect(toProjectPath('public/index.html')).toBe('/public/index.html');
+    expect(toProjectPath('package.json')).toBe('/package.json');
+    expect(toProjectPath('vite.config.js')).toBe('/vite.config.js');
+    expect(toProjectPath('/lib/utils.js')).toBe('/lib/utils.js');
+  });
+});
+
+describe('fenceParser.extractFileBlocks', () => {
+  test('reads paths from info strings, hint lines and first-line comments', () => {
+    const content = [
+      `${fence}jsx title="src/App.jsx"`,
+      'export default function App() { return null; }',
+      fence,
+      '',
+      '**src/components/Header.jsx**',
+      `${fence}jsx`,
+      'export default function Header() { return null; }',
+      fence,
+      '',
+      '### 3. package.json (updated)',
+      `${fence}json`,
+      '{ "name": "app" }',
+      fence,
+      '',
+      `${fence}css`,
+      '/* src/index.css */',
+      'body { margin: 0; }',
+      fence
+    ].join('\n');
+
+    const { files, fragments } = extractFileBlocks(content);
+
+    expect(files.map(f => f.path)).toEqual([
+      '/src/App.jsx',
+      '/src/components/Header.jsx',
+      '/package.json',
+      '/src/index.css'
+    ]);
+    expect(files[3].content).toBe('body { margin: 0; }\n');
+    expect(fragments).toEqual([]);
+  });
+
+  test('keeps nested fences inside a file', () => {
+    const content = [
+      '// README.md',
+      `${fence}markdown`,
+      '# App',
+      `${fence}bash`,
+      'npm start',
+      fence,
+      'Done.',
+      fence
+    ].join('\n');
+
+    const { files } = extractFileBlocks(content);
+
+    expect(files).toHaveLength(1);
+    expect(files[0].path).toBe('/README.md');
+    expect(files[0].content).toBe(['# App', `${fence}bash`, 'npm start', fence, 'Done.', ''].join('\n'));
+  });
+
+  test('keeps the first line\'s indentation and ends files with one newline', () => {
+    const content = [
+      '// src/config.js',
+      `${fence}js`,
+      '',
+      '  const indented = true;',
+      'export default indented;',
+      '',
+      '   ',
+      fence
+    ].join('\n');
+
+    const { files } = extractFileBlocks(content);
+
+    expect(files[0].content).toBe('  const indented = true;\nexport default indented;\n');
+  });
+
+  test('reports unclosed fences and blocks without a path', () => {
+    const content = [
+      '// src/App.js',
+      `${fence}jsx`,
+      'export default function App() { return null; }',
+      fence,
+      '',
+      'Here is a helper:',
+      `${fence}js`,
+      'export const add = (a, b) => a + b;',
+      fence,
+      '',
+      `${fence}bash`,
+      'npm install',
+      fence,
+      '',
+      '// src/Footer.js',
+      `${fence}jsx`,
+      'export default function Footer() {'
+    ].join('\n');
+
+    const { files, fragments } = extractFileBlocks(content);
+
+    expect(files.map(f => f.path)).toEqual(['/src/App.js']);
+    expect(fragments).toEqual([
+      expect.objectContaining({ line: 7, reason: 'Code block has no file path' }),
+      expect.objectContaining({ line: 16, reason: 'Unclosed code fence' })
+    ]);
+  });
+
+  test('guesses paths when no block names one', () => {
+    const { files } = extractFileBlocks([
+      `${fence}jsx`,
+      'export default function App() {',
+      '  return (<div />);',
+      '}',
+      fence
+    ].join('\n'));
+
+    expect(files.map(f => f.path)).toEqual(['/src/App.js']);
+  });
+
+  test('parseFences reports block lines and the prose above them', () => {
+    const { blocks } = parseFences(`Intro\n// src/App.js\n${fence}js\nconst a = 1;\n${fence}`);
+
+    expect(blocks).toEqual([
+      { info: 'js', language: 'js', content: 'const a = 1;', line: 3, endLine: 5, hint: '// src/App.js' }
+    ]);
+  });
+});
+
+describe('canonical paths in the validator', () => {
+  test('finds /package.json and /src/index.js', () => {
+    const report = ReactTemplateValidator.validate([
+      { path: '/package.json', content: JSON.stringify({ dependencies: { react: '^18.2.0', 'react-dom': '^18.2.0' } }) },
+      { path: '/public/index.html', content: '<!DOCTYPE html><html><body><div id="root"></div></body></html>' },
+      {
+        path: '/src/index.js',
+        content: "import ReactDOM from 'react-dom/client';\nimport App from './App';\nReactDOM.createRoot(document.getElementById('root')).render(<App />);"
+      },
+      { path: '/src/App.js', content: 'export default function App() { return <h1>Hi</h1>; }' }
+    ]);
+
+    expect(report.issues.dependencies.hasReact).toBe(true);
+    expect(report.errors).toEqual([]);
+    expect(report.isValid).toBe(true);
+  });
+});
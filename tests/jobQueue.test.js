@@ -0,0 +1,148 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const Usage = require('../models/Usage');
+const { JobQueue } = require('../services/jobQueue');
+const aiRoutes = require('../routes/ai');
+const { generateToken } = require('../utils/jwt');
+const { errorHandler } = require('../middleware/errorHandler');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+};
+
+describe('JobQueue.run', () => {
+  let updates;
+
+  beforeEach(() => {
+    updates = [];
+    jest.spyOn(Job, 'updateOne').mockImplementation((filter, update) => {
+      updates.push({ filter, update });
+      return Promise.resolve({ matchedCount: 1 });
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('stores partial output and the final result', async () => {
+    const controller = {
+      runGeneration: jest.fn(async (prompt, type, context, options) => {
+        options.onOutput('// src/App.js');
+        return { files: [{ path: '/src/App.js' }], provider: 'test' };
+      })
+    };
+    const queue = new JobQueue({ controller, concurrency: 1 });
+    const job = { _id: id(), prompt: 'Build a todo app', type: 'react', context: {}, repair: true };
+
+    await queue.run(job);
+
+    const [prompt, type, , options] = controller.runGeneration.mock.calls[0];
+    expect([prompt, type, options.repair]).toEqual(['Build a todo app', 'react', true]);
+    expect(options.signal).toBeInstanceOf(AbortSignal);
+
+    expect(updates).toHaveLength(1);
+    expect(updates[0].filter).toEqual({ _id: job._id, status: 'running', workerId: queue.workerId });
+    expect(updates[0].update.$set).toMatchObject({
+      status: 'completed',
+      partialOutput: '// src/App.js',
+      result: { files: [{ path: '/src/App.js' }], provider: 'test' }
+    });
+    expect(queue.running.size).toBe(0);
+  });
+
+  test('records provider failures', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const controller = { runGeneration: jest.fn().mockRejectedValue(new Error('All AI providers failed')) };
+
+    await new JobQueue({ controller, concurrency: 1 }).run({ _id: id(), prompt: 'x' });
+
+    expect(updates[0].update.$set).toMatchObject({ status: 'failed', error: 'All AI providers failed' });
+  });
+
+  test('cancel aborts the running provider call', async () => {
+    const started = deferred();
+    const controller = {
+      runGeneration: jest.fn((prompt, type, context, { signal }) => new Promise((resolve, reject) => {
+        started.resolve();
+        signal.addEventListener('abort', () => reject(new Error('Generation cancelled')));
+      }))
+    };
+    const queue = new JobQueue({ controller, concurrency: 1 });
+    const job = { _id: id(), prompt: 'x' };
+    const userId = id();
+
+    jest.spyOn(Job, 'findOneAndUpdate').mockResolvedValue({ ...job, status: 'cancelled' });
+
+    const running = queue.run(job);
+    await started.promise;
+    const cancelled = await queue.cancel(job._id, userId);
+    await running;
+
+    expect(Job.findOneAndUpdate.mock.calls[0][0]).toEqual({
+      _id: job._id,
+      userId,
+      status: { $in: ['queued', 'running'] }
+    });
+    expect(cancelled.status).toBe('cancelled');
+    // The cancelled job is not overwritten with a failure
+    expect(updates).toEqual([]);
+  });
+});
+
+describe('job routes', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/ai', aiRoutes);
+  app.use(errorHandler);
+
+  const userId = id();
+  const auth = `Bearer ${generateToken(String(userId), 'user@example.com')}`;
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue({ isGuest: false }) });
+    jest.spyOn(Usage, 'aggregate').mockResolvedValue([]);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('require authentication', async () => {
+    const res = await request(app).post('/api/ai/jobs').send({ prompt: 'x' });
+    expect(res.status).toBe(401);
+  });
+
+  test('POST /jobs validates the prompt', async () => {
+    const res = await request(app).post('/api/ai/jobs').set('Authorization', auth).send({});
+    expect(res.status).toBe(400);
+  });
+
+  test('GET /jobs/:id only returns the caller\'s jobs', async () => {
+    const jobId = id();
+    jest.spyOn(Job, 'findOne').mockResolvedValue({ _id: jobId, status: 'running', prompt: 'x', partialOutput: 'partial' });
+
+    const res = await request(app).get(`/api/ai/jobs/${jobId}`).set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ id: String(jobId), status: 'running', partialOutput: 'partial' });
+    expect(Job.findOne).toHaveBeenCalledWith({ _id: String(jobId), userId: String(userId) });
+
+    const invalid = await request(app).get('/api/ai/jobs/not-an-id').set('Authorization', auth);
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error.details[0].field).toBe('id');
+  });
+
+  test('DELETE /jobs/:id reports jobs that already finished', async () => {
+    jest.spyOn(Job, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Job, 'findOne').mockResolvedValue({ _id: id(), status: 'completed' });
+
+    const res = await request(app).delete(`/api/ai/jobs/${id()}`).set('Authorization', auth);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toMatchObject({ message: 'Job is already completed', type: 'ConflictError' });
+  });
+});
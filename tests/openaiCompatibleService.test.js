@@ -0,0 +1,167 @@
+const { Readable } = require('stream');
+const axios = require('axios');
+const OpenAICompatibleService = require('../services/openaiCompatibleService');
+
+const ENV = ['OPENAI_COMPAT_BASE_URL', 'OPENAI_COMPAT_MODEL', 'OPENAI_COMPAT_TEMPERATURE', 'OPENAI_COMPAT_API_KEY'];
+
+const httpError = (status, message) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, statusText: 'Bad Request', data: { error: { message } } }
+});
+
+const sse = (...chunks) => Readable.from(chunks.map(chunk => Buffer.from(chunk)));
+const event = (payload) => `data: ${JSON.stringify(payload)}\n\n`;
+
+const collect = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return chunks;
+};
+
+describe('OpenAICompatibleService', () => {
+  const original = Object.fromEntries(ENV.map(name => [name, process.env[name]]));
+  let client;
+
+  const createService = (env = {}) => {
+    Object.assign(process.env, { OPENAI_COMPAT_BASE_URL: 'http://localhost:8080/v1/', ...env });
+    return new OpenAICompatibleService();
+  };
+
+  beforeEach(() => {
+    ENV.forEach(name => delete process.env[name]);
+    client = { post: jest.fn(), get: jest.fn() };
+    jest.spyOn(axios, 'create').mockReturnValue(client);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    ENV.forEach((name) => {
+      if (original[name] === undefined) delete process.env[name];
+      else process.env[name] = original[name];
+    });
+    jest.restoreAllMocks();
+  });
+
+  test('is unavailable without a base URL', async () => {
+    const service = new OpenAICompatibleService();
+
+    expect(service.isAvailable()).toBe(false);
+    await expect(service.generateCode('Build a todo app')).rejects.toThrow('Base URL not configured');
+  });
+
+  test('configures the client from the environment', () => {
+    const service = createService({ OPENAI_COMPAT_API_KEY: 'secret', OPENAI_COMPAT_TEMPERATURE: '0' });
+
+    expect(service.temperature).toBe(0);
+    expect(createService({ OPENAI_COMPAT_TEMPERATURE: 'warm' }).temperature).toBe(0.1);
+    expect(axios.create).toHaveBeenCalledWith(expect.objectContaining({
+      baseURL: 'http://localhost:8080/v1',
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer secret' }
+    }));
+  });
+
+  test('generateCode sends a chat completion and maps the response', async () => {
+    const service = createService({ OPENAI_COMPAT_MODEL: 'qwen2.5-coder' });
+    client.post.mockResolvedValue({
+      data: {
+        model: 'qwen2.5-coder:7b',
+        choices: [{ message: { content: 'const a = 1;' }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+      }
+    });
+
+    const result = await service.generateCode('Build a todo app');
+
+    const [url, body] = client.post.mock.calls[0];
+    expect(url).toBe('/chat/completions');
+    expect(body).toMatchObject({ model: 'qwen2.5-coder', temperature: 0.1, max_tokens: 7000, stream: false });
+    expect(body.messages[body.messages.length - 1]).toMatchObject({ role: 'user' });
+    expect(result).toEqual({
+      success: true,
+      content: 'const a = 1;',
+      model: 'qwen2.5-coder:7b',
+      provider: 'openai',
+      usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 },
+      finishReason: 'stop'
+    });
+  });
+
+  test('generateCode reports the server\'s error message', async () => {
+    const service = createService();
+    client.post.mockRejectedValue(httpError(404, 'model "llama3" not found'));
+
+    await expect(service.generateCode('Build a todo app')).rejects.toThrow('OpenAI-compatible API error: 404 model "llama3" not found');
+  });
+
+  test('streamCode parses server-sent events across chunk boundaries', async () => {
+    const service = createService();
+    const text = event({ choices: [{ delta: { content: 'const label = "😀";' }, finish_reason: null }] });
+    const emoji = Buffer.from(text).indexOf(Buffer.from('😀'));
+    const bytes = Buffer.from(text);
+
+    client.post.mockResolvedValue({
+      data: Readable.from([
+        Buffer.from(': keep-alive\n\n'),
+        bytes.subarray(0, emoji + 2),
+        bytes.subarray(emoji + 2),
+        Buffer.from(event({ choices: [{ delta: {}, finish_reason: 'stop' }] })),
+        Buffer.from(event({ choices: [], usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 } })),
+        Buffer.from('data: [DONE]\n\n'),
+        Buffer.from(event({ choices: [{ delta: { content: 'after done' } }] }))
+      ])
+    });
+
+    const chunks = await collect(service.streamCode('Build a todo app'));
+
+    expect(chunks).toEqual([
+      { content: 'const label = "😀";', finishReason: null, usage: null },
+      { content: '', finishReason: 'stop', usage: null },
+      { content: '', finishReason: null, usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 } }
+    ]);
+    expect(client.post.mock.calls[0][1]).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+    expect(client.post.mock.calls[0][2]).toMatchObject({ responseType: 'stream' });
+  });
+
+  test('streamCode parses a final event without a trailing newline', async () => {
+    const service = createService();
+    client.post.mockResolvedValue({ data: sse(`data: ${JSON.stringify({ choices: [{ delta: { content: 'done' } }] })}`) });
+
+    const chunks = await collect(service.streamCode('Build a todo app'));
+
+    expect(chunks).toEqual([{ content: 'done', finishReason: null, usage: null }]);
+  });
+
+  test('streamCode stops asking for usage once the server rejects stream_options', async () => {
+    const service = createService();
+    client.post
+      .mockRejectedValueOnce(httpError(400, 'Unrecognized request argument: stream_options'))
+      .mockResolvedValueOnce({ data: sse(event({ choices: [{ delta: { content: 'a' } }] })) })
+      .mockResolvedValueOnce({ data: sse(event({ choices: [{ delta: { content: 'b' } }] })) });
+
+    expect((await collect(service.streamCode('one'))).map(chunk => chunk.content)).toEqual(['a']);
+    expect((await collect(service.streamCode('two'))).map(chunk => chunk.content)).toEqual(['b']);
+
+    const bodies = client.post.mock.calls.map(([, body]) => body);
+    expect(bodies.map(body => 'stream_options' in body)).toEqual([true, false, false]);
+  });
+
+  test('streamCode does not retry other failures', async () => {
+    const service = createService();
+    client.post.mockRejectedValue(httpError(500, 'out of memory'));
+
+    await expect(collect(service.streamCode('Build a todo app'))).rejects.toThrow('OpenAI-compatible API error: 500 out of memory');
+    expect(client.post).toHaveBeenCalledTimes(1);
+    expect(service.streamUsage).toBe(true);
+  });
+
+  test('healthCheck lists the models', async () => {
+    const service = createService();
+    client.get.mockResolvedValueOnce({ data: { data: [{ id: 'llama3' }] } });
+
+    await expect(service.healthCheck()).resolves.toEqual({ status: 'healthy', model: 'llama3', baseURL: 'http://localhost:8080/v1' });
+    expect(client.get).toHaveBeenCalledWith('/models', { timeout: 10000 });
+
+    client.get.mockRejectedValueOnce(new Error('connect ECONNREFUSED 127.0.0.1:8080'));
+    await expect(service.healthCheck()).rejects.toThrow('OpenAI-compatible health check failed: connect ECONNREFUSED 127.0.0.1:8080');
+  });
+});
@@ -0,0 +1,296 @@
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Ajv2020 = require('ajv/dist/2020');
+
+process.env.AI_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'ai');
+
+const User = require('../models/User');
+const Project = require('../models/Project');
+const File = require('../models/File');
+const Chat = require('../models/Chat');
+const Job = require('../models/Job');
+const Usage = require('../models/Usage');
+const Snapshot = require('../models/Snapshot');
+const ContentBlob = require('../models/ContentBlob');
+const FileRevision = require('../models/FileRevision');
+const { OPERATIONS, buildOpenApiDocument } = require('../schemas/openapi');
+const { errorHandler, requestId } = require('../middleware/errorHandler');
+const { generateToken } = require('../utils/jwt');
+
+const ROUTERS = {
+  '/api/auth': require('../routes/auth'),
+  '/api/projects': require('../routes/projects'),
+  '/api/files': require('../routes/files'),
+  '/api/chats': require('../routes/chat'),
+  '/api/ai': require('../routes/ai'),
+  '/api/usage': require('../routes/usage'),
+};
+
+const document = buildOpenApiDocument();
+const ajv = new Ajv2020({ strict: false, validateFormats: false, allErrors: true });
+ajv.addSchema(document, 'openapi');
+
+const toTemplate = (routePath) => routePath.replace(/:(\w+)/g, '{$1}');
+
+/**
+ * Assert that a supertest response is documented for its operation and
+ * matches the documented body schema
+ */
+const expectMatchesSpec = (res, method, template) => {
+  const operation = document.paths[template] && document.paths[template][method];
+  expect(operation).toBeDefined();
+
+  const response = operation.responses[res.status];
+  if (!response) {
+    throw new Error(`${method.toUpperCase()} ${template} responded ${res.status}, which is not documented`);
+  }
+
+  const { $ref } = response.content['application/json'].schema;
+  const validateBody = ajv.getSchema(`openapi${$ref}`);
+  if (!validateBody(res.body)) {
+    throw new Error(`${method.toUpperCase()} ${template} ${res.status} drifted from ${$ref}:\n`
+      + ajv.errorsText(validateBody.errors, { separator: '\n' }));
+  }
+};
+
+describe('OpenAPI document', () => {
+  test('documents exactly the routes the routers register', () => {
+    const registered = [];
+    for (const [prefix, router] of Object.entries(ROUTERS)) {
+      for (const layer of router.stack.filter(layer => layer.route)) {
+        for (const method of Object.keys(layer.route.methods)) {
+          registered.push(`${method} ${toTemplate(`${prefix}${layer.route.path}`.replace(/\/$/, ''))}`);
+        }
+      }
+    }
+
+    const documented = OPERATIONS.map(operation => `${operation.method} ${operation.path}`);
+    expect(documented.sort()).toEqual(registered.sort());
+  });
+
+  test('every reference resolves and every schema compiles', () => {
+    const refs = JSON.stringify(document).match(/"\$ref":"[^"]+"/g);
+    for (const ref of new Set(refs)) {
+      const name = ref.replace(/^"\$ref":"#\/components\/schemas\//, '').replace(/"$/, '');
+      expect(document.components.schemas).toHaveProperty(name);
+      expect(ajv.getSchema(`openapi#/components/schemas/${name}`)).toBeInstanceOf(Function);
+    }
+  });
+
+  test('request bodies come from the Joi schemas', () => {
+    const register = document.paths['/api/auth/register'].post.requestBody.content['application/json'].schema;
+    expect(register.required).toEqual(['username', 'email', 'password', 'confirmPassword']);
+
+    const createFile = document.paths['/api/files/{projectId}'].post;
+    expect(createFile.requestBody.content['application/json'].schema.properties.language.enum).toContain('tsx');
+    expect(createFile.parameters[0]).toMatchObject({ name: 'projectId', in: 'path', required: true });
+  });
+});
+
+describe('responses match the OpenAPI document', () => {
+  const originalChain = process.env.AI_PROVIDER_CHAIN;
+  const app = express();
+  app.use(requestId);
+  app.use(express.json());
+  for (const [prefix, router] of Object.entries(ROUTERS)) {
+    app.use(prefix, router);
+  }
+  app.use('/api', require('../routes/docs'));
+  app.use(errorHandler);
+
+  const userId = new mongoose.Types.ObjectId();
+  const auth = `Bearer ${generateToken(String(userId), 'user@example.com')}`;
+  const user = () => new User({ _id: userId, username: 'user', email: 'user@example.com', password: 'hashed' });
+  const project = () => new Project({ userId, name: 'Todo' });
+  const file = (projectId) => new File({ projectId, userId, path: '/src/App.js', content: 'export default 1;' });
+
+  beforeAll(() => {
+    process.env.AI_PROVIDER_CHAIN = 'replay';
+  });
+
+  afterAll(() => {
+    process.env.AI_PROVIDER_CHAIN = originalChain;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(User, 'findById').mockImplementation(() => {
+      const query = Promise.resolve(user());
+      query.select = jest.fn().mockResolvedValue({ isGuest: false });
+      return query;
+    });
+    jest.spyOn(Usage, 'aggregate').mockResolvedValue([]);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('serves the document and the docs page', async () => {
+    const json = await request(app).get('/api/openapi.json').expect(200);
+    expect(json.body.openapi).toBe('3.1.0');
+
+    const page = await request(app).get('/api/docs').expect(200);
+    expect(page.text).toContain('SwaggerUIBundle');
+  });
+
+  test('auth', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    jest.spyOn(User.prototype, 'save').mockResolvedValue();
+
+    const registered = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'user', email: 'user@example.com', password: 'secret1', confirmPassword: 'secret1' });
+    expectMatchesSpec(registered, 'post', '/api/auth/register');
+
+    const badLogin = await request(app).post('/api/auth/login').send({ email: 'user@example.com', password: 'nope' });
+    expect(badLogin.status).toBe(401);
+    expectMatchesSpec(badLogin, 'post', '/api/auth/login');
+
+    expectMatchesSpec(await request(app).post('/api/auth/guest'), 'post', '/api/auth/guest');
+    expectMatchesSpec(await request(app).get('/api/auth/profile').set('Authorization', auth), 'get', '/api/auth/profile');
+  });
+
+  test('projects and files', async () => {
+    const doc = project();
+    jest.spyOn(Project, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue([doc]) });
+    jest.spyOn(Project, 'findOne').mockResolvedValue(doc);
+    jest.spyOn(Project.prototype, 'save').mockResolvedValue();
+    jest.spyOn(File, 'find').mockResolvedValue([file(doc._id)]);
+    jest.spyOn(File, 'findOne').mockResolvedValue(null);
+    jest.spyOn(File.prototype, 'save').mockResolvedValue();
+    jest.spyOn(FileRevision, 'insertMany').mockImplementation(docs => Promise.resolve(docs.map(d => new FileRevision(d))));
+    jest.spyOn(ContentBlob, 'bulkWrite').mockResolvedValue({});
+    jest.spyOn(File, 'insertMany').mockImplementation(docs => Promise.resolve(docs.map(d => new File(d))));
+
+    const created = await request(app).post('/api/projects').set('Authorization', auth).send({ name: 'Todo' });
+    expect(created.status).toBe(201);
+    expectMatchesSpec(created, 'post', '/api/projects');
+
+    expectMatchesSpec(await request(app).get('/api/projects').set('Authorization', auth), 'get', '/api/projects');
+    expectMatchesSpec(await request(app).get(`/api/projects/${doc._id}`).set('Authorization', auth), 'get', '/api/projects/{id}');
+
+    const invalid = await request(app).get('/api/projects/not-an-id').set('Authorization', auth);
+    expect(invalid.status).toBe(400);
+    expectMatchesSpec(invalid, 'get', '/api/projects/{id}');
+
+    expectMatchesSpec(await request(app).get(`/api/files/${doc._id}`).set('Authorization', auth), 'get', '/api/files/{projectId}');
+
+    const forked = await request(app).post(`/api/projects/${doc._id}/fork`).set('Authorization', auth).send({});
+    expect(forked.status).toBe(201);
+    expectMatchesSpec(forked, 'post', '/api/projects/{id}/fork');
+
+    const newFile = await request(app)
+      .post(`/api/files/${doc._id}`)
+      .set('Authorization', auth)
+      .send({ path: '/src/App.js', content: 'export default 1;', language: 'javascript' });
+    expect(newFile.status).toBe(201);
+    expectMatchesSpec(newFile, 'post', '/api/files/{projectId}');
+  });
+
+  test('file history and diffs', async () => {
+    const doc = project();
+    const current = file(doc._id);
+    const revision = new FileRevision({
+      fileId: current._id,
+      projectId: doc._id,
+      userId,
+      path: current.path,
+      hash: 'h1',
+      size: 16,
+      source: 'generation',
+      operation: 'create',
+      createdAt: new Date()
+    });
+    jest.spyOn(Project, 'findOne').mockResolvedValue(doc);
+    jest.spyOn(File, 'findOne').mockResolvedValue(current);
+    jest.spyOn(FileRevision, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue([revision]) });
+    jest.spyOn(FileRevision, 'findOne').mockResolvedValue(revision);
+    jest.spyOn(ContentBlob, 'find').mockResolvedValue([{ hash: 'h1', content: 'export default 0;' }]);
+
+    const base = `/api/files/${doc._id}/${current._id}`;
+    expectMatchesSpec(await request(app).get(`${base}/history`).set('Authorization', auth), 'get', '/api/files/{projectId}/{fileId}/history');
+
+    const diff = await request(app).get(`${base}/diff?from=${revision._id}`).set('Authorization', auth);
+    expect(diff.body.additions).toBe(1);
+    expectMatchesSpec(diff, 'get', '/api/files/{projectId}/{fileId}/diff');
+
+    const missingFrom = await request(app).get(`${base}/diff`).set('Authorization', auth);
+    expect(missingFrom.status).toBe(400);
+    expectMatchesSpec(missingFrom, 'get', '/api/files/{projectId}/{fileId}/diff');
+  });
+
+  test('snapshots', async () => {
+    const doc = project();
+    const snapshot = new Snapshot({
+      projectId: doc._id,
+      userId,
+      label: 'Working',
+      files: [{ path: '/src/App.js', hash: 'h1', size: 17 }],
+      fileCount: 1,
+      totalSize: 17,
+      createdAt: new Date()
+    });
+    jest.spyOn(Project, 'findOne').mockResolvedValue(doc);
+    jest.spyOn(Snapshot, 'find').mockReturnValue({ select: () => ({ sort: jest.fn().mockResolvedValue([snapshot]) }) });
+    jest.spyOn(Snapshot, 'findOne').mockResolvedValue(snapshot);
+    jest.spyOn(ContentBlob, 'find').mockResolvedValue([{ hash: 'h1', content: 'export default 1;' }]);
+
+    const base = `/api/projects/${doc._id}/snapshots`;
+    expectMatchesSpec(await request(app).get(base).set('Authorization', auth), 'get', '/api/projects/{id}/snapshots');
+    expectMatchesSpec(
+      await request(app).get(`${base}/${snapshot._id}`).set('Authorization', auth),
+      'get',
+      '/api/projects/{id}/snapshots/{snapshotId}'
+    );
+  });
+
+  test('chats', async () => {
+    const projectId = new mongoose.Types.ObjectId();
+    const message = new Chat({ projectId, userId, type: 'user', content: 'Build a todo app' });
+    jest.spyOn(Chat, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue([message]) });
+    jest.spyOn(Chat, 'insertMany').mockImplementation(docs => Promise.resolve(docs.map(d => new Chat(d))));
+
+    expectMatchesSpec(await request(app).get(`/api/chats/${projectId}`).set('Authorization', auth), 'get', '/api/chats/{projectId}');
+
+    const bulk = await request(app)
+      .post(`/api/chats/bulk/${projectId}`)
+      .set('Authorization', auth)
+      .send({ messages: [{ type: 'user', content: 'hi' }, { type: 'assistant', content: 'hello' }] });
+    expectMatchesSpec(bulk, 'post', '/api/chats/bulk/{projectId}');
+  });
+
+  test('AI generation, validation and jobs', async () => {
+    const generated = await request(app)
+      .post('/api/ai/generate')
+      .send({ prompt: 'Create a counter app with increment and decrement buttons', type: 'react' });
+    expect(generated.status).toBe(200);
+    expectMatchesSpec(generated, 'post', '/api/ai/generate');
+
+    const validated = await request(app)
+      .post('/api/ai/validate')
+      .send({ files: generated.body.data.files });
+    expectMatchesSpec(validated, 'post', '/api/ai/validate');
+
+    const job = new Job({ userId, prompt: 'Build a todo app', status: 'completed', result: generated.body.data });
+    jest.spyOn(Job, 'findOne').mockResolvedValue(job);
+    expectMatchesSpec(await request(app).get(`/api/ai/jobs/${job._id}`).set('Authorization', auth), 'get', '/api/ai/jobs/{id}');
+
+    expectMatchesSpec(await request(app).get('/api/ai/health'), 'get', '/api/ai/health');
+  });
+
+  test('usage', async () => {
+    const res = await request(app).get('/api/usage?days=7').set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expectMatchesSpec(res, 'get', '/api/usage');
+  });
+
+  test('drift is caught', () => {
+    const drifted = { status: 200, body: { success: true, projects: [{ name: 'Todo' }] } };
+
+    expect(() => expectMatchesSpec(drifted, 'get', '/api/projects')).toThrow(/drifted from/);
+    expect(() => expectMatchesSpec({ status: 418, body: {} }, 'get', '/api/projects')).toThrow(/not documented/);
+  });
+});
@@ -0,0 +1,206 @@
+const { parsePatches, parseDiffLines, createUnifiedDiff } = require('../utils/unifiedDiff');
+const PatchApplier = require('../services/patchApplier');
+const AIController = require('../controllers/aiController');
+
+const fence = '```';
+
+const APP = [
+  "import React from 'react';",
+  '',
+  'export default function App() {',
+  '  return (',
+  '    <header className="p-4">',
+  '      <h1>Old title</h1>',
+  '    </header>',
+  '  );',
+  '}',
+  ''
+].join('\n');
+
+const hunk = (header, lines) => ({
+  header,
+  oldStart: parseInt((header.match(/-(\d+)/) || [])[1], 10) || null,
+  lines: lines.map(line => ({ type: line[0], text: line.substring(1) }))
+});
+
+describe('unifiedDiff.parsePatches', () => {
+  test('reads file headers, hunks and new or deleted files', () => {
+    const content = [
+      'Renaming the title.',
+      `${fence}diff`,
+      'diff --git a/src/App.js b/src/App.js',
+      '--- a/src/App.js',
+      '+++ b/src/App.js',
+      '@@ -5,3 +5,3 @@',
+      '     <header className="p-4">',
+      '-      <h1>Old title</h1>',
+      '+      <h1>New title</h1>',
+      '     </header>',
+      '--- /dev/null',
+      '+++ b/src/Footer.js',
+      '@@ -0,0 +1,1 @@',
+      '+export default function Footer() { return null; }',
+      fence
+    ].join('\n');
+
+    const { patches, fragments, remainder } = parsePatches(content);
+
+    expect(fragments).toEqual([]);
+    expect(patches.map(p => [p.path, p.isNew, p.hunks.length])).toEqual([
+      ['/src/App.js', false, 1],
+      ['/src/Footer.js', true, 1]
+    ]);
+    expect(patches[0].hunks[0]).toMatchObject({ header: '@@ -5,3 +5,3 @@', oldStart: 5 });
+    expect(remainder.trim()).toBe('Renaming the title.');
+  });
+
+  test('uses the path above the fence for header-less diffs', () => {
+    const { patches } = parsePatches(`// src/App.js\n${fence}diff\n@@\n-      <h1>Old title</h1>\n+      <h1>New</h1>\n${fence}`);
+
+    expect(patches).toHaveLength(1);
+    expect(patches[0]).toMatchObject({ path: '/src/App.js', hunks: [expect.objectContaining({ oldStart: null })] });
+  });
+});
+
+describe('PatchApplier.applyPatch', () => {
+  test('applies hunks with wrong line numbers and whitespace drift', () => {
+    const { content, applied, failed } = PatchApplier.applyPatch(APP, [
+      hunk('@@ -40,3 +40,3 @@', [
+        ' <header className="p-4">',
+        '-  <h1>Old title</h1>',
+        '+      <h1>New title</h1>',
+        ' </header>'
+      ])
+    ]);
+
+    expect(failed).toEqual([]);
+    expect(applied).toBe(1);
+    expect(content).toContain('      <h1>New title</h1>');
+    expect(content).not.toContain('Old title');
+    expect(content.endsWith('}\n')).toBe(true);
+  });
+
+  test('drops stale context lines with fuzz', () => {
+    const { content, failed } = PatchApplier.applyPatch(APP, [
+      hunk('@@ -4,4 +4,4 @@', [
+        '  return (  // stale comment',
+        '     <header className="p-4">',
+        '-      <h1>Old title</h1>',
+        '+      <h1>Fuzzy title</h1>',
+        '     </header>'
+      ])
+    ]);
+
+    expect(failed).toEqual([]);
+    expect(content).toContain('<h1>Fuzzy title</h1>');
+  });
+
+  test('reports hunks whose context is missing', () => {
+    const { applied, failed } = PatchApplier.applyPatch(APP, [
+      hunk('@@ -1,1 +1,1 @@', ["-import React from 'react';", "+import * as React from 'react';"]),
+      hunk('@@ -6,1 +6,1 @@', ['-      <h2>Missing</h2>', '+      <h2>Nope</h2>'])
+    ]);
+
+    expect(applied).toBe(1);
+    expect(failed).toEqual([{ hunk: 2, header: '@@ -6,1 +6,1 @@', reason: 'Context lines not found' }]);
+  });
+
+  test('applyAll leaves files with a failed hunk untouched', () => {
+    const { files, results } = PatchApplier.applyAll([
+      { path: '/src/App.js', hunks: [hunk('@@ -1,1 +1,1 @@', ['-nothing like this', '+x'])] },
+      { path: '/src/Missing.js', hunks: [] }
+    ], [{ path: 'src/App.js', content: APP }]);
+
+    expect(files).toEqual([]);
+    expect(results.map(r => [r.path, r.failed[0].reason])).toEqual([
+      ['/src/App.js', 'Context lines not found'],
+      ['/src/Missing.js', 'File not found in project']
+    ]);
+  });
+});
+
+describe('AIController edit mode with diffs', () => {
+  const currentFiles = [{ path: 'src/App.js', content: APP }];
+
+  test('applies diffs to the current files', async () => {
+    const registry = {
+      generate: jest.fn().mockResolvedValue({
+        provider: 'test',
+        model: 'test',
+        content: `${fence}diff\n--- a/src/App.js\n+++ b/src/App.js\n@@ -6,1 +6,1 @@\n-      <h1>Old title</h1>\n+      <h1>Patched</h1>\n${fence}`
+      })
+    };
+
+    const data = await new AIController(registry).runGeneration('Rename the title', 'react', { mode: 'edit', currentFiles });
+
+    expect(registry.generate).toHaveBeenCalledTimes(1);
+    expect(data.files).toEqual([expect.objectContaining({ path: '/src/App.js', operation: 'update' })]);
+    expect(data.files[0].content).toContain('<h1>Patched</h1>');
+    expect(data.patches).toEqual([{ path: '/src/App.js', applied: 1, failed: [] }]);
+  });
+
+  test('asks for the full file when a diff does not apply', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const registry = {
+      generate: jest.fn()
+        .mockResolvedValueOnce({
+          provider: 'test',
+          model: 'test',
+          content: `${fence}diff\n--- a/src/App.js\n+++ b/src/App.js\n@@ -6,1 +6,1 @@\n-      <h1>Wrong title</h1>\n+      <h1>Patched</h1>\n${fence}`
+        })
+        .mockResolvedValueOnce({
+          provider: 'test',
+          model: 'test',
+          content: `// src/App.js\n${fence}jsx\nexport default function App() {\n  return <h1>Full file</h1>;\n}\n${fence}`
+        })
+    };
+
+    const data = await new AIController(registry).runGeneration('Rename the title', 'react', { mode: 'edit', currentFiles });
+
+    expect(registry.generate).toHaveBeenCalledTimes(2);
+    expect(registry.generate.mock.calls[1][0]).toContain('could not be applied to: /src/App.js');
+    expect(data.files).toEqual([expect.objectContaining({ path: '/src/App.js', operation: 'update' })]);
+    expect(data.files[0].content).toContain('Full file');
+    expect(data.patches).toEqual([
+      expect.objectContaining({ path: '/src/App.js', applied: 0, fallback: 'full-file' })
+    ]);
+    jest.restoreAllMocks();
+  });
+});
+
+describe('unifiedDiff.createUnifiedDiff', () => {
+  const NEW_APP = APP.replace('Old title', 'New title').replace("import React from 'react';\n", '');
+
+  test('writes hunks with context and line ranges', () => {
+    const { diff, additions, deletions } = createUnifiedDiff(APP, NEW_APP, { oldPath: '/src/App.js', context: 1 });
+
+    expect(diff).toBe([
+      '--- a/src/App.js',
+      '+++ b/src/App.js',
+      "@@ -1,2 +1 @@",
+      "-import React from 'react';",
+      ' ',
+      '@@ -5,3 +4,3 @@',
+      '     <header className="p-4">',
+      '-      <h1>Old title</h1>',
+      '+      <h1>New title</h1>',
+      '     </header>',
+      ''
+    ].join('\n'));
+    expect(additions).toBe(1);
+    expect(deletions).toBe(2);
+  });
+
+  test('round-trips through the parser and the patch applier', () => {
+    const { diff } = createUnifiedDiff(APP, NEW_APP);
+    const { patches } = parseDiffLines(diff.split('\n'));
+
+    expect(PatchApplier.applyPatch(APP, patches[0].hunks).content).toBe(NEW_APP);
+  });
+
+  test('marks a missing final newline and returns nothing for equal texts', () => {
+    expect(createUnifiedDiff('a\n', 'a').diff).toBe('--- a/file\n+++ b/file\n@@ -1 +1 @@\n-a\n+a\n\\ No newline at end of file\n');
+    expect(createUnifiedDiff('', 'a\n').diff).toContain('@@ -0,0 +1 @@\n+a\n');
+    expect(createUnifiedDiff(APP, APP)).toEqual({ diff: '', additions: 0, deletions: 0 });
+  });
+});
@@ -0,0 +1,164 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { PassThrough } = require('stream');
+const AdmZip = require('adm-zip');
+const File = require('../models/File');
+const Project = require('../models/Project');
+const ProjectExportService = require('../services/projectExportService');
+const projectRoutes = require('../routes/projects');
+const { errorHandler } = require('../middleware/errorHandler');
+const { generateToken } = require('../utils/jwt');
+
+const project = { name: 'My Todo App!', description: 'Tracks todos' };
+
+const GENERATED = [
+  { path: '/package.json', content: JSON.stringify({ name: 'sandpack-app', dependencies: { react: '^18.2.0', 'lucide-react': '^0.300.0' } }) },
+  {
+    path: '/public/index.html',
+    content: '<html>\n  <head>\n    <link rel="icon" href="%PUBLIC_URL%/favicon.ico" />\n    <title>Todo</title>\n  </head>\n  <body>\n    <div id="root"></div>\n  </body>\n</html>\n'
+  },
+  { path: '/src/index.js', content: "import App from './App';" },
+  { path: '/src/App.js', content: 'export default function App() { return <main />; }' },
+  { path: 'components/TodoItem.jsx', content: 'export default () => null;' }
+];
+
+const byPath = (entries) => Object.fromEntries(entries.map(entry => [entry.path, entry.content]));
+
+describe('ProjectExportService.buildExport', () => {
+  test('cra keeps the project layout and fills in the scaffold', () => {
+    const files = byPath(ProjectExportService.buildExport(project, GENERATED, 'cra'));
+
+    expect(Object.keys(files)).toEqual([
+      '.gitignore',
+      'package.json',
+      'public/index.html',
+      'README.md',
+      'src/App.js',
+      'src/components/TodoItem.jsx',
+      'src/index.js'
+    ]);
+
+    const pkg = JSON.parse(files['package.json']);
+    expect(pkg.name).toBe('my-todo-app');
+    expect(pkg.dependencies).toMatchObject({ react: '^18.2.0', 'lucide-react': '^0.300.0', 'react-scripts': '5.0.1' });
+    expect(pkg.scripts.start).toBe('react-scripts start');
+
+    expect(files['public/index.html']).not.toContain('favicon');
+    expect(files['README.md']).toMatch(/^# My Todo App!\n\nTracks todos\n/);
+    expect(files['.gitignore']).toContain('/node_modules');
+    expect(files['.gitignore']).not.toContain('gitignore_template');
+  });
+
+  test('vite moves index.html to the root and swaps react-scripts for vite', () => {
+    const files = byPath(ProjectExportService.buildExport(project, GENERATED, 'vite'));
+
+    expect(files).not.toHaveProperty(['public/index.html']);
+    expect(files['index.html']).toContain('<script type="module" src="/src/index.js"></script>\n  </body>');
+    expect(files['vite.config.mjs']).toContain("loader: { '.js': 'jsx' }");
+
+    const pkg = JSON.parse(files['package.json']);
+    expect(pkg.dependencies).not.toHaveProperty('react-scripts');
+    expect(pkg.devDependencies).toHaveProperty('vite');
+    expect(pkg.scripts).toMatchObject({ dev: 'vite', build: 'vite build' });
+    expect(pkg.scripts).not.toHaveProperty('start');
+    expect(files['README.md']).toContain('npm run dev');
+  });
+
+  test('sandpack moves src/ files to the root and points main at the entry', () => {
+    const files = byPath(ProjectExportService.buildExport(project, GENERATED, 'sandpack'));
+
+    expect(Object.keys(files)).toEqual(expect.arrayContaining(['App.js', 'index.js', 'components/TodoItem.jsx', 'public/index.html']));
+    expect(Object.keys(files).some(path => path.startsWith('src/'))).toBe(false);
+    expect(JSON.parse(files['package.json']).main).toBe('/index.js');
+  });
+
+  test('an empty project exports a runnable starter', () => {
+    const files = byPath(ProjectExportService.buildExport({ name: '' }, [], 'cra'));
+
+    expect(Object.keys(files)).toEqual(expect.arrayContaining([
+      'package.json', 'public/index.html', 'src/index.js', 'src/App.js', 'src/index.css'
+    ]));
+    expect(JSON.parse(files['package.json']).name).toBe('project');
+    expect(files['src/index.js']).toContain("import App from './App';");
+  });
+});
+
+describe('ProjectExportService.writeZip', () => {
+  test('rejects when the archive fails instead of hanging', async () => {
+    const output = new PassThrough();
+    output.resume();
+
+    await expect(ProjectExportService.writeZip([{ path: 'src/App.js', content: 42 }], output, { folder: 'app' }))
+      .rejects.toMatchObject({ code: 'INPUTSTEAMBUFFERREQUIRED' });
+  });
+});
+
+describe('GET /api/projects/:id/export', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/projects', projectRoutes);
+  app.use(errorHandler);
+
+  const userId = new mongoose.Types.ObjectId();
+  const auth = `Bearer ${generateToken(String(userId), 'user@example.com')}`;
+
+  const binary = (res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+  };
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('streams a zip under a folder named after the project', async () => {
+    const doc = new Project({ userId, name: 'My Todo App!' });
+    jest.spyOn(Project, 'findOne').mockResolvedValue(doc);
+    jest.spyOn(File, 'find').mockResolvedValue(GENERATED);
+
+    const res = await request(app)
+      .get(`/api/projects/${doc._id}/export?target=vite`)
+      .set('Authorization', auth)
+      .buffer(true)
+      .parse(binary);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/zip');
+    expect(res.headers['content-disposition']).toBe('attachment; filename="my-todo-app-vite.zip"');
+
+    const zip = new AdmZip(res.body);
+    expect(zip.getEntries().map(entry => entry.entryName)).toContain('my-todo-app/index.html');
+    expect(zip.readAsText('my-todo-app/src/App.js')).toBe(GENERATED[3].content);
+  });
+
+  test('cuts the download short when the zip fails after it started', async () => {
+    const doc = new Project({ userId, name: 'My Todo App' });
+    jest.spyOn(Project, 'findOne').mockResolvedValue(doc);
+    jest.spyOn(File, 'find').mockResolvedValue(GENERATED);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(ProjectExportService, 'writeZip').mockImplementation(async (entries, output) => {
+      output.write(Buffer.from('PK'));
+      throw new Error('archive failed');
+    });
+
+    const error = await request(app)
+      .get(`/api/projects/${doc._id}/export?target=cra`)
+      .set('Authorization', auth)
+      .buffer(true)
+      .parse(binary)
+      .catch(e => e);
+
+    // The client sees a broken download, not a JSON error glued onto the zip
+    expect(error.code).toBe('ECONNRESET');
+    expect(console.error).toHaveBeenCalledWith('Project export failed:', 'archive failed');
+  });
+
+  test('rejects unknown targets', async () => {
+    const res = await request(app)
+      .get(`/api/projects/${new mongoose.Types.ObjectId()}/export?target=webpack`)
+      .set('Authorization', auth);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details[0].field).toBe('target');
+  });
+});
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const FileRevision = require('../models/FileRevision');
+const ContentBlob = require('../models/ContentBlob');
+const ProjectFileService = require('../services/projectFileService');
+
+describe('ProjectFileService.applyOperations', () => {
+  const id = () => new mongoose.Types.ObjectId();
+  let project;
+  let stored;
+  let writes;
+
+  beforeEach(() => {
+    project = { _id: id(), save: jest.fn().mockResolvedValue() };
+    stored = [
+      { _id: id(), path: 'src/App.js', language: 'javascript' },
+      { _id: id(), path: 'src/Card.js', language: 'javascript' },
+      { _id: id(), path: 'src/components/Card.js', language: 'javascript' }
+    ];
+    writes = null;
+
+    jest.spyOn(File, 'find').mockImplementation(() => Promise.resolve(stored));
+    jest.spyOn(File, 'bulkWrite').mockImplementation(ops => {
+      writes = ops;
+      return Promise.resolve();
+    });
+    jest.spyOn(FileRevision, 'distinct').mockResolvedValue([]);
+    jest.spyOn(FileRevision, 'insertMany').mockImplementation(docs => Promise.resolve(docs));
+    jest.spyOn(FileRevision, 'deleteMany').mockResolvedValue();
+    jest.spyOn(ContentBlob, 'bulkWrite').mockResolvedValue({});
+    jest.spyOn(ContentBlob, 'removeUnreferenced').mockResolvedValue(0);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('renames files and applies later writes to the new path', async () => {
+    const result = await ProjectFileService.applyOperations(project, id(), [
+      { path: '/src/Card.js', to: '/src/components/Card.tsx', operation: 'rename' },
+      { path: '/src/components/Card.tsx', content: 'export default () => null;', operation: 'create' }
+    ]);
+
+    expect(result.renamed).toEqual([{ from: 'src/Card.js', to: '/src/components/Card.tsx' }]);
+    expect(result.created).toEqual([]);
+    expect(writes).toEqual([
+      {
+        updateOne: {
+          filter: { _id: stored[1]._id },
+          update: { $set: expect.objectContaining({ path: '/src/components/Card.tsx', language: 'typescript', operation: 'rename' }) }
+        }
+      },
+      {
+        updateOne: {
+          filter: { _id: stored[1]._id },
+          update: { $set: expect.objectContaining({ content: 'export default () => null;', operation: 'update' }) }
+        }
+      }
+    ]);
+  });
+
+  test('a rename onto an existing file replaces it', async () => {
+    await ProjectFileService.applyOperations(project, id(), [
+      { path: 'src/Card.js', to: 'src/components/Card.js', operation: 'rename' }
+    ]);
+
+    expect(writes[0]).toEqual({ deleteOne: { filter: { _id: stored[2]._id } } });
+    expect(writes[1].updateOne.filter).toEqual({ _id: stored[1]._id });
+  });
+
+  test('a path written twice in one batch is created once and then updated', async () => {
+    const result = await ProjectFileService.applyOperations(project, id(), [
+      { path: '/src/Todo.js', content: 'draft', operation: 'create' },
+      { path: 'src/Todo.js', content: 'final', operation: 'create' }
+    ]);
+
+    expect(result.created).toEqual(['/src/Todo.js']);
+    expect(writes).toHaveLength(2);
+    const { document } = writes[0].insertOne;
+    expect(document).toMatchObject({ path: '/src/Todo.js', content: 'draft' });
+    expect(writes[1]).toEqual({
+      updateOne: {
+        filter: { _id: document._id },
+        update: { $set: expect.objectContaining({ content: 'final', operation: 'update' }) }
+      }
+    });
+
+    const revisions = FileRevision.insertMany.mock.calls[0][0];
+    expect(revisions.map(revision => [revision.source, revision.operation, revision.hash])).toEqual([
+      ['manual', 'create', ContentBlob.hashContent('draft')],
+      ['manual', 'update', ContentBlob.hashContent('final')]
+    ]);
+  });
+
+  test('records each write as a revision, with a baseline for files without history', async () => {
+    stored[0].content = 'old';
+    stored[1].content = 'same';
+    FileRevision.distinct.mockResolvedValue([stored[1]._id]);
+
+    await ProjectFileService.applyOperations(project, id(), [
+      { path: 'src/App.js', content: 'new', operation: 'update' },
+      { path: 'src/Card.js', content: 'same', operation: 'update' },
+      { path: 'src/New.js', content: 'x', operation: 'create' },
+      { path: 'src/components/Card.js', operation: 'delete' }
+    ], { source: 'generation' });
+
+    const revisions = FileRevision.insertMany.mock.calls[0][0];
+    expect(revisions.map(revision => [revision.path, revision.source, revision.operation])).toEqual([
+      ['src/App.js', 'baseline', 'create'],
+      ['src/App.js', 'generation', 'update'],
+      ['src/New.js', 'generation', 'create']
+    ]);
+    expect(revisions[0].hash).toBe(ContentBlob.hashContent('old'));
+    expect(revisions[2].fileId).toBe(writes[2].insertOne.document._id);
+    expect(revisions.every(revision => !('content' in revision))).toBe(true);
+    expect(FileRevision.deleteMany).toHaveBeenCalledWith({ fileId: { $in: [stored[2]._id] } }, { session: undefined });
+  });
+});
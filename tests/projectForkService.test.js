@@ -0,0 +1,141 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const File = require('../models/File');
+const Project = require('../models/Project');
+const ProjectForkService = require('../services/projectForkService');
+const RevisionService = require('../services/revisionService');
+const projectRoutes = require('../routes/projects');
+const { errorHandler } = require('../middleware/errorHandler');
+const { generateToken } = require('../utils/jwt');
+
+const ownerId = new mongoose.Types.ObjectId();
+const source = new Project({
+  userId: ownerId,
+  name: 'Todo',
+  description: 'Tracks todos',
+  type: 'fullstack',
+  tags: ['demo'],
+  fileCount: 2,
+});
+const sourceFiles = [
+  new File({ projectId: source._id, userId: ownerId, path: '/src/App.js', content: 'export default 1;', size: 17 }),
+  new File({ projectId: source._id, userId: ownerId, path: '/src/index.css', content: 'body {}', language: 'css', size: 7 }),
+];
+const sourceChat = [
+  new Chat({ projectId: source._id, userId: ownerId, type: 'user', content: 'Build a todo app', createdAt: new Date('2026-01-01T10:00:00Z') }),
+  new Chat({ projectId: source._id, userId: ownerId, type: 'assistant', content: 'Done', metadata: { fileCount: 2 }, createdAt: new Date('2026-01-01T10:00:05Z') }),
+];
+
+const mockWrites = () => {
+  jest.spyOn(Project.prototype, 'save').mockResolvedValue();
+  jest.spyOn(File, 'find').mockResolvedValue(sourceFiles);
+  jest.spyOn(File, 'insertMany').mockImplementation(docs => Promise.resolve(docs.map(doc => new File(doc))));
+  jest.spyOn(Chat, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue(sourceChat) });
+  jest.spyOn(Chat, 'insertMany').mockImplementation(docs => Promise.resolve(docs.map(doc => new Chat(doc))));
+  jest.spyOn(RevisionService, 'recordRevisions').mockResolvedValue([]);
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('ProjectForkService.forkProject', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  test('copies the project and its files for the new owner', async () => {
+    mockWrites();
+
+    const { project, files, chatMessages } = await ProjectForkService.forkProject(source, userId);
+
+    expect(project).toMatchObject({ name: 'Todo (fork)', description: 'Tracks todos', type: 'fullstack', fileCount: 2 });
+    expect(project.userId).toEqual(userId);
+    expect(project.forkedFrom).toEqual(source._id);
+    expect(project.tags).toEqual(['demo']);
+    expect(project._id).not.toEqual(source._id);
+
+    expect(files.map(file => [file.path, file.content, file.language])).toEqual([
+      ['/src/App.js', 'export default 1;', 'javascript'],
+      ['/src/index.css', 'body {}', 'css'],
+    ]);
+    files.forEach((file) => {
+      expect(file.projectId).toEqual(project._id);
+      expect(file.userId).toEqual(userId);
+      expect(sourceFiles.map(sourceFile => String(sourceFile._id))).not.toContain(String(file._id));
+    });
+
+    expect(chatMessages).toEqual([]);
+    expect(Chat.find).not.toHaveBeenCalled();
+    expect(RevisionService.recordRevisions).toHaveBeenCalledWith(
+      files.map(file => ({ file, operation: 'create' })),
+      { userId, source: 'fork' }
+    );
+  });
+
+  test('copies the owner\'s chat history in order when asked', async () => {
+    mockWrites();
+
+    const { project, chatMessages } = await ProjectForkService.forkProject(source, userId, { name: 'Experiment', includeChat: true });
+
+    expect(project.name).toBe('Experiment');
+    expect(Chat.find).toHaveBeenCalledWith({ projectId: source._id, userId: ownerId });
+    expect(chatMessages.map(message => [message.type, message.content, message.createdAt])).toEqual([
+      ['user', 'Build a todo app', sourceChat[0].createdAt],
+      ['assistant', 'Done', sourceChat[1].createdAt],
+    ]);
+    expect(chatMessages[1].metadata.fileCount).toBe(2);
+    chatMessages.forEach((message) => {
+      expect(message.projectId).toEqual(project._id);
+      expect(message.userId).toEqual(userId);
+    });
+  });
+
+  test('removes the new project when copying fails', async () => {
+    mockWrites();
+    File.insertMany.mockRejectedValue(new Error('write failed'));
+    jest.spyOn(File, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(Chat, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(Project, 'deleteOne').mockResolvedValue({});
+
+    await expect(ProjectForkService.forkProject(source, userId)).rejects.toThrow('write failed');
+
+    const [{ _id: forkId }] = Project.prototype.save.mock.contexts;
+    expect(File.deleteMany).toHaveBeenCalledWith({ projectId: forkId });
+    expect(Chat.deleteMany).toHaveBeenCalledWith({ projectId: forkId });
+    expect(Project.deleteOne).toHaveBeenCalledWith({ _id: forkId });
+    expect(RevisionService.recordRevisions).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/projects/:id/fork', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/projects', projectRoutes);
+  app.use(errorHandler);
+
+  const auth = `Bearer ${generateToken(String(ownerId), 'user@example.com')}`;
+
+  test('forks one of the caller\'s projects', async () => {
+    mockWrites();
+    jest.spyOn(Project, 'findOne').mockResolvedValue(source);
+
+    const res = await request(app)
+      .post(`/api/projects/${source._id}/fork`)
+      .set('Authorization', auth)
+      .send({ includeChat: true });
+
+    expect(res.status).toBe(201);
+    expect(Project.findOne).toHaveBeenCalledWith({ _id: String(source._id), userId: String(ownerId) });
+    expect(res.body.project).toMatchObject({ name: 'Todo (fork)', forkedFrom: String(source._id), userId: String(ownerId) });
+    expect(res.body.copied).toEqual({ files: 2, chatMessages: 2 });
+  });
+
+  test('returns 404 for projects the caller does not own', async () => {
+    jest.spyOn(Project, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Project.prototype, 'save');
+
+    const res = await request(app).post(`/api/projects/${source._id}/fork`).set('Authorization', auth).send({});
+
+    expect(res.status).toBe(404);
+    expect(Project.prototype.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,234 @@
+const zlib = require('zlib');
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const AdmZip = require('adm-zip');
+const tar = require('tar-stream');
+const File = require('../models/File');
+const Project = require('../models/Project');
+const ProjectImportService = require('../services/projectImportService');
+const RevisionService = require('../services/revisionService');
+const projectRoutes = require('../routes/projects');
+const { errorHandler } = require('../middleware/errorHandler');
+const { generateToken } = require('../utils/jwt');
+
+const PACKAGE_JSON = JSON.stringify({
+  name: 'todo-app',
+  description: 'Tracks todos',
+  dependencies: { react: '^18.2.0', express: '^4.18.2' }
+});
+
+const ENTRIES = {
+  'todo-app/package.json': PACKAGE_JSON,
+  'todo-app/src/App.jsx': 'export default function App() { return <main />; }',
+  'todo-app/src/api.ts': 'export const api = 1;',
+  'todo-app/src/logo.png': Buffer.from([0x89, 0x50, 0x4e, 0x47]),
+  'todo-app/src/data.json': Buffer.from([0x7b, 0x00, 0x7d]),
+  'todo-app/.env': 'SECRET=1',
+  'todo-app/src/huge.js': 'x'.repeat(1024 * 1024 + 1),
+  'todo-app/node_modules/react/index.js': 'module.exports = {};',
+  'todo-app/node_modules/react/package.json': '{}'
+};
+
+const zipOf = (entries) => {
+  const zip = new AdmZip();
+  Object.entries(entries).forEach(([name, content]) => zip.addFile(name, Buffer.from(content)));
+  return zip.toBuffer();
+};
+
+const tarGzOf = async (entries, extra = []) => {
+  const pack = tar.pack();
+  Object.entries(entries).forEach(([name, content]) => pack.entry({ name }, Buffer.from(content)));
+  extra.forEach(header => pack.entry(header));
+  pack.finalize();
+
+  const chunks = [];
+  for await (const chunk of pack.pipe(zlib.createGzip())) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+const LIMITS = { maxUploadBytes: Infinity, maxExpandedBytes: Infinity, maxTotalBytes: Infinity, maxFiles: 100 };
+
+describe('ProjectImportService.readArchive', () => {
+  const expectReport = ({ files, skipped, packageJson }) => {
+    expect(files.map(({ path, language, size }) => ({ path, language, size }))).toEqual(expect.arrayContaining([
+      { path: '/package.json', language: 'json', size: PACKAGE_JSON.length },
+      { path: '/src/App.jsx', language: 'jsx', size: 50 },
+      { path: '/src/api.ts', language: 'typescript', size: 21 }
+    ]));
+    expect(files).toHaveLength(3);
+    expect(skipped).toEqual(expect.arrayContaining([
+      { path: '/src/logo.png', reason: 'Binary file' },
+      { path: '/src/data.json', reason: 'Binary file' },
+      { path: '/.env', reason: 'Unsupported file type' },
+      { path: '/src/huge.js', reason: 'Larger than 1 MB' },
+      { path: '/node_modules/', reason: 'Ignored directory (2 files)' }
+    ]));
+    expect(packageJson.name).toBe('todo-app');
+  };
+
+  test('reads zips, unwrapping the project folder and reporting skipped files', async () => {
+    const report = await ProjectImportService.readArchive(zipOf(ENTRIES), LIMITS);
+
+    expectReport(report);
+    expect(report.skipped).toHaveLength(5);
+  });
+
+  test('reads tar.gz archives the same way', async () => {
+    const archive = await tarGzOf(ENTRIES, [{ name: 'todo-app/src/link.js', type: 'symlink', linkname: 'App.jsx' }]);
+    const report = await ProjectImportService.readArchive(archive, LIMITS);
+
+    expectReport(report);
+    expect(report.skipped).toContainEqual({ path: '/src/link.js', reason: 'Not a regular file' });
+  });
+
+  test('keeps top-level project folders like src/', async () => {
+    const { files } = await ProjectImportService.readArchive(zipOf({ 'src/App.js': 'x', 'src/index.js': 'y' }), LIMITS);
+
+    expect(files.map(file => file.path)).toEqual(['/src/App.js', '/src/index.js']);
+  });
+
+  test('keeps the last entry when a path repeats', async () => {
+    const archive = await tarGzOf({ 'src/App.js': 'first', './src/App.js': 'second', 'src/index.js': 'x', './src/index.js': Buffer.from([0]) });
+    const { files, skipped } = await ProjectImportService.readArchive(archive, { ...LIMITS, maxFiles: 2 });
+
+    expect(files.map(({ path, content }) => ({ path, content }))).toEqual([{ path: '/src/App.js', content: 'second' }]);
+    expect(skipped).toEqual([{ path: '/src/index.js', reason: 'Binary file' }]);
+  });
+
+  test('enforces the file count and size limits', async () => {
+    const archive = zipOf({ 'a.js': '1', 'b.js': '2', 'c.js': '3' });
+
+    await expect(ProjectImportService.readArchive(archive, { ...LIMITS, maxFiles: 2 }))
+      .rejects.toMatchObject({ status: 413, message: 'Archive has more than 2 importable files' });
+    await expect(ProjectImportService.readArchive(archive, { ...LIMITS, maxTotalBytes: 2 }))
+      .rejects.toMatchObject({ status: 413 });
+
+    const tarball = await tarGzOf({ 'node_modules/big.js': 'x'.repeat(5000) });
+    await expect(ProjectImportService.readArchive(tarball, { ...LIMITS, maxExpandedBytes: 4000 }))
+      .rejects.toMatchObject({ status: 413 });
+  });
+
+  // Set the uncompressed size of every entry to 0 in the local and central headers
+  const forgeSizes = (archive) => {
+    const forged = Buffer.from(archive);
+    for (let offset = 0; offset < forged.length - 4; offset++) {
+      const signature = forged.readUInt32LE(offset);
+      if (signature === 0x04034b50) forged.writeUInt32LE(0, offset + 22);
+      if (signature === 0x02014b50) forged.writeUInt32LE(0, offset + 24);
+    }
+    return forged;
+  };
+
+  test('enforces the expanded size limit on zip entries that understate their size', async () => {
+    const archive = forgeSizes(zipOf({ 'src/App.js': 'x'.repeat(5 * 1024 * 1024) }));
+    expect(archive.length).toBeLessThan(10 * 1024);
+
+    await expect(ProjectImportService.readArchive(archive, { ...LIMITS, maxExpandedBytes: 1024 }))
+      .rejects.toMatchObject({ status: 413, type: 'PayloadTooLargeError' });
+
+    const { files } = await ProjectImportService.readArchive(forgeSizes(zipOf({ 'src/App.js': 'x'.repeat(3000) })), LIMITS);
+    expect(files[0].size).toBe(3000);
+  });
+
+  test('rejects zips whose entries cannot be inflated', async () => {
+    const archive = zipOf({ 'src/App.js': 'x'.repeat(5000) });
+    const dataStart = 30 + 'src/App.js'.length;
+    archive.fill(0xff, dataStart, dataStart + 8);
+
+    await expect(ProjectImportService.readArchive(archive, LIMITS))
+      .rejects.toMatchObject({ status: 400, message: 'Could not read the zip archive' });
+  });
+
+  test('rejects uploads that are not readable archives', async () => {
+    await expect(ProjectImportService.readArchive(Buffer.from('just text'), LIMITS))
+      .rejects.toMatchObject({ status: 400, message: 'Upload must be a zip, tar or tar.gz archive' });
+
+    const truncated = (await tarGzOf({ 'a.js': 'x'.repeat(10000) })).subarray(0, 40);
+    await expect(ProjectImportService.readArchive(truncated, LIMITS))
+      .rejects.toMatchObject({ status: 400, message: 'Could not read the tar.gz archive' });
+  });
+
+  test('detects the project type from package.json', () => {
+    expect(ProjectImportService.detectType(null)).toBe('react-app');
+    expect(ProjectImportService.detectType({ dependencies: { react: '^18.2.0', 'react-scripts': '5.0.1' } })).toBe('react-app');
+    expect(ProjectImportService.detectType({ dependencies: { react: '^18.2.0', express: '^4.18.2' } })).toBe('fullstack');
+    expect(ProjectImportService.detectType({ peerDependencies: { react: '>=17' } })).toBe('component');
+  });
+});
+
+describe('POST /api/projects/import', () => {
+  const originalUploadLimit = process.env.MAX_IMPORT_UPLOAD_MB;
+  const userId = new mongoose.Types.ObjectId();
+  const auth = `Bearer ${generateToken(String(userId), 'user@example.com')}`;
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/projects', projectRoutes);
+  app.use(errorHandler);
+
+  afterEach(() => {
+    process.env.MAX_IMPORT_UPLOAD_MB = originalUploadLimit;
+    if (originalUploadLimit === undefined) delete process.env.MAX_IMPORT_UPLOAD_MB;
+    jest.restoreAllMocks();
+  });
+
+  test('creates the project and its files with a report', async () => {
+    jest.spyOn(Project.prototype, 'save').mockResolvedValue();
+    jest.spyOn(File, 'insertMany').mockImplementation(docs => Promise.resolve(docs.map(doc => new File(doc))));
+    jest.spyOn(RevisionService, 'recordRevisions').mockResolvedValue([]);
+
+    const res = await request(app)
+      .post('/api/projects/import')
+      .set('Authorization', auth)
+      .attach('file', zipOf(ENTRIES), 'upload.zip');
+
+    expect(res.status).toBe(201);
+    expect(res.body.project).toMatchObject({ name: 'todo-app', description: 'Tracks todos', type: 'fullstack', fileCount: 3 });
+    expect(res.body.report.imported.map(file => file.path).sort()).toEqual(['/package.json', '/src/App.jsx', '/src/api.ts']);
+    expect(res.body.report.skipped).toHaveLength(5);
+    expect(File.insertMany.mock.calls[0][0]).toContainEqual(expect.objectContaining({ path: '/src/App.jsx', language: 'jsx' }));
+    expect(RevisionService.recordRevisions.mock.calls[0][1]).toEqual({ userId: String(userId), source: 'import' });
+  });
+
+  test('names the project after the upload without a package.json, unless a name is given', async () => {
+    jest.spyOn(Project.prototype, 'save').mockResolvedValue();
+    jest.spyOn(File, 'insertMany').mockImplementation(docs => Promise.resolve(docs.map(doc => new File(doc))));
+    jest.spyOn(RevisionService, 'recordRevisions').mockResolvedValue([]);
+    const archive = await tarGzOf({ 'src/App.js': 'x' });
+
+    const fromFile = await request(app).post('/api/projects/import').set('Authorization', auth).attach('file', archive, 'landing-page.tar.gz');
+    expect(fromFile.body.project.name).toBe('landing-page');
+
+    const named = await request(app)
+      .post('/api/projects/import')
+      .set('Authorization', auth)
+      .field('name', 'Landing')
+      .attach('file', archive, 'landing-page.tar.gz');
+    expect(named.body.project.name).toBe('Landing');
+  });
+
+  test('rejects missing, empty and oversized uploads', async () => {
+    jest.spyOn(Project.prototype, 'save');
+
+    const missing = await request(app).post('/api/projects/import').set('Authorization', auth).send({});
+    expect(missing.status).toBe(400);
+
+    const empty = await request(app)
+      .post('/api/projects/import')
+      .set('Authorization', auth)
+      .attach('file', zipOf({ 'logo.png': 'x' }), 'logo.zip');
+    expect(empty.status).toBe(400);
+    expect(empty.body.error.details).toEqual([{ path: '/logo.png', reason: 'Binary file' }]);
+
+    process.env.MAX_IMPORT_UPLOAD_MB = '0.0001';
+    const tooLarge = await request(app)
+      .post('/api/projects/import')
+      .set('Authorization', auth)
+      .attach('file', zipOf(ENTRIES), 'upload.zip');
+    expect(tooLarge.status).toBe(413);
+    expect(tooLarge.body.error.type).toBe('PayloadTooLargeError');
+
+    expect(Project.prototype.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,232 @@
+const AIProvider = require('../services/aiProvider');
+const { ProviderRegistry } = require('../services/providerRegistry');
+
+class StubProvider extends AIProvider {
+  constructor(name, { available = true, generate = null, chunks = [], error = null } = {}) {
+    super(name);
+    this.model = `${name}-model`;
+    this.available = available;
+    this.generate = generate;
+    this.chunks = chunks;
+    this.error = error;
+    this.streamCalls = 0;
+  }
+
+  isAvailable() {
+    return this.available;
+  }
+
+  async generateCode(...args) {
+    return this.generate(...args);
+  }
+
+  async *streamCode() {
+    this.streamCalls++;
+    yield* this.chunks;
+    if (this.error) throw this.error;
+  }
+}
+
+const chunk = (content, extra = {}) => ({ content, finishReason: null, usage: null, ...extra });
+
+const collect = async (stream) => {
+  const items = [];
+  for await (const item of stream) items.push(item);
+  return items;
+};
+
+describe('ProviderRegistry', () => {
+  const ENV = ['AI_PROVIDER_CHAIN', 'PRIMARY_AI_PROVIDER', 'FALLBACK_AI_PROVIDER'];
+  const original = Object.fromEntries(ENV.map(name => [name, process.env[name]]));
+
+  const createRegistry = (providers) => {
+    const registry = new ProviderRegistry();
+    providers.forEach(provider => registry.register(provider.name, () => provider));
+    return registry;
+  };
+
+  beforeEach(() => {
+    ENV.forEach(name => delete process.env[name]);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    ENV.forEach((name) => {
+      if (original[name] === undefined) delete process.env[name];
+      else process.env[name] = original[name];
+    });
+    jest.restoreAllMocks();
+  });
+
+  describe('getChain', () => {
+    test('reads AI_PROVIDER_CHAIN, dropping duplicates and unknown names with a warning', () => {
+      process.env.AI_PROVIDER_CHAIN = ' openai, nope ,groq,openai,';
+      const registry = createRegistry([new StubProvider('groq'), new StubProvider('openai')]);
+
+      expect(registry.getChain()).toEqual(['openai', 'groq']);
+      expect(console.warn).toHaveBeenCalledTimes(1);
+      expect(console.warn.mock.calls[0].join(' ')).toContain('"nope"');
+    });
+
+    test('falls back to PRIMARY_AI_PROVIDER and FALLBACK_AI_PROVIDER', () => {
+      const registry = createRegistry([new StubProvider('groq'), new StubProvider('gemini'), new StubProvider('openai')]);
+      expect(registry.getChain()).toEqual(['groq', 'gemini']);
+
+      process.env.PRIMARY_AI_PROVIDER = 'openai';
+      expect(registry.getChain()).toEqual(['openai', 'gemini']);
+    });
+
+    test('creates each provider once, on first use', () => {
+      const factory = jest.fn(() => new StubProvider('groq'));
+      const registry = new ProviderRegistry().register('groq', factory);
+
+      expect(factory).not.toHaveBeenCalled();
+      expect(registry.get('groq')).toBe(registry.get('groq'));
+      expect(factory).toHaveBeenCalledTimes(1);
+      expect(registry.get('unknown')).toBeNull();
+    });
+  });
+
+  describe('generate', () => {
+    test('falls back to the next provider and reports every call', async () => {
+      process.env.AI_PROVIDER_CHAIN = 'offline,groq,gemini';
+      const groq = new StubProvider('groq', { generate: jest.fn().mockRejectedValue(new Error('rate limited')) });
+      const gemini = new StubProvider('gemini', {
+        generate: jest.fn().mockResolvedValue({ content: 'code', usage: { total_tokens: 12 }, finishReason: 'stop' })
+      });
+      const registry = createRegistry([new StubProvider('offline', { available: false }), groq, gemini]);
+      const onResult = jest.fn();
+
+      const response = await registry.generate('Build a todo app', 'react', {}, { onResult });
+
+      expect(response).toEqual({ content: 'code', model: 'gemini-model', provider: 'gemini', usage: { total_tokens: 12 }, finishReason: 'stop' });
+      expect(onResult.mock.calls.map(([call]) => call)).toEqual([
+        expect.objectContaining({ provider: 'groq', model: 'groq-model', mode: 'generate', success: false, error: 'rate limited', usage: null }),
+        expect.objectContaining({ provider: 'gemini', model: 'gemini-model', mode: 'generate', success: true, error: null, usage: { total_tokens: 12 } })
+      ]);
+    });
+
+    test('fails with a 503 once the chain is exhausted', async () => {
+      process.env.AI_PROVIDER_CHAIN = 'offline,groq';
+      const registry = createRegistry([
+        new StubProvider('offline', { available: false }),
+        new StubProvider('groq', { generate: jest.fn().mockRejectedValue(new Error('rate limited')) })
+      ]);
+
+      const error = await registry.generate('Build a todo app').catch(e => e);
+
+      expect(error).toMatchObject({ status: 503, message: 'All AI providers failed' });
+      expect(error.failures).toEqual(['offline: not configured', 'groq: rate limited']);
+    });
+
+    test('stops instead of falling back when the request is aborted', async () => {
+      process.env.AI_PROVIDER_CHAIN = 'groq,gemini';
+      const controller = new AbortController();
+      const groq = new StubProvider('groq', {
+        generate: jest.fn(async () => {
+          controller.abort();
+          throw new Error('socket closed');
+        })
+      });
+      const gemini = new StubProvider('gemini', { generate: jest.fn() });
+      const registry = createRegistry([groq, gemini]);
+
+      await expect(registry.generate('Build a todo app', 'react', {}, { signal: controller.signal }))
+        .rejects.toMatchObject({ name: 'AbortError' });
+      expect(gemini.generate).not.toHaveBeenCalled();
+    });
+
+    test('reports continuation calls with their mode', async () => {
+      process.env.AI_PROVIDER_CHAIN = 'groq';
+      const registry = createRegistry([new StubProvider('groq', { generate: jest.fn().mockResolvedValue({ content: 'more' }) })]);
+      const onResult = jest.fn();
+
+      await registry.generateWith('groq', 'Build a todo app', 'react', { continuation: { round: 1 } }, { onResult });
+
+      expect(onResult.mock.calls[0][0]).toMatchObject({ provider: 'groq', mode: 'continuation', success: true });
+      await expect(registry.generateWith('gemini', 'Build a todo app')).rejects.toThrow('AI provider "gemini" is not available');
+    });
+  });
+
+  describe('stream', () => {
+    test('falls back when a provider fails before its first token', async () => {
+      process.env.AI_PROVIDER_CHAIN = 'groq,gemini';
+      // An empty keep-alive chunk is not a token
+      const groq = new StubProvider('groq', { chunks: [chunk('')], error: new Error('connection reset') });
+      const gemini = new StubProvider('gemini', {
+        chunks: [chunk('const a'), chunk(' = 1;'), chunk('', { finishReason: 'stop', usage: { total_tokens: 9 } })]
+      });
+      const registry = createRegistry([groq, gemini]);
+      const onResult = jest.fn();
+
+      const items = await collect(registry.stream('Build a todo app', 'react', {}, { onResult }));
+
+      expect(items.map(item => [item.provider, item.model, item.chunk.content])).toEqual([
+        ['gemini', 'gemini-model', 'const a'],
+        ['gemini', 'gemini-model', ' = 1;'],
+        ['gemini', 'gemini-model', '']
+      ]);
+      expect(onResult.mock.calls.map(([call]) => [call.provider, call.success, call.error, call.usage])).toEqual([
+        ['groq', false, 'connection reset', null],
+        ['gemini', true, null, { total_tokens: 9 }]
+      ]);
+    });
+
+    test('does not fall back once tokens have been sent', async () => {
+      process.env.AI_PROVIDER_CHAIN = 'groq,gemini';
+      const groq = new StubProvider('groq', { chunks: [chunk('const a')], error: new Error('connection reset') });
+      const gemini = new StubProvider('gemini', { chunks: [chunk('never')] });
+      const registry = createRegistry([groq, gemini]);
+      const onResult = jest.fn();
+      const items = [];
+
+      const error = await (async () => {
+        for await (const item of registry.stream('Build a todo app', 'react', {}, { onResult })) items.push(item);
+      })().catch(e => e);
+
+      expect(error).toMatchObject({ message: 'connection reset', provider: 'groq' });
+      expect(items.map(item => item.chunk.content)).toEqual(['const a']);
+      expect(gemini.streamCalls).toBe(0);
+      expect(onResult).toHaveBeenCalledTimes(1);
+      expect(onResult.mock.calls[0][0]).toMatchObject({ provider: 'groq', success: false, error: 'connection reset' });
+    });
+
+    test('treats an empty stream as a failure and fails with a 503 at the end of the chain', async () => {
+      process.env.AI_PROVIDER_CHAIN = 'groq,offline';
+      const registry = createRegistry([new StubProvider('groq'), new StubProvider('offline', { available: false })]);
+      const onResult = jest.fn();
+
+      const error = await collect(registry.stream('Build a todo app', 'react', {}, { onResult })).catch(e => e);
+
+      expect(error).toMatchObject({ status: 503, message: 'All AI providers failed' });
+      expect(error.failures).toEqual(['groq: empty response', 'offline: not configured']);
+      expect(onResult.mock.calls[0][0]).toMatchObject({ provider: 'groq', success: false, error: 'Empty response' });
+    });
+
+    test('reports a stream the caller stopped reading as a success', async () => {
+      process.env.AI_PROVIDER_CHAIN = 'groq';
+      const registry = createRegistry([new StubProvider('groq', { chunks: [chunk('a'), chunk('b')] })]);
+      const onResult = jest.fn();
+
+      for await (const item of registry.stream('Build a todo app', 'react', {}, { onResult })) {
+        if (item.chunk.content === 'a') break;
+      }
+
+      expect(onResult).toHaveBeenCalledTimes(1);
+      expect(onResult.mock.calls[0][0]).toMatchObject({ provider: 'groq', success: true });
+    });
+  });
+
+  test('reporting errors never break a generation', async () => {
+    process.env.AI_PROVIDER_CHAIN = 'groq';
+    const registry = createRegistry([new StubProvider('groq', { generate: jest.fn().mockResolvedValue({ content: 'code' }) })]);
+
+    const response = await registry.generate('Build a todo app', 'react', {}, {
+      onResult: () => { throw new Error('database down'); }
+    });
+
+    expect(response.content).toBe('code');
+    expect(console.error).toHaveBeenCalledWith('Failed to report AI usage:', 'database down');
+  });
+});
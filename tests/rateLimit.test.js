@@ -0,0 +1,86 @@
+const express = require('express');
+const request = require('supertest');
+const RateLimit = require('../models/RateLimit');
+const MongoRateLimitStore = require('../services/mongoRateLimitStore');
+const { createLimiter, userOrIpKey } = require('../middleware/rateLimit');
+const { generateToken } = require('../utils/jwt');
+const { errorHandler } = require('../middleware/errorHandler');
+
+const ENV_KEYS = ['AI_RATE_LIMIT_MAX', 'LOGIN_RATE_LIMIT_MAX', 'RATE_LIMIT_STORE'];
+
+const appWith = (limiter) => {
+  const app = express();
+  app.post('/limited', limiter, (req, res) => res.json({ ok: true }));
+  app.use(errorHandler);
+  return app;
+};
+
+describe('rate limiters', () => {
+  afterEach(() => {
+    ENV_KEYS.forEach(key => delete process.env[key]);
+    jest.restoreAllMocks();
+  });
+
+  test('reject with 429 and Retry-After once the window is used up', async () => {
+    process.env.LOGIN_RATE_LIMIT_MAX = '2';
+    const app = appWith(createLimiter('login', { message: 'Too many login attempts' }));
+
+    await request(app).post('/limited').expect(200);
+    await request(app).post('/limited').expect(200);
+    const res = await request(app).post('/limited');
+
+    expect(res.status).toBe(429);
+    expect(res.body.error.message).toBe('Too many login attempts');
+    expect(parseInt(res.headers['retry-after'])).toBeGreaterThan(0);
+    expect(res.body.error.retryAfter).toBe(parseInt(res.headers['retry-after']));
+  });
+
+  test('AI limits are counted per user', async () => {
+    process.env.AI_RATE_LIMIT_MAX = '1';
+    const app = appWith(createLimiter('ai', { message: 'Too many AI requests', keyGenerator: userOrIpKey }));
+    const alice = `Bearer ${generateToken('64b000000000000000000001', 'alice@example.com')}`;
+    const bob = `Bearer ${generateToken('64b000000000000000000002', 'bob@example.com')}`;
+
+    await request(app).post('/limited').set('Authorization', alice).expect(200);
+    await request(app).post('/limited').set('Authorization', alice).expect(429);
+    await request(app).post('/limited').set('Authorization', bob).expect(200);
+    // Anonymous callers share the IP bucket, separate from the users
+    await request(app).post('/limited').expect(200);
+  });
+
+  test('unknown stores are rejected', () => {
+    process.env.RATE_LIMIT_STORE = 'redis';
+    expect(() => createLimiter('ai', { message: 'x' })).toThrow('Unknown RATE_LIMIT_STORE "redis"');
+  });
+});
+
+describe('MongoRateLimitStore', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('increments or restarts the window in one update', async () => {
+    const resetAt = new Date(Date.now() + 60000);
+    jest.spyOn(RateLimit, 'findOneAndUpdate').mockResolvedValue({ hits: 3, resetAt });
+    const store = new MongoRateLimitStore('rl:ai:');
+    store.init({ windowMs: 60000 });
+
+    await expect(store.increment('user:1')).resolves.toEqual({ totalHits: 3, resetTime: resetAt });
+
+    const [filter, pipeline, options] = RateLimit.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ key: 'rl:ai:user:1' });
+    expect(Object.keys(pipeline[0].$set)).toEqual(['hits', 'resetAt']);
+    expect(options).toEqual({ upsert: true, new: true });
+  });
+
+  test('retries once when a concurrent upsert created the key', async () => {
+    const duplicate = Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    const resetAt = new Date();
+    jest.spyOn(RateLimit, 'findOneAndUpdate')
+      .mockRejectedValueOnce(duplicate)
+      .mockResolvedValueOnce({ hits: 2, resetAt });
+
+    const result = await new MongoRateLimitStore().increment('ip:1');
+
+    expect(result.totalHits).toBe(2);
+    expect(RateLimit.findOneAndUpdate).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,204 @@
+const ReactTemplateValidator = require('../services/reactTemplateValidator');
+
+describe('ReactTemplateValidator.checkReactSyntax', () => {
+  test('does not flag braces, parentheses or arrows inside strings and template literals', () => {
+    const { errors } = ReactTemplateValidator.checkReactSyntax([{
+      path: 'src/App.js',
+      content: [
+        "import React from 'react';",
+        "const label = '{ ( =>';",
+        'const hint = `press ) to close {`;',
+        'export default function App() {',
+        '  return <div title={hint}>{label}</div>;',
+        '}'
+      ].join('\n')
+    }]);
+
+    expect(errors).toEqual([]);
+  });
+
+  test('reports real parse errors with line and column', () => {
+    const { errors } = ReactTemplateValidator.checkReactSyntax([{
+      path: 'src/Broken.js',
+      content: "import React from 'react';\nexport default function Broken() {\n  return <div>;\n}\n"
+    }]);
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatchObject({ file: 'src/Broken.js', line: 3 });
+    expect(errors[0].column).toBeGreaterThan(0);
+    expect(errors[0].message).not.toMatch(/\(\d+:\d+\)$/);
+  });
+
+  test('parses TypeScript and TSX files', () => {
+    const { errors } = ReactTemplateValidator.checkReactSyntax([
+      { path: 'src/types.ts', content: 'export interface Todo { id: number; title: string }' },
+      { path: 'src/Todo.tsx', content: 'export const Todo = ({ title }: { title: string }) => <li>{title}</li>;' }
+    ]);
+
+    expect(errors).toEqual([]);
+  });
+
+  test('reports invalid package.json at its canonical path', () => {
+    const { errors } = ReactTemplateValidator.checkReactSyntax([
+      { path: '/package.json', content: '{\n  "name": "app",\n  "dependencies": {\n}' }
+    ]);
+
+    expect(errors).toEqual([expect.objectContaining({ file: '/package.json', message: 'Invalid JSON syntax' })]);
+    expect(errors[0].line).toBeGreaterThan(0);
+  });
+
+  test('fixes warnings in files with canonical paths', () => {
+    const files = [{ path: '/src/App.js', content: 'export default function App() {\n  return <div />;\n}\n' }];
+    const issues = { syntax: { errors: [], warnings: [{ file: 'src/App.js', message: 'JSX detected but React not imported' }] } };
+    const { files: fixedFiles } = ReactTemplateValidator.autoFixIssues(files, issues);
+
+    expect(fixedFiles[0].content).toMatch(/^import React from 'react';/);
+  });
+
+  test('includes locations in the validation report', () => {
+    const report = ReactTemplateValidator.generateReport([{
+      path: 'src/App.js',
+      content: 'export default function App() {\n  return (\n    <div>\n  );\n}\n'
+    }]);
+
+    const [syntaxError] = report.details.syntax.errors;
+    expect(syntaxError.line).toBeGreaterThan(0);
+    expect(report.errors).toEqual(expect.arrayContaining([
+      expect.stringMatching(/^Syntax error in src\/App\.js \(line \d+, column \d+\): /)
+    ]));
+  });
+});
+
+describe('ReactTemplateValidator.checkFileLinkage', () => {
+  const linkage = (files) => ReactTemplateValidator.checkFileLinkage(files);
+
+  test('resolves imports with extension and index fallbacks', () => {
+    const { errors, graph } = linkage([
+      {
+        path: 'src/index.js',
+        content: [
+          "import ReactDOM from 'react-dom/client';",
+          "import App from './App';",
+          "import './styles.css';",
+          "ReactDOM.createRoot(document.getElementById('root')).render(<App />);"
+        ].join('\n')
+      },
+      { path: 'src/App.js', content: "import { Button } from './components';\nexport default function App() { return <Button />; }" },
+      { path: 'src/components/index.js', content: "export { default as Button } from './Button';" },
+      { path: 'src/components/Button.jsx', content: 'export default function Button() { return <button />; }' },
+      { path: 'src/styles.css', content: 'body { margin: 0; }' }
+    ]);
+
+    expect(errors).toEqual([]);
+    expect(graph.unresolved).toEqual([]);
+    expect(graph.orphans).toEqual([]);
+    expect(graph.edges).toEqual(expect.arrayContaining([
+      { from: '/src/App.js', to: '/src/components/index.js', specifier: './components' },
+      { from: '/src/components/index.js', to: '/src/components/Button.jsx', specifier: './Button' }
+    ]));
+  });
+
+  test('reports imports of files that do not exist', () => {
+    const { errors, graph } = linkage([
+      { path: 'src/App.js', content: "import React from 'react';\nimport Header from './components/Header';\nexport default function App() { return <Header />; }" }
+    ]);
+
+    expect(graph.unresolved).toEqual([{ file: '/src/App.js', specifier: './components/Header', line: 2 }]);
+    expect(graph.external).toEqual([{ file: '/src/App.js', specifier: 'react', line: 1 }]);
+    expect(errors).toContain('/src/App.js (line 2): Cannot resolve import "./components/Header"');
+  });
+
+  test('reports missing named and default exports', () => {
+    const { errors } = linkage([
+      { path: 'src/App.js', content: "import Card, { formatDate } from './utils';\nexport default function App() { return null; }" },
+      { path: 'src/utils.js', content: 'export const formatTime = () => {};' }
+    ]);
+
+    expect(errors).toEqual(expect.arrayContaining([
+      expect.stringContaining('does not provide a default export'),
+      expect.stringContaining('does not provide an export named "formatDate"')
+    ]));
+  });
+
+  test('skips export checks for modules with export *', () => {
+    const { errors } = linkage([
+      { path: 'src/App.js', content: "import { anything } from './lib';\nexport default function App() { return null; }" },
+      { path: 'src/lib.js', content: "export * from './other';" },
+      { path: 'src/other.js', content: 'export const anything = 1;' }
+    ]);
+
+    expect(errors).toEqual([]);
+  });
+
+  test('warns on circular imports and orphan files', () => {
+    const { warnings, graph } = linkage([
+      { path: 'src/index.js', content: "import './a';" },
+      { path: 'src/a.js', content: "import { b } from './b';\nexport const a = 1;" },
+      { path: 'src/b.js', content: "import { a } from './a';\nexport const b = 2;" },
+      { path: 'src/Unused.js', content: 'export default function Unused() { return null; }' }
+    ]);
+
+    expect(graph.cycles).toEqual([['/src/a.js', '/src/b.js']]);
+    expect(graph.orphans).toEqual(['/src/Unused.js']);
+    expect(warnings).toEqual(expect.arrayContaining([
+      'Circular import: /src/a.js -> /src/b.js -> /src/a.js',
+      '/src/Unused.js: File is not imported by any other file'
+    ]));
+  });
+});
+
+describe('ReactTemplateValidator.checkDependencies', () => {
+  const packageJson = (dependencies) => ({
+    path: 'package.json',
+    content: JSON.stringify({ name: 'app', dependencies })
+  });
+
+  const appFiles = [
+    {
+      path: 'src/index.js',
+      content: "import ReactDOM from 'react-dom/client';\nimport App from './App';\nReactDOM.createRoot(document.getElementById('root')).render(<App />);"
+    },
+    {
+      path: 'src/App.js',
+      content: "import { motion } from 'framer-motion';\nimport { HeartIcon } from '@heroicons/react/24/solid';\nimport confetti from 'canvas-confetti';\nexport default function App() { return <motion.div><HeartIcon /></motion.div>; }"
+    }
+  ];
+
+  test('maps subpath and scoped imports to package names', () => {
+    expect(ReactTemplateValidator.getPackageName('react-dom/client')).toBe('react-dom');
+    expect(ReactTemplateValidator.getPackageName('@heroicons/react/24/solid')).toBe('@heroicons/react');
+    expect(ReactTemplateValidator.getPackageName('lodash')).toBe('lodash');
+    expect(ReactTemplateValidator.getPackageName('https://esm.sh/lodash')).toBeNull();
+  });
+
+  test('reports undeclared and unused packages', () => {
+    const files = [packageJson({ react: '^18.2.0', 'react-dom': '^18.2.0', 'framer-motion': '^10.16.4', axios: '^1.6.0' }), ...appFiles];
+    const check = ReactTemplateValidator.checkDependencies(files);
+
+    expect(check.imported).toEqual(expect.arrayContaining(['react-dom', 'framer-motion', '@heroicons/react', 'canvas-confetti']));
+    expect(check.undeclared).toEqual([
+      { name: '@heroicons/react', files: ['/src/App.js'] },
+      { name: 'canvas-confetti', files: ['/src/App.js'] }
+    ]);
+    expect(check.unused).toEqual(['axios']);
+
+    const report = ReactTemplateValidator.validate(files);
+    expect(report.errors).toContain('Package "canvas-confetti" is imported in /src/App.js but not declared in package.json');
+    expect(report.warnings).toContain('Package "axios" is declared in package.json but never imported');
+  });
+
+  test('adds allowlisted packages to package.json only when enabled', () => {
+    const files = [packageJson({ react: '^18.2.0', 'react-dom': '^18.2.0' }), ...appFiles];
+
+    const untouched = ReactTemplateValidator.validate(files);
+    expect(untouched.fixedFiles[0]).toBe(files[0]);
+
+    const fixed = ReactTemplateValidator.validate(files, { addMissingDependencies: true });
+    const pkg = JSON.parse(fixed.fixedFiles.find(f => f.path === 'package.json').content);
+
+    expect(pkg.dependencies).toMatchObject({ 'framer-motion': '^10.16.4', '@heroicons/react': '^2.0.18' });
+    expect(pkg.dependencies['canvas-confetti']).toBeUndefined();
+    expect(fixed.recommendations).toContain('✅ Added framer-motion@^10.16.4 to package.json');
+    expect(JSON.parse(files[0].content).dependencies['framer-motion']).toBeUndefined();
+  });
+});
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AIProvider = require('../services/aiProvider');
+const ReplayService = require('../services/replayService');
+const RecordingProvider = require('../services/recordingProvider');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'ai');
+const COUNTER_PROMPT = 'Create a counter app with increment and decrement buttons';
+
+class FakeProvider extends AIProvider {
+  constructor() {
+    super('fake');
+    this.model = 'fake-model';
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async generateCode(prompt) {
+    return { content: `echo: ${prompt}`, model: this.model, usage: { total_tokens: 3 }, finishReason: 'stop' };
+  }
+
+  async *streamCode(prompt) {
+    yield { content: 'echo: ', finishReason: null, usage: null };
+    yield { content: prompt, finishReason: 'stop', usage: { total_tokens: 3 } };
+  }
+}
+
+describe('ReplayService', () => {
+  const replay = new ReplayService(FIXTURES_DIR);
+
+  test('hashes prompts deterministically by prompt, type and mode', () => {
+    const key = ReplayService.hashPrompt(COUNTER_PROMPT, 'react');
+
+    expect(key).toBe(ReplayService.hashPrompt(COUNTER_PROMPT, 'react', { projectType: 'react-app' }));
+    expect(key).not.toBe(ReplayService.hashPrompt(COUNTER_PROMPT, 'general'));
+    expect(key).not.toBe(ReplayService.hashPrompt(COUNTER_PROMPT, 'react', { mode: 'edit' }));
+  });
+
+  test('keys edits by the project files and conversation they were made against', () => {
+    const files = [{ path: 'src/App.js', content: 'export default 1;' }];
+    const history = [{ role: 'user', content: 'Add a counter' }];
+    const key = ReplayService.hashPrompt('Make it blue', 'react', { mode: 'edit', currentFiles: files, history });
+
+    expect(key).toBe(ReplayService.hashPrompt('Make it blue', 'react', { mode: 'edit', currentFiles: files.map(f => ({ ...f })), history }));
+    expect(key).not.toBe(ReplayService.hashPrompt('Make it blue', 'react', { mode: 'edit', currentFiles: [{ ...files[0], content: 'export default 2;' }], history }));
+    expect(key).not.toBe(ReplayService.hashPrompt('Make it blue', 'react', { mode: 'edit', currentFiles: files }));
+    expect(key).not.toBe(ReplayService.hashPrompt('Make it blue', 'react', { mode: 'edit', currentFiles: files, history: [...history, { role: 'assistant', content: 'Done' }] }));
+    expect(ReplayService.hashPrompt('Make it blue', 'chat', { messages: history }))
+      .not.toBe(ReplayService.hashPrompt('Make it blue', 'chat', { messages: [{ role: 'user', content: 'Make it red' }] }));
+  });
+
+  test('replays a recorded completion in the normalized response shape', async () => {
+    const response = replay.normalizeResponse(await replay.generateCode(COUNTER_PROMPT, 'react'));
+
+    expect(response.provider).toBe('replay');
+    expect(response.model).toBe('handwritten');
+    expect(response.finishReason).toBe('stop');
+    expect(response.usage.total_tokens).toBe(2620);
+    expect(response.content).toContain('// src/App.js');
+  });
+
+  test('streams the same content it returns from generateCode', async () => {
+    const { content } = await replay.generateCode(COUNTER_PROMPT, 'react');
+    const chunks = [];
+
+    for await (const chunk of replay.streamCode(COUNTER_PROMPT, 'react')) {
+      chunks.push(chunk);
+    }
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.map(c => c.content).join('')).toBe(content);
+    expect(chunks[chunks.length - 1].finishReason).toBe('stop');
+  });
+
+  test('fails loudly when no fixture was recorded', async () => {
+    await expect(replay.generateCode('never recorded', 'react')).rejects.toThrow('No recorded completion');
+  });
+});
+
+describe('RecordingProvider', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-fixtures-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log.mockRestore();
+  });
+
+  test('records completions that the replay provider can serve back', async () => {
+    const recorder = new RecordingProvider(new FakeProvider(), dir);
+    const original = await recorder.generateCode('hello', 'general');
+
+    const replayed = await new ReplayService(dir).generateCode('hello', 'general');
+
+    expect(replayed.content).toBe(original.content);
+    expect(replayed.model).toBe('fake-model');
+    expect(replayed.recordedFrom).toBe('fake');
+  });
+
+  test('records streamed chunks and replays them in order', async () => {
+    const recorder = new RecordingProvider(new FakeProvider(), dir);
+    for await (const chunk of recorder.streamCode('hi', 'general')) {
+      expect(chunk).toHaveProperty('content');
+    }
+
+    const replayed = [];
+    for await (const chunk of new ReplayService(dir).streamCode('hi', 'general')) {
+      replayed.push(chunk.content);
+    }
+
+    expect(replayed).toEqual(['echo: ', 'hi']);
+  });
+});
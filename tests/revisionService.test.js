@@ -0,0 +1,125 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const Project = require('../models/Project');
+const FileRevision = require('../models/FileRevision');
+const ContentBlob = require('../models/ContentBlob');
+const RevisionService = require('../services/revisionService');
+const fileRoutes = require('../routes/files');
+const { errorHandler } = require('../middleware/errorHandler');
+const { generateToken } = require('../utils/jwt');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('RevisionService', () => {
+  const userId = id();
+  const projectId = id();
+
+  beforeEach(() => {
+    jest.spyOn(ContentBlob, 'bulkWrite').mockResolvedValue({});
+    jest.spyOn(FileRevision, 'insertMany').mockImplementation(docs => Promise.resolve(docs));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('stores contents as blobs and revisions by hash', async () => {
+    const file = { _id: id(), projectId, path: '/src/App.js', language: 'javascript', content: 'v1' };
+
+    const [revision] = await RevisionService.recordRevisions([{ file, operation: 'create' }], { userId, source: 'manual' });
+
+    expect(revision).toEqual({
+      fileId: file._id,
+      projectId,
+      path: '/src/App.js',
+      language: 'javascript',
+      hash: ContentBlob.hashContent('v1'),
+      size: 2,
+      userId,
+      source: 'manual',
+      operation: 'create'
+    });
+    expect(ContentBlob.bulkWrite.mock.calls[0][0][0].updateOne.update.$setOnInsert.content).toBe('v1');
+  });
+
+  test('the first update of an untracked file records its previous content as a baseline', async () => {
+    const author = id();
+    const updatedAt = new Date('2026-01-01');
+    const previous = { projectId, userId: author, path: '/a.js', content: 'old', updatedAt };
+    const file = { _id: id(), ...previous, content: 'new' };
+    jest.spyOn(FileRevision, 'distinct').mockResolvedValue([]);
+
+    const revisions = await RevisionService.recordRevisions([{ file, operation: 'update', previous }], { userId, source: 'manual' });
+
+    expect(revisions.map(revision => [revision.source, revision.hash])).toEqual([
+      ['baseline', ContentBlob.hashContent('old')],
+      ['manual', ContentBlob.hashContent('new')]
+    ]);
+    expect(revisions[0]).toMatchObject({ userId: author, createdAt: updatedAt });
+  });
+
+  test('writes that change nothing are not recorded', async () => {
+    const previous = { projectId, path: '/a.js', content: 'same' };
+    jest.spyOn(FileRevision, 'distinct');
+
+    await expect(RevisionService.recordRevisions(
+      [{ file: { _id: id(), ...previous }, operation: 'update', previous }],
+      { userId }
+    )).resolves.toEqual([]);
+    expect(FileRevision.distinct).not.toHaveBeenCalled();
+    expect(FileRevision.insertMany).not.toHaveBeenCalled();
+  });
+
+  test('diffs a revision against another one or the current file', async () => {
+    const from = { _id: id(), path: '/a.js', hash: 'h1' };
+    const to = { _id: id(), path: '/b.js', hash: 'h2' };
+    jest.spyOn(ContentBlob, 'find').mockResolvedValue([{ hash: 'h1', content: 'one\n' }, { hash: 'h2', content: 'two\n' }]);
+
+    const renamed = await RevisionService.diffRevisions({ path: '/b.js', content: 'three\n' }, from, to);
+    expect(renamed.diff).toBe('--- a/a.js\n+++ b/b.js\n@@ -1 +1 @@\n-one\n+two\n');
+
+    const current = await RevisionService.diffRevisions({ path: '/b.js', content: 'three\n' }, from, null, { context: 0 });
+    expect(current.diff).toContain('+three');
+
+    await expect(RevisionService.diffRevisions({ content: '' }, { ...from, hash: 'gone' }, null))
+      .rejects.toThrow('references missing content gone');
+  });
+});
+
+describe('file history routes', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/files', fileRoutes);
+  app.use(errorHandler);
+
+  const userId = id();
+  const auth = `Bearer ${generateToken(String(userId), 'user@example.com')}`;
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('only show history of the caller\'s files', async () => {
+    jest.spyOn(Project, 'findOne').mockResolvedValue(new Project({ userId, name: 'Todo' }));
+    jest.spyOn(File, 'findOne').mockResolvedValue(null);
+
+    const res = await request(app).get(`/api/files/${id()}/${id()}/history`).set('Authorization', auth);
+
+    expect(res.status).toBe(404);
+    expect(res.body.error.message).toBe('File not found');
+  });
+
+  test('diff reports unknown revisions', async () => {
+    const project = new Project({ userId, name: 'Todo' });
+    const file = new File({ projectId: project._id, userId, path: '/a.js' });
+    jest.spyOn(Project, 'findOne').mockResolvedValue(project);
+    jest.spyOn(File, 'findOne').mockResolvedValue(file);
+    jest.spyOn(FileRevision, 'findOne').mockResolvedValue(null);
+
+    const res = await request(app)
+      .get(`/api/files/${project._id}/${file._id}/diff?from=${id()}`)
+      .set('Authorization', auth);
+
+    expect(res.status).toBe(404);
+    expect(res.body.error.message).toBe('Revision not found');
+    expect(FileRevision.findOne.mock.calls[0][0].fileId).toBe(file._id);
+  });
+});
@@ -0,0 +1,268 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const Chat = require('../models/Chat');
+const Project = require('../models/Project');
+const Snapshot = require('../models/Snapshot');
+const ContentBlob = require('../models/ContentBlob');
+const FileRevision = require('../models/FileRevision');
+const SnapshotService = require('../services/snapshotService');
+const RevisionService = require('../services/revisionService');
+const projectRoutes = require('../routes/projects');
+const { errorHandler } = require('../middleware/errorHandler');
+const { generateToken } = require('../utils/jwt');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('SnapshotService', () => {
+  const userId = id();
+  let project;
+
+  beforeEach(() => {
+    project = new Project({ userId, name: 'Todo' });
+    jest.spyOn(project, 'save').mockResolvedValue(project);
+    jest.spyOn(ContentBlob, 'bulkWrite').mockResolvedValue({});
+    jest.spyOn(Snapshot, 'create').mockImplementation(docs => Promise.resolve(docs.map(doc => new Snapshot(doc))));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('stores each distinct content once and keeps only hashes in the snapshot', async () => {
+    jest.spyOn(File, 'find').mockResolvedValue([
+      { path: '/src/App.js', language: 'javascript', content: 'export default 1;' },
+      { path: '/src/Copy.js', language: 'javascript', content: 'export default 1;' },
+      { path: '/src/index.css', language: 'css', content: 'body {}' }
+    ]);
+
+    const snapshot = await SnapshotService.createSnapshot(project, userId, { label: 'Working todo list' });
+
+    const [writes, options] = ContentBlob.bulkWrite.mock.calls[0];
+    expect(writes).toHaveLength(2);
+    expect(writes[0].updateOne).toEqual({
+      filter: { hash: ContentBlob.hashContent('export default 1;') },
+      update: { $setOnInsert: { hash: ContentBlob.hashContent('export default 1;'), content: 'export default 1;', size: 17 } },
+      upsert: true
+    });
+    expect(options).toEqual({ ordered: false });
+
+    expect(snapshot.label).toBe('Working todo list');
+    expect(snapshot.trigger).toBe('manual');
+    expect(snapshot.fileCount).toBe(3);
+    expect(snapshot.totalSize).toBe(17 + 17 + 7);
+    expect(snapshot.files[0].toObject()).toEqual({
+      path: '/src/App.js',
+      language: 'javascript',
+      hash: ContentBlob.hashContent('export default 1;'),
+      size: 17
+    });
+    expect(snapshot.files[1].hash).toBe(snapshot.files[0].hash);
+  });
+
+  test('automatic snapshots are skipped for empty projects and labelled with the prompt', async () => {
+    jest.spyOn(File, 'exists').mockResolvedValueOnce(null).mockResolvedValueOnce({ _id: id() });
+    jest.spyOn(File, 'find').mockResolvedValue([{ path: '/src/App.js', content: 'x' }]);
+
+    await expect(SnapshotService.snapshotBeforeGeneration(project, userId, 'Add dark mode')).resolves.toBeNull();
+
+    const snapshot = await SnapshotService.snapshotBeforeGeneration(project, userId, `Add   dark mode ${'x'.repeat(100)}`);
+    expect(snapshot.trigger).toBe('generation');
+    expect(snapshot.label).toMatch(/^Before: Add dark mode x+…$/);
+    expect(snapshot.label.length).toBe('Before: '.length + 80);
+  });
+
+  test('resolves file contents from blobs', async () => {
+    const snapshot = new Snapshot({
+      projectId: project._id,
+      userId,
+      files: [{ path: '/a.js', hash: 'h1', size: 1 }, { path: '/b.js', hash: 'h2', size: 1 }]
+    });
+    jest.spyOn(ContentBlob, 'find').mockResolvedValue([{ hash: 'h1', content: 'a' }]);
+
+    await expect(SnapshotService.getSnapshotFiles(snapshot)).rejects.toThrow('references missing content h2');
+
+    ContentBlob.find.mockResolvedValue([{ hash: 'h1', content: 'a' }, { hash: 'h2', content: 'b' }]);
+    await expect(SnapshotService.getSnapshotFiles(snapshot)).resolves.toEqual([
+      { path: '/a.js', language: 'javascript', content: 'a', size: 1 },
+      { path: '/b.js', language: 'javascript', content: 'b', size: 1 }
+    ]);
+  });
+
+  test('restore backs up the current files, then swaps them in one transaction', async () => {
+    const calls = [];
+    const session = {
+      withTransaction: jest.fn(async work => { calls.push('transaction'); return work(); }),
+      endSession: jest.fn()
+    };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    jest.spyOn(ContentBlob, 'find').mockResolvedValue([{ hash: 'h1', content: 'restored' }]);
+    const current = [
+      { _id: id(), path: '/src/App.js', content: 'broken' },
+      { _id: id(), path: '/src/Broken.js', content: 'oops' }
+    ];
+    jest.spyOn(File, 'find').mockResolvedValue(current);
+    jest.spyOn(FileRevision, 'distinct').mockResolvedValue([current[0]._id]);
+    jest.spyOn(FileRevision, 'insertMany').mockResolvedValue([]);
+    jest.spyOn(FileRevision, 'deleteMany').mockImplementation(() => {
+      calls.push('forget');
+      return Promise.resolve();
+    });
+    jest.spyOn(ContentBlob, 'removeUnreferenced').mockResolvedValue(0);
+    Snapshot.create.mockImplementation(([doc]) => {
+      calls.push(`snapshot:${doc.trigger}`);
+      return Promise.resolve([new Snapshot(doc)]);
+    });
+    jest.spyOn(File, 'deleteMany').mockImplementation((filter, options) => {
+      calls.push('delete');
+      expect(options.session).toBe(session);
+      return Promise.resolve();
+    });
+    jest.spyOn(File, 'insertMany').mockImplementation(docs => {
+      calls.push('insert');
+      return Promise.resolve(docs);
+    });
+
+    const snapshot = new Snapshot({
+      projectId: project._id,
+      userId,
+      label: 'Working',
+      files: [{ path: '/src/App.js', language: 'javascript', hash: 'h1', size: 8 }]
+    });
+
+    const result = await SnapshotService.restoreSnapshot(project, userId, snapshot);
+
+    expect(calls).toEqual(['snapshot:restore', 'transaction', 'delete', 'insert', 'forget']);
+    expect(result.backup.label).toBe('Before restoring "Working"');
+    expect(File.insertMany.mock.calls[0][0]).toEqual([expect.objectContaining({
+      _id: current[0]._id,
+      projectId: project._id,
+      path: '/src/App.js',
+      content: 'restored',
+      size: 8
+    })]);
+
+    // The surviving file keeps its history; the removed one loses it
+    expect(FileRevision.deleteMany.mock.calls[0][0]).toEqual({ fileId: { $in: [current[1]._id] } });
+    expect(FileRevision.insertMany.mock.calls[0][0]).toEqual([expect.objectContaining({
+      fileId: current[0]._id,
+      source: 'restore',
+      operation: 'update',
+      hash: ContentBlob.hashContent('restored')
+    })]);
+    expect(session.endSession).toHaveBeenCalled();
+  });
+
+  test('falls back to plain writes when the server has no transactions', async () => {
+    const unsupported = Object.assign(new Error('Transaction numbers are only allowed on a replica set member'), { code: 20 });
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+      withTransaction: jest.fn().mockRejectedValue(unsupported),
+      endSession: jest.fn()
+    });
+    const work = jest.fn().mockResolvedValue('done');
+
+    await expect(SnapshotService.inTransaction(work)).resolves.toBe('done');
+    expect(work).toHaveBeenCalledWith(null);
+  });
+});
+
+describe('snapshot routes', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/projects', projectRoutes);
+  app.use(errorHandler);
+
+  const userId = id();
+  const auth = `Bearer ${generateToken(String(userId), 'user@example.com')}`;
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('only snapshot the caller\'s projects', async () => {
+    jest.spyOn(Project, 'findOne').mockResolvedValue(null);
+
+    const res = await request(app).post(`/api/projects/${id()}/snapshots`).set('Authorization', auth).send({ label: 'x' });
+
+    expect(res.status).toBe(404);
+    expect(res.body.error.message).toBe('Project not found');
+  });
+
+  test('reject chat messages from other projects', async () => {
+    jest.spyOn(Project, 'findOne').mockResolvedValue(new Project({ userId, name: 'Todo' }));
+    jest.spyOn(Chat, 'exists').mockResolvedValue(null);
+
+    const res = await request(app)
+      .post(`/api/projects/${id()}/snapshots`)
+      .set('Authorization', auth)
+      .send({ label: 'x', chatMessageId: String(id()) });
+
+    expect(res.status).toBe(404);
+    expect(res.body.error.message).toBe('Chat message not found');
+  });
+
+  test('restore reports unknown snapshots', async () => {
+    const project = new Project({ userId, name: 'Todo' });
+    jest.spyOn(Project, 'findOne').mockResolvedValue(project);
+    jest.spyOn(Snapshot, 'findOne').mockResolvedValue(null);
+
+    const res = await request(app)
+      .post(`/api/projects/${project._id}/snapshots/${id()}/restore`)
+      .set('Authorization', auth);
+
+    expect(res.status).toBe(404);
+    expect(res.body.error.message).toBe('Snapshot not found');
+  });
+});
+
+describe('content blob cleanup', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('deletes only the blobs no snapshot or revision uses', async () => {
+    jest.spyOn(Snapshot, 'distinct').mockResolvedValue(['h1']);
+    jest.spyOn(FileRevision, 'distinct').mockResolvedValue(['h2']);
+    jest.spyOn(ContentBlob, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+
+    await expect(ContentBlob.removeUnreferenced(['h1', 'h2', 'h3', 'h3'])).resolves.toBe(1);
+
+    expect(Snapshot.distinct).toHaveBeenCalledWith('files.hash', { 'files.hash': { $in: ['h1', 'h2', 'h3'] } }, { session: undefined });
+    expect(FileRevision.distinct).toHaveBeenCalledWith('hash', { hash: { $in: ['h1', 'h2', 'h3'] } }, { session: undefined });
+    expect(ContentBlob.deleteMany).toHaveBeenCalledWith({ hash: { $in: ['h3'] } }, { session: undefined });
+  });
+
+  test('deleting revisions sweeps the contents they used', async () => {
+    const fileId = id();
+    jest.spyOn(FileRevision, 'distinct').mockResolvedValue(['h1', 'h2']);
+    jest.spyOn(FileRevision, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(ContentBlob, 'removeUnreferenced').mockResolvedValue(2);
+
+    await RevisionService.deleteRevisions({ fileId });
+
+    expect(FileRevision.distinct).toHaveBeenCalledWith('hash', { fileId }, { session: undefined });
+    expect(FileRevision.deleteMany).toHaveBeenCalledWith({ fileId }, { session: undefined });
+    expect(ContentBlob.removeUnreferenced).toHaveBeenCalledWith(['h1', 'h2'], { session: undefined });
+  });
+
+  test('deleting a project sweeps the contents of its snapshots and revisions', async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/projects', projectRoutes);
+    app.use(errorHandler);
+
+    const userId = id();
+    const project = new Project({ userId, name: 'Todo' });
+    jest.spyOn(Project, 'findOneAndDelete').mockResolvedValue(project);
+    jest.spyOn(Snapshot, 'distinct').mockResolvedValue(['h1']);
+    jest.spyOn(FileRevision, 'distinct').mockResolvedValue(['h2']);
+    jest.spyOn(File, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(Snapshot, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(FileRevision, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(ContentBlob, 'removeUnreferenced').mockResolvedValue(0);
+
+    const res = await request(app)
+      .delete(`/api/projects/${project._id}`)
+      .set('Authorization', `Bearer ${generateToken(String(userId), 'user@example.com')}`);
+
+    expect(res.status).toBe(200);
+    expect(Snapshot.deleteMany).toHaveBeenCalledWith({ projectId: String(project._id) });
+    expect(FileRevision.deleteMany).toHaveBeenCalledWith({ projectId: String(project._id) }, { session: undefined });
+    expect(ContentBlob.removeUnreferenced.mock.calls.map(([hashes]) => hashes)).toEqual([['h2'], ['h1']]);
+  });
+});
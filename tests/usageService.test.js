@@ -0,0 +1,147 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Usage = require('../models/Usage');
+const User = require('../models/User');
+const UsageService = require('../services/usageService');
+const AIProvider = require('../services/aiProvider');
+const { ProviderRegistry } = require('../services/providerRegistry');
+const aiRoutes = require('../routes/ai');
+const usageRoutes = require('../routes/usage');
+const { generateToken } = require('../utils/jwt');
+const { errorHandler } = require('../middleware/errorHandler');
+
+class FakeProvider extends AIProvider {
+  constructor(name, result) {
+    super(name);
+    this.model = `${name}-model`;
+    this.result = result;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async generateCode() {
+    if (this.result instanceof Error) throw this.result;
+    return this.result;
+  }
+}
+
+describe('UsageService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.QUOTA_GUEST_DAILY_REQUESTS;
+  });
+
+  test('normalizes snake_case and camelCase usage', () => {
+    expect(UsageService.normalizeUsage({ prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }))
+      .toEqual({ promptTokens: 10, completionTokens: 5, totalTokens: 15 });
+    expect(UsageService.normalizeUsage({ promptTokens: 3, completionTokens: 4 }))
+      .toEqual({ promptTokens: 3, completionTokens: 4, totalTokens: 7 });
+    expect(UsageService.normalizeUsage(null)).toEqual({ promptTokens: 0, completionTokens: 0, totalTokens: 0 });
+  });
+
+  test('guests hit the tighter daily request quota', async () => {
+    process.env.QUOTA_GUEST_DAILY_REQUESTS = '5';
+    jest.spyOn(Usage, 'aggregate').mockResolvedValue([{ requests: 5, tokens: 900 }]);
+    const now = new Date('2026-03-10T15:00:00Z');
+
+    const quota = await UsageService.checkQuota({ userId: null, ip: '1.2.3.4', isGuest: true }, now);
+
+    expect(quota.allowed).toBe(false);
+    expect(quota.plan).toBe('guest');
+    expect(quota.exceeded).toEqual({
+      period: 'daily',
+      metric: 'requests',
+      limit: 5,
+      used: 5,
+      resetAt: new Date('2026-03-11T00:00:00Z')
+    });
+    expect(Usage.aggregate.mock.calls[0][0][0].$match).toEqual({
+      userId: null,
+      ip: '1.2.3.4',
+      createdAt: { $gte: new Date('2026-03-10T00:00:00Z') }
+    });
+  });
+
+  test('the registry reports every provider call', async () => {
+    const calls = [];
+    const registry = new ProviderRegistry()
+      .register('bad', () => new FakeProvider('bad', new Error('boom')))
+      .register('good', () => new FakeProvider('good', {
+        content: 'ok',
+        usage: { prompt_tokens: 10, completion_tokens: 20, total_tokens: 30 }
+      }));
+    process.env.AI_PROVIDER_CHAIN = 'bad,good';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await registry.generate('Build an app', 'react', { mode: 'edit' }, { onResult: call => calls.push(call) });
+    delete process.env.AI_PROVIDER_CHAIN;
+
+    expect(calls).toEqual([
+      expect.objectContaining({ provider: 'bad', model: 'bad-model', mode: 'edit', success: false, error: 'boom' }),
+      expect.objectContaining({ provider: 'good', success: true, usage: { prompt_tokens: 10, completion_tokens: 20, total_tokens: 30 } })
+    ]);
+    expect(typeof calls[1].latencyMs).toBe('number');
+  });
+});
+
+describe('quota and usage routes', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/ai', aiRoutes);
+  app.use('/api/usage', usageRoutes);
+  app.use(errorHandler);
+
+  const userId = new mongoose.Types.ObjectId();
+  const auth = `Bearer ${generateToken(String(userId), 'user@example.com')}`;
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('anonymous generations over quota get 429 with Retry-After', async () => {
+    jest.spyOn(Usage, 'aggregate').mockResolvedValue([{ requests: 10000, tokens: 0 }]);
+
+    const res = await request(app).post('/api/ai/generate').send({ prompt: 'Build an app' });
+
+    expect(res.status).toBe(429);
+    expect(res.body.error.message).toBe('Daily generation quota exceeded');
+    expect(res.body.error.details.quota).toMatchObject({ plan: 'guest', period: 'daily', metric: 'requests' });
+    expect(parseInt(res.headers['retry-after'])).toBeGreaterThan(0);
+    expect(res.body.error.retryAfter).toBe(parseInt(res.headers['retry-after']));
+  });
+
+  test('GET /api/usage returns rollups and quota', async () => {
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue({ isGuest: false }) });
+    jest.spyOn(Usage, 'aggregate').mockImplementation(pipeline => {
+      const group = pipeline[1].$group;
+      if (group._id === null) {
+        return Promise.resolve([{ requests: 2, tokens: 300 }]);
+      }
+      return Promise.resolve([{
+        _id: group._id.$dateToString.format === '%Y-%m' ? '2026-10' : '2026-10-19',
+        requests: 2,
+        failures: 1,
+        promptTokens: 100,
+        completionTokens: 200,
+        totalTokens: 300,
+        avgLatencyMs: 1234.4
+      }]);
+    });
+
+    const res = await request(app).get('/api/usage?days=7').set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.usage.daily).toEqual([{
+      period: '2026-10-19',
+      requests: 2,
+      failures: 1,
+      promptTokens: 100,
+      completionTokens: 200,
+      totalTokens: 300,
+      avgLatencyMs: 1234
+    }]);
+    expect(res.body.usage.monthly[0].period).toBe('2026-10');
+    expect(res.body.quota).toMatchObject({ allowed: true, plan: 'user', used: { daily: { requests: 2, tokens: 300 } } });
+  });
+});
@@ -0,0 +1,147 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const File = require('../models/File');
+const Chat = require('../models/Chat');
+const RevisionService = require('../services/revisionService');
+const authRoutes = require('../routes/auth');
+const fileRoutes = require('../routes/files');
+const chatRoutes = require('../routes/chat');
+const aiRoutes = require('../routes/ai');
+const schemas = require('../schemas');
+const { generateToken } = require('../utils/jwt');
+const { errorHandler } = require('../middleware/errorHandler');
+
+const id = () => String(new mongoose.Types.ObjectId());
+
+describe('request validation', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  app.use('/api/files', fileRoutes);
+  app.use('/api/chats', chatRoutes);
+  app.use('/api/ai', aiRoutes);
+  app.use(errorHandler);
+
+  const auth = `Bearer ${generateToken(id(), 'user@example.com')}`;
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('reports every invalid field with its location', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'al', email: 'not-an-email', password: 'secret1', confirmPassword: 'secret2' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.message).toBe('Validation failed');
+    expect(res.body.error.details).toEqual([
+      { location: 'body', field: 'username', message: '"username" length must be at least 3 characters long', value: 'al' },
+      { location: 'body', field: 'email', message: '"email" must be a valid email', value: 'not-an-email' },
+      { location: 'body', field: 'confirmPassword', message: 'Passwords do not match' }
+    ]);
+  });
+
+  test('rejects unknown file languages before they reach Mongoose', async () => {
+    jest.spyOn(Project, 'findOne');
+
+    const res = await request(app)
+      .post(`/api/files/${id()}`)
+      .set('Authorization', auth)
+      .send({ path: '/src/App.js', language: 'cobol' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details[0]).toMatchObject({ field: 'language', value: 'cobol' });
+    expect(res.body.error.details[0].message).toContain('must be one of');
+    expect(Project.findOne).not.toHaveBeenCalled();
+  });
+
+  test('validates params as ids', async () => {
+    const res = await request(app).get(`/api/files/not-an-id/${id()}`).set('Authorization', auth);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details).toEqual([
+      { location: 'params', field: 'projectId', message: '"projectId" must be a valid id', value: 'not-an-id' }
+    ]);
+  });
+
+  test('bounds bulk chat saves', async () => {
+    jest.spyOn(Chat, 'insertMany').mockImplementation(docs => Promise.resolve(docs));
+    const message = { type: 'user', content: 'hi' };
+
+    const tooMany = await request(app)
+      .post(`/api/chats/bulk/${id()}`)
+      .set('Authorization', auth)
+      .send({ messages: Array(schemas.chat.MAX_BULK_MESSAGES + 1).fill(message) });
+
+    expect(tooMany.status).toBe(400);
+    expect(tooMany.body.error.details[0].field).toBe('messages');
+    expect(Chat.insertMany).not.toHaveBeenCalled();
+
+    const ok = await request(app)
+      .post(`/api/chats/bulk/${id()}`)
+      .set('Authorization', auth)
+      .send({ messages: [message, { type: 'assistant', content: 'hello', extra: 'dropped' }] });
+
+    expect(ok.status).toBe(200);
+    expect(ok.body.count).toBe(2);
+    expect(Chat.insertMany.mock.calls[0][0][1]).not.toHaveProperty('extra');
+  });
+
+  test('passes validated and trimmed values to the handler', async () => {
+    jest.spyOn(Project, 'findOne').mockResolvedValue({ _id: id() });
+    jest.spyOn(File, 'findOne').mockResolvedValue({
+      content: 'old',
+      save: jest.fn().mockResolvedValue()
+    });
+    jest.spyOn(RevisionService, 'recordRevisions').mockResolvedValue([]);
+
+    const res = await request(app)
+      .put(`/api/files/${id()}`)
+      .set('Authorization', auth)
+      .send({ path: '  /src/App.js  ', content: 'new' });
+
+    expect(res.status).toBe(200);
+    expect(File.findOne.mock.calls[0][0].path).toBe('/src/App.js');
+  });
+
+  test('AI routes check the prompt, repair options and context', async () => {
+    const res = await request(app)
+      .post('/api/ai/generate')
+      .send({ prompt: '   ', type: 'cobol', repair: { maxRounds: 0 } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details.map(detail => detail.field)).toEqual(['prompt', 'type', 'repair.maxRounds']);
+
+    // Keys the server sets for edit, repair and continuation requests are dropped
+    const internal = {
+      mode: 'edit',
+      currentFiles: [{ path: '/src/App.js', content: '' }],
+      files: [{ path: '/a.js' }],
+      errors: ['x'],
+      history: [],
+      continuation: { round: 1 }
+    };
+    ['generate', 'createJob', 'generateForProject'].forEach((name) => {
+      const { error, value } = schemas.ai[name].body.validate(
+        { prompt: 'Build an app', context: { projectType: 'react-app', targetFramework: 'React 18', ...internal } },
+        { stripUnknown: true }
+      );
+      expect(error).toBeUndefined();
+      expect(value.context).toEqual({ projectType: 'react-app', targetFramework: 'React 18' });
+    });
+  });
+
+  test('never echoes passwords or large values', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'user@example.com', password: 'x'.repeat(200) });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details[0]).toEqual({
+      location: 'body',
+      field: 'password',
+      message: '"password" length must be less than or equal to 128 characters long'
+    });
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * Artifact Parser
+ * Reads structured file operations from model output, in either of two forms.
+ *
+ * XML-style blocks:
+ *   <file path="src/App.js" op="update">...complete file...</file>
+ *   <file path="src/Old.js" op="delete" />
+ *   <file path="src/Card.js" op="rename" to="src/components/Card.js" />
+ *   <shell>npm install axios</shell>
+ *
+ * A JSON manifest, fenced as ```json or as the whole response:
+ *   { "files": [{ "path": "src/App.js", "op": "create", "content": "..." }],
+ *     "steps": [{ "type": "shell", "command": "npm install axios" }] }
+ *
+ * Anything else is left in `remainder` for the code-fence parser.
+ */
+
+const {
+  toProjectPath,
+  getLanguageFromPath,
+  parseFences
+} = require('./fenceParser');
+
+const FILE_TAG_PATTERN = /<file\b([^>]*?)\/>|<file\b([^>]*)>([\s\S]*?)<\/file>/g;
+const SHELL_TAG_PATTERN = /<shell\b[^>]*>([\s\S]*?)<\/shell>|<step\b([^>]*)>([\s\S]*?)<\/step>/g;
+const ATTRIBUTE_PATTERN = /([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+const OPERATION_ALIASES = {
+  create: 'create',
+  add: 'create',
+  new: 'create',
+  update: 'update',
+  modify: 'update',
+  edit: 'update',
+  replace: 'update',
+  delete: 'delete',
+  remove: 'delete',
+  rename: 'rename',
+  move: 'rename'
+};
+
+const parseAttributes = (source) => {
+  const attributes = {};
+  let match;
+  ATTRIBUTE_PATTERN.lastIndex = 0;
+
+  while ((match = ATTRIBUTE_PATTERN.exec(source || '')) !== null) {
+    attributes[match[1].toLowerCase()] = match[2] !== undefined ? match[2] : match[3];
+  }
+
+  return attributes;
+};
+
+/**
+ * File content inside a tag: unwrap CDATA or a single enclosing code fence
+ */
+const cleanContent = (content) => {
+  let cleaned = (content || '').replace(/^\r?\n/, '').replace(/\s+$/, '');
+
+  const cdata = cleaned.match(/^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/);
+  if (cdata) {
+    cleaned = cdata[1].replace(/^\r?\n/, '').replace(/\s+$/, '');
+  }
+
+  const fenced = cleaned.match(/^\s*(`{3,}|~{3,})[^\n]*\n([\s\S]*?)\n\s*\1\s*$/);
+  if (fenced) {
+    cleaned = fenced[2];
+  }
+
+  return cleaned;
+};
+
+/**
+ * Line number (1-based) of a character offset
+ */
+const lineAt = (content, offset) => content.substring(0, offset).split('\n').length;
+
+/**
+ * Replace a region with blank lines so later line numbers stay correct
+ */
+const blankOut = (content, start, end) =>
+  content.substring(0, start) +
+  content.substring(start, end).replace(/[^\n]/g, '') +
+  content.substring(end);
+
+/**
+ * A JSON manifest is an object with a `files` or `operations` array of
+ * entries that all have a path
+ */
+const asManifest = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+
+  const entries = value.files || value.operations;
+  if (!Array.isArray(entries) || entries.length === 0) return null;
+  if (!entries.every(entry => entry && typeof entry === 'object' && typeof entry.path === 'string')) return null;
+
+  return { entries, steps: Array.isArray(value.steps) ? value.steps : [] };
+};
+
+const parseJson = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Parse structured artifacts.
+ * Returns { found, operations, steps, fragments, remainder } where operations
+ * are { op, path, to?, content?, language?, line } in response order, steps
+ * are { type: 'shell', command, line } and remainder is the content with the
+ * artifact regions blanked out.
+ */
+const parseArtifacts = (content) => {
+  let remainder = String(content || '');
+  const operations = [];
+  const steps = [];
+  const fragments = [];
+
+  const addOperation = (raw, line) => {
+    const op = OPERATION_ALIASES[String(raw.op || raw.action || raw.operation || 'create').toLowerCase()];
+    const filePath = toProjectPath(raw.path);
+
+    if (!op) {
+      fragments.push({ line, reason: `Unknown file operation "${raw.op || raw.action || raw.operation}"`, text: raw.path || '' });
+      return;
+    }
+
+    if (!filePath) {
+      fragments.push({ line, reason: `Invalid file path "${raw.path || ''}"`, text: '' });
+      return;
+    }
+
+    if (op === 'rename') {
+      const target = toProjectPath(raw.to || raw.newpath || raw.newPath || raw.target);
+      if (!target) {
+        fragments.push({ line, reason: `Rename of ${filePath} has no target path`, text: '' });
+        return;
+      }
+      operations.push({ op, path: filePath, to: target, line });
+
+      // A rename may carry the new content of the moved file
+      if (typeof raw.content === 'string' && raw.content.trim()) {
+        operations.push({ op: 'update', path: target, content: raw.content, language: getLanguageFromPath(target), line });
+      }
+      return;
+    }
+
+    if (op === 'delete') {
+      operations.push({ op, path: filePath, line });
+      return;
+    }
+
+    if (typeof raw.content !== 'string' || !raw.content.trim()) {
+      fragments.push({ line, reason: `Empty ${op} for ${filePath}`, text: '' });
+      return;
+    }
+
+    operations.push({ op, path: filePath, content: raw.content, language: getLanguageFromPath(filePath), line });
+  };
+
+  const addStep = (command, line) => {
+    const trimmed = (command || '').trim();
+    if (trimmed) {
+      steps.push({ type: 'shell', command: trimmed, line });
+    }
+  };
+
+  // XML-style tags
+  const original = remainder;
+  const regions = [];
+  let match;
+
+  FILE_TAG_PATTERN.lastIndex = 0;
+  while ((match = FILE_TAG_PATTERN.exec(original)) !== null) {
+    const selfClosing = match[1] !== undefined;
+    const attributes = parseAttributes(selfClosing ? match[1] : match[2]);
+    const line = lineAt(original, match.index);
+
+    addOperation({
+      ...attributes,
+      content: selfClosing ? undefined : cleanContent(match[3])
+    }, line);
+    regions.push([match.index, match.index + match[0].length]);
+  }
+
+  SHELL_TAG_PATTERN.lastIndex = 0;
+  while ((match = SHELL_TAG_PATTERN.exec(original)) !== null) {
+    const line = lineAt(original, match.index);
+
+    if (match[1] !== undefined) {
+      addStep(cleanContent(match[1]), line);
+    } else {
+      const attributes = parseAttributes(match[2]);
+      if ((attributes.type || 'shell').toLowerCase() !== 'shell') continue;
+      addStep(cleanContent(match[3]), line);
+    }
+    regions.push([match.index, match.index + match[0].length]);
+  }
+
+  regions
+    .sort((a, b) => b[0] - a[0])
+    .forEach(([start, end]) => {
+      remainder = blankOut(remainder, start, end);
+    });
+
+  // JSON manifests, either the whole response or a fenced block
+  const addManifest = (manifest, line) => {
+    manifest.entries.forEach(entry => addOperation(entry, line));
+    manifest.steps.forEach(step => {
+      if (typeof step === 'string') {
+        addStep(step, line);
+      } else if (step && (step.type || 'shell') === 'shell') {
+        addStep(step.command, line);
+      }
+    });
+  };
+
+  const wholeManifest = remainder.trim().startsWith('{') && asManifest(parseJson(remainder.trim()));
+
+  if (wholeManifest) {
+    addManifest(wholeManifest, 1);
+    remainder = remainder.replace(/[^\n]/g, '');
+  } else {
+    parseFences(remainder).blocks
+      .filter(block => block.language === 'json')
+      .forEach(block => {
+        const manifest = asManifest(parseJson(block.content));
+        if (!manifest) return;
+
+        addManifest(manifest, block.line);
+
+        const lines = remainder.split('\n');
+        for (let i = block.line - 1; i < block.endLine; i++) {
+          lines[i] = '';
+        }
+        remainder = lines.join('\n');
+      });
+  }
+
+  operations.sort((a, b) => a.line - b.line);
+  steps.sort((a, b) => a.line - b.line);
+
+  return {
+    found: operations.length > 0 || steps.length > 0,
+    operations,
+    steps,
+    fragments,
+    remainder
+  };
+};
+
+module.exports = {
+  parseArtifacts,
+};
@@ -0,0 +1,82 @@
+/**
+ * Continuation helpers
+ * Detect model output that stopped at the token limit and stitch the
+ * follow-up completion onto it.
+ *
+ * A response counts as truncated when the provider reports a length finish
+ * reason (`length` for OpenAI-style APIs, `MAX_TOKENS` for Gemini) or when it
+ * ends inside a code fence.
+ */
+
+const { parseFences, pathFromHint, extractFileBlocks } = require('./fenceParser');
+
+const LENGTH_FINISH_REASONS = ['length', 'max_tokens'];
+
+/**
+ * Why a response looks truncated: 'finish_reason', 'unclosed_fence' or null
+ */
+const detectTruncation = (content, finishReason) => {
+  if (finishReason && LENGTH_FINISH_REASONS.includes(String(finishReason).toLowerCase())) {
+    return 'finish_reason';
+  }
+
+  const { fragments } = parseFences(content);
+  if (fragments.some(fragment => fragment.reason === 'Unclosed code fence')) {
+    return 'unclosed_fence';
+  }
+
+  return null;
+};
+
+/**
+ * Cut a truncated response back to the end of its last complete file.
+ * The unclosed fence and the path line above it are dropped.
+ * Returns { content, completedFiles } where completedFiles are the canonical
+ * paths of the files written so far.
+ */
+const trimToLastCompleteFile = (content) => {
+  const lines = String(content || '').split(/\r?\n/);
+  const { blocks, fragments } = parseFences(content);
+  const unclosed = fragments.find(fragment => fragment.reason === 'Unclosed code fence');
+
+  const completedFiles = extractFileBlocks(content, { guessPaths: false }).files.map(file => file.path);
+
+  if (!unclosed) {
+    return { content: lines.join('\n').trimEnd(), completedFiles };
+  }
+
+  let end = unclosed.line - 1;
+  const lastClosed = blocks.length > 0 ? blocks[blocks.length - 1].endLine : 0;
+
+  // Drop blank lines and the `// src/File.js` hint belonging to the cut block
+  while (end > lastClosed && !lines[end - 1].trim()) end--;
+  if (end > lastClosed && pathFromHint(lines[end - 1])) end--;
+
+  return { content: lines.slice(0, end).join('\n').trimEnd(), completedFiles };
+};
+
+/**
+ * Join the trimmed response and its continuation. A continuation that
+ * repeats the tail of the previous text (models often restart the line they
+ * stopped on) has the overlap removed.
+ */
+const stitch = (previous, continuation) => {
+  const head = String(previous || '').trimEnd();
+  const tail = String(continuation || '').replace(/^\s*\n/, '');
+
+  if (!head) return tail;
+
+  const lastLine = head.split('\n').pop();
+  const tailLines = tail.split('\n');
+  if (lastLine.trim() && tailLines[0].trim() === lastLine.trim()) {
+    tailLines.shift();
+  }
+
+  return `${head}\n\n${tailLines.join('\n')}`;
+};
+
+module.exports = {
+  detectTruncation,
+  trimToLastCompleteFile,
+  stitch,
+};
@@ -0,0 +1,335 @@
+/**
+ * Fence Parser
+ * Extracts files from markdown code fences in model output.
+ *
+ * Paths are canonical: forward slashes with a leading '/' ('/src/App.js').
+ * A block's file path comes from, in order:
+ *   - the fence info string:      ```jsx title="src/App.jsx"  or  ```jsx src/App.jsx
+ *   - the line above the fence:   // src/App.jsx,  **src/App.jsx**,  ### src/App.jsx
+ *   - a comment on its first line: // src/App.jsx
+ * Anything that can't be turned into a file is reported as a fragment.
+ */
+
+const path = require('path');
+
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})(.*)$/;
+const PATH_TOKEN_PATTERN = /^(?:[\w@.[\]()-]+\/)*(?:[\w@.[\]()-]*\.[A-Za-z0-9]+|\.[\w.-]+)$/;
+const FIRST_LINE_COMMENT_PATTERN = /^\s*(?:\/\/|\/\*+|<!--|#)\s*(?:file(?:name)?:\s*)?(\S+)\s*(?:\*\/|-->)?\s*$/i;
+const INFO_ATTRIBUTE_PATTERN = /([\w-]+)=(?:"([^"]*)"|'([^']*)'|(\S+))/g;
+const PATH_ATTRIBUTES = ['title', 'filename', 'file', 'path', 'name'];
+const HINT_DECORATION_PATTERN = /^(?:\/\/|\/\*+|<!--|#{1,6}|[-*+>]|\d+[.)])\s*/;
+
+// Files that live at the project root; other bare names go under /src
+const ROOT_FILE_PATTERN = /^(?:package(?:-lock)?\.json|[\w.-]+\.config\.(?:js|cjs|mjs|ts)|tsconfig(?:\.[\w-]+)?\.json|jsconfig\.json|index\.html|README\.md|\.[\w.-]+)$/i;
+
+// Languages whose blocks are turned into files when no block names a path
+const CODE_LANGUAGES = ['js', 'jsx', 'ts', 'tsx', 'css', 'html', 'json'];
+
+// Instructions to run, never files
+const SHELL_LANGUAGES = ['bash', 'sh', 'shell', 'zsh', 'console', 'powershell', 'cmd'];
+
+const LANGUAGE_BY_EXTENSION = {
+  js: 'javascript',
+  jsx: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  css: 'css',
+  html: 'html',
+  json: 'json',
+  md: 'markdown'
+};
+
+/**
+ * Canonical form of a path: '/src/App.js'. Returns null for empty paths,
+ * directories and paths that climb out of the project.
+ */
+const normalizePath = (filePath) => {
+  const cleaned = String(filePath || '')
+    .trim()
+    .replace(/\\/g, '/')
+    .replace(/^\/+/, '');
+
+  if (!cleaned) return null;
+
+  const normalized = path.posix.normalize(cleaned);
+  if (normalized === '.' || normalized.startsWith('..') || normalized.endsWith('/')) {
+    return null;
+  }
+
+  return '/' + normalized;
+};
+
+/**
+ * Canonical path for a path the model wrote. Relative paths outside src/ and
+ * public/ are placed under /src unless they are root files like package.json.
+ */
+const toProjectPath = (filePath) => {
+  const raw = String(filePath || '').trim();
+  const canonical = normalizePath(raw);
+
+  if (!canonical || raw.startsWith('/')) return canonical;
+  if (/^\/(?:src|public)\//.test(canonical)) return canonical;
+  if (ROOT_FILE_PATTERN.test(canonical.substring(1))) return canonical;
+
+  return '/src' + canonical;
+};
+
+const getLanguageFromPath = (filePath) => {
+  const ext = String(filePath || '').split('.').pop().toLowerCase();
+  return LANGUAGE_BY_EXTENSION[ext] || 'javascript';
+};
+
+const isPathToken = (token) => PATH_TOKEN_PATTERN.test(token || '') && !/^\.+$/.test(token);
+
+/**
+ * Path from a fence info string, e.g. 'jsx title="src/App.jsx"' or 'jsx src/App.jsx'
+ */
+const pathFromInfo = (info) => {
+  let match;
+  INFO_ATTRIBUTE_PATTERN.lastIndex = 0;
+
+  while ((match = INFO_ATTRIBUTE_PATTERN.exec(info)) !== null) {
+    if (PATH_ATTRIBUTES.includes(match[1].toLowerCase())) {
+      const value = match[2] || match[3] || match[4];
+      if (isPathToken(value)) return value;
+    }
+  }
+
+  const tokens = info.replace(INFO_ATTRIBUTE_PATTERN, '').split(/\s+/).filter(Boolean);
+  return tokens.find(token => token.includes('/') || (token.includes('.') && isPathToken(token))) || null;
+};
+
+/**
+ * Path from the line just above a fence, e.g. '// src/App.js', '**App.js**',
+ * '### 2. src/App.js (updated)' or 'File: `src/App.js`'
+ */
+const pathFromHint = (line) => {
+  let cleaned = (line || '').trim();
+  let previous;
+
+  do {
+    previous = cleaned;
+    cleaned = cleaned.replace(HINT_DECORATION_PATTERN, '');
+  } while (cleaned !== previous);
+
+  cleaned = cleaned
+    .replace(/\s*(?:\*\/|-->)\s*$/, '')
+    .replace(/^(?:file(?:name)?|path)\s*:\s*/i, '')
+    .replace(/[*_`'"]/g, '')
+    .replace(/:\s*$/, '')
+    .trim();
+
+  const [token, ...rest] = cleaned.split(/\s+/);
+  const remainder = rest.join(' ');
+
+  // Only the path, optionally followed by a note in parentheses
+  if (!isPathToken(token) || (remainder && !/^\(.*\)$/.test(remainder))) {
+    return null;
+  }
+
+  return token;
+};
+
+/**
+ * Split content into fenced blocks.
+ * Returns { blocks, fragments } where each block is
+ * { info, language, content, line, endLine, hint } (lines of the opening and
+ * closing fence, 1-based; hint is the last non-empty line of prose above the
+ * fence) and each fragment is
+ * { line, reason, text }.
+ *
+ * Fences nest: inside a block, an opening fence with an info string (e.g.
+ * a README containing ```bash) must be closed before the block can close.
+ */
+const parseFences = (content) => {
+  const lines = String(content || '').split(/\r?\n/);
+  const blocks = [];
+  const fragments = [];
+  let open = null;
+  let hint = null;
+
+  lines.forEach((line, index) => {
+    const fence = line.match(FENCE_PATTERN);
+
+    if (!open) {
+      if (fence && !(fence[1][0] === '`' && fence[2].includes('`'))) {
+        const info = fence[2].trim();
+        open = {
+          marker: fence[1],
+          info,
+          language: (info.split(/\s+/)[0] || '').toLowerCase(),
+          body: [],
+          line: index + 1,
+          hint,
+          depth: 0
+        };
+      } else if (line.trim()) {
+        hint = line;
+      }
+      return;
+    }
+
+    const sameMarker = fence && fence[1][0] === open.marker[0] && fence[1].length >= open.marker.length;
+
+    if (sameMarker && !fence[2].trim()) {
+      if (open.depth === 0) {
+        blocks.push({
+          info: open.info,
+          language: open.language,
+          content: open.body.join('\n'),
+          line: open.line,
+          endLine: index + 1,
+          hint: open.hint
+        });
+        open = null;
+        hint = null;
+        return;
+      }
+      open.depth--;
+    } else if (sameMarker) {
+      open.depth++;
+    }
+
+    open.body.push(line);
+  });
+
+  if (open) {
+    fragments.push({
+      line: open.line,
+      reason: 'Unclosed code fence',
+      text: open.body.join('\n').substring(0, 200)
+    });
+  }
+
+  return { blocks, fragments };
+};
+
+/**
+ * Path for an unnamed block, guessed from what the code looks like
+ */
+const guessFilePath = (content, language, index) => {
+  const lower = content.toLowerCase();
+
+  // Root level files
+  if (lower.includes('"name":') && lower.includes('"dependencies":')) return '/package.json';
+  if (lower.includes('<!doctype') || lower.includes('<html')) return '/public/index.html';
+  if (lower.includes('tailwind') && language === 'js') return '/tailwind.config.js';
+
+  // Source files
+  if (content.includes('createRoot') || content.includes('ReactDOM')) return '/src/index.js';
+  if (content.includes('export default function App') ||
+      (content.includes('export default') && content.includes('return ('))) return '/src/App.js';
+
+  // CSS files
+  if (language === 'css' && lower.includes('@tailwind')) return '/src/index.css';
+  if (language === 'css') return `/src/styles/style${index}.css`;
+
+  // Components
+  if (content.includes('function ') || content.includes('const ') || content.includes('import')) {
+    return `/src/components/Component${index}.jsx`;
+  }
+
+  return `/src/file${index}.${language}`;
+};
+
+/**
+ * Turn fenced blocks into files.
+ * Returns { files, fragments }. Files are { path, content, language, operation }
+ * with canonical paths; a later block for the same path replaces the earlier one.
+ * Blocks without a path are only guessed at when no block in the response
+ * names one (and options.guessPaths isn't false), otherwise they are
+ * reported as fragments.
+ */
+const extractFileBlocks = (content, options = {}) => {
+  const { guessPaths = true } = options;
+  const { blocks, fragments } = parseFences(content);
+  const named = [];
+  const unnamed = [];
+
+  blocks.forEach(block => {
+    let body = block.content;
+    let filePath = pathFromInfo(block.info) || pathFromHint(block.hint);
+
+    if (!filePath) {
+      const [firstLine, ...rest] = body.split('\n');
+      const comment = firstLine.match(FIRST_LINE_COMMENT_PATTERN);
+      if (comment && isPathToken(comment[1]) && comment[1].includes('.')) {
+        filePath = comment[1];
+        body = rest.join('\n');
+      }
+    }
+
+    // Drop blank lines around the code but keep the first line's
+    // indentation, and end with one newline like a saved file
+    body = body.replace(/^\s*\n/, '').trimEnd();
+
+    if (!body) {
+      fragments.push({ line: block.line, reason: filePath ? `Empty code block for ${filePath}` : 'Empty code block', text: '' });
+      return;
+    }
+    body += '\n';
+
+    if (filePath) {
+      const canonical = toProjectPath(filePath);
+      if (!canonical) {
+        fragments.push({ line: block.line, reason: `Invalid file path "${filePath}"`, text: body.substring(0, 200) });
+        return;
+      }
+      named.push({ ...block, path: canonical, content: body });
+    } else if (!SHELL_LANGUAGES.includes(block.language)) {
+      unnamed.push({ ...block, content: body });
+    }
+  });
+
+  const files = [];
+  const addFile = (block, filePath) => {
+    const existing = files.findIndex(file => file.path === filePath);
+    const file = {
+      path: filePath,
+      content: block.content,
+      language: getLanguageFromPath(filePath),
+      operation: 'create'
+    };
+
+    if (existing !== -1) {
+      fragments.push({ line: block.line, reason: `Duplicate file ${filePath}; the later block was used`, text: '' });
+      files[existing] = file;
+    } else {
+      files.push(file);
+    }
+  };
+
+  named.forEach(block => addFile(block, block.path));
+
+  if (named.length === 0 && guessPaths) {
+    let fileIndex = 1;
+    unnamed.forEach(block => {
+      if (!CODE_LANGUAGES.includes(block.language)) {
+        fragments.push({ line: block.line, reason: 'Code block has no file path', text: block.content.substring(0, 200) });
+        return;
+      }
+      addFile(block, guessFilePath(block.content, block.language, fileIndex));
+      fileIndex++;
+    });
+  } else {
+    unnamed.forEach(block => {
+      fragments.push({ line: block.line, reason: 'Code block has no file path', text: block.content.substring(0, 200) });
+    });
+  }
+
+  fragments.sort((a, b) => a.line - b.line);
+
+  return { files, fragments };
+};
+
+module.exports = {
+  normalizePath,
+  toProjectPath,
+  getLanguageFromPath,
+  pathFromHint,
+  parseFences,
+  guessFilePath,
+  extractFileBlocks,
+};
@@ -0,0 +1,124 @@
+/**
+ * Joi to JSON Schema
+ * Converts the request schemas in schemas/ to JSON Schema (2020-12, as used
+ * by OpenAPI 3.1) from Joi's describe() output. Covers the subset of Joi the
+ * schemas use: objects, strings, numbers, booleans, arrays, alternatives and
+ * valid/allow lists. References (Joi.ref) are documented as plain values.
+ */
+
+const Joi = require('joi');
+
+const STRING_FORMATS = { email: 'email', uri: 'uri', isoDate: 'date-time', guid: 'uuid' };
+
+const parseRegex = (source) => {
+  const match = /^\/(.*)\/([a-z]*)$/.exec(source);
+  return match ? match[1] : source;
+};
+
+const ruleLimit = (rule) => (rule.args ? rule.args.limit : undefined);
+
+const convertString = (description, schema) => {
+  for (const rule of description.rules || []) {
+    if (rule.name === 'min') schema.minLength = ruleLimit(rule);
+    if (rule.name === 'max') schema.maxLength = ruleLimit(rule);
+    if (rule.name === 'length') schema.minLength = schema.maxLength = ruleLimit(rule);
+    if (rule.name === 'pattern') schema.pattern = parseRegex(rule.args.regex);
+    if (STRING_FORMATS[rule.name]) schema.format = STRING_FORMATS[rule.name];
+  }
+};
+
+const convertNumber = (description, schema) => {
+  for (const rule of description.rules || []) {
+    if (rule.name === 'integer') schema.type = 'integer';
+    if (rule.name === 'min') schema.minimum = ruleLimit(rule);
+    if (rule.name === 'max') schema.maximum = ruleLimit(rule);
+  }
+};
+
+const convertArray = (description, schema) => {
+  const items = description.items || [];
+  if (items.length === 1) {
+    schema.items = convert(items[0]);
+  } else if (items.length > 1) {
+    schema.items = { anyOf: items.map(convert) };
+  }
+
+  for (const rule of description.rules || []) {
+    if (rule.name === 'min') schema.minItems = ruleLimit(rule);
+    if (rule.name === 'max') schema.maxItems = ruleLimit(rule);
+  }
+};
+
+const convertObject = (description, schema) => {
+  const keys = description.keys || {};
+  const required = [];
+
+  schema.properties = {};
+  for (const [key, child] of Object.entries(keys)) {
+    schema.properties[key] = convert(child);
+    if (child.flags && child.flags.presence === 'required') {
+      required.push(key);
+    }
+  }
+
+  if (required.length > 0) {
+    schema.required = required;
+  }
+};
+
+/**
+ * Convert one described Joi schema
+ */
+const convert = (description) => {
+  const flags = description.flags || {};
+  const allow = (description.allow || []).filter(value => value === null || typeof value !== 'object');
+  let schema = {};
+
+  if (description.type === 'alternatives') {
+    schema.anyOf = (description.matches || []).map(match => convert(match.schema));
+  } else if (['string', 'number', 'boolean', 'array', 'object'].includes(description.type)) {
+    schema.type = description.type;
+  }
+
+  if (description.type === 'string') convertString(description, schema);
+  if (description.type === 'number') convertNumber(description, schema);
+  if (description.type === 'array') convertArray(description, schema);
+  if (description.type === 'object') convertObject(description, schema);
+
+  if (flags.only && allow.length > 0) {
+    schema.enum = allow;
+  } else if (allow.includes(null)) {
+    schema = schema.anyOf
+      ? { anyOf: [...schema.anyOf, { type: 'null' }] }
+      : { ...schema, type: [schema.type, 'null'] };
+  }
+
+  if (flags.description) schema.description = flags.description;
+  if (flags.default !== undefined && typeof flags.default !== 'function') schema.default = flags.default;
+
+  return schema;
+};
+
+/**
+ * JSON Schema for a Joi schema
+ */
+const joiToJsonSchema = (schema) => convert(Joi.isSchema(schema) ? schema.describe() : schema);
+
+/**
+ * OpenAPI parameters for the keys of a params or query object schema
+ */
+const toParameters = (schema, location) => {
+  const { properties = {}, required = [] } = joiToJsonSchema(schema);
+
+  return Object.entries(properties).map(([name, property]) => ({
+    name,
+    in: location,
+    required: location === 'path' || required.includes(name),
+    schema: property,
+  }));
+};
+
+module.exports = {
+  joiToJsonSchema,
+  toParameters,
+};
@@ -46,6 +46,102 @@ Create this component: ${componentDescription}`;
     return prompt;
   }
 
+  /**
+   * Build a prompt for modifying an existing project.
+   * `context.currentFiles` are the stored project files and `context.history`
+   * the recent chat turns ({ role, content }).
+   */
+  static buildEditPrompt(userRequest, context = {}) {
+    const { currentFiles = [], history = [] } = context;
+
+    const fileSection = currentFiles.length > 0
+      ? currentFiles.map(file =>
+          `// ${file.path.replace(/^\/+/, '')}\n\`\`\`${this.getFenceLanguage(file.path)}\n${file.content}\n\`\`\``
+        ).join('\n\n')
+      : '(the project has no files yet)';
+
+    const historySection = history.length > 0
+      ? history.map(turn => `${turn.role.toUpperCase()}: ${turn.content}`).join('\n\n')
+      : '(no previous conversation)';
+
+    return `${sandpackPrompts.getSandpackEditPrompt()}
+
+CURRENT PROJECT FILES:
+${fileSection}
+
+RECENT CONVERSATION:
+${historySection}
+
+CHANGE REQUEST:
+${userRequest}
+
+REMEMBER: Output ONLY the files that change, each one complete, plus any // DELETE: lines.`;
+  }
+
+  /**
+   * Build a prompt asking the model to fix validator errors.
+   * `context.errors` are the validator messages and `context.files` the
+   * offending files ({ path, content }).
+   */
+  static buildRepairPrompt(userRequest, context = {}) {
+    const { errors = [], files = [] } = context;
+
+    const fileSection = files.length > 0
+      ? files.map(file =>
+          `// ${file.path.replace(/^\/+/, '')}\n\`\`\`${this.getFenceLanguage(file.path)}\n${file.content}\n\`\`\``
+        ).join('\n\n')
+      : '(no individual files were flagged)';
+
+    return `${sandpackPrompts.getSandpackErrorRecoveryPrompt()}
+
+The React app generated for the request below failed validation. Fix it.
+
+ORIGINAL REQUEST:
+${userRequest}
+
+VALIDATION ERRORS:
+${errors.map((error, i) => `${i + 1}. ${error}`).join('\n')}
+
+FILES WITH ERRORS:
+${fileSection}
+
+Output ONLY the files you fix or add, each one COMPLETE, in this exact format:
+// src/path/File.js
+\`\`\`jsx
+{complete file content}
+\`\`\``;
+  }
+
+  /**
+   * Build the follow-up turn asking the model to finish a response that hit
+   * the token limit. `continuation.completedFiles` are the files already
+   * written in full.
+   */
+  static buildContinuationPrompt(continuation = {}) {
+    const { completedFiles = [] } = continuation;
+
+    const fileList = completedFiles.length > 0
+      ? completedFiles.map(file => `- ${file.replace(/^\/+/, '')}`).join('\n')
+      : '(none yet)';
+
+    return `Your previous response was cut off because it reached the output limit. It has been trimmed back to the last complete file.
+
+FILES ALREADY WRITTEN IN FULL:
+${fileList}
+
+Continue exactly where the response stops. Do NOT repeat the files above and do NOT restart the explanation.
+Output the remaining files, each one COMPLETE, in the same format:
+// src/path/File.js
+\`\`\`jsx
+{complete file content}
+\`\`\``;
+  }
+
+  static getFenceLanguage(filePath) {
+    const ext = filePath.split('.').pop().toLowerCase();
+    return ext === 'js' ? 'jsx' : ext;
+  }
+
   /**
    * Transform a generic request to a Sandpack-friendly request
    */
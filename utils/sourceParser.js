@@ -0,0 +1,41 @@
+/**
+ * Source Parser
+ * Parses JS/JSX/TS/TSX files with @babel/parser using error recovery
+ */
+
+const babelParser = require('@babel/parser');
+
+const SOURCE_FILE_PATTERN = /\.(jsx?|tsx?)$/;
+
+const isSourceFile = (filePath) => SOURCE_FILE_PATTERN.test(filePath || '');
+
+const getParserPlugins = (filePath) => {
+  if (filePath.endsWith('.tsx')) return ['typescript', 'jsx'];
+  if (filePath.endsWith('.ts')) return ['typescript'];
+  return ['jsx'];
+};
+
+/**
+ * Parse a file. Returns { ast, errors } where ast is null when the parser
+ * could not recover, and errors are the parser's SyntaxErrors.
+ */
+const parseSource = (filePath, content) => {
+  try {
+    const ast = babelParser.parse(content || '', {
+      sourceType: 'module',
+      errorRecovery: true,
+      plugins: getParserPlugins(filePath),
+    });
+
+    return { ast, errors: ast.errors || [] };
+  } catch (error) {
+    // Unrecoverable errors (e.g. unterminated blocks) are thrown instead
+    return { ast: null, errors: [error] };
+  }
+};
+
+module.exports = {
+  isSourceFile,
+  getParserPlugins,
+  parseSource,
+};
@@ -0,0 +1,34 @@
+/**
+ * Server-Sent Events helpers
+ * Minimal utilities for streaming named events over an Express response
+ */
+
+const initSSE = (res) => {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+};
+
+const sendEvent = (res, event, data) => {
+  // Nothing to write to once the client has gone
+  if (res.writableEnded || res.destroyed) return;
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+const endSSE = (res) => {
+  if (!res.writableEnded) {
+    res.end();
+  }
+};
+
+module.exports = {
+  initSSE,
+  sendEvent,
+  endSSE,
+};
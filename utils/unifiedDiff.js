@@ -0,0 +1,352 @@
+/**
+ * Unified Diff Parser
+ * Reads unified diffs from ```diff / ```patch fences in model output.
+ *
+ *   // src/App.js                  (optional; used when the diff has no headers)
+ *   ```diff
+ *   --- a/src/App.js
+ *   +++ b/src/App.js
+ *   @@ -3,4 +3,4 @@
+ *    context
+ *   -removed
+ *   +added
+ *   ```
+ *
+ * Line numbers in hunk headers are treated as hints, so bare `@@` headers work.
+ *
+ * createUnifiedDiff writes the same format, for file revision diffs.
+ */
+
+const { toProjectPath, parseFences, pathFromHint } = require('./fenceParser');
+
+const DIFF_LANGUAGES = ['diff', 'patch', 'udiff'];
+const HUNK_HEADER_PATTERN = /^@@\s*(?:-(\d+)(?:,(\d+))?\s+\+(\d+)(?:,(\d+))?\s*)?(?:@@(.*))?$/;
+const DEV_NULL = '/dev/null';
+const NO_NEWLINE_MARKER = '\\ No newline at end of file';
+
+// Past this many changed lines the diff is written as a full replacement
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Path from a ---/+++ header line: strips a/ b/ prefixes and timestamps
+ */
+const headerPath = (line) => {
+  const raw = line.substring(4).split('\t')[0].trim();
+  if (raw === DEV_NULL) return DEV_NULL;
+  return raw.replace(/^[ab]\//, '');
+};
+
+/**
+ * Parse the lines of one diff block into file patches.
+ * Returns { patches, errors } where errors are reasons for lines that
+ * could not be read.
+ */
+const parseDiffLines = (lines, fallbackPath) => {
+  const patches = [];
+  const errors = [];
+  let patch = null;
+  let hunk = null;
+
+  const startPatch = (oldPath, newPath) => {
+    patch = { oldPath, newPath, hunks: [] };
+    patches.push(patch);
+    hunk = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (line.startsWith('--- ') && (lines[i + 1] || '').startsWith('+++ ')) {
+      startPatch(headerPath(line), headerPath(lines[i + 1]));
+      i++;
+      continue;
+    }
+
+    const header = line.match(HUNK_HEADER_PATTERN);
+    if (header) {
+      if (!patch) {
+        if (!fallbackPath) {
+          errors.push('Hunk without a file header');
+          return { patches, errors };
+        }
+        startPatch(fallbackPath, fallbackPath);
+      }
+
+      hunk = {
+        header: line.trim(),
+        oldStart: header[1] ? parseInt(header[1], 10) : null,
+        lines: []
+      };
+      patch.hunks.push(hunk);
+      continue;
+    }
+
+    if (!hunk) {
+      // `diff --git` and `index` lines, or prose before the first header
+      continue;
+    }
+
+    if (line.startsWith('\\')) continue;
+
+    const type = line[0];
+    if (type === ' ' || type === '+' || type === '-') {
+      hunk.lines.push({ type, text: line.substring(1) });
+    } else if (line === '') {
+      // Models often drop the leading space of blank context lines
+      hunk.lines.push({ type: ' ', text: '' });
+    } else {
+      errors.push(`Unexpected line in hunk ${hunk.header}: "${line.substring(0, 80)}"`);
+      hunk = null;
+    }
+  }
+
+  // Trailing blank context is almost always padding before the closing fence
+  patches.forEach(p => p.hunks.forEach(h => {
+    while (h.lines.length > 0 && h.lines[h.lines.length - 1].type === ' ' && h.lines[h.lines.length - 1].text === '') {
+      h.lines.pop();
+    }
+  }));
+
+  return { patches, errors };
+};
+
+/**
+ * Find diff fences in model output.
+ * Returns { patches, fragments, remainder }. Each patch is
+ * { path, isNew, isDelete, hunks, line } with a canonical path; hunks are
+ * { header, oldStart, lines: [{ type: ' ' | '+' | '-', text }] }.
+ * Diff blocks are blanked out of `remainder` so they are not read as files.
+ */
+const parsePatches = (content) => {
+  const lines = String(content || '').split('\n');
+  const patches = [];
+  const fragments = [];
+
+  parseFences(content).blocks
+    .filter(block => DIFF_LANGUAGES.includes(block.language))
+    .forEach(block => {
+      const hintPath = pathFromHint(block.hint);
+      const parsed = parseDiffLines(block.content.split('\n'), hintPath);
+
+      parsed.errors.forEach(reason => {
+        fragments.push({ line: block.line, reason, text: block.content.substring(0, 200) });
+      });
+
+      parsed.patches.forEach(patch => {
+        const isNew = patch.oldPath === DEV_NULL;
+        const isDelete = patch.newPath === DEV_NULL;
+        const filePath = toProjectPath(isDelete ? patch.oldPath : patch.newPath);
+
+        if (!filePath) {
+          fragments.push({ line: block.line, reason: `Invalid file path in diff "${patch.newPath}"`, text: '' });
+          return;
+        }
+
+        if (patch.hunks.length === 0 && !isDelete) {
+          fragments.push({ line: block.line, reason: `Diff for ${filePath} has no hunks`, text: '' });
+          return;
+        }
+
+        patches.push({ path: filePath, isNew, isDelete, hunks: patch.hunks, line: block.line });
+      });
+
+      for (let i = block.line - 1; i < block.endLine; i++) {
+        lines[i] = '';
+      }
+    });
+
+  return { patches, fragments, remainder: lines.join('\n') };
+};
+
+/**
+ * Split text into lines that keep their line break, so a last line without
+ * one differs from the same line with one (and gets the no-newline marker)
+ */
+const splitLines = (text) => {
+  if (!text) return [];
+  const lines = text.split('\n').map(line => `${line}\n`);
+  const last = lines.pop();
+  if (last !== '\n') {
+    lines.push(last.slice(0, -1));
+  }
+  return lines;
+};
+
+/**
+ * Shortest edit script between two line arrays (Myers' O(ND) algorithm).
+ * Returns [{ type: ' ' | '-' | '+', text }]
+ */
+const editScript = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const remove = text => ({ type: '-', text });
+  const add = text => ({ type: '+', text });
+
+  if (n === 0 || m === 0) {
+    return [...a.map(remove), ...b.map(add)];
+  }
+
+  const max = n + m;
+  const v = new Int32Array(2 * max + 2);
+  // trace[d] holds diagonals -d-1..d+1 as they were before round d
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    if (d > MAX_EDIT_DISTANCE) {
+      return [...a.map(remove), ...b.map(add)];
+    }
+
+    trace.push(v.slice(Math.max(0, max - d - 1), max + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[max + k - 1] < v[max + k + 1]))
+        ? v[max + k + 1]
+        : v[max + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[max + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(a, b, trace, max);
+      }
+    }
+  }
+
+  return [...a.map(remove), ...b.map(add)];
+};
+
+/**
+ * Walk the saved diagonals back from the end to recover the edit script
+ */
+const backtrack = (a, b, trace, max) => {
+  const script = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const base = Math.max(0, max - d - 1);
+    const at = k => trace[d][max + k - base];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : at(prevK);
+    const prevY = d === 0 ? 0 : prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      script.push({ type: ' ', text: a[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      script.push(x === prevX ? { type: '+', text: b[y - 1] } : { type: '-', text: a[x - 1] });
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return script.reverse();
+};
+
+/**
+ * Edit script between two texts, line by line. Common leading and trailing
+ * lines are matched up front so small edits to big files stay cheap.
+ */
+const diffLines = (oldText, newText) => {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const keep = text => ({ type: ' ', text });
+  return [
+    ...a.slice(0, start).map(keep),
+    ...editScript(a.slice(start, endA), b.slice(start, endB)),
+    ...a.slice(endA).map(keep),
+  ];
+};
+
+const hunkRange = (start, count) => (count === 1 ? `${start}` : `${start},${count}`);
+
+/**
+ * Unified diff between two texts.
+ * Options: { oldPath, newPath, context (lines around each change, default 3) }
+ * Returns { diff, additions, deletions }; diff is '' when the texts match.
+ */
+const createUnifiedDiff = (oldText, newText, { oldPath = 'file', newPath = oldPath, context = 3 } = {}) => {
+  const script = diffLines(oldText || '', newText || '');
+  const changes = script.map((line, index) => (line.type === ' ' ? -1 : index)).filter(index => index !== -1);
+
+  if (changes.length === 0) {
+    return { diff: '', additions: 0, deletions: 0 };
+  }
+
+  // Group changes whose context would overlap into one hunk
+  const ranges = [];
+  changes.forEach(index => {
+    const last = ranges[ranges.length - 1];
+    if (last && index - last.end <= context * 2 + 1) {
+      last.end = index;
+    } else {
+      ranges.push({ start: index, end: index });
+    }
+  });
+
+  const output = [
+    `--- ${oldPath === DEV_NULL ? DEV_NULL : `a/${oldPath.replace(/^\/+/, '')}`}`,
+    `+++ ${newPath === DEV_NULL ? DEV_NULL : `b/${newPath.replace(/^\/+/, '')}`}`,
+  ];
+
+  // Line counters for the position just before script[cursor]
+  let cursor = 0;
+  let oldLine = 0;
+  let newLine = 0;
+  const advance = (to) => {
+    for (; cursor < to; cursor++) {
+      if (script[cursor].type !== '+') oldLine++;
+      if (script[cursor].type !== '-') newLine++;
+    }
+  };
+
+  ranges.forEach(range => {
+    const from = Math.max(0, range.start - context);
+    const to = Math.min(script.length, range.end + context + 1);
+    advance(from);
+
+    const lines = script.slice(from, to);
+    const oldCount = lines.filter(line => line.type !== '+').length;
+    const newCount = lines.filter(line => line.type !== '-').length;
+
+    output.push(`@@ -${hunkRange(oldCount ? oldLine + 1 : oldLine, oldCount)} +${hunkRange(newCount ? newLine + 1 : newLine, newCount)} @@`);
+    lines.forEach(line => {
+      output.push(`${line.type}${line.text.replace(/\n$/, '')}`);
+      if (!line.text.endsWith('\n')) {
+        output.push(NO_NEWLINE_MARKER);
+      }
+    });
+  });
+
+  return {
+    diff: `${output.join('\n')}\n`,
+    additions: script.filter(line => line.type === '+').length,
+    deletions: script.filter(line => line.type === '-').length,
+  };
+};
+
+module.exports = {
+  parsePatches,
+  parseDiffLines,
+  createUnifiedDiff,
+};